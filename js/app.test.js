@@ -149,6 +149,35 @@ class AppIntegrationTests {
         'Validation errors should be an array'
       );
     }
+    
+    // Test 4: Changed data is composed from the revalidation responses, not downloaded again
+    if (window.PortfolioDataSources && typeof window.portfolioData.revalidate === 'function') {
+      const file = 'data/portfolio.json';
+      const fetchCounts = {};
+      const originalFetch = window.fetch;
+      const PortfolioData = window.portfolioData.constructor;
+      const instance = new PortfolioData({ dataSources: [window.PortfolioDataSources.createFileSource({ files: [file] })] });
+      instance.getStorage = () => null;
+      instance.data = window.portfolioData.data;
+      const changedData = JSON.parse(JSON.stringify(window.portfolioData.data));
+      changedData.personal.title = 'Changed Title';
+      
+      window.fetch = async url => {
+        fetchCounts[url] = (fetchCounts[url] || 0) + 1;
+        return new Response(JSON.stringify(changedData), { status: 200, headers: { ETag: '"v2"' } });
+      };
+      try {
+        const changedFields = await instance.revalidate({ validators: { [file]: { etag: '"v1"', lastModified: null } } });
+        this.addTestResult(
+          'Revalidation Fetches Once',
+          fetchCounts[file] === 1 && Object.keys(fetchCounts).length === 1 &&
+            changedFields.includes('personal') && instance.getPersonalInfo().title === 'Changed Title',
+          'Changed data should be fetched once per file and loaded from that response'
+        );
+      } finally {
+        window.fetch = originalFetch;
+      }
+    }
   }
 
   async testSmoothScrolling() {
@@ -336,6 +365,55 @@ class AppIntegrationTests {
     );
     
     document.removeEventListener('portfolioLoaded', eventHandler);
+    
+    // Test 2: Data changes re-render only the affected component
+    const projects = window.portfolioData.getProjects();
+    if (typeof window.portfolioData.set === 'function' && projects.length > 0) {
+      const originalTitle = projects[0].title;
+      const experienceElement = document.getElementById('experience-timeline');
+      const experienceContent = experienceElement ? experienceElement.firstElementChild : null;
+      let change = null;
+      const unsubscribe = window.portfolioData.subscribe('projects', received => { change = received; });
+      
+      window.portfolioData.set('/projects/0/title', 'Renamed Test Project');
+      unsubscribe();
+      
+      this.addTestResult(
+        'Data Change Event',
+        change !== null && change.section === 'projects',
+        'Setting a value should notify subscribers of its section'
+      );
+      this.addTestResult(
+        'Targeted Re-render',
+        document.getElementById('projects').textContent.includes('Renamed Test Project') &&
+          (!experienceElement || experienceElement.firstElementChild === experienceContent),
+        'Only the changed section should be rendered again'
+      );
+      
+      window.portfolioData.set('/projects/0/title', originalTitle);
+    }
+    
+    // Test 3: Active filters survive a re-render of their section
+    const skills = window.portfolioData.getSkills();
+    const categoryButton = document.querySelectorAll('.skills-filter-btn')[1];
+    if (typeof window.portfolioData.set === 'function' && categoryButton && skills.length > 0 && skills[0].skills.length > 0) {
+      const category = categoryButton.getAttribute('data-category');
+      const originalProficiency = skills[0].skills[0].proficiency;
+      categoryButton.click();
+      
+      window.portfolioData.set('/skills/0/skills/0/proficiency', 'beginner');
+      const activeButton = document.querySelector('.skills-filter-btn.active');
+      
+      this.addTestResult(
+        'Filters Kept On Re-render',
+        activeButton !== null && activeButton.getAttribute('data-category') === category,
+        'The active skill category filter should be selected again after the section re-renders'
+      );
+      
+      window.portfolioData.set('/skills/0/skills/0/proficiency', originalProficiency);
+      const allButton = document.querySelector('.skills-filter-btn[data-category="all"]');
+      if (allButton) allButton.click();
+    }
   }
 
   addTestResult(testName, passed, description) {
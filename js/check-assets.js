@@ -0,0 +1,300 @@
+/**
+ * @fileoverview Asset reference checker for portfolio data
+ * Resolves every headshot, project image and media path (video sources, posters and
+ * captions) in portfolio.json against the repository and reports missing files, unused files
+ * in images/ and videos/, oversized assets and files whose extension does not match their
+ * type or contents.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const PortfolioTypes = require('./types.js');
+
+// Asset constants
+const ASSET_CONSTANTS = {
+  ASSET_DIRS: ['images', 'videos'],
+  HTML_FILES: ['index.html'],
+  IMAGE_EXTENSIONS: ['.jpg', '.jpeg', '.png', '.gif', '.webp', '.avif', '.svg'],
+  VIDEO_EXTENSIONS: ['.mp4', '.webm'],
+  CAPTIONS_EXTENSIONS: ['.vtt'],
+  MAX_IMAGE_BYTES: 500 * 1024,
+  MAX_VIDEO_BYTES: 20 * 1024 * 1024,
+  MAX_CAPTIONS_BYTES: 256 * 1024,
+  EXTERNAL_URL_REGEX: /^(?:[a-z][a-z0-9+.-]*:|\/\/)/i,
+  HTML_ASSET_REGEX: /\b(?:src|poster|href)\s*=\s*["']([^"']+)["']/gi
+};
+
+/**
+ * @typedef {Object} AssetReference
+ * @property {string} path - JSON pointer of the reference, or '' for references from HTML
+ * @property {string} file - Referenced file, relative to the repository root
+ * @property {'image'|'video'|'captions'} kind - Expected kind of asset
+ * @property {string} [source] - File holding the reference, for references from HTML
+ */
+
+/**
+ * Recognizes a file's format from its first bytes
+ * @param {Buffer} bytes - Leading bytes of the file
+ * @returns {string|null} Canonical extension of the detected format, or null if unknown
+ */
+function detectFormat(bytes) {
+  const ascii = (start, end) => bytes.toString('latin1', start, end);
+
+  if (bytes[0] === 0xff && bytes[1] === 0xd8 && bytes[2] === 0xff) return '.jpg';
+  if (bytes[0] === 0x89 && ascii(1, 4) === 'PNG') return '.png';
+  if (ascii(0, 4) === 'GIF8') return '.gif';
+  if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WEBP') return '.webp';
+  if (ascii(4, 8) === 'ftyp') return ascii(8, 12).startsWith('avi') ? '.avif' : '.mp4';
+  if (bytes[0] === 0x1a && bytes[1] === 0x45 && bytes[2] === 0xdf && bytes[3] === 0xa3) return '.webm';
+  if (/^\uFEFF?WEBVTT(?:[ \t\r\n]|$)/.test(bytes.toString('utf8'))) return '.vtt';
+  if (/^\s*(?:<\?xml[^>]*>\s*)?(?:<!--[\s\S]*?-->\s*)*<svg[\s>]/i.test(bytes.toString('utf8'))) return '.svg';
+  return null;
+}
+
+/**
+ * Normalizes an extension so aliases compare equal
+ * @param {string} extension - Extension including the dot
+ * @returns {string} Normalized extension
+ */
+function normalizeExtension(extension) {
+  const lower = extension.toLowerCase();
+  return lower === '.jpeg' ? '.jpg' : lower;
+}
+
+/**
+ * Lists the extensions allowed for a kind of asset
+ * @param {'image'|'video'|'captions'} kind - Kind of asset
+ * @returns {string[]} Allowed extensions
+ */
+function getAllowedExtensions(kind) {
+  if (kind === 'video') return ASSET_CONSTANTS.VIDEO_EXTENSIONS;
+  if (kind === 'captions') return ASSET_CONSTANTS.CAPTIONS_EXTENSIONS;
+  return ASSET_CONSTANTS.IMAGE_EXTENSIONS;
+}
+
+/**
+ * Guesses the kind of an asset from its path, for files not referenced by the data
+ * @param {string} file - File relative to the repository root
+ * @returns {'image'|'video'|'captions'} Kind of asset
+ */
+function guessAssetKind(file) {
+  if (ASSET_CONSTANTS.CAPTIONS_EXTENSIONS.includes(normalizeExtension(path.extname(file)))) return 'captions';
+  return file.startsWith('videos/') ? 'video' : 'image';
+}
+
+/**
+ * Checks whether a reference points outside the repository (http:, data:, //cdn, ...)
+ * @param {string} file - Referenced path or URL
+ * @returns {boolean} True for external references
+ */
+function isExternalReference(file) {
+  return ASSET_CONSTANTS.EXTERNAL_URL_REGEX.test(file);
+}
+
+/**
+ * Collects the asset paths referenced by portfolio data
+ * @param {Object} portfolioData - Portfolio data
+ * @returns {AssetReference[]} Local asset references
+ */
+function collectAssetReferences(portfolioData) {
+  const references = [];
+  const add = (pointer, file, kind) => {
+    if (typeof file === 'string' && file.trim() !== '' && !isExternalReference(file)) {
+      references.push({ path: pointer, file: file.replace(/^\.?\//, ''), kind });
+    }
+  };
+
+  if (portfolioData && portfolioData.personal) {
+    add('/personal/headshot', portfolioData.personal.headshot, 'image');
+  }
+
+  ((portfolioData && portfolioData.projects) || []).forEach((project, projectIndex) => {
+    const projectPath = PortfolioTypes.appendPointer('/projects', projectIndex);
+    if (project && Array.isArray(project.images)) {
+      project.images.forEach((image, imageIndex) => {
+        add(PortfolioTypes.appendPointer(`${projectPath}/images`, imageIndex), image, 'image');
+      });
+    }
+    if (project && Array.isArray(project.media)) {
+      project.media.forEach((media, mediaIndex) => {
+        if (!media) return;
+        const mediaPath = PortfolioTypes.appendPointer(`${projectPath}/media`, mediaIndex);
+        (Array.isArray(media.sources) ? media.sources : []).forEach((source, sourceIndex) => {
+          add(`${PortfolioTypes.appendPointer(`${mediaPath}/sources`, sourceIndex)}/src`, source && source.src, 'video');
+        });
+        add(`${mediaPath}/poster`, media.poster, 'image');
+        (Array.isArray(media.captions) ? media.captions : []).forEach((captions, captionsIndex) => {
+          add(`${PortfolioTypes.appendPointer(`${mediaPath}/captions`, captionsIndex)}/src`, captions && captions.src, 'captions');
+        });
+      });
+    }
+  });
+
+  return references;
+}
+
+/**
+ * Collects asset paths referenced from static HTML (src, poster and href attributes)
+ * @param {string} rootDir - Repository root
+ * @param {string[]} htmlFiles - HTML files to scan, relative to rootDir
+ * @returns {AssetReference[]} Local asset references inside the asset directories
+ */
+function collectHtmlReferences(rootDir, htmlFiles) {
+  const references = [];
+
+  htmlFiles.forEach(htmlFile => {
+    const htmlPath = path.join(rootDir, htmlFile);
+    if (!fs.existsSync(htmlPath)) return;
+
+    const html = fs.readFileSync(htmlPath, 'utf8');
+    const regex = new RegExp(ASSET_CONSTANTS.HTML_ASSET_REGEX.source, 'gi');
+    let match;
+    while ((match = regex.exec(html)) !== null) {
+      const file = match[1].replace(/^\.?\//, '').split(/[?#]/)[0];
+      const topDir = file.split('/')[0];
+      if (!isExternalReference(match[1]) && ASSET_CONSTANTS.ASSET_DIRS.includes(topDir)) {
+        references.push({ path: '', file, kind: guessAssetKind(file), source: htmlFile });
+      }
+    }
+  });
+
+  return references;
+}
+
+/**
+ * Lists the files in the asset directories, relative to the repository root
+ * @param {string} rootDir - Repository root
+ * @returns {string[]} Asset files, skipping dotfiles such as .gitkeep
+ */
+function listAssetFiles(rootDir) {
+  const walk = (relativeDir) => {
+    const absoluteDir = path.join(rootDir, relativeDir);
+    if (!fs.existsSync(absoluteDir)) return [];
+
+    return fs.readdirSync(absoluteDir, { withFileTypes: true }).flatMap(entry => {
+      if (entry.name.startsWith('.')) return [];
+      const relative = `${relativeDir}/${entry.name}`;
+      if (entry.isDirectory()) return walk(relative);
+      return entry.isFile() ? [relative] : [];
+    });
+  };
+
+  return ASSET_CONSTANTS.ASSET_DIRS.flatMap(dir => walk(dir)).sort();
+}
+
+/**
+ * Checks one existing file's extension, contents and size
+ * @param {string} rootDir - Repository root
+ * @param {string} file - File relative to the repository root
+ * @param {'image'|'video'|'captions'} kind - Expected kind of asset
+ * @param {Object} limits - Size limits in bytes ({image, video, captions})
+ * @param {string} pointer - JSON pointer of the reference ('' when unreferenced or from HTML)
+ * @param {'error'|'warning'} severity - Severity for type mismatches
+ * @returns {ValidationIssue[]} Issues found
+ */
+function inspectFile(rootDir, file, kind, limits, pointer, severity) {
+  const issues = [];
+  const issue = (code, message, issueSeverity = severity) => ({
+    ...PortfolioTypes.createIssue(pointer, code, message, issueSeverity),
+    file
+  });
+
+  const absolutePath = path.join(rootDir, file);
+  const extension = normalizeExtension(path.extname(file));
+  const allowed = getAllowedExtensions(kind);
+
+  if (!allowed.includes(extension)) {
+    issues.push(issue('extension', `"${file}" must be a ${kind} file (${allowed.join(', ')})`));
+  }
+
+  // Names such as "profile.jpg.jpg" usually come from an export that appended the extension twice
+  const innerExtension = normalizeExtension(path.extname(path.basename(file, path.extname(file))));
+  if (innerExtension && [...ASSET_CONSTANTS.IMAGE_EXTENSIONS, ...ASSET_CONSTANTS.VIDEO_EXTENSIONS, ...ASSET_CONSTANTS.CAPTIONS_EXTENSIONS].includes(innerExtension)) {
+    issues.push(issue('extension', `"${file}" has a doubled extension`, 'warning'));
+  }
+
+  const descriptor = fs.openSync(absolutePath, 'r');
+  const header = Buffer.alloc(512);
+  const bytesRead = fs.readSync(descriptor, header, 0, header.length, 0);
+  fs.closeSync(descriptor);
+
+  const detected = detectFormat(header.subarray(0, bytesRead));
+  if (allowed.includes(extension) && detected !== extension) {
+    const actual = detected
+      ? `a ${detected.slice(1).toUpperCase()} file`
+      : `not a recognizable ${kind === 'captions' ? 'WebVTT file' : kind}`;
+    issues.push(issue('contentMismatch', `"${file}" has a ${extension} extension but is ${actual}`));
+  }
+
+  const size = fs.statSync(absolutePath).size;
+  const limit = limits[kind];
+  if (size > limit) {
+    issues.push(issue('oversizedAsset',
+      `"${file}" is ${Math.round(size / 1024)} KB, larger than the ${Math.round(limit / 1024)} KB limit`, 'warning'));
+  }
+
+  return issues;
+}
+
+/**
+ * Checks the assets referenced by portfolio data against the files in the repository
+ * @param {Object} portfolioData - Portfolio data
+ * @param {Object} [options] - Check options
+ * @param {string} [options.rootDir] - Repository root that asset paths are relative to
+ * @param {string[]} [options.htmlFiles] - HTML files whose asset references count as used
+ * @param {number} [options.maxImageBytes] - Size above which images are reported
+ * @param {number} [options.maxVideoBytes] - Size above which videos are reported
+ * @param {number} [options.maxCaptionsBytes] - Size above which captions are reported
+ * @returns {ValidationResult} Validation result; issues also carry the file they concern
+ */
+function checkAssets(portfolioData, options = {}) {
+  const rootDir = options.rootDir || path.join(__dirname, '..');
+  const limits = {
+    image: options.maxImageBytes || ASSET_CONSTANTS.MAX_IMAGE_BYTES,
+    video: options.maxVideoBytes || ASSET_CONSTANTS.MAX_VIDEO_BYTES,
+    captions: options.maxCaptionsBytes || ASSET_CONSTANTS.MAX_CAPTIONS_BYTES
+  };
+
+  const issues = [];
+  const dataReferences = collectAssetReferences(portfolioData);
+  const htmlReferences = collectHtmlReferences(rootDir, options.htmlFiles || ASSET_CONSTANTS.HTML_FILES);
+  const inspected = new Set();
+
+  [...dataReferences, ...htmlReferences].forEach(reference => {
+    const absolutePath = path.join(rootDir, reference.file);
+
+    if (!fs.existsSync(absolutePath) || !fs.statSync(absolutePath).isFile()) {
+      const location = reference.source ? ` (referenced from ${reference.source})` : '';
+      issues.push({
+        ...PortfolioTypes.createIssue(reference.path, 'missingAsset', `"${reference.file}" does not exist${location}`),
+        file: reference.file
+      });
+      return;
+    }
+
+    if (!inspected.has(reference.file)) {
+      inspected.add(reference.file);
+      issues.push(...inspectFile(rootDir, reference.file, reference.kind, limits, reference.path, 'error'));
+    }
+  });
+
+  // Files nobody references are only warnings, including their type problems
+  listAssetFiles(rootDir)
+    .filter(file => !inspected.has(file))
+    .forEach(file => {
+      issues.push({
+        ...PortfolioTypes.createIssue('', 'unusedAsset', `"${file}" is not referenced`, 'warning'),
+        file
+      });
+      issues.push(...inspectFile(rootDir, file, guessAssetKind(file), limits, '', 'warning'));
+    });
+
+  return PortfolioTypes.createValidationResult(issues);
+}
+
+module.exports = {
+  ASSET_CONSTANTS,
+  checkAssets,
+  collectAssetReferences,
+  detectFormat
+};
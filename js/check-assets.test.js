@@ -0,0 +1,247 @@
+/**
+ * @fileoverview Unit tests for the asset reference checker
+ * These tests build a small repository layout in a temporary directory
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const AssetChecker = require('./check-assets.js');
+
+// Test utilities
+const TestRunner = {
+  tests: [],
+  passed: 0,
+  failed: 0,
+
+  test(name, testFn) {
+    this.tests.push({ name, testFn });
+  },
+
+  expect(actual) {
+    return {
+      toBe(expected) {
+        if (actual === expected) {
+          return { passed: true };
+        }
+        return { passed: false, message: `Expected ${expected}, got ${actual}` };
+      },
+
+      toEqual(expected) {
+        if (JSON.stringify(actual) === JSON.stringify(expected)) {
+          return { passed: true };
+        }
+        return { passed: false, message: `Expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}` };
+      },
+
+      toContain(expected) {
+        if (Array.isArray(actual) && actual.includes(expected)) {
+          return { passed: true };
+        }
+        return { passed: false, message: `Expected ${JSON.stringify(actual)} to contain ${expected}` };
+      }
+    };
+  },
+
+  run() {
+    console.log('Running asset checker tests...\n');
+
+    this.tests.forEach(({ name, testFn }) => {
+      try {
+        const result = testFn();
+        if (result.passed) {
+          this.passed++;
+          console.log(`✓ ${name}`);
+        } else {
+          this.failed++;
+          console.log(`✗ ${name}: ${result.message}`);
+        }
+      } catch (error) {
+        this.failed++;
+        console.log(`✗ ${name}: ${error.message}`);
+      }
+    });
+
+    console.log(`\nTest Results: ${this.passed} passed, ${this.failed} failed`);
+    return this.failed === 0;
+  }
+};
+
+// Test data
+const JPEG_BYTES = Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0x00, 0x10, 0x4a, 0x46, 0x49, 0x46]);
+const PNG_BYTES = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+const WEBM_BYTES = Buffer.from([0x1a, 0x45, 0xdf, 0xa3, 0x9f, 0x42, 0x86, 0x81]);
+
+const WEBVTT_TEXT = 'WEBVTT\n\n00:00.000 --> 00:04.000\nWelcome to the walkthrough\n';
+
+/**
+ * Creates a temporary repository holding the given files
+ * @param {Object<string, (string|Buffer)>} files - File contents by path
+ * @returns {string} Repository root
+ */
+function createRepository(files) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'check-assets-'));
+  Object.entries(files).forEach(([name, content]) => {
+    fs.mkdirSync(path.dirname(path.join(dir, name)), { recursive: true });
+    fs.writeFileSync(path.join(dir, name), content);
+  });
+  return dir;
+}
+
+const files = {
+  'index.html': '<img src="images/profile/photo.jpg.jpg" alt=""><link rel="icon" href="https://example.com/icon.png">',
+  'images/profile/.gitkeep': '',
+  'images/profile/headshot.svg': '<?xml version="1.0"?>\n<svg xmlns="http://www.w3.org/2000/svg"></svg>',
+  'images/profile/photo.jpg.jpg': JPEG_BYTES,
+  'images/projects/app.jpg': JPEG_BYTES,
+  'images/projects/wrong-type.jpg': PNG_BYTES,
+  'images/projects/big.png': Buffer.concat([PNG_BYTES, Buffer.alloc(2048)]),
+  'images/projects/old.png': PNG_BYTES,
+  'videos/demo.webm': WEBM_BYTES,
+  'videos/placeholder.mp4': '# Placeholder for the demo video'
+};
+const rootDir = createRepository(files);
+
+const portfolioData = {
+  personal: { headshot: 'images/profile/headshot.svg' },
+  projects: [
+    { images: ['images/projects/app.jpg', 'images/projects/missing.jpg'] },
+    { images: ['images/projects/wrong-type.jpg', 'https://cdn.example.com/shot.png'] },
+    { images: ['./images/projects/big.png', 'videos/demo.webm'] }
+  ]
+};
+
+const result = AssetChecker.checkAssets(portfolioData, { rootDir, maxImageBytes: 1024 });
+
+// Project videos live in a repository of their own
+const mediaRootDir = createRepository({
+  'images/projects/poster.png': PNG_BYTES,
+  'videos/demo.webm': WEBM_BYTES,
+  'videos/demo.en.vtt': WEBVTT_TEXT,
+  'videos/demo.de.vtt': '1\n00:00:00,000 --> 00:00:04,000\nWillkommen\n',
+  'videos/demo.fr.vtt': WEBVTT_TEXT
+});
+
+const mediaData = {
+  projects: [{
+    media: [{
+      type: 'video',
+      title: 'Walkthrough',
+      poster: 'images/projects/poster.png',
+      sources: [{ src: 'videos/demo.webm', type: 'video/webm' }, { src: 'videos/demo.mp4', type: 'video/mp4' }],
+      captions: [
+        { src: 'videos/demo.en.vtt', srclang: 'en', label: 'English' },
+        { src: 'videos/demo.de.vtt', srclang: 'de', label: 'Deutsch' },
+        { src: 'https://cdn.example.com/demo.es.vtt', srclang: 'es', label: 'Español' }
+      ]
+    }]
+  }]
+};
+
+const mediaResult = AssetChecker.checkAssets(mediaData, { rootDir: mediaRootDir, htmlFiles: [] });
+
+/**
+ * Lists the issues with a given code as "severity location" strings
+ * @param {string} code - Issue code
+ * @param {ValidationResult} [checked] - Check result; defaults to the main fixture's
+ * @returns {string[]} Matching issues
+ */
+function issuesWithCode(code, checked = result) {
+  return checked.issues
+    .filter(issue => issue.code === code)
+    .map(issue => `${issue.severity} ${issue.path || issue.file}`);
+}
+
+// Reference collection tests
+TestRunner.test('collectAssetReferences - headshot and project images, skipping URLs', () => {
+  const references = AssetChecker.collectAssetReferences(portfolioData);
+  return TestRunner.expect(references.map(reference => reference.path)).toEqual([
+    '/personal/headshot',
+    '/projects/0/images/0',
+    '/projects/0/images/1',
+    '/projects/1/images/0',
+    '/projects/2/images/0',
+    '/projects/2/images/1'
+  ]);
+});
+
+TestRunner.test('collectAssetReferences - video sources, posters and captions', () => {
+  const references = AssetChecker.collectAssetReferences(mediaData);
+  return TestRunner.expect(references.map(reference => `${reference.kind} ${reference.path}`)).toEqual([
+    'video /projects/0/media/0/sources/0/src',
+    'video /projects/0/media/0/sources/1/src',
+    'image /projects/0/media/0/poster',
+    'captions /projects/0/media/0/captions/0/src',
+    'captions /projects/0/media/0/captions/1/src'
+  ]);
+});
+
+// Check tests
+TestRunner.test('checkAssets - reports missing files at their JSON pointer', () => {
+  return TestRunner.expect(issuesWithCode('missingAsset')).toEqual(['error /projects/0/images/1']);
+});
+
+TestRunner.test('checkAssets - reports contents that do not match the extension', () => {
+  return TestRunner.expect(issuesWithCode('contentMismatch'))
+    .toEqual(['error /projects/1/images/0', 'warning videos/placeholder.mp4']);
+});
+
+TestRunner.test('checkAssets - reports videos used as images', () => {
+  return TestRunner.expect(issuesWithCode('extension')).toContain('error /projects/2/images/1');
+});
+
+TestRunner.test('checkAssets - warns about doubled extensions', () => {
+  return TestRunner.expect(issuesWithCode('extension')).toContain('warning images/profile/photo.jpg.jpg');
+});
+
+TestRunner.test('checkAssets - warns about oversized assets', () => {
+  return TestRunner.expect(issuesWithCode('oversizedAsset')).toEqual(['warning /projects/2/images/0']);
+});
+
+TestRunner.test('checkAssets - warns about unused files, counting HTML references as used', () => {
+  return TestRunner.expect(issuesWithCode('unusedAsset'))
+    .toEqual(['warning images/projects/old.png', 'warning videos/placeholder.mp4']);
+});
+
+TestRunner.test('checkAssets - invalid only because of errors', () => {
+  return TestRunner.expect(result.isValid).toBe(false);
+});
+
+TestRunner.test('checkAssets - checks video sources and captions', () => {
+  return TestRunner.expect([
+    issuesWithCode('missingAsset', mediaResult),
+    issuesWithCode('contentMismatch', mediaResult),
+    issuesWithCode('unusedAsset', mediaResult)
+  ]).toEqual([
+    ['error /projects/0/media/0/sources/1/src'],
+    ['error /projects/0/media/0/captions/1/src'],
+    ['warning videos/demo.fr.vtt']
+  ]);
+});
+
+// Format detection tests
+TestRunner.test('detectFormat - recognizes JPEG, PNG and WebM', () => {
+  return TestRunner.expect([JPEG_BYTES, PNG_BYTES, WEBM_BYTES].map(bytes => AssetChecker.detectFormat(bytes)))
+    .toEqual(['.jpg', '.png', '.webm']);
+});
+
+TestRunner.test('detectFormat - recognizes SVG after an XML declaration', () => {
+  return TestRunner.expect(AssetChecker.detectFormat(Buffer.from(files['images/profile/headshot.svg']))).toBe('.svg');
+});
+
+TestRunner.test('detectFormat - recognizes WebVTT, with or without a byte order mark', () => {
+  return TestRunner.expect([WEBVTT_TEXT, '\uFEFFWEBVTT - Captions\n', 'WEBVTTX\n']
+    .map(text => AssetChecker.detectFormat(Buffer.from(text)))).toEqual(['.vtt', '.vtt', null]);
+});
+
+TestRunner.test('detectFormat - unknown for text', () => {
+  return TestRunner.expect(AssetChecker.detectFormat(Buffer.from('# Placeholder'))).toBe(null);
+});
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+  const passed = TestRunner.run();
+  fs.rmSync(rootDir, { recursive: true, force: true });
+  fs.rmSync(mediaRootDir, { recursive: true, force: true });
+  process.exitCode = passed ? 0 : 1;
+}
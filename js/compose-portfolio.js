@@ -0,0 +1,208 @@
+/**
+ * @fileoverview Command line tool that builds a single portfolio data file from one that
+ * pulls sections in with "$include" directives
+ * The browser can only load includes that list their files, so sites whose includes use
+ * glob patterns deploy the composed output of this tool instead. YAML and Markdown sources
+ * come out as JSON. With --embed the composed data is written into a page as an inline
+ * data block, which the page then renders without fetching any data file.
+ *
+ * Usage: node js/compose-portfolio.js [options] [file]
+ *
+ * Exit codes: 0 on success, 1 when the includes cannot be composed, 2 for usage errors or
+ * files that cannot be read or written.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const ValidatePortfolio = require('./validate-portfolio.js');
+const MigratePortfolio = require('./migrate-portfolio.js');
+const DataFormats = require('./data-formats.js');
+
+// CLI constants
+const CLI_CONSTANTS = {
+  EXIT_OK: 0,
+  EXIT_FAILED: 1,
+  EXIT_USAGE: 2,
+  INLINE_DATA_REGEX: /<script\b[^>]*\bid=["']portfolio-data["'][^>]*>[\s\S]*?<\/script>/i,
+  HEAD_END_REGEX: /<\/head>/i
+};
+
+const USAGE = `Usage: node js/compose-portfolio.js [options] [file]
+
+Replaces the "$include" directives of a portfolio data file with the files they name and
+prints the composed document as JSON. Defaults to data/portfolio.json, or
+data/portfolio.yaml if there is no JSON file.
+
+Options:
+  --out <file>    Write the composed document to a file instead of printing it
+  --embed <file>  Embed the composed document in an HTML page as its inline data block
+  -h, --help      Show this help`;
+
+/**
+ * Parses command line arguments
+ * @param {string[]} argv - Arguments without the node executable and script path
+ * @returns {{options: Object, files: string[]}} Parsed options and file arguments
+ * @throws {Error} When an option is unknown or has an invalid value
+ */
+function parseArgs(argv) {
+  const options = { out: null, embed: null, help: false };
+  const files = [];
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (arg === '-h' || arg === '--help') {
+      options.help = true;
+    } else if (arg === '--out' || arg.startsWith('--out=')) {
+      const value = arg === '--out' ? argv[++i] : arg.slice('--out='.length);
+      if (!value) {
+        throw new Error('--out needs a file');
+      }
+      options.out = value;
+    } else if (arg === '--embed' || arg.startsWith('--embed=')) {
+      const value = arg === '--embed' ? argv[++i] : arg.slice('--embed='.length);
+      if (!value) {
+        throw new Error('--embed needs a file');
+      }
+      options.embed = value;
+    } else if (arg.startsWith('-')) {
+      throw new Error(`Unknown option: ${arg}`);
+    } else {
+      files.push(arg);
+    }
+  }
+
+  if (files.length > 1) {
+    throw new Error('Compose one file at a time');
+  }
+
+  return { options, files };
+}
+
+/**
+ * Embeds portfolio data in a page as a <script type="application/json" id="portfolio-data">
+ * block, replacing the block if the page already has one
+ * @param {string} html - Page HTML
+ * @param {Object} portfolioData - Composed portfolio data
+ * @returns {string} Page HTML with the data block
+ * @throws {Error} When the page has neither a data block nor a </head> to add one before
+ */
+function embedPortfolioData(html, portfolioData) {
+  // Escaping "<" keeps text such as "</script>" in the data from ending the block early
+  const json = JSON.stringify(portfolioData).replace(/</g, '\\u003c');
+  const block = `<script type="application/json" id="portfolio-data">${json}</script>`;
+
+  if (CLI_CONSTANTS.INLINE_DATA_REGEX.test(html)) {
+    return html.replace(CLI_CONSTANTS.INLINE_DATA_REGEX, () => block);
+  }
+  if (!CLI_CONSTANTS.HEAD_END_REGEX.test(html)) {
+    throw new Error('the page has no </head> to add the data block before');
+  }
+  return html.replace(CLI_CONSTANTS.HEAD_END_REGEX, match => `    ${block}\n${match}`);
+}
+
+/**
+ * Runs the compose tool
+ * @param {string[]} argv - Arguments without the node executable and script path
+ * @param {Object} [io] - Output streams and working directory, for tests
+ * @param {{write: Function}} [io.stdout] - Standard output
+ * @param {{write: Function}} [io.stderr] - Standard error
+ * @param {string} [io.cwd] - Directory relative paths are resolved against
+ * @returns {number} Exit code
+ */
+function run(argv, io = {}) {
+  const stdout = io.stdout || process.stdout;
+  const stderr = io.stderr || process.stderr;
+  const cwd = io.cwd || process.cwd();
+
+  let parsed;
+  try {
+    parsed = parseArgs(argv);
+  } catch (error) {
+    stderr.write(`${error.message}\n\n${USAGE}\n`);
+    return CLI_CONSTANTS.EXIT_USAGE;
+  }
+
+  const { options, files } = parsed;
+  if (options.help) {
+    stdout.write(`${USAGE}\n`);
+    return CLI_CONSTANTS.EXIT_OK;
+  }
+
+  const file = files[0] || path.relative(cwd, ValidatePortfolio.findDefaultFile());
+
+  let text;
+  try {
+    text = fs.readFileSync(path.resolve(cwd, file), 'utf8');
+  } catch (error) {
+    stderr.write(`Cannot read ${file}: ${error.message}\n`);
+    return CLI_CONSTANTS.EXIT_USAGE;
+  }
+
+  let composed;
+  try {
+    composed = ValidatePortfolio.composeIncludes(file, DataFormats.parseDataFile(file, text), cwd);
+  } catch (error) {
+    stderr.write(`✗ Cannot compose ${file}: ${error.message}\n`);
+    return CLI_CONSTANTS.EXIT_FAILED;
+  }
+
+  const output = `${MigratePortfolio.formatPortfolioJson(composed.data)}\n`;
+  if (!options.out && !options.embed) {
+    stdout.write(output);
+    return CLI_CONSTANTS.EXIT_OK;
+  }
+
+  const includedFiles = new Set(composed.sources.map(source => source.file)).size;
+  const summary = `${file} and ${includedFiles} included ${includedFiles === 1 ? 'file' : 'files'}`;
+
+  if (options.out) {
+    try {
+      fs.writeFileSync(path.resolve(cwd, options.out), output);
+    } catch (error) {
+      stderr.write(`Cannot write ${options.out}: ${error.message}\n`);
+      return CLI_CONSTANTS.EXIT_USAGE;
+    }
+    stdout.write(`✓ Composed ${summary} into ${options.out}\n`);
+  }
+
+  if (options.embed) {
+    const page = path.resolve(cwd, options.embed);
+    let html;
+    try {
+      html = fs.readFileSync(page, 'utf8');
+    } catch (error) {
+      stderr.write(`Cannot read ${options.embed}: ${error.message}\n`);
+      return CLI_CONSTANTS.EXIT_USAGE;
+    }
+
+    try {
+      html = embedPortfolioData(html, composed.data);
+    } catch (error) {
+      stderr.write(`✗ Cannot embed data in ${options.embed}: ${error.message}\n`);
+      return CLI_CONSTANTS.EXIT_FAILED;
+    }
+
+    try {
+      fs.writeFileSync(page, html);
+    } catch (error) {
+      stderr.write(`Cannot write ${options.embed}: ${error.message}\n`);
+      return CLI_CONSTANTS.EXIT_USAGE;
+    }
+    stdout.write(`✓ Embedded ${summary} in ${options.embed}\n`);
+  }
+
+  return CLI_CONSTANTS.EXIT_OK;
+}
+
+// Run when executed directly
+if (require.main === module) {
+  process.exitCode = run(process.argv.slice(2));
+}
+
+module.exports = {
+  CLI_CONSTANTS,
+  run,
+  parseArgs,
+  embedPortfolioData
+};
@@ -0,0 +1,149 @@
+/**
+ * @fileoverview Unit tests for the compose-portfolio command line tool
+ * These tests run the CLI against fixture files in a temporary directory
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ComposePortfolio = require('./compose-portfolio.js');
+
+// Test utilities
+const TestRunner = {
+  tests: [],
+  passed: 0,
+  failed: 0,
+
+  test(name, testFn) {
+    this.tests.push({ name, testFn });
+  },
+
+  expect(actual) {
+    return {
+      toBe(expected) {
+        if (actual === expected) {
+          return { passed: true };
+        }
+        return { passed: false, message: `Expected ${expected}, got ${actual}` };
+      },
+
+      toEqual(expected) {
+        if (JSON.stringify(actual) === JSON.stringify(expected)) {
+          return { passed: true };
+        }
+        return { passed: false, message: `Expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}` };
+      },
+
+      toContain(expected) {
+        if (Array.isArray(actual) && actual.includes(expected)) {
+          return { passed: true };
+        }
+        return { passed: false, message: `Expected ${JSON.stringify(actual)} to contain ${expected}` };
+      }
+    };
+  },
+
+  run() {
+    console.log('Running portfolio compose CLI tests...\n');
+
+    this.tests.forEach(({ name, testFn }) => {
+      try {
+        const result = testFn();
+        if (result.passed) {
+          this.passed++;
+          console.log(`✓ ${name}`);
+        } else {
+          this.failed++;
+          console.log(`✗ ${name}: ${result.message}`);
+        }
+      } catch (error) {
+        this.failed++;
+        console.log(`✗ ${name}: ${error.message}`);
+      }
+    });
+
+    console.log(`\nTest Results: ${this.passed} passed, ${this.failed} failed`);
+    return this.failed === 0;
+  }
+};
+
+// Fixture files
+const fixtureDir = fs.mkdtempSync(path.join(os.tmpdir(), 'compose-portfolio-'));
+const fixtures = {
+  'data/portfolio.json': JSON.stringify({ personal: { name: 'John Doe' }, projects: { $include: 'projects/*.json' } }),
+  'data/projects/b.json': JSON.stringify({ id: 'b', tools: ['AWS'] }),
+  'data/projects/a.json': JSON.stringify({ id: 'a', tools: ['Docker'] }),
+  'data/broken-include.json': JSON.stringify({ projects: { $include: 'missing/*.json' } }),
+  'site/index.html': '<html>\n<head>\n    <title>Portfolio</title>\n</head>\n<body></body>\n</html>\n'
+};
+Object.entries(fixtures).forEach(([name, content]) => {
+  fs.mkdirSync(path.dirname(path.join(fixtureDir, name)), { recursive: true });
+  fs.writeFileSync(path.join(fixtureDir, name), content);
+});
+fs.mkdirSync(path.join(fixtureDir, 'dist'));
+
+/**
+ * Runs the CLI against the fixture directory, capturing its output
+ * @param {string[]} argv - CLI arguments
+ * @returns {{code: number, stdout: string, stderr: string}} Exit code and output
+ */
+function runCli(argv) {
+  let stdout = '';
+  let stderr = '';
+  const code = ComposePortfolio.run(argv, {
+    cwd: fixtureDir,
+    stdout: { write: text => { stdout += text; } },
+    stderr: { write: text => { stderr += text; } }
+  });
+  return { code, stdout, stderr };
+}
+
+// Output tests
+TestRunner.test('run - prints the composed document', () => {
+  const { code, stdout } = runCli(['data/portfolio.json']);
+  return TestRunner.expect(code === 0 && JSON.parse(stdout).projects.map(project => project.id).join()).toBe('a,b');
+});
+
+TestRunner.test('run - keeps the hand-written layout', () => {
+  const { stdout } = runCli(['data/portfolio.json']);
+  return TestRunner.expect(stdout.includes('"tools": ["Docker"]')).toBe(true);
+});
+
+TestRunner.test('run - --out writes the composed document', () => {
+  runCli(['--out', 'dist/portfolio.json', 'data/portfolio.json']);
+  return TestRunner.expect(JSON.parse(fs.readFileSync(path.join(fixtureDir, 'dist/portfolio.json'), 'utf8')).projects.length).toBe(2);
+});
+
+TestRunner.test('run - --embed adds the inline data block to a page', () => {
+  runCli(['--embed', 'site/index.html', 'data/portfolio.json']);
+  const html = fs.readFileSync(path.join(fixtureDir, 'site/index.html'), 'utf8');
+  const match = /<script type="application\/json" id="portfolio-data">(.*)<\/script>\n<\/head>/.exec(html);
+  return TestRunner.expect(match && JSON.parse(match[1]).projects.length).toBe(2);
+});
+
+TestRunner.test('embedPortfolioData - replaces an existing block', () => {
+  const html = ComposePortfolio.embedPortfolioData('<head><script type="application/json" id="portfolio-data">{}</script></head>', { a: 1 });
+  return TestRunner.expect(html).toBe('<head><script type="application/json" id="portfolio-data">{"a":1}</script></head>');
+});
+
+TestRunner.test('embedPortfolioData - escapes text that would close the block', () => {
+  const html = ComposePortfolio.embedPortfolioData('<head></head>', { bio: '</script>' });
+  return TestRunner.expect(html.includes('"\\u003c/script>"')).toBe(true);
+});
+
+// Error tests
+TestRunner.test('run - exits 1 when the includes cannot be composed', () => {
+  const { code, stderr } = runCli(['data/broken-include.json']);
+  return TestRunner.expect(code === 1 && stderr.includes('"missing/*.json" matches no files')).toBe(true);
+});
+
+TestRunner.test('run - exits 2 for a missing file', () => {
+  return TestRunner.expect(runCli(['data/missing.json']).code).toBe(2);
+});
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+  const passed = TestRunner.run();
+  fs.rmSync(fixtureDir, { recursive: true, force: true });
+  process.exitCode = passed ? 0 : 1;
+}
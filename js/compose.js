@@ -0,0 +1,362 @@
+/**
+ * @fileoverview Composition of portfolio data from several files
+ * A portfolio document can pull sections and list items in from other files with
+ * {"$include": ...} directives, so that each section or project can live in its own file.
+ * Composition records which file every included value came from, so validation issues can
+ * point at the file to edit rather than at the composed document.
+ */
+
+// JSON pointer helpers come from types.js (required in Node.js, loaded before this file in the browser)
+const composeTypes = typeof module !== 'undefined' && module.exports
+  ? require('./types.js')
+  : window.PortfolioTypes;
+
+// Composition constants
+const COMPOSE_CONSTANTS = {
+  INCLUDE_KEY: '$include',
+  ORDER_FIELD: 'order',
+  GLOB_CHARS: /[*?[]/
+};
+
+/**
+ * @typedef {Object} IncludeSource
+ * @property {string} pointer - JSON pointer of the included value in the composed document
+ * @property {string} file - File the value was read from
+ * @property {string} path - JSON pointer of the value inside that file
+ */
+
+/**
+ * @typedef {Object} ComposeOptions
+ * @property {Function} [expandGlob] - Expands a resolved glob pattern into a sorted list of files.
+ *   Only the Node.js tools can list directories, so in the browser includes must name their files.
+ */
+
+/**
+ * Resolves an include path against the file that contains the directive
+ * @param {string} fromFile - File containing the directive, using "/" separators
+ * @param {string} includePath - Path given in the directive
+ * @returns {string} Included file path, in the same form as fromFile
+ */
+function resolveIncludePath(fromFile, includePath) {
+  const segments = includePath.startsWith('/') ? [''] : fromFile.split('/').slice(0, -1);
+
+  includePath.split('/').forEach(segment => {
+    const last = segments[segments.length - 1];
+    if (segment === '' || segment === '.') return;
+
+    if (segment === '..' && segments.length > 0 && last !== '..' && last !== '') {
+      segments.pop();
+    } else {
+      segments.push(segment);
+    }
+  });
+
+  return segments.join('/');
+}
+
+/**
+ * Checks whether a value is an include directive
+ * @param {*} value - Value to check
+ * @returns {boolean} True for objects with an "$include" field
+ */
+function isIncludeDirective(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) &&
+    Object.prototype.hasOwnProperty.call(value, COMPOSE_CONSTANTS.INCLUDE_KEY);
+}
+
+/**
+ * Checks whether a document pulls in other files
+ * @param {*} value - Parsed document or part of one
+ * @returns {boolean} True if any include directive is present
+ */
+function hasIncludes(value) {
+  if (value === null || typeof value !== 'object') return false;
+  return isIncludeDirective(value) || Object.values(value).some(hasIncludes);
+}
+
+/**
+ * Lists the files an include directive names.
+ * A single path includes that file's content as it is. A glob pattern or a list of paths
+ * includes a list with one item per file (a file holding a list contributes all its items).
+ * @param {Object} directive - Include directive
+ * @param {string} file - File containing the directive
+ * @param {string} pointer - JSON pointer of the directive inside that file
+ * @param {ComposeOptions} options - Composition options
+ * @returns {{files: string[], isList: boolean}} Included files and whether they form a list
+ * @throws {Error} When the directive is malformed or a pattern cannot be expanded
+ */
+function listIncludedFiles(directive, file, pointer, options) {
+  const location = describeSource({ file, path: pointer });
+  const target = directive[COMPOSE_CONSTANTS.INCLUDE_KEY];
+  const patterns = Array.isArray(target) ? target : [target];
+
+  if (Object.keys(directive).length > 1) {
+    throw new Error(`${location}: "${COMPOSE_CONSTANTS.INCLUDE_KEY}" cannot be combined with other fields`);
+  }
+  if (patterns.length === 0 || patterns.some(pattern => typeof pattern !== 'string' || pattern.trim() === '')) {
+    throw new Error(`${location}: "${COMPOSE_CONSTANTS.INCLUDE_KEY}" must be a file path or a list of file paths`);
+  }
+
+  const files = patterns.flatMap(pattern => {
+    const resolved = resolveIncludePath(file, pattern);
+    if (!COMPOSE_CONSTANTS.GLOB_CHARS.test(pattern)) {
+      return [resolved];
+    }
+
+    if (!options.expandGlob) {
+      throw new Error(`${location}: "${pattern}" is a glob pattern, which only the Node.js tools can expand; list the files instead`);
+    }
+    const matches = options.expandGlob(resolved);
+    if (matches.length === 0) {
+      throw new Error(`${location}: "${pattern}" matches no files`);
+    }
+    return matches;
+  });
+
+  return {
+    files: [...new Set(files)],
+    isList: Array.isArray(target) || COMPOSE_CONSTANTS.GLOB_CHARS.test(target)
+  };
+}
+
+/**
+ * Lists the files that loaded documents include but that have not been loaded yet.
+ * Callers load these and call again until nothing is pending, then compose.
+ * @param {string} rootFile - File of the top-level document
+ * @param {Object<string, *>} documents - Parsed documents loaded so far, by file
+ * @param {ComposeOptions} [options] - Composition options
+ * @returns {string[]} Files still to load
+ * @throws {Error} When an include directive is malformed
+ */
+function pendingIncludes(rootFile, documents, options = {}) {
+  const pending = new Set();
+  const visited = new Set();
+
+  const visitValue = (value, file, pointer) => {
+    if (value === null || typeof value !== 'object') return;
+
+    if (isIncludeDirective(value)) {
+      listIncludedFiles(value, file, pointer, options).files.forEach(included => {
+        if (Object.prototype.hasOwnProperty.call(documents, included)) {
+          visitFile(included);
+        } else {
+          pending.add(included);
+        }
+      });
+      return;
+    }
+
+    Object.entries(value).forEach(([key, child]) => visitValue(child, file, composeTypes.appendPointer(pointer, key)));
+  };
+
+  const visitFile = file => {
+    if (visited.has(file)) return;
+    visited.add(file);
+    visitValue(documents[file], file, '');
+  };
+
+  visitFile(rootFile);
+  return [...pending];
+}
+
+/**
+ * Prefixes the pointers of sources with the pointer of the value that contains them
+ * @param {IncludeSource[]} sources - Sources relative to a nested value
+ * @param {string} prefix - JSON pointer of that value
+ * @returns {IncludeSource[]} Sources relative to the containing value
+ */
+function rebaseSources(sources, prefix) {
+  return sources.map(source => ({ ...source, pointer: `${prefix}${source.pointer}` }));
+}
+
+/**
+ * Composes a document from loaded files, replacing every include directive with the
+ * content it names. Items of included lists are ordered by their "order" field (which is
+ * removed), then by the order the files were listed or matched in.
+ * @param {string} rootFile - File of the top-level document
+ * @param {Object<string, *>} documents - Parsed documents by file, including every included file
+ * @param {ComposeOptions} [options] - Composition options
+ * @returns {{data: *, sources: IncludeSource[]}} Composed data and where each included value came from
+ * @throws {Error} When a file is missing, includes itself or has an invalid order field
+ */
+function composeDocument(rootFile, documents, options = {}) {
+  const composeFile = (file, stack) => {
+    if (stack.includes(file)) {
+      throw new Error(`Include cycle: ${[...stack, file].join(' → ')}`);
+    }
+    if (!Object.prototype.hasOwnProperty.call(documents, file)) {
+      throw new Error(`${file} has not been loaded`);
+    }
+
+    // Included files may name the schema of their part (e.g. "../portfolio.schema.json#/$defs/project")
+    // so editors can check them; that reference is not part of the composed data
+    let content = documents[file];
+    if (stack.length > 0 && content !== null && typeof content === 'object' && !Array.isArray(content) &&
+      content.$schema !== undefined) {
+      content = { ...content };
+      delete content.$schema;
+    }
+    return composeValue(content, file, '', [...stack, file]);
+  };
+
+  const composeInclude = (directive, file, pointer, stack) => {
+    const { files, isList } = listIncludedFiles(directive, file, pointer, options);
+
+    if (!isList) {
+      const composed = composeFile(files[0], stack);
+      return { value: composed.value, sources: [{ pointer: '', file: files[0], path: '' }, ...composed.sources] };
+    }
+
+    const entries = files.flatMap(included => {
+      const composed = composeFile(included, stack);
+      if (!Array.isArray(composed.value)) {
+        return [{ item: composed.value, file: included, path: '', sources: composed.sources }];
+      }
+
+      return composed.value.map((item, index) => {
+        const itemPointer = `/${index}`;
+        const itemSources = composed.sources
+          .filter(source => source.pointer === itemPointer || source.pointer.startsWith(`${itemPointer}/`))
+          .map(source => ({ ...source, pointer: source.pointer.slice(itemPointer.length) }));
+        return { item, file: included, path: itemPointer, sources: itemSources };
+      });
+    });
+
+    entries.forEach(entry => {
+      const hasOrder = entry.item !== null && typeof entry.item === 'object' && !Array.isArray(entry.item) &&
+        entry.item[COMPOSE_CONSTANTS.ORDER_FIELD] !== undefined;
+      entry.order = hasOrder ? entry.item[COMPOSE_CONSTANTS.ORDER_FIELD] : Infinity;
+
+      if (hasOrder && !Number.isFinite(entry.order)) {
+        const location = describeSource({ file: entry.file, path: `${entry.path}/${COMPOSE_CONSTANTS.ORDER_FIELD}` });
+        throw new Error(`${location}: "${COMPOSE_CONSTANTS.ORDER_FIELD}" must be a number`);
+      }
+      if (hasOrder) {
+        delete entry.item[COMPOSE_CONSTANTS.ORDER_FIELD];
+      }
+    });
+
+    // Array.prototype.sort is stable, so entries without an order keep their file order
+    entries.sort((a, b) => (a.order === b.order ? 0 : a.order < b.order ? -1 : 1));
+
+    return {
+      value: entries.map(entry => entry.item),
+      sources: entries.flatMap((entry, index) => [
+        { pointer: `/${index}`, file: entry.file, path: entry.path },
+        ...rebaseSources(entry.sources, `/${index}`)
+      ])
+    };
+  };
+
+  const composeValue = (value, file, pointer, stack) => {
+    if (value === null || typeof value !== 'object') {
+      return { value, sources: [] };
+    }
+    if (isIncludeDirective(value)) {
+      return composeInclude(value, file, pointer, stack);
+    }
+
+    const result = Array.isArray(value) ? [] : {};
+    const sources = [];
+    Object.entries(value).forEach(([key, child]) => {
+      const composed = composeValue(child, file, composeTypes.appendPointer(pointer, key), stack);
+      result[key] = composed.value;
+      sources.push(...rebaseSources(composed.sources, composeTypes.appendPointer('', key)));
+    });
+    return { value: result, sources };
+  };
+
+  const composed = composeFile(rootFile, []);
+  return { data: composed.value, sources: composed.sources };
+}
+
+/**
+ * Loads and composes a document with a synchronous reader, for the Node.js tools
+ * @param {string} rootFile - File of the top-level document
+ * @param {Function} readDocument - Reads and parses one file
+ * @param {ComposeOptions} [options] - Composition options
+ * @returns {{data: *, sources: IncludeSource[]}} Composed data and where each included value came from
+ * @throws {Error} When a file cannot be read or the includes are invalid
+ */
+function composeFromFiles(rootFile, readDocument, options = {}) {
+  const documents = { [rootFile]: readDocument(rootFile) };
+
+  let pending;
+  while ((pending = pendingIncludes(rootFile, documents, options)).length > 0) {
+    pending.forEach(file => {
+      documents[file] = readDocument(file);
+    });
+  }
+
+  return composeDocument(rootFile, documents, options);
+}
+
+/**
+ * Finds the file a value of the composed document was written in
+ * @param {IncludeSource[]} sources - Sources returned by composeDocument
+ * @param {string} pointer - JSON pointer into the composed document
+ * @returns {{file: string, path: string}|null} File and pointer inside it, or null for values of the top-level file
+ */
+function locateSource(sources, pointer) {
+  let best = null;
+  sources.forEach(source => {
+    const contains = pointer === source.pointer || pointer.startsWith(`${source.pointer}/`);
+    // Later sources are nested inside earlier ones, so they win ties
+    if (contains && (!best || source.pointer.length >= best.pointer.length)) {
+      best = source;
+    }
+  });
+
+  return best ? { file: best.file, path: `${best.path}${pointer.slice(best.pointer.length)}` } : null;
+}
+
+/**
+ * Adds the file and pointer to edit to issues about values from included files
+ * @param {ValidationIssue[]} issues - Issues with pointers into the composed document
+ * @param {IncludeSource[]} sources - Sources returned by composeDocument
+ * @returns {ValidationIssue[]} Issues, with a source field where the value was included
+ */
+function attachSources(issues, sources) {
+  return issues.map(issue => {
+    const source = locateSource(sources, issue.path);
+    return source ? { ...issue, source } : issue;
+  });
+}
+
+/**
+ * Renders a file and pointer as a location, e.g. "data/projects/shop.json#/links/0/url"
+ * @param {{file: string, path: string}} source - File and JSON pointer inside it
+ * @returns {string} Location
+ */
+function describeSource(source) {
+  return source.path ? `${source.file}#${source.path}` : source.file;
+}
+
+// Export functions and constants for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  // Node.js environment
+  module.exports = {
+    COMPOSE_CONSTANTS,
+    resolveIncludePath,
+    hasIncludes,
+    pendingIncludes,
+    composeDocument,
+    composeFromFiles,
+    locateSource,
+    attachSources,
+    describeSource
+  };
+} else {
+  // Browser environment
+  window.PortfolioCompose = {
+    COMPOSE_CONSTANTS,
+    resolveIncludePath,
+    hasIncludes,
+    pendingIncludes,
+    composeDocument,
+    composeFromFiles,
+    locateSource,
+    attachSources,
+    describeSource
+  };
+}
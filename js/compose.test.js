@@ -0,0 +1,213 @@
+/**
+ * @fileoverview Unit tests for composing portfolio data from several files
+ * These tests compose in-memory documents, keyed by file path like the loaders do
+ */
+
+// Import the composition functions
+let PortfolioCompose;
+if (typeof require !== 'undefined') {
+  // Node.js environment
+  PortfolioCompose = require('./compose.js');
+} else {
+  // Browser environment - assume types.js and compose.js are already loaded
+  PortfolioCompose = window.PortfolioCompose;
+}
+
+// Test utilities
+const TestRunner = {
+  tests: [],
+  passed: 0,
+  failed: 0,
+
+  test(name, testFn) {
+    this.tests.push({ name, testFn });
+  },
+
+  expect(actual) {
+    return {
+      toBe(expected) {
+        if (actual === expected) {
+          return { passed: true };
+        }
+        return { passed: false, message: `Expected ${expected}, got ${actual}` };
+      },
+
+      toEqual(expected) {
+        if (JSON.stringify(actual) === JSON.stringify(expected)) {
+          return { passed: true };
+        }
+        return { passed: false, message: `Expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}` };
+      },
+
+      toContain(expected) {
+        if (Array.isArray(actual) && actual.includes(expected)) {
+          return { passed: true };
+        }
+        return { passed: false, message: `Expected ${JSON.stringify(actual)} to contain ${expected}` };
+      }
+    };
+  },
+
+  run() {
+    console.log('Running portfolio composition tests...\n');
+
+    this.tests.forEach(({ name, testFn }) => {
+      try {
+        const result = testFn();
+        if (result.passed) {
+          this.passed++;
+          console.log(`✓ ${name}`);
+        } else {
+          this.failed++;
+          console.log(`✗ ${name}: ${result.message}`);
+        }
+      } catch (error) {
+        this.failed++;
+        console.log(`✗ ${name}: ${error.message}`);
+      }
+    });
+
+    console.log(`\nTest Results: ${this.passed} passed, ${this.failed} failed`);
+    return this.failed === 0;
+  }
+};
+
+// Test data
+const documents = {
+  'data/portfolio.json': {
+    $schema: './portfolio.schema.json',
+    personal: { $include: 'personal.json' },
+    projects: { $include: ['projects/shop.json', 'projects/blog.json', 'projects/archive.json'] }
+  },
+  'data/personal.json': { name: 'John Doe', contact: { $include: 'contact/links.json' } },
+  'data/contact/links.json': { email: 'test@example.com' },
+  'data/projects/shop.json': { $schema: '../portfolio.schema.json#/$defs/project', id: 'shop', order: 2 },
+  'data/projects/blog.json': { id: 'blog', order: 1 },
+  'data/projects/archive.json': [{ id: 'old' }, { id: 'older', links: [{ url: 'bad' }] }]
+};
+
+/**
+ * Composes the test documents with some files replaced
+ * @param {Object<string, *>} [overrides] - Documents to replace, by file
+ * @param {Object} [options] - Composition options
+ * @returns {{data: *, sources: Object[]}} Composition result
+ */
+function compose(overrides = {}, options = {}) {
+  return PortfolioCompose.composeDocument('data/portfolio.json', { ...documents, ...overrides }, options);
+}
+
+// Path tests
+TestRunner.test('resolveIncludePath - resolves against the including file', () => {
+  return TestRunner.expect(PortfolioCompose.resolveIncludePath('data/projects/a.json', '../shared/./b.json'))
+    .toBe('data/shared/b.json');
+});
+
+TestRunner.test('resolveIncludePath - keeps absolute paths absolute', () => {
+  return TestRunner.expect(PortfolioCompose.resolveIncludePath('/srv/data/portfolio.json', 'projects/a.json'))
+    .toBe('/srv/data/projects/a.json');
+});
+
+// Loading tests
+TestRunner.test('pendingIncludes - lists files that are not loaded yet', () => {
+  const pending = PortfolioCompose.pendingIncludes('data/portfolio.json', { 'data/portfolio.json': documents['data/portfolio.json'] });
+  return TestRunner.expect(pending).toEqual(['data/personal.json', 'data/projects/shop.json', 'data/projects/blog.json', 'data/projects/archive.json']);
+});
+
+TestRunner.test('pendingIncludes - follows includes of included files', () => {
+  const loaded = { ...documents };
+  delete loaded['data/contact/links.json'];
+  return TestRunner.expect(PortfolioCompose.pendingIncludes('data/portfolio.json', loaded)).toEqual(['data/contact/links.json']);
+});
+
+TestRunner.test('composeFromFiles - reads files until every include is loaded', () => {
+  const read = [];
+  PortfolioCompose.composeFromFiles('data/portfolio.json', file => {
+    read.push(file);
+    return documents[file];
+  });
+  return TestRunner.expect(read.length).toBe(Object.keys(documents).length);
+});
+
+// Composition tests
+TestRunner.test('composeDocument - replaces a single include with the file content', () => {
+  return TestRunner.expect(compose().data.personal).toEqual({ name: 'John Doe', contact: { email: 'test@example.com' } });
+});
+
+TestRunner.test('composeDocument - orders list items by order field, then file order', () => {
+  return TestRunner.expect(compose().data.projects.map(project => project.id)).toEqual(['blog', 'shop', 'old', 'older']);
+});
+
+TestRunner.test('composeDocument - removes order and $schema from included items', () => {
+  return TestRunner.expect(compose().data.projects[1]).toEqual({ id: 'shop' });
+});
+
+TestRunner.test('composeDocument - glob includes use the expanded file order', () => {
+  const result = compose({ 'data/portfolio.json': { projects: { $include: 'projects/*.json' } } }, {
+    expandGlob: pattern => ['archive', 'blog', 'shop'].map(name => pattern.replace('*', name))
+  });
+  return TestRunner.expect(result.data.projects.map(project => project.id)).toEqual(['blog', 'shop', 'old', 'older']);
+});
+
+TestRunner.test('composeDocument - documents without includes are unchanged', () => {
+  const plain = { personal: { name: 'John Doe' }, projects: [{ id: 'a' }] };
+  return TestRunner.expect(compose({ 'data/portfolio.json': plain }).data).toEqual(plain);
+});
+
+// Error tests
+TestRunner.test('composeDocument - rejects globs without a way to expand them', () => {
+  try {
+    compose({ 'data/portfolio.json': { projects: { $include: 'projects/*.json' } } });
+    return { passed: false, message: 'Expected an error' };
+  } catch (error) {
+    return TestRunner.expect(error.message.startsWith('data/portfolio.json#/projects: "projects/*.json" is a glob pattern')).toBe(true);
+  }
+});
+
+TestRunner.test('composeDocument - rejects include cycles', () => {
+  try {
+    compose({ 'data/contact/links.json': { $include: '../personal.json' } });
+    return { passed: false, message: 'Expected an error' };
+  } catch (error) {
+    return TestRunner.expect(error.message).toBe('Include cycle: data/portfolio.json → data/personal.json → data/contact/links.json → data/personal.json');
+  }
+});
+
+TestRunner.test('composeDocument - rejects non-numeric order fields', () => {
+  try {
+    compose({ 'data/projects/blog.json': { id: 'blog', order: 'first' } });
+    return { passed: false, message: 'Expected an error' };
+  } catch (error) {
+    return TestRunner.expect(error.message).toBe('data/projects/blog.json#/order: "order" must be a number');
+  }
+});
+
+// Source tests
+TestRunner.test('locateSource - maps a pointer to the item inside a list file', () => {
+  const { sources } = compose();
+  return TestRunner.expect(PortfolioCompose.locateSource(sources, '/projects/3/links/0/url'))
+    .toEqual({ file: 'data/projects/archive.json', path: '/1/links/0/url' });
+});
+
+TestRunner.test('locateSource - prefers the innermost included file', () => {
+  const { sources } = compose();
+  return TestRunner.expect(PortfolioCompose.locateSource(sources, '/personal/contact/email'))
+    .toEqual({ file: 'data/contact/links.json', path: '/email' });
+});
+
+TestRunner.test('locateSource - values of the top-level file have no source', () => {
+  return TestRunner.expect(PortfolioCompose.locateSource(compose().sources, '/$schema')).toBe(null);
+});
+
+TestRunner.test('attachSources - adds the source to issues from included files', () => {
+  const issues = [{ path: '/projects/0/id', code: 'required', message: 'missing', severity: 'error' }];
+  const [issue] = PortfolioCompose.attachSources(issues, compose().sources);
+  return TestRunner.expect(PortfolioCompose.describeSource(issue.source)).toBe('data/projects/blog.json#/id');
+});
+
+// Run tests if this file is executed directly
+if (typeof require !== 'undefined' && require.main === module) {
+  process.exitCode = TestRunner.run() ? 0 : 1;
+} else if (typeof window !== 'undefined') {
+  // Browser environment - expose test runner
+  window.PortfolioComposeTestRunner = TestRunner;
+}
@@ -35,7 +35,7 @@ describe('Contact Section Component', () => {
           email: "test@example.com",
           linkedin: "https://linkedin.com/in/testuser",
           github: "https://github.com/testuser",
-          behance: "https://behance.net/testuser"
+          social: [{ network: "behance", url: "https://behance.net/testuser" }]
         }
       }
     };
@@ -404,19 +404,20 @@ class ContactTester {
       `);
     }
     
-    if (contact.behance) {
+    (contact.social || []).forEach(link => {
+      const label = link.label || link.network.charAt(0).toUpperCase() + link.network.slice(1);
       links.push(`
-        <a href="${contact.behance}" 
-           class="contact-link contact-behance contact-link-animate" 
+        <a href="${link.url}" 
+           class="contact-link contact-${link.network} contact-link-animate" 
            target="_blank" 
            rel="noopener noreferrer"
-           aria-label="Visit Behance portfolio"
-           data-contact-type="behance">
-          <span class="contact-icon">🎨</span>
-          <span class="contact-text">Behance</span>
+           aria-label="Visit ${label} profile"
+           data-contact-type="${link.network}">
+          <span class="contact-icon">🔗</span>
+          <span class="contact-text">${label}</span>
         </a>
       `);
-    }
+    });
     
     return links.join('');
   }
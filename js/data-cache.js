@@ -0,0 +1,113 @@
+/**
+ * @fileoverview Offline cache of the last portfolio data that loaded and validated
+ * The page saves the data after every successful load and shows the saved copy when the
+ * data cannot be loaded, so returning visitors see real content instead of placeholders.
+ */
+
+// Cache constants
+const CACHE_CONSTANTS = {
+  STORAGE_KEY: 'portfolio-cache',
+  // Bump when the shape of a cache entry changes; entries with another version are ignored
+  VERSION: 2
+};
+
+/**
+ * @typedef {Object} CacheEntry
+ * @property {number} version - Format version of the entry (CACHE_CONSTANTS.VERSION)
+ * @property {string} savedAt - When the data was saved, as an ISO 8601 timestamp
+ * @property {string|null} origin - Where the data was loaded from, e.g. "data/portfolio.json"
+ * @property {string|null} source - Name of the data source it came from, e.g. "file"
+ * @property {Object<string, {etag: ?string, lastModified: ?string}>} validators - ETag and
+ *   Last-Modified of every file the data was composed from, for conditional requests
+ * @property {Object} data - Portfolio data; its own schemaVersion says which format it uses
+ */
+
+/**
+ * Creates a cache entry
+ * @param {Object} portfolioData - Validated portfolio data
+ * @param {Object} [options] - Entry options
+ * @param {string} [options.origin] - Where the data was loaded from
+ * @param {string} [options.source] - Name of the data source it came from
+ * @param {Object} [options.validators] - ETag and Last-Modified by file
+ * @param {Date} [options.now] - Time to record as the save time
+ * @returns {CacheEntry} Cache entry
+ */
+function createCacheEntry(portfolioData, options = {}) {
+  return {
+    version: CACHE_CONSTANTS.VERSION,
+    savedAt: (options.now || new Date()).toISOString(),
+    origin: options.origin || null,
+    source: options.source || null,
+    validators: options.validators || {},
+    data: portfolioData
+  };
+}
+
+/**
+ * Saves portfolio data to the cache, replacing what was saved before
+ * @param {Storage} storage - Storage to save to
+ * @param {Object} portfolioData - Validated portfolio data
+ * @param {Object} [options] - Entry options, see createCacheEntry
+ * @returns {CacheEntry} Saved entry
+ * @throws {Error} When the storage is unavailable or full
+ */
+function writeCache(storage, portfolioData, options = {}) {
+  const entry = createCacheEntry(portfolioData, options);
+  storage.setItem(CACHE_CONSTANTS.STORAGE_KEY, JSON.stringify(entry));
+  return entry;
+}
+
+/**
+ * Reads the cached portfolio data
+ * @param {Storage} storage - Storage to read from
+ * @returns {CacheEntry|null} Saved entry, or null when nothing usable is saved
+ */
+function readCache(storage) {
+  const text = storage.getItem(CACHE_CONSTANTS.STORAGE_KEY);
+  if (!text) {
+    return null;
+  }
+
+  let entry;
+  try {
+    entry = JSON.parse(text);
+  } catch (error) {
+    return null;
+  }
+
+  const isUsable = entry !== null && typeof entry === 'object' &&
+    entry.version === CACHE_CONSTANTS.VERSION &&
+    typeof entry.savedAt === 'string' && !isNaN(Date.parse(entry.savedAt)) &&
+    entry.validators !== null && typeof entry.validators === 'object' &&
+    entry.data !== null && typeof entry.data === 'object' && !Array.isArray(entry.data);
+  return isUsable ? entry : null;
+}
+
+/**
+ * Removes the cached portfolio data
+ * @param {Storage} storage - Storage holding the cache
+ */
+function clearCache(storage) {
+  storage.removeItem(CACHE_CONSTANTS.STORAGE_KEY);
+}
+
+// Export functions and constants for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  // Node.js environment
+  module.exports = {
+    CACHE_CONSTANTS,
+    createCacheEntry,
+    writeCache,
+    readCache,
+    clearCache
+  };
+} else {
+  // Browser environment
+  window.PortfolioDataCache = {
+    CACHE_CONSTANTS,
+    createCacheEntry,
+    writeCache,
+    readCache,
+    clearCache
+  };
+}
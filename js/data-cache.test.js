@@ -0,0 +1,170 @@
+/**
+ * @fileoverview Unit tests for the offline cache of portfolio data
+ * These tests use an in-memory stand-in for localStorage
+ */
+
+// Import the cache functions
+let PortfolioDataCache;
+if (typeof require !== 'undefined') {
+  // Node.js environment
+  PortfolioDataCache = require('./data-cache.js');
+} else {
+  // Browser environment - assume data-cache.js is already loaded
+  PortfolioDataCache = window.PortfolioDataCache;
+}
+
+// Test utilities
+const TestRunner = {
+  tests: [],
+  passed: 0,
+  failed: 0,
+
+  test(name, testFn) {
+    this.tests.push({ name, testFn });
+  },
+
+  expect(actual) {
+    return {
+      toBe(expected) {
+        if (actual === expected) {
+          return { passed: true };
+        }
+        return { passed: false, message: `Expected ${expected}, got ${actual}` };
+      },
+
+      toEqual(expected) {
+        if (JSON.stringify(actual) === JSON.stringify(expected)) {
+          return { passed: true };
+        }
+        return { passed: false, message: `Expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}` };
+      },
+
+      toContain(expected) {
+        if (Array.isArray(actual) && actual.includes(expected)) {
+          return { passed: true };
+        }
+        return { passed: false, message: `Expected ${JSON.stringify(actual)} to contain ${expected}` };
+      }
+    };
+  },
+
+  run() {
+    console.log('Running data cache tests...\n');
+
+    this.tests.forEach(({ name, testFn }) => {
+      try {
+        const result = testFn();
+        if (result.passed) {
+          this.passed++;
+          console.log(`✓ ${name}`);
+        } else {
+          this.failed++;
+          console.log(`✗ ${name}: ${result.message}`);
+        }
+      } catch (error) {
+        this.failed++;
+        console.log(`✗ ${name}: ${error.message}`);
+      }
+    });
+
+    console.log(`\nTest Results: ${this.passed} passed, ${this.failed} failed`);
+    return this.failed === 0;
+  }
+};
+
+// Test data
+const portfolioData = { schemaVersion: 3, personal: { name: 'Jane Doe' } };
+const savedAt = new Date('2026-10-19T08:30:00.000Z');
+
+/**
+ * Creates an in-memory storage
+ * @param {Object} [items] - Initial items by key
+ * @returns {Object} Object with the getItem, setItem and removeItem methods of Storage
+ */
+function createStorage(items = {}) {
+  return {
+    getItem: key => (key in items ? items[key] : null),
+    setItem: (key, value) => { items[key] = String(value); },
+    removeItem: key => { delete items[key]; }
+  };
+}
+
+/**
+ * Creates a storage holding a cache entry
+ * @param {Object} entry - Entry to store as JSON
+ * @returns {Object} Storage
+ */
+function storageWithEntry(entry) {
+  return createStorage({ [PortfolioDataCache.CACHE_CONSTANTS.STORAGE_KEY]: JSON.stringify(entry) });
+}
+
+// Entry tests
+TestRunner.test('createCacheEntry - stamps the version and save time', () => {
+  const entry = PortfolioDataCache.createCacheEntry(portfolioData, { origin: 'data/portfolio.json', now: savedAt });
+  return TestRunner.expect(entry).toEqual({
+    version: PortfolioDataCache.CACHE_CONSTANTS.VERSION,
+    savedAt: '2026-10-19T08:30:00.000Z',
+    origin: 'data/portfolio.json',
+    source: null,
+    validators: {},
+    data: portfolioData
+  });
+});
+
+// Read and write tests
+TestRunner.test('createCacheEntry - keeps the validators of each file', () => {
+  const validators = { 'data/portfolio.json': { etag: '"abc"', lastModified: null } };
+  const entry = PortfolioDataCache.createCacheEntry(portfolioData, { source: 'file', validators });
+  return TestRunner.expect([entry.source, entry.validators]).toEqual(['file', validators]);
+});
+
+TestRunner.test('readCache - returns what writeCache saved', () => {
+  const storage = createStorage();
+  PortfolioDataCache.writeCache(storage, portfolioData, { now: savedAt });
+  const entry = PortfolioDataCache.readCache(storage);
+  return TestRunner.expect([entry.savedAt, entry.data.personal.name]).toEqual(['2026-10-19T08:30:00.000Z', 'Jane Doe']);
+});
+
+TestRunner.test('writeCache - replaces the previous entry', () => {
+  const storage = createStorage();
+  PortfolioDataCache.writeCache(storage, portfolioData, { now: savedAt });
+  PortfolioDataCache.writeCache(storage, { personal: { name: 'John Doe' } });
+  return TestRunner.expect(PortfolioDataCache.readCache(storage).data.personal.name).toBe('John Doe');
+});
+
+TestRunner.test('readCache - is null when nothing is saved', () => {
+  return TestRunner.expect(PortfolioDataCache.readCache(createStorage())).toBe(null);
+});
+
+TestRunner.test('readCache - ignores entries with another version', () => {
+  const entry = PortfolioDataCache.createCacheEntry(portfolioData, { now: savedAt });
+  return TestRunner.expect(PortfolioDataCache.readCache(storageWithEntry({ ...entry, version: 0 }))).toBe(null);
+});
+
+TestRunner.test('readCache - ignores entries that do not parse', () => {
+  const storage = createStorage({ [PortfolioDataCache.CACHE_CONSTANTS.STORAGE_KEY]: '{"version": 1,' });
+  return TestRunner.expect(PortfolioDataCache.readCache(storage)).toBe(null);
+});
+
+TestRunner.test('readCache - ignores entries without data or a valid save time', () => {
+  const entry = PortfolioDataCache.createCacheEntry(portfolioData, { now: savedAt });
+  return TestRunner.expect([
+    PortfolioDataCache.readCache(storageWithEntry({ ...entry, data: null })),
+    PortfolioDataCache.readCache(storageWithEntry({ ...entry, savedAt: 'yesterday' }))
+  ]).toEqual([null, null]);
+});
+
+TestRunner.test('clearCache - removes the entry', () => {
+  const storage = createStorage();
+  PortfolioDataCache.writeCache(storage, portfolioData);
+  PortfolioDataCache.clearCache(storage);
+  return TestRunner.expect(PortfolioDataCache.readCache(storage)).toBe(null);
+});
+
+// Run tests if this file is executed directly
+if (typeof require !== 'undefined' && require.main === module) {
+  process.exitCode = TestRunner.run() ? 0 : 1;
+} else if (typeof window !== 'undefined') {
+  // Browser environment - expose test runner
+  window.PortfolioDataCacheTestRunner = TestRunner;
+}
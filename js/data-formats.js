@@ -0,0 +1,123 @@
+/**
+ * @fileoverview Parsing of portfolio data files by format
+ * Data files can be JSON, YAML, or Markdown whose YAML front matter holds the structured
+ * fields and whose body becomes the long description. Every format parses to the same
+ * plain objects, so composition and validation do not need to know where data came from.
+ */
+
+// The YAML parser comes from yaml.js (required in Node.js, loaded before this file in the browser)
+const formatYaml = typeof module !== 'undefined' && module.exports
+  ? require('./yaml.js')
+  : window.PortfolioYaml;
+
+// Data format constants
+const FORMAT_CONSTANTS = {
+  EXTENSIONS: {
+    '.json': 'json',
+    '.yaml': 'yaml',
+    '.yml': 'yaml',
+    '.md': 'markdown',
+    '.markdown': 'markdown'
+  },
+  NAMES: { json: 'JSON', yaml: 'YAML', markdown: 'Markdown' },
+  MARKDOWN_BODY_FIELD: 'description',
+  FRONT_MATTER_REGEX: /^(?:\uFEFF)?---[ \t]*\r?\n(?:([\s\S]*?)\r?\n)?---[ \t]*(?:\r?\n|$)/
+};
+
+/**
+ * Determines the format of a data file from its extension
+ * @param {string} file - File path
+ * @returns {'json'|'yaml'|'markdown'} Format; files with other extensions are read as JSON
+ */
+function getDataFormat(file) {
+  const match = /\.[^./\\]+$/.exec(file);
+  const extension = match ? match[0].toLowerCase() : '';
+  return FORMAT_CONSTANTS.EXTENSIONS[extension] || 'json';
+}
+
+/**
+ * Splits Markdown into its YAML front matter and body
+ * @param {string} text - Markdown text, optionally starting with a "---" fenced front matter block
+ * @returns {{attributes: Object, body: string}} Front matter fields and the trimmed body
+ * @throws {Error} When the front matter is not valid YAML or not a mapping
+ */
+function parseFrontMatter(text) {
+  const match = FORMAT_CONSTANTS.FRONT_MATTER_REGEX.exec(text);
+  if (!match) {
+    return { attributes: {}, body: text.trim() };
+  }
+
+  let attributes;
+  try {
+    attributes = match[1] ? formatYaml.parseYaml(match[1]) : {};
+  } catch (error) {
+    // Front matter starts on the second line of the file
+    throw new Error(`front matter ${error.message.replace(/^line (\d+)/, (_, line) => `line ${Number(line) + 1}`)}`);
+  }
+
+  if (attributes === null) {
+    attributes = {};
+  }
+  if (typeof attributes !== 'object' || Array.isArray(attributes)) {
+    throw new Error('front matter must be a list of "field: value" pairs');
+  }
+
+  return { attributes, body: text.slice(match[0].length).trim() };
+}
+
+/**
+ * Parses a data file according to its format. A Markdown file becomes its front matter
+ * fields, with the body as the description.
+ * @param {string} file - File path, used to pick the format
+ * @param {string} text - File content
+ * @returns {*} Parsed data
+ * @throws {Error} When the content is not valid for the format
+ */
+function parseDataFile(file, text) {
+  const format = getDataFormat(file);
+
+  if (format === 'yaml') {
+    return formatYaml.parseYaml(text);
+  }
+
+  if (format === 'markdown') {
+    const { attributes, body } = parseFrontMatter(text);
+    const field = FORMAT_CONSTANTS.MARKDOWN_BODY_FIELD;
+    if (body !== '' && attributes[field] !== undefined) {
+      throw new Error(`"${field}" is given both in the front matter and as the Markdown body`);
+    }
+    return body === '' ? attributes : { ...attributes, [field]: body };
+  }
+
+  return JSON.parse(text);
+}
+
+/**
+ * Names the format of a data file for messages, e.g. "YAML"
+ * @param {string} file - File path
+ * @returns {string} Format name
+ */
+function describeDataFormat(file) {
+  return FORMAT_CONSTANTS.NAMES[getDataFormat(file)];
+}
+
+// Export functions and constants for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  // Node.js environment
+  module.exports = {
+    FORMAT_CONSTANTS,
+    getDataFormat,
+    parseFrontMatter,
+    parseDataFile,
+    describeDataFormat
+  };
+} else {
+  // Browser environment
+  window.PortfolioDataFormats = {
+    FORMAT_CONSTANTS,
+    getDataFormat,
+    parseFrontMatter,
+    parseDataFile,
+    describeDataFormat
+  };
+}
@@ -0,0 +1,147 @@
+/**
+ * @fileoverview Unit tests for parsing portfolio data files by format
+ * These tests cover format detection and Markdown front matter
+ */
+
+// Import the format functions
+let PortfolioDataFormats;
+if (typeof require !== 'undefined') {
+  // Node.js environment
+  PortfolioDataFormats = require('./data-formats.js');
+} else {
+  // Browser environment - assume yaml.js and data-formats.js are already loaded
+  PortfolioDataFormats = window.PortfolioDataFormats;
+}
+
+// Test utilities
+const TestRunner = {
+  tests: [],
+  passed: 0,
+  failed: 0,
+
+  test(name, testFn) {
+    this.tests.push({ name, testFn });
+  },
+
+  expect(actual) {
+    return {
+      toBe(expected) {
+        if (actual === expected) {
+          return { passed: true };
+        }
+        return { passed: false, message: `Expected ${expected}, got ${actual}` };
+      },
+
+      toEqual(expected) {
+        if (JSON.stringify(actual) === JSON.stringify(expected)) {
+          return { passed: true };
+        }
+        return { passed: false, message: `Expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}` };
+      },
+
+      toContain(expected) {
+        if (Array.isArray(actual) && actual.includes(expected)) {
+          return { passed: true };
+        }
+        return { passed: false, message: `Expected ${JSON.stringify(actual)} to contain ${expected}` };
+      }
+    };
+  },
+
+  run() {
+    console.log('Running data format tests...\n');
+
+    this.tests.forEach(({ name, testFn }) => {
+      try {
+        const result = testFn();
+        if (result.passed) {
+          this.passed++;
+          console.log(`✓ ${name}`);
+        } else {
+          this.failed++;
+          console.log(`✗ ${name}: ${result.message}`);
+        }
+      } catch (error) {
+        this.failed++;
+        console.log(`✗ ${name}: ${error.message}`);
+      }
+    });
+
+    console.log(`\nTest Results: ${this.passed} passed, ${this.failed} failed`);
+    return this.failed === 0;
+  }
+};
+
+// Test data
+const projectMarkdown = `---
+id: shop
+title: Online Shop
+tools: [React, Node.js]
+outcomes:
+  - Doubled sales
+---
+
+An online shop with "real" checkout.
+
+Built in two weeks.
+`;
+
+// Format tests
+TestRunner.test('getDataFormat - detects formats by extension', () => {
+  return TestRunner.expect(['a.json', 'a.YAML', 'b/a.yml', 'a.md', 'a.txt'].map(PortfolioDataFormats.getDataFormat))
+    .toEqual(['json', 'yaml', 'yaml', 'markdown', 'json']);
+});
+
+TestRunner.test('parseDataFile - parses YAML files', () => {
+  return TestRunner.expect(PortfolioDataFormats.parseDataFile('portfolio.yaml', 'personal:\n  name: Jane')).toEqual({ personal: { name: 'Jane' } });
+});
+
+TestRunner.test('parseDataFile - parses JSON files', () => {
+  return TestRunner.expect(PortfolioDataFormats.parseDataFile('portfolio.json', '{"a": [1]}')).toEqual({ a: [1] });
+});
+
+// Markdown tests
+TestRunner.test('parseDataFile - Markdown front matter holds the fields', () => {
+  const project = PortfolioDataFormats.parseDataFile('projects/shop.md', projectMarkdown);
+  return TestRunner.expect([project.id, project.tools, project.outcomes]).toEqual(['shop', ['React', 'Node.js'], ['Doubled sales']]);
+});
+
+TestRunner.test('parseDataFile - Markdown body becomes the description', () => {
+  const project = PortfolioDataFormats.parseDataFile('projects/shop.md', projectMarkdown);
+  return TestRunner.expect(project.description).toBe('An online shop with "real" checkout.\n\nBuilt in two weeks.');
+});
+
+TestRunner.test('parseDataFile - empty Markdown body adds no description', () => {
+  const project = PortfolioDataFormats.parseDataFile('shop.md', '---\nid: shop\ndescription: Short\n---\n');
+  return TestRunner.expect(project).toEqual({ id: 'shop', description: 'Short' });
+});
+
+TestRunner.test('parseDataFile - rejects a description in both places', () => {
+  try {
+    PortfolioDataFormats.parseDataFile('shop.md', '---\ndescription: Short\n---\nLong');
+    return { passed: false, message: 'Expected an error' };
+  } catch (error) {
+    return TestRunner.expect(error.message).toBe('"description" is given both in the front matter and as the Markdown body');
+  }
+});
+
+TestRunner.test('parseFrontMatter - reports lines of the whole file', () => {
+  try {
+    PortfolioDataFormats.parseFrontMatter('---\nid: shop\nid: again\n---\n');
+    return { passed: false, message: 'Expected an error' };
+  } catch (error) {
+    return TestRunner.expect(error.message).toBe('front matter line 3: duplicate key "id"');
+  }
+});
+
+TestRunner.test('parseFrontMatter - Markdown without front matter is all body', () => {
+  return TestRunner.expect(PortfolioDataFormats.parseFrontMatter('# Title\n\nText')).toEqual({ attributes: {}, body: '# Title\n\nText' });
+});
+
+// Run tests if this file is executed directly
+if (typeof require !== 'undefined' && require.main === module) {
+  process.exitCode = TestRunner.run() ? 0 : 1;
+} else if (typeof window !== 'undefined') {
+  // Browser environment - expose test runner
+  window.PortfolioDataFormatsTestRunner = TestRunner;
+}
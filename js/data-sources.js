@@ -0,0 +1,343 @@
+/**
+ * @fileoverview Data source adapters for portfolio data
+ * Portfolio data can come from a file next to the page, an absolute URL, a JSON block
+ * embedded in the page at build time, or a draft saved in localStorage. Each source is an
+ * adapter with a load() method; sources are tried in a configured priority order and the
+ * first one that has data wins.
+ */
+
+// Composition and parsing come from compose.js and data-formats.js
+// (required in Node.js, loaded before this file in the browser)
+const sourceCompose = typeof module !== 'undefined' && module.exports
+  ? require('./compose.js')
+  : window.PortfolioCompose;
+const sourceFormats = typeof module !== 'undefined' && module.exports
+  ? require('./data-formats.js')
+  : window.PortfolioDataFormats;
+
+// Data source constants
+const DATA_SOURCE_CONSTANTS = {
+  DEFAULT_FILES: ['data/portfolio.json', 'data/portfolio.yaml'],
+  DEFAULT_ORDER: ['draft', 'inline', 'file'],
+  CONFIG_SELECTOR: 'script#portfolio-config[type="application/json"]',
+  INLINE_SELECTOR: 'script#portfolio-data[type="application/json"]',
+  INLINE_FILE: '#portfolio-data',
+  DRAFT_STORAGE_KEY: 'portfolio-draft',
+  DRAFT_QUERY_PARAM: 'draft',
+  // Network errors and server errors are retried with exponential backoff
+  RETRY_ATTEMPTS: 3,
+  RETRY_BASE_DELAY_MS: 500
+};
+
+/**
+ * @typedef {Object} DataSourceContext
+ * @property {Function} fetch - Fetch implementation
+ * @property {Document} [document] - Page to read inline data from
+ * @property {Storage} [storage] - Storage holding drafts
+ * @property {{search: string}} [location] - Page location, for the draft query parameter
+ */
+
+/**
+ * @typedef {Object} LoadedData
+ * @property {Object} data - Composed portfolio data
+ * @property {IncludeSource[]} sources - Where included values came from
+ * @property {string} origin - Where the data came from, e.g. "data/portfolio.json"
+ */
+
+/**
+ * @typedef {Object} DataSourceAdapter
+ * @property {string} name - Source type, as used in the configuration
+ * @property {Function} load - (context: DataSourceContext) => Promise<LoadedData|null>;
+ *   resolves null when the source has no data, so the next source is tried
+ */
+
+/**
+ * Fetches a URL, retrying network errors and server errors. This is the only retry policy
+ * for portfolio data; nothing else retries requests.
+ * @param {Function} fetchImpl - Fetch implementation
+ * @param {string} url - URL to fetch
+ * @param {Object} [init] - Fetch options, e.g. conditional request headers
+ * @param {Object} [options] - Retry options
+ * @param {number} [options.attempts] - Number of attempts in total
+ * @param {Function} [options.wait] - (milliseconds) => Promise, for tests
+ * @returns {Promise<Response>} Response; the last server error response when every attempt failed
+ * @throws {Error} When the last attempt fails with a network error
+ */
+async function fetchWithRetry(fetchImpl, url, init = {}, options = {}) {
+  const attempts = options.attempts || DATA_SOURCE_CONSTANTS.RETRY_ATTEMPTS;
+  const wait = options.wait || (milliseconds => new Promise(resolve => setTimeout(resolve, milliseconds)));
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      const response = await fetchImpl(url, init);
+      if (response.status < 500 || attempt === attempts) {
+        return response;
+      }
+    } catch (error) {
+      if (attempt === attempts) {
+        throw error;
+      }
+    }
+    await wait(DATA_SOURCE_CONSTANTS.RETRY_BASE_DELAY_MS * Math.pow(2, attempt - 1));
+  }
+}
+
+/**
+ * Parses a fetched data file as JSON, YAML or Markdown, depending on its extension
+ * @param {string} file - Path or URL of the file
+ * @param {Response} response - Fetch response for the file
+ * @returns {Promise<*>} Parsed content
+ * @throws {Error} When the response is not successful or the content does not parse
+ */
+async function parseDataResponse(file, response) {
+  if (!response.ok) {
+    throw new Error(`HTTP error! status: ${response.status} (${file})`);
+  }
+  return sourceFormats.parseDataFile(file.split(/[?#]/)[0], await response.text());
+}
+
+/**
+ * Loads the files a document includes and composes it
+ * @param {string} file - Path or URL of the document; includes are resolved against it
+ * @param {*} rootDocument - Parsed document
+ * @param {DataSourceContext} context - Source context
+ * @returns {Promise<{data: Object, sources: IncludeSource[]}>} Composed data and where included values came from
+ */
+async function composeWithIncludes(file, rootDocument, context) {
+  const documents = { [file]: rootDocument };
+
+  // Included files can include further files, so keep loading until nothing is missing
+  let pending;
+  while ((pending = sourceCompose.pendingIncludes(file, documents)).length > 0) {
+    const loaded = await Promise.all(pending.map(async included => parseDataResponse(included, await context.fetch(included))));
+    pending.forEach((included, index) => {
+      documents[included] = loaded[index];
+    });
+  }
+
+  return sourceCompose.composeDocument(file, documents);
+}
+
+/**
+ * Creates a source that loads a data file next to the page
+ * @param {Object} [options] - Source options
+ * @param {string[]} [options.files] - Candidate files in order of preference; the first that exists is used
+ * @returns {DataSourceAdapter} Adapter
+ */
+function createFileSource(options = {}) {
+  const files = options.files || DATA_SOURCE_CONSTANTS.DEFAULT_FILES;
+
+  return {
+    name: 'file',
+    async load(context) {
+      for (const file of files) {
+        const response = await context.fetch(file);
+        if (response.status === 404) continue;
+
+        const composed = await composeWithIncludes(file, await parseDataResponse(file, response), context);
+        return { ...composed, origin: file };
+      }
+      return null;
+    }
+  };
+}
+
+/**
+ * Creates a source that loads data from an absolute URL, e.g. a CMS export or a CDN
+ * @param {Object} options - Source options
+ * @param {string} options.url - URL of the data file; includes are resolved against it
+ * @returns {DataSourceAdapter} Adapter
+ * @throws {Error} When no URL is given
+ */
+function createUrlSource(options = {}) {
+  if (typeof options.url !== 'string' || options.url.trim() === '') {
+    throw new Error('The "url" data source needs a "url"');
+  }
+
+  return {
+    name: 'url',
+    async load(context) {
+      const rootDocument = await parseDataResponse(options.url, await context.fetch(options.url));
+      const composed = await composeWithIncludes(options.url, rootDocument, context);
+      return { ...composed, origin: options.url };
+    }
+  };
+}
+
+/**
+ * Creates a source that reads data embedded in the page, so the first paint needs no request
+ * @param {Object} [options] - Source options
+ * @param {string} [options.selector] - Selector of the JSON script block
+ * @returns {DataSourceAdapter} Adapter
+ */
+function createInlineSource(options = {}) {
+  const selector = options.selector || DATA_SOURCE_CONSTANTS.INLINE_SELECTOR;
+
+  return {
+    name: 'inline',
+    async load(context) {
+      const element = context.document ? context.document.querySelector(selector) : null;
+      const text = element ? element.textContent.trim() : '';
+      if (text === '') return null;
+
+      // Includes in embedded data are resolved against the page
+      const composed = await composeWithIncludes(DATA_SOURCE_CONSTANTS.INLINE_FILE, JSON.parse(text), context);
+      return { ...composed, origin: 'inline data' };
+    }
+  };
+}
+
+/**
+ * Creates a source that reads a draft saved in localStorage. Drafts are only shown when the
+ * page is opened with the draft query parameter (e.g. index.html?draft), so visitors never
+ * see unsaved edits.
+ * @param {Object} [options] - Source options
+ * @param {string} [options.key] - Storage key of the draft
+ * @param {string} [options.param] - Query parameter that enables drafts
+ * @returns {DataSourceAdapter} Adapter
+ */
+function createDraftSource(options = {}) {
+  const key = options.key || DATA_SOURCE_CONSTANTS.DRAFT_STORAGE_KEY;
+  const param = options.param || DATA_SOURCE_CONSTANTS.DRAFT_QUERY_PARAM;
+
+  return {
+    name: 'draft',
+    async load(context) {
+      const search = context.location ? context.location.search : '';
+      if (!new URLSearchParams(search).has(param) || !context.storage) return null;
+
+      const text = context.storage.getItem(key);
+      if (!text) return null;
+
+      const composed = await composeWithIncludes(DATA_SOURCE_CONSTANTS.INLINE_FILE, JSON.parse(text), context);
+      return { ...composed, origin: `draft "${key}"` };
+    }
+  };
+}
+
+/**
+ * Source factories by type name
+ */
+const DATA_SOURCE_TYPES = {
+  file: createFileSource,
+  url: createUrlSource,
+  inline: createInlineSource,
+  draft: createDraftSource
+};
+
+/**
+ * Creates adapters from a configuration
+ * @param {Object} [config] - Configuration, e.g. {"dataSources": ["inline", {"type": "url", "url": "..."}, "file"]}
+ * @param {Array<string|Object>} [config.dataSources] - Source types or {type, ...options} objects, in priority order
+ * @returns {DataSourceAdapter[]} Adapters in priority order
+ * @throws {Error} When a source type is unknown or its options are invalid
+ */
+function createDataSources(config = {}) {
+  const entries = config.dataSources || DATA_SOURCE_CONSTANTS.DEFAULT_ORDER;
+  if (!Array.isArray(entries) || entries.length === 0) {
+    throw new Error('"dataSources" must be a non-empty list');
+  }
+
+  return entries.map(entry => {
+    const options = typeof entry === 'string' ? { type: entry } : entry || {};
+    const factory = Object.prototype.hasOwnProperty.call(DATA_SOURCE_TYPES, options.type)
+      ? DATA_SOURCE_TYPES[options.type]
+      : null;
+    if (!factory) {
+      throw new Error(`Unknown data source type "${options.type}" (expected one of: ${Object.keys(DATA_SOURCE_TYPES).join(', ')})`);
+    }
+    return factory(options);
+  });
+}
+
+/**
+ * Reads the data source configuration embedded in the page
+ * @param {Document} document - Page to read the #portfolio-config block from
+ * @returns {Object} Configuration, or an empty object when the page has none
+ * @throws {SyntaxError} When the configuration is not valid JSON
+ */
+function readDataSourceConfig(document) {
+  const element = document ? document.querySelector(DATA_SOURCE_CONSTANTS.CONFIG_SELECTOR) : null;
+  return element && element.textContent.trim() !== '' ? JSON.parse(element.textContent) : {};
+}
+
+/**
+ * Tries sources in order and returns the data of the first one that has any
+ * @param {DataSourceAdapter[]} sources - Adapters in priority order
+ * @param {DataSourceContext} context - Source context
+ * @returns {Promise<LoadedData & {source: string, failures: string[]}>} Loaded data, the name of the source
+ *   it came from, and the errors of sources tried before it
+ * @throws {Error} When no source has data
+ */
+async function loadFromSources(sources, context) {
+  const failures = [];
+
+  for (const source of sources) {
+    try {
+      const loaded = await source.load(context);
+      if (loaded) {
+        return { ...loaded, source: source.name, failures };
+      }
+    } catch (error) {
+      failures.push(`${source.name}: ${error.message}`);
+    }
+  }
+
+  throw new Error(failures.length > 0
+    ? `No data source could be loaded (${failures.join('; ')})`
+    : 'No data source has any data');
+}
+
+/**
+ * Saves a draft for preview with the draft source
+ * @param {Object} portfolioData - Portfolio data to preview
+ * @param {Storage} storage - Storage to save the draft in
+ * @param {string} [key] - Storage key of the draft
+ */
+function saveDraft(portfolioData, storage, key = DATA_SOURCE_CONSTANTS.DRAFT_STORAGE_KEY) {
+  storage.setItem(key, JSON.stringify(portfolioData));
+}
+
+/**
+ * Removes a saved draft
+ * @param {Storage} storage - Storage holding the draft
+ * @param {string} [key] - Storage key of the draft
+ */
+function clearDraft(storage, key = DATA_SOURCE_CONSTANTS.DRAFT_STORAGE_KEY) {
+  storage.removeItem(key);
+}
+
+// Export functions and constants for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  // Node.js environment
+  module.exports = {
+    DATA_SOURCE_CONSTANTS,
+    DATA_SOURCE_TYPES,
+    fetchWithRetry,
+    createFileSource,
+    createUrlSource,
+    createInlineSource,
+    createDraftSource,
+    createDataSources,
+    readDataSourceConfig,
+    loadFromSources,
+    saveDraft,
+    clearDraft
+  };
+} else {
+  // Browser environment
+  window.PortfolioDataSources = {
+    DATA_SOURCE_CONSTANTS,
+    DATA_SOURCE_TYPES,
+    fetchWithRetry,
+    createFileSource,
+    createUrlSource,
+    createInlineSource,
+    createDraftSource,
+    createDataSources,
+    readDataSourceConfig,
+    loadFromSources,
+    saveDraft,
+    clearDraft
+  };
+}
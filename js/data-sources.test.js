@@ -0,0 +1,298 @@
+/**
+ * @fileoverview Unit tests for the portfolio data source adapters
+ * These tests load from an in-memory page, storage and set of files instead of the network
+ */
+
+// Import the data source functions
+let PortfolioDataSources;
+if (typeof require !== 'undefined') {
+  // Node.js environment
+  PortfolioDataSources = require('./data-sources.js');
+} else {
+  // Browser environment - assume compose.js, data-formats.js and data-sources.js are already loaded
+  PortfolioDataSources = window.PortfolioDataSources;
+}
+
+// Test utilities
+const TestRunner = {
+  tests: [],
+  passed: 0,
+  failed: 0,
+
+  test(name, testFn) {
+    this.tests.push({ name, testFn });
+  },
+
+  expect(actual) {
+    return {
+      toBe(expected) {
+        if (actual === expected) {
+          return { passed: true };
+        }
+        return { passed: false, message: `Expected ${expected}, got ${actual}` };
+      },
+
+      toEqual(expected) {
+        if (JSON.stringify(actual) === JSON.stringify(expected)) {
+          return { passed: true };
+        }
+        return { passed: false, message: `Expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}` };
+      },
+
+      toContain(expected) {
+        if (Array.isArray(actual) && actual.includes(expected)) {
+          return { passed: true };
+        }
+        return { passed: false, message: `Expected ${JSON.stringify(actual)} to contain ${expected}` };
+      }
+    };
+  },
+
+  // Adapters load asynchronously, so tests may return a promise of their result
+  async run() {
+    console.log('Running data source tests...\n');
+
+    for (const { name, testFn } of this.tests) {
+      try {
+        const result = await testFn();
+        if (result.passed) {
+          this.passed++;
+          console.log(`✓ ${name}`);
+        } else {
+          this.failed++;
+          console.log(`✗ ${name}: ${result.message}`);
+        }
+      } catch (error) {
+        this.failed++;
+        console.log(`✗ ${name}: ${error.message}`);
+      }
+    }
+
+    console.log(`\nTest Results: ${this.passed} passed, ${this.failed} failed`);
+    return this.failed === 0;
+  }
+};
+
+// Test data
+const files = {
+  'data/portfolio.json': JSON.stringify({ personal: { name: 'File' }, projects: { $include: ['projects/shop.json'] } }),
+  'data/projects/shop.json': JSON.stringify({ id: 'shop' }),
+  'data/portfolio.yaml': 'personal:\n  name: YAML\n',
+  'https://cdn.example.com/site/portfolio.json': JSON.stringify({ personal: { name: 'URL' }, projects: { $include: 'projects.json' } }),
+  'https://cdn.example.com/site/projects.json': JSON.stringify([{ id: 'remote' }]),
+  'projects.json': JSON.stringify([{ id: 'page' }])
+};
+
+/**
+ * Creates a source context backed by in-memory files, page blocks and storage
+ * @param {Object} [options] - Context contents
+ * @param {Object} [options.files] - File contents by path or URL; other files respond 404
+ * @param {Object} [options.blocks] - Text of the page's script blocks by id
+ * @param {Object} [options.storage] - Storage items by key
+ * @param {string} [options.search] - Query string of the page
+ * @returns {Object} Source context, with the files it fetched in context.fetched
+ */
+function createContext({ files: contextFiles = files, blocks = {}, storage = {}, search = '' } = {}) {
+  const fetched = [];
+  return {
+    fetched,
+    fetch: async file => {
+      fetched.push(file);
+      const text = contextFiles[file];
+      return { ok: text !== undefined, status: text === undefined ? 404 : 200, text: async () => text };
+    },
+    document: {
+      querySelector: selector => {
+        const id = /#([\w-]+)/.exec(selector)[1];
+        return blocks[id] === undefined ? null : { textContent: blocks[id] };
+      }
+    },
+    storage: {
+      getItem: key => (key in storage ? storage[key] : null),
+      setItem: (key, value) => { storage[key] = value; },
+      removeItem: key => { delete storage[key]; }
+    },
+    location: { search }
+  };
+}
+
+// Retry tests
+/**
+ * Creates a fetch that answers with the given statuses in turn, throwing for null
+ * @param {Array<number|null>} statuses - Status of each attempt; null for a network error
+ * @returns {Function} Fetch, with the number of calls in fetch.calls
+ */
+function createFlakyFetch(statuses) {
+  const flakyFetch = async () => {
+    const status = statuses[flakyFetch.calls++];
+    if (status === null) {
+      throw new TypeError('Failed to fetch');
+    }
+    return { ok: status < 300, status };
+  };
+  flakyFetch.calls = 0;
+  return flakyFetch;
+}
+
+const noWait = async () => {};
+
+TestRunner.test('fetchWithRetry - retries network and server errors', async () => {
+  const flakyFetch = createFlakyFetch([null, 503, 200]);
+  const response = await PortfolioDataSources.fetchWithRetry(flakyFetch, 'data/portfolio.json', {}, { wait: noWait });
+  return TestRunner.expect([response.status, flakyFetch.calls]).toEqual([200, 3]);
+});
+
+TestRunner.test('fetchWithRetry - does not retry client errors or not-modified responses', async () => {
+  const notFound = createFlakyFetch([404, 200]);
+  const notModified = createFlakyFetch([304, 200]);
+  await PortfolioDataSources.fetchWithRetry(notFound, 'data/portfolio.json', {}, { wait: noWait });
+  await PortfolioDataSources.fetchWithRetry(notModified, 'data/portfolio.json', {}, { wait: noWait });
+  return TestRunner.expect([notFound.calls, notModified.calls]).toEqual([1, 1]);
+});
+
+TestRunner.test('fetchWithRetry - backs off exponentially and gives up after the last attempt', async () => {
+  const delays = [];
+  try {
+    await PortfolioDataSources.fetchWithRetry(createFlakyFetch([null, null, null]), 'data/portfolio.json', {}, {
+      wait: async milliseconds => { delays.push(milliseconds); }
+    });
+    return { passed: false, message: 'Expected an error' };
+  } catch (error) {
+    return TestRunner.expect([error.message, delays]).toEqual(['Failed to fetch', [500, 1000]]);
+  }
+});
+
+// File source tests
+TestRunner.test('createFileSource - loads the first file with its includes', async () => {
+  const loaded = await PortfolioDataSources.createFileSource().load(createContext());
+  return TestRunner.expect([loaded.origin, loaded.data.personal.name, loaded.data.projects[0].id, loaded.sources[0].file])
+    .toEqual(['data/portfolio.json', 'File', 'shop', 'data/projects/shop.json']);
+});
+
+TestRunner.test('createFileSource - falls back to the next file that exists', async () => {
+  const yamlOnly = { ...files };
+  delete yamlOnly['data/portfolio.json'];
+  const loaded = await PortfolioDataSources.createFileSource().load(createContext({ files: yamlOnly }));
+  return TestRunner.expect(loaded.data.personal.name).toBe('YAML');
+});
+
+TestRunner.test('createFileSource - has no data when no file exists', async () => {
+  return TestRunner.expect(await PortfolioDataSources.createFileSource().load(createContext({ files: {} }))).toBe(null);
+});
+
+// URL source tests
+TestRunner.test('createUrlSource - resolves includes against the URL', async () => {
+  const source = PortfolioDataSources.createUrlSource({ url: 'https://cdn.example.com/site/portfolio.json' });
+  const loaded = await source.load(createContext());
+  return TestRunner.expect(loaded.data.projects[0].id).toBe('remote');
+});
+
+TestRunner.test('createUrlSource - requires a URL', () => {
+  try {
+    PortfolioDataSources.createUrlSource({});
+    return { passed: false, message: 'Expected an error' };
+  } catch (error) {
+    return TestRunner.expect(error.message).toBe('The "url" data source needs a "url"');
+  }
+});
+
+// Inline source tests
+TestRunner.test('createInlineSource - reads the embedded block without fetching', async () => {
+  const context = createContext({ blocks: { 'portfolio-data': '{"personal": {"name": "Inline \\u003c/script>"}}' } });
+  const loaded = await PortfolioDataSources.createInlineSource().load(context);
+  return TestRunner.expect([loaded.data.personal.name, context.fetched.length]).toEqual(['Inline </script>', 0]);
+});
+
+TestRunner.test('createInlineSource - resolves includes against the page', async () => {
+  const context = createContext({ blocks: { 'portfolio-data': '{"projects": {"$include": "projects.json"}}' } });
+  const loaded = await PortfolioDataSources.createInlineSource().load(context);
+  return TestRunner.expect(loaded.data.projects[0].id).toBe('page');
+});
+
+TestRunner.test('createInlineSource - has no data without a block', async () => {
+  return TestRunner.expect(await PortfolioDataSources.createInlineSource().load(createContext())).toBe(null);
+});
+
+// Draft source tests
+TestRunner.test('createDraftSource - loads a saved draft with the draft parameter', async () => {
+  const context = createContext({ search: '?draft' });
+  PortfolioDataSources.saveDraft({ personal: { name: 'Draft' } }, context.storage);
+  const loaded = await PortfolioDataSources.createDraftSource().load(context);
+  return TestRunner.expect([loaded.origin, loaded.data.personal.name]).toEqual(['draft "portfolio-draft"', 'Draft']);
+});
+
+TestRunner.test('createDraftSource - ignores drafts without the draft parameter', async () => {
+  const context = createContext({ storage: { 'portfolio-draft': '{}' } });
+  return TestRunner.expect(await PortfolioDataSources.createDraftSource().load(context)).toBe(null);
+});
+
+TestRunner.test('clearDraft - removes the draft', async () => {
+  const context = createContext({ search: '?draft', storage: { 'portfolio-draft': '{}' } });
+  PortfolioDataSources.clearDraft(context.storage);
+  return TestRunner.expect(await PortfolioDataSources.createDraftSource().load(context)).toBe(null);
+});
+
+// Configuration tests
+TestRunner.test('createDataSources - defaults to draft, inline data, then files', () => {
+  return TestRunner.expect(PortfolioDataSources.createDataSources().map(source => source.name)).toEqual(['draft', 'inline', 'file']);
+});
+
+TestRunner.test('createDataSources - accepts names and option objects', () => {
+  const sources = PortfolioDataSources.createDataSources({
+    dataSources: [{ type: 'url', url: 'https://cdn.example.com/site/portfolio.json' }, 'file']
+  });
+  return TestRunner.expect(sources.map(source => source.name)).toEqual(['url', 'file']);
+});
+
+TestRunner.test('createDataSources - rejects unknown types', () => {
+  try {
+    PortfolioDataSources.createDataSources({ dataSources: ['ftp'] });
+    return { passed: false, message: 'Expected an error' };
+  } catch (error) {
+    return TestRunner.expect(error.message.startsWith('Unknown data source type "ftp"')).toBe(true);
+  }
+});
+
+TestRunner.test('readDataSourceConfig - reads the config block', () => {
+  const context = createContext({ blocks: { 'portfolio-config': '{"dataSources": ["file"]}' } });
+  return TestRunner.expect(PortfolioDataSources.readDataSourceConfig(context.document)).toEqual({ dataSources: ['file'] });
+});
+
+TestRunner.test('readDataSourceConfig - is empty without a config block', () => {
+  return TestRunner.expect(PortfolioDataSources.readDataSourceConfig(createContext().document)).toEqual({});
+});
+
+// Priority tests
+TestRunner.test('loadFromSources - uses the first source with data', async () => {
+  const context = createContext({ blocks: { 'portfolio-data': '{"personal": {"name": "Inline"}}' } });
+  const loaded = await PortfolioDataSources.loadFromSources(PortfolioDataSources.createDataSources(), context);
+  return TestRunner.expect([loaded.source, loaded.data.personal.name, context.fetched.length]).toEqual(['inline', 'Inline', 0]);
+});
+
+TestRunner.test('loadFromSources - reports failed sources and tries the next', async () => {
+  const sources = PortfolioDataSources.createDataSources({
+    dataSources: [{ type: 'url', url: 'https://cdn.example.com/missing.json' }, 'file']
+  });
+  const loaded = await PortfolioDataSources.loadFromSources(sources, createContext());
+  return TestRunner.expect([loaded.source, loaded.failures])
+    .toEqual(['file', ['url: HTTP error! status: 404 (https://cdn.example.com/missing.json)']]);
+});
+
+TestRunner.test('loadFromSources - fails when no source has data', async () => {
+  try {
+    await PortfolioDataSources.loadFromSources(PortfolioDataSources.createDataSources(), createContext({ files: {} }));
+    return { passed: false, message: 'Expected an error' };
+  } catch (error) {
+    return TestRunner.expect(error.message).toBe('No data source has any data');
+  }
+});
+
+// Run tests if this file is executed directly
+if (typeof require !== 'undefined' && require.main === module) {
+  TestRunner.run().then(passed => {
+    process.exitCode = passed ? 0 : 1;
+  });
+} else if (typeof window !== 'undefined') {
+  // Browser environment - expose test runner
+  window.PortfolioDataSourcesTestRunner = TestRunner;
+}
@@ -1,29 +1,85 @@
 // Portfolio data management with validation
 class PortfolioData {
-  constructor() {
+  constructor(options = {}) {
     this.data = null;
     this.isLoaded = false;
     this.validationErrors = [];
+    this.sources = [];
+    this.origin = null;
+    // Set when loading failed: the save time of the cached data shown instead, or
+    // isPlaceholder when nothing was cached yet
+    this.cachedAt = null;
+    this.isPlaceholder = false;
+    // Set while cached data is shown and checked against the server in the background
+    this.isStale = false;
+    // Resolves to the top-level fields that changed once the background check is done
+    this.revalidation = Promise.resolve([]);
+    // Data source adapters to try in order; read from the page configuration when not given
+    this.dataSources = options.dataSources || null;
+    // Change callbacks by top-level field ('personal', 'projects', ...), or '*' for every field
+    this.subscribers = new Map();
+    // Skill registry built for the current data, and the data it was built for
+    this.skillRegistry = null;
+    this.skillRegistryData = null;
   }
 
   async loadData() {
+    const previous = this.data;
+    const entry = this.readCacheEntry();
+
+    // Data cached from the network renders at once and is revalidated in the background
+    if (entry && this.canRenderStale(entry)) {
+      console.log(`✓ Showing cached portfolio data from ${entry.savedAt} while checking for updates`);
+      this.origin = entry.origin;
+      this.data = this.withStructuredDates(this.migrate(entry.data));
+      // Cached data had no errors when it was saved, but may carry integrity warnings
+      this.refreshValidation();
+      this.isStale = true;
+      this.isLoaded = true;
+      this.revalidation = this.revalidate(entry);
+    } else {
+      this.revalidation = Promise.resolve([]);
+      await this.loadFresh();
+    }
+
+    // A reload tells subscribers what changed; the first load has nothing to compare with
+    if (previous) {
+      this.notify(this.getChangedFields(previous, this.data), previous);
+    }
+    return this.data;
+  }
+
+  /**
+   * Loads the data from the data sources, falling back to the cache when that fails
+   * @param {Object<string, Response>} [prefetched] - Responses already fetched, by file; these
+   *   files are not requested again
+   * @returns {Promise<Object>} Portfolio data
+   */
+  async loadFresh(prefetched = {}) {
     try {
-      const response = await fetch('data/portfolio.json');
-      if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
-      }
-      const rawData = await response.json();
+      const loaded = await this.loadFromDataSources(prefetched);
+      this.sources = loaded.sources;
+      this.origin = loaded.origin;
+      this.cachedAt = null;
+      this.isPlaceholder = false;
+      const rawData = this.withStructuredDates(this.migrate(loaded.data));
       
       // Validate the loaded data
       if (window.PortfolioTypes) {
         const validation = window.PortfolioTypes.validatePortfolioData(rawData);
+        this.validationErrors = this.withSources(validation.issues);
         if (validation.isValid) {
           console.log('✓ Portfolio data validation passed');
+          if (this.validationErrors.length > 0) {
+            console.warn('⚠ Portfolio data validation warnings:', this.validationErrors.map(issue => this.formatIssue(issue)));
+          }
           this.data = rawData;
-          this.validationErrors = [];
+          // Drafts are previews of unsaved edits, so only published data is cached
+          if (loaded.source !== 'draft') {
+            this.saveToCache(rawData, loaded);
+          }
         } else {
-          console.warn('⚠ Portfolio data validation failed:', validation.errors);
-          this.validationErrors = validation.errors;
+          console.warn('⚠ Portfolio data validation failed:', this.validationErrors.map(issue => this.formatIssue(issue)));
           // Use the data anyway but log warnings
           this.data = rawData;
         }
@@ -36,93 +92,289 @@ class PortfolioData {
       return this.data;
     } catch (error) {
       console.error('Error loading portfolio data:', error);
-      // Return fallback data
-      this.data = this.getFallbackData();
+      this.data = this.loadFromCache();
       this.isLoaded = true;
       return this.data;
     }
   }
 
-  getFallbackData() {
+  /**
+   * Returns localStorage, or null where storage is disabled (accessing it then throws)
+   * @returns {Storage|null} Storage for drafts and the offline cache
+   */
+  getStorage() {
+    try {
+      return window.localStorage;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Reads the cached data entry
+   * @returns {Object|null} Cache entry, or null when nothing usable is cached
+   */
+  readCacheEntry() {
+    const storage = this.getStorage();
+    return window.PortfolioDataCache && storage ? window.PortfolioDataCache.readCache(storage) : null;
+  }
+
+  /**
+   * Decides whether cached data can be shown before the data sources are tried. Only data
+   * from files or URLs is worth showing early; drafts and inline data load without a request.
+   * @param {Object} entry - Cache entry
+   * @returns {boolean} True if the entry can be rendered while it is revalidated
+   */
+  canRenderStale(entry) {
+    const draftParam = window.PortfolioDataSources ? window.PortfolioDataSources.DATA_SOURCE_CONSTANTS.DRAFT_QUERY_PARAM : 'draft';
+    return Object.keys(entry.validators).length > 0 && !new URLSearchParams(window.location.search).has(draftParam);
+  }
+
+  /**
+   * Checks cached data against the server and loads the data again if any file changed
+   * @param {Object} entry - Cache entry that is shown
+   * @returns {Promise<string[]>} Top-level fields whose data changed, e.g. ['projects']
+   */
+  async revalidate(entry) {
+    let changedFiles;
+    try {
+      changedFiles = await this.fetchChangedFiles(entry);
+    } catch (error) {
+      // The server is unreachable, so the cached data stays and visitors are told its age
+      console.warn('⚠ Could not check cached portfolio data for updates:', error.message);
+      this.cachedAt = entry.savedAt;
+      this.isStale = false;
+      return [];
+    }
+
+    if (changedFiles && Object.keys(changedFiles).length === 0) {
+      console.log('✓ Cached portfolio data is up to date');
+      this.isStale = false;
+      return [];
+    }
+
+    // The changed files are composed from the responses already received, so they are not
+    // downloaded twice; files the server reported as not modified have no body and are fetched
+    const previous = this.data;
+    await this.loadFresh(changedFiles || {});
+    this.isStale = false;
+
+    const changedFields = this.getChangedFields(previous, this.data);
+    this.notify(changedFields, previous);
+    return changedFields;
+  }
+
+  /**
+   * Sends a conditional request for every file the cached data was composed from
+   * @param {Object} entry - Cache entry with the ETag and Last-Modified of each file
+   * @returns {Promise<Object<string, Response>|null>} Responses of the files that were modified,
+   *   by file (empty when the cache is current), or null when the files cannot be checked
+   * @throws {Error} When the server cannot be reached
+   */
+  async fetchChangedFiles(entry) {
+    const files = Object.entries(entry.validators);
+    if (!window.PortfolioDataSources || files.some(([, validator]) => !validator.etag && !validator.lastModified)) {
+      return null;
+    }
+
+    const responses = await Promise.all(files.map(([file, validator]) => {
+      const headers = {};
+      if (validator.etag) headers['If-None-Match'] = validator.etag;
+      if (validator.lastModified) headers['If-Modified-Since'] = validator.lastModified;
+      return window.PortfolioDataSources.fetchWithRetry((url, init) => fetch(url, init), file, { headers });
+    }));
+    return Object.fromEntries(files
+      .map(([file], index) => [file, responses[index]])
+      .filter(([, response]) => response.status !== 304));
+  }
+
+  /**
+   * Lists the top-level fields whose values differ between two versions of the data
+   * @param {Object} previous - Data before
+   * @param {Object} next - Data after
+   * @returns {string[]} Changed fields
+   */
+  getChangedFields(previous, next) {
+    const fields = new Set([...Object.keys(previous || {}), ...Object.keys(next || {})]);
+    return [...fields].filter(field => JSON.stringify((previous || {})[field]) !== JSON.stringify((next || {})[field]));
+  }
+
+  /**
+   * Saves validated data for use when a later load fails
+   * @param {Object} portfolioData - Validated portfolio data
+   * @param {Object} loaded - Result of loadFromDataSources, naming the source and file validators
+   */
+  saveToCache(portfolioData, loaded) {
+    const storage = this.getStorage();
+    if (!window.PortfolioDataCache || !storage) {
+      return;
+    }
+
+    try {
+      window.PortfolioDataCache.writeCache(storage, portfolioData, {
+        origin: loaded.origin,
+        source: loaded.source,
+        validators: loaded.validators
+      });
+    } catch (error) {
+      console.warn('⚠ Could not cache portfolio data:', error.message);
+    }
+  }
+
+  /**
+   * Returns the cached data, or placeholders when nothing was cached yet
+   * @returns {Object} Portfolio data to show instead of data that failed to load
+   */
+  loadFromCache() {
+    const entry = this.readCacheEntry();
+
+    if (entry) {
+      console.warn(`⚠ Showing cached portfolio data from ${entry.savedAt}`);
+      this.cachedAt = entry.savedAt;
+      this.origin = entry.origin;
+      return this.withStructuredDates(this.migrate(entry.data));
+    }
+
+    this.isPlaceholder = true;
+    return this.withStructuredDates(this.getPlaceholderData());
+  }
+
+  /**
+   * Returns the data source adapters to try, in priority order
+   * @returns {Object[]} Adapters given to the constructor, configured by the page's
+   *   #portfolio-config block, or the defaults (draft, inline data, data file)
+   */
+  getDataSources() {
+    if (this.dataSources) {
+      return this.dataSources;
+    }
+
+    const dataSources = window.PortfolioDataSources;
+    try {
+      return dataSources.createDataSources(dataSources.readDataSourceConfig(document));
+    } catch (error) {
+      console.warn('⚠ Invalid data source configuration, using the defaults:', error.message);
+      return dataSources.createDataSources();
+    }
+  }
+
+  /**
+   * Loads the portfolio document from the first data source that has it
+   * @param {Object<string, Response>} [prefetched] - Responses already fetched, by file
+   * @returns {Promise<{data: Object, sources: Object[], origin: string, source: string, validators: Object}>}
+   *   Composed data, the file each included value came from, where the document came from, the
+   *   name of the data source, and the ETag and Last-Modified of each fetched file
+   */
+  async loadFromDataSources(prefetched = {}) {
+    if (!window.PortfolioDataSources) {
+      throw new Error('Data sources not loaded');
+    }
+
+    const validators = {};
+    const context = {
+      fetch: async file => {
+        const response = prefetched[file] ||
+          await window.PortfolioDataSources.fetchWithRetry((url, init) => fetch(url, init), file);
+        if (response.ok) {
+          validators[file] = {
+            etag: response.headers.get('ETag') || null,
+            lastModified: response.headers.get('Last-Modified') || null
+          };
+        }
+        return response;
+      },
+      document,
+      location: window.location,
+      storage: this.getStorage()
+    };
+
+    const loaded = await window.PortfolioDataSources.loadFromSources(this.getDataSources(), context);
+    if (loaded.failures.length > 0) {
+      console.warn('⚠ Skipped data sources that could not be loaded:', loaded.failures);
+    }
+    console.log(`✓ Portfolio data loaded from ${loaded.origin}`);
+
+    // Cached data can only be revalidated when its root document was fetched, so keep the
+    // validators of the root document and its includes, and none for inline data or drafts
+    const files = validators[loaded.origin] ? [loaded.origin, ...loaded.sources.map(source => source.file)] : [];
+    return {
+      ...loaded,
+      validators: Object.fromEntries(files.filter(file => validators[file]).map(file => [file, validators[file]]))
+    };
+  }
+
+  /**
+   * Points issues about included values at the file and field to edit
+   * @param {Object[]} issues - Issues with JSON pointers into the composed document
+   * @returns {Object[]} Issues, with a source field where the value came from an included file
+   */
+  withSources(issues) {
+    if (!window.PortfolioCompose || this.sources.length === 0) {
+      return issues;
+    }
+    return window.PortfolioCompose.attachSources(issues, this.sources);
+  }
+
+  /**
+   * Renders an issue as "location: message", naming the included file it concerns if any
+   * @param {Object} issue - Validation issue
+   * @returns {string} Issue text
+   */
+  formatIssue(issue) {
+    const location = issue.source ? window.PortfolioCompose.describeSource(issue.source) : issue.path || '/';
+    return `${location}: ${issue.message}`;
+  }
+
+  /**
+   * Upgrades data written for an older schemaVersion to the current format
+   * @param {Object} rawData - Portfolio data as loaded
+   * @returns {Object} Migrated portfolio data, or the data unchanged if it cannot be migrated
+   */
+  migrate(rawData) {
+    if (!window.PortfolioMigrations || !window.PortfolioMigrations.needsMigration(rawData)) {
+      return rawData;
+    }
+
+    try {
+      const result = window.PortfolioMigrations.migrate(rawData);
+      console.log(`✓ Portfolio data migrated from schemaVersion ${result.from} to ${result.to}`);
+      return result.data;
+    } catch (error) {
+      console.warn('⚠ Portfolio data migration failed, using the data as loaded:', error.message);
+      return rawData;
+    }
+  }
+
+  /**
+   * Adds structured dates parsed from the free-text duration and year fields
+   * @param {Object} rawData - Portfolio data as loaded
+   * @returns {Object} Portfolio data with structured dates where they could be parsed
+   */
+  withStructuredDates(rawData) {
+    if (!window.PortfolioDates) {
+      return rawData;
+    }
+    return window.PortfolioDates.withStructuredDates(rawData);
+  }
+
+  /**
+   * Generic content shown on a first visit when the data cannot be loaded and nothing is cached
+   * @returns {Object} Placeholder portfolio data
+   */
+  getPlaceholderData() {
     return {
+      // Written in the current format, so the version follows the latest migration
+      schemaVersion: window.PortfolioMigrations ? window.PortfolioMigrations.CURRENT_SCHEMA_VERSION : undefined,
       personal: {
-        name: "Your Name",
-        title: "Cloud Engineer & Cybersecurity Professional",
-        bio: "Passionate about cloud engineering and cybersecurity with a focus on building secure, scalable solutions.",
-        summary: "Experienced professional specializing in Cloud, Cybersecurity, AI, and API development. Dedicated to creating innovative solutions that drive business success.",
-        contact: {
-          email: "your.email@example.com",
-          linkedin: "https://linkedin.com/in/yourprofile",
-          github: "https://github.com/yourusername",
-          behance: "https://behance.net/yourprofile"
-        },
-        headshot: "images/profile/headshot.jpg"
+        name: "Portfolio",
+        title: "Content temporarily unavailable",
+        bio: "The portfolio content could not be loaded. Please check your connection and refresh the page.",
+        summary: "The portfolio content could not be loaded. Please check your connection and refresh the page.",
+        contact: {}
       },
-      experience: [
-        {
-          id: "exp1",
-          company: "Tech Company",
-          title: "Senior Cloud Engineer",
-          duration: "2022 - Present",
-          achievements: [
-            "Led cloud migration projects reducing costs by 30%",
-            "Implemented security best practices across infrastructure",
-            "Mentored junior developers on cloud technologies"
-          ],
-          technologies: ["AWS", "Docker", "Kubernetes", "Python"]
-        }
-      ],
-      projects: [
-        {
-          id: "proj1",
-          title: "Cloud Security Platform",
-          description: "A comprehensive security monitoring platform for cloud infrastructure.",
-          tools: ["AWS", "Python", "React", "Docker"],
-          outcomes: [
-            "Reduced security incidents by 40%",
-            "Automated threat detection and response"
-          ],
-          images: ["images/projects/project1.jpg"],
-          links: [
-            { name: "GitHub", url: "https://github.com/yourusername/project" },
-            { name: "Live Demo", url: "https://yourproject.com" }
-          ]
-        }
-      ],
-      skills: [
-        {
-          category: "Cloud",
-          skills: [
-            { name: "AWS", proficiency: "expert" },
-            { name: "Azure", proficiency: "advanced" },
-            { name: "Docker", proficiency: "expert" },
-            { name: "Kubernetes", proficiency: "advanced" }
-          ]
-        },
-        {
-          category: "Cybersecurity",
-          skills: [
-            { name: "Security Auditing", proficiency: "expert" },
-            { name: "Penetration Testing", proficiency: "advanced" },
-            { name: "Compliance", proficiency: "advanced" }
-          ]
-        },
-        {
-          category: "Programming",
-          skills: [
-            { name: "Python", proficiency: "expert" },
-            { name: "JavaScript", proficiency: "advanced" },
-            { name: "Go", proficiency: "intermediate" }
-          ]
-        },
-        {
-          category: "Design",
-          skills: [
-            { name: "UI/UX Design", proficiency: "intermediate" },
-            { name: "Figma", proficiency: "intermediate" }
-          ]
-        }
-      ]
+      experience: [],
+      projects: [],
+      skills: []
     };
   }
 
@@ -130,10 +382,125 @@ class PortfolioData {
     return this.data;
   }
 
+  /**
+   * Sets one value and notifies the subscribers of the field it belongs to
+   * @param {string} path - JSON pointer to the value, e.g. "/projects/0/title"; "-" as the last
+   *   segment appends to a list
+   * @param {*} value - New value; undefined removes the field
+   * @throws {Error} When the path does not lead into the data
+   */
+  set(path, value) {
+    this.patch({ [path]: value });
+  }
+
+  /**
+   * Sets several values in order, then notifies the subscribers of each changed field once
+   * @param {Object<string, *>} changes - New values by JSON pointer, see set()
+   * @throws {Error} When a path does not lead into the data; the data is left unchanged then
+   */
+  patch(changes) {
+    const previous = this.data;
+    // Changes are applied to a copy, so a bad path leaves the data as it was
+    let next = JSON.parse(JSON.stringify(previous || {}));
+
+    Object.entries(changes).forEach(([path, value]) => {
+      const segments = window.PortfolioTypes.parsePointer(path);
+      if (segments.length === 0) {
+        next = value;
+        return;
+      }
+
+      const key = segments[segments.length - 1];
+      const parent = segments.slice(0, -1).reduce((node, segment) => {
+        if (node === null || typeof node !== 'object' || !Object.prototype.hasOwnProperty.call(node, segment)) {
+          throw new Error(`Cannot set ${path}: ${segment} does not exist`);
+        }
+        return node[segment];
+      }, next);
+
+      if (Array.isArray(parent)) {
+        const index = key === '-' ? parent.length : Number(key);
+        if (!Number.isInteger(index) || index < 0 || index > parent.length) {
+          throw new Error(`Cannot set ${path}: ${key} is not an index of the list`);
+        }
+        if (value === undefined) {
+          parent.splice(index, 1);
+        } else {
+          parent[index] = value;
+        }
+      } else if (parent !== null && typeof parent === 'object') {
+        if (value === undefined) {
+          delete parent[key];
+        } else {
+          parent[key] = value;
+        }
+      } else {
+        throw new Error(`Cannot set ${path}: the parent is not an object or list`);
+      }
+    });
+
+    this.data = next;
+    this.refreshValidation();
+    this.notify(this.getChangedFields(previous, next), previous);
+  }
+
+  /**
+   * Calls a function whenever a top-level field of the data changes
+   * @param {string} section - Field to watch, e.g. 'projects', or '*' for every field
+   * @param {Function} callback - Receives {section, value, previous} for each changed field
+   * @returns {Function} Call to stop receiving changes
+   */
+  subscribe(section, callback) {
+    if (!this.subscribers.has(section)) {
+      this.subscribers.set(section, new Set());
+    }
+    this.subscribers.get(section).add(callback);
+    return () => this.subscribers.get(section).delete(callback);
+  }
+
+  /**
+   * Calls the subscribers of each changed field
+   * @param {string[]} fields - Changed top-level fields
+   * @param {Object} previous - Data before the change
+   */
+  notify(fields, previous) {
+    fields.forEach(field => {
+      const change = { section: field, value: (this.data || {})[field], previous: (previous || {})[field] };
+      const callbacks = [...(this.subscribers.get(field) || []), ...(this.subscribers.get('*') || [])];
+      callbacks.forEach(callback => {
+        // One failing subscriber must not keep the others from updating
+        try {
+          callback(change);
+        } catch (error) {
+          console.error(`Error in a ${field} change subscriber:`, error);
+        }
+      });
+    });
+  }
+
+  /**
+   * Validates the data again after it changed
+   */
+  refreshValidation() {
+    if (!window.PortfolioTypes) {
+      return;
+    }
+    const validation = window.PortfolioTypes.validatePortfolioData(this.data);
+    this.validationErrors = this.withSources(validation.issues);
+  }
+
   getPersonalInfo() {
     return this.data?.personal || {};
   }
 
+  getEducation() {
+    return this.data?.education || [];
+  }
+
+  getCertifications() {
+    return this.data?.certifications || [];
+  }
+
   getExperience() {
     return this.data?.experience || [];
   }
@@ -146,56 +513,83 @@ class PortfolioData {
     return this.data?.skills || [];
   }
 
+  /**
+   * Returns the skill registry every section resolves skill and technology names against
+   * It knows the built-in skills plus every skill listed in the data, and is rebuilt when the data changes.
+   * @returns {Object} Skill registry, see PortfolioSkillRegistry.createSkillRegistry
+   */
+  getSkillRegistry() {
+    if (!this.skillRegistry || this.skillRegistryData !== this.data) {
+      this.skillRegistry = window.PortfolioSkillRegistry.createSkillRegistry({ portfolioSkills: this.getSkills() });
+      this.skillRegistryData = this.data;
+    }
+    return this.skillRegistry;
+  }
+
+  /**
+   * Lists the projects, roles and certifications that use a skill
+   * @param {string} skillName - Skill name as listed in the skills section
+   * @returns {{projects: Object[], experience: Object[], certifications: Object[]}} Evidence by section, see PortfolioSkillRegistry.findSkillEvidence
+   */
+  getSkillEvidence(skillName) {
+    return window.PortfolioSkillRegistry.findSkillEvidence(this.getSkillRegistry(), this.data || {}, skillName);
+  }
+
+  /**
+   * Works out how long and how recently a skill was used, from dated roles and projects
+   * @param {string} skillName - Skill name as listed in the skills section
+   * @returns {Object} Metrics, see PortfolioSkillRegistry.computeSkillMetrics
+   */
+  getSkillMetrics(skillName) {
+    return window.PortfolioSkillRegistry.computeSkillMetrics(this.getSkillRegistry(), this.data || {}, skillName);
+  }
+
+  /**
+   * Returns the issues found when the data was loaded, errors and warnings alike
+   * @returns {Array<{path: string, code: string, message: string, severity: string}>} Structured validation issues
+   */
   getValidationErrors() {
     return this.validationErrors;
   }
 
+  /**
+   * Tells whether the data has no errors; warnings such as integrity issues do not count
+   * @returns {boolean} True if no issue is an error
+   */
   isDataValid() {
-    return this.validationErrors.length === 0;
+    return !this.validationErrors.some(issue => issue.severity === 'error');
   }
 
   /**
    * Validates a specific data section
-   * @param {string} section - The section to validate ('personal', 'experience', 'projects', 'skills')
-   * @returns {{isValid: boolean, errors: string[]}} Validation result
+   * @param {string} section - The section to validate ('personal', 'education', 'certifications', 'experience', 'projects', 'skills')
+   * @returns {{isValid: boolean, errors: string[], issues: Object[]}} Validation result with JSON pointers into the full document
    */
   validateSection(section) {
     if (!window.PortfolioTypes) {
-      return { isValid: true, errors: ['Validation types not loaded'] };
+      return { isValid: true, errors: ['Validation types not loaded'], issues: [] };
     }
 
+    const types = window.PortfolioTypes;
+    const validateEntries = (entries, validator) => types.createValidationResult(
+      entries.flatMap((entry, index) => validator(entry, `/${section}/${index}`).issues)
+    );
+
     switch (section) {
       case 'personal':
-        return window.PortfolioTypes.validatePersonalInfo(this.getPersonalInfo());
+        return types.validatePersonalInfo(this.getPersonalInfo(), '/personal');
+      case 'education':
+        return validateEntries(this.getEducation(), types.validateEducation);
+      case 'certifications':
+        return validateEntries(this.getCertifications(), types.validateCertification);
       case 'experience':
-        const expErrors = [];
-        this.getExperience().forEach((exp, index) => {
-          const validation = window.PortfolioTypes.validateExperience(exp);
-          if (!validation.isValid) {
-            expErrors.push(`Experience ${index}: ${validation.errors.join(', ')}`);
-          }
-        });
-        return { isValid: expErrors.length === 0, errors: expErrors };
+        return validateEntries(this.getExperience(), types.validateExperience);
       case 'projects':
-        const projErrors = [];
-        this.getProjects().forEach((proj, index) => {
-          const validation = window.PortfolioTypes.validateProject(proj);
-          if (!validation.isValid) {
-            projErrors.push(`Project ${index}: ${validation.errors.join(', ')}`);
-          }
-        });
-        return { isValid: projErrors.length === 0, errors: projErrors };
+        return validateEntries(this.getProjects(), types.validateProject);
       case 'skills':
-        const skillErrors = [];
-        this.getSkills().forEach((skillCat, index) => {
-          const validation = window.PortfolioTypes.validateSkillCategory(skillCat);
-          if (!validation.isValid) {
-            skillErrors.push(`Skill category ${index}: ${validation.errors.join(', ')}`);
-          }
-        });
-        return { isValid: skillErrors.length === 0, errors: skillErrors };
+        return validateEntries(this.getSkills(), types.validateSkillCategory);
       default:
-        return { isValid: false, errors: [`Unknown section: ${section}`] };
+        return { isValid: false, errors: [`Unknown section: ${section}`], issues: [] };
     }
   }
 }
@@ -0,0 +1,277 @@
+/**
+ * @fileoverview Structured date ranges for experience, education and certifications
+ * Parses the free-text duration strings used in portfolio.json into {start, end, expected}
+ * ranges, formats ranges for display and computes tenure
+ */
+
+/**
+ * @typedef {Object} DateRange
+ * @property {string} [start] - Start date as "YYYY" or "YYYY-MM"
+ * @property {string} [end] - End date as "YYYY" or "YYYY-MM"; omitted while ongoing
+ * @property {boolean} [expected] - True when the end date is a projection
+ */
+
+// Date constants
+const DATE_CONSTANTS = {
+  MONTHS: [
+    'january', 'february', 'march', 'april', 'may', 'june',
+    'july', 'august', 'september', 'october', 'november', 'december'
+  ],
+  TOKEN_REGEX: /\b(present|current|now|ongoing|since)\b|(\d{4})-(\d{2})(?!\d)|(?:\b([a-z]{3,9})\.?\s+)?(\d{4})/gi,
+  EXPECTED_REGEX: /\(?\bexpected\b\)?/i,
+  PRESENT_LABEL: 'Present',
+  EXPECTED_LABEL: 'Expected',
+  RANGE_SEPARATOR: ' – '
+};
+
+/**
+ * Parses a month name or its three-letter abbreviation
+ * @param {string} name - Month name, e.g. "Jul" or "September"
+ * @returns {number|null} Month number (1-12) or null if not a month, e.g. "Marketing"
+ */
+function parseMonthName(name) {
+  if (!name) return null;
+  const lower = name.toLowerCase();
+  const index = DATE_CONSTANTS.MONTHS.findIndex(month => lower === month || lower === month.slice(0, 3));
+  return index === -1 ? null : index + 1;
+}
+
+/**
+ * Builds a "YYYY" or "YYYY-MM" date value
+ * @param {number} year - Four digit year
+ * @param {number|null} month - Month number (1-12) or null for a year-only date
+ * @returns {string} Date value
+ */
+function toDateValue(year, month) {
+  return month ? `${year}-${String(month).padStart(2, '0')}` : String(year);
+}
+
+/**
+ * Parses a free-text duration such as "Jul 2025 – Jul 2027 (Expected)", "2020 – 2022",
+ * "Sep 2024 – Present", "Since 2021" or "Aug 2025" into a structured date range
+ * @param {string} text - Free-text duration
+ * @returns {DateRange|null} Structured range, or null if the text holds no dates
+ */
+function parseDuration(text) {
+  if (typeof text !== 'string' || text.trim() === '') return null;
+
+  const dates = [];
+  let openEnded = false;
+  const regex = new RegExp(DATE_CONSTANTS.TOKEN_REGEX.source, 'gi');
+  let match;
+  while ((match = regex.exec(text)) !== null) {
+    if (match[1]) {
+      // "Present", "Since" and friends leave the end of the range open
+      openEnded = true;
+    } else if (match[2]) {
+      dates.push(toDateValue(Number(match[2]), Number(match[3]) || null));
+    } else {
+      dates.push(toDateValue(Number(match[5]), parseMonthName(match[4])));
+    }
+  }
+
+  if (dates.length === 0 && !openEnded) return null;
+
+  const range = {};
+  const [first, second] = dates;
+
+  if (!first) {
+    // "Present" on its own: ongoing with an unknown start
+  } else if (second && !openEnded) {
+    range.start = first;
+    range.end = second;
+  } else if (openEnded) {
+    range.start = first;
+  } else {
+    // A single date is a point in time, e.g. a certification month
+    range.start = first;
+    range.end = first;
+  }
+
+  if (range.end && DATE_CONSTANTS.EXPECTED_REGEX.test(text)) {
+    range.expected = true;
+  }
+
+  return range;
+}
+
+/**
+ * Converts a date value to a month index for comparisons
+ * @param {string} value - "YYYY" or "YYYY-MM" date value
+ * @param {'start'|'end'} edge - Which end of a year-only value to use
+ * @returns {number} Months since year 0
+ */
+function toMonthIndex(value, edge = 'start') {
+  const [year, month] = value.split('-').map(Number);
+  const resolvedMonth = month || (edge === 'end' ? 12 : 1);
+  return year * 12 + (resolvedMonth - 1);
+}
+
+/**
+ * Returns the month index of a Date
+ * @param {Date} date - Date to convert
+ * @returns {number} Months since year 0
+ */
+function dateToMonthIndex(date) {
+  return date.getFullYear() * 12 + date.getMonth();
+}
+
+/**
+ * Formats a single date value for display
+ * @param {string} value - "YYYY" or "YYYY-MM" date value
+ * @param {string} [locale] - BCP 47 locale; defaults to the runtime locale
+ * @returns {string} Formatted date, e.g. "Jul 2025"
+ */
+function formatDate(value, locale) {
+  const [year, month] = value.split('-').map(Number);
+  if (!month) return String(year);
+
+  return new Intl.DateTimeFormat(locale, { month: 'short', year: 'numeric', timeZone: 'UTC' })
+    .format(new Date(Date.UTC(year, month - 1, 1)));
+}
+
+/**
+ * Formats a date range for display
+ * @param {DateRange} range - Range to format
+ * @param {Object} [options] - Formatting options
+ * @param {string} [options.locale] - BCP 47 locale; defaults to the runtime locale
+ * @returns {string} Display string, e.g. "Jul 2025 – Jul 2027 (Expected)"
+ */
+function formatDateRange(range, options = {}) {
+  if (!range) return '';
+
+  const { locale } = options;
+
+  if (!range.start) {
+    return range.end ? formatDate(range.end, locale) : DATE_CONSTANTS.PRESENT_LABEL;
+  }
+
+  const start = formatDate(range.start, locale);
+  if (range.end === range.start) return start;
+
+  const end = range.end ? formatDate(range.end, locale) : DATE_CONSTANTS.PRESENT_LABEL;
+  const suffix = range.expected ? ` (${DATE_CONSTANTS.EXPECTED_LABEL})` : '';
+  return `${start}${DATE_CONSTANTS.RANGE_SEPARATOR}${end}${suffix}`;
+}
+
+/**
+ * Computes the number of months covered by a range, counting both end months.
+ * Ongoing ranges and projected end dates are counted up to now.
+ * @param {DateRange} range - Range to measure
+ * @param {Date} [now] - Reference date
+ * @returns {number|null} Months of tenure, or null without a start date
+ */
+function computeTenureMonths(range, now = new Date()) {
+  if (!range || !range.start) return null;
+
+  const nowIndex = dateToMonthIndex(now);
+  const start = toMonthIndex(range.start, 'start');
+  const end = range.end ? Math.min(toMonthIndex(range.end, 'end'), nowIndex) : nowIndex;
+
+  return Math.max(0, end - start + 1);
+}
+
+/**
+ * Formats a number of months as tenure
+ * @param {number|null} months - Months of tenure
+ * @returns {string} Tenure, e.g. "1 yr 4 mos", or '' when unknown
+ */
+function formatTenure(months) {
+  if (months === null || months === undefined || months <= 0) return '';
+
+  const years = Math.floor(months / 12);
+  const remainder = months % 12;
+  const parts = [];
+
+  if (years > 0) parts.push(`${years} yr${years !== 1 ? 's' : ''}`);
+  if (remainder > 0) parts.push(`${remainder} mo${remainder !== 1 ? 's' : ''}`);
+
+  return parts.join(' ');
+}
+
+/**
+ * Checks whether a range is ongoing (no end date, or an end date still in the future)
+ * @param {DateRange} range - Range to check
+ * @param {Date} [now] - Reference date
+ * @returns {boolean} True if the range is current
+ */
+function isCurrentRange(range, now = new Date()) {
+  if (!range) return false;
+  if (!range.end) return true;
+  return toMonthIndex(range.end, 'end') >= dateToMonthIndex(now);
+}
+
+/**
+ * Sort comparator placing the most recent range first. Ongoing ranges sort before
+ * finished ones; entries without a range keep their relative order at the end.
+ * @param {DateRange|null} a - First range
+ * @param {DateRange|null} b - Second range
+ * @returns {number} Comparator result
+ */
+function compareRangesDescending(a, b) {
+  if (!a || !b) return (a ? 0 : 1) - (b ? 0 : 1);
+
+  const endA = a.end ? toMonthIndex(a.end, 'end') : Infinity;
+  const endB = b.end ? toMonthIndex(b.end, 'end') : Infinity;
+  if (endA !== endB) return endB - endA;
+
+  if (!a.start || !b.start) return 0;
+  return toMonthIndex(b.start, 'start') - toMonthIndex(a.start, 'start');
+}
+
+/**
+ * Returns a copy of the portfolio data where every experience, education and certification
+ * entry without structured dates gets them parsed from its free-text duration or year
+ * @param {Object} portfolioData - Portfolio data
+ * @returns {Object} Portfolio data with structured dates
+ */
+function withStructuredDates(portfolioData) {
+  if (!portfolioData || typeof portfolioData !== 'object') return portfolioData;
+
+  const upgrade = (entries, textField) => {
+    if (!Array.isArray(entries)) return entries;
+    return entries.map(entry => {
+      if (!entry || entry.dates) return entry;
+      const dates = parseDuration(entry[textField]);
+      return dates ? { ...entry, dates } : entry;
+    });
+  };
+
+  return {
+    ...portfolioData,
+    experience: upgrade(portfolioData.experience, 'duration'),
+    education: upgrade(portfolioData.education, 'duration'),
+    certifications: upgrade(portfolioData.certifications, 'year')
+  };
+}
+
+// Export functions and constants for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  // Node.js environment
+  module.exports = {
+    DATE_CONSTANTS,
+    parseDuration,
+    formatDate,
+    formatDateRange,
+    computeTenureMonths,
+    formatTenure,
+    isCurrentRange,
+    compareRangesDescending,
+    withStructuredDates,
+    toMonthIndex
+  };
+} else {
+  // Browser environment
+  window.PortfolioDates = {
+    DATE_CONSTANTS,
+    parseDuration,
+    formatDate,
+    formatDateRange,
+    computeTenureMonths,
+    formatTenure,
+    isCurrentRange,
+    compareRangesDescending,
+    withStructuredDates,
+    toMonthIndex
+  };
+}
@@ -0,0 +1,372 @@
+/**
+ * @fileoverview Developer overlay listing the validation issues of the loaded portfolio data
+ * Shown only in dev mode (`?dev` or a localhost address). Each issue links to the rendered
+ * card it concerns, and the list updates whenever the data is reloaded or changed.
+ */
+
+const devOverlayTypes = typeof module !== 'undefined' && module.exports ? require('./types.js') : window.PortfolioTypes;
+
+// Dev overlay constants
+const DEV_OVERLAY_CONSTANTS = {
+  QUERY_PARAM: 'dev',
+  LOCAL_HOSTS: ['localhost', '127.0.0.1', '[::1]', '::1'],
+  OVERLAY_ID: 'dev-overlay',
+  HIGHLIGHT_CLASS: 'dev-overlay-highlight',
+  HIGHLIGHT_DURATION_MS: 2000,
+  // Sections whose entries have no rendered card of their own fall back to these elements
+  SECTION_ELEMENTS: {
+    personal: 'about',
+    education: 'education',
+    certifications: 'education',
+    experience: 'experience',
+    projects: 'projects',
+    skills: 'skills'
+  }
+};
+
+/**
+ * Tells whether the page runs in dev mode
+ * `?dev` turns dev mode on anywhere and `?dev=0` turns it off on localhost.
+ * @param {{search: string, hostname: string}} location - Page location
+ * @returns {boolean} True in dev mode
+ */
+function isDevMode(location) {
+  if (!location) {
+    return false;
+  }
+
+  const params = new URLSearchParams(location.search || '');
+  if (params.has(DEV_OVERLAY_CONSTANTS.QUERY_PARAM)) {
+    const value = params.get(DEV_OVERLAY_CONSTANTS.QUERY_PARAM);
+    return value !== '0' && value !== 'false';
+  }
+
+  const hostname = location.hostname || '';
+  return DEV_OVERLAY_CONSTANTS.LOCAL_HOSTS.includes(hostname) || hostname.endsWith('.localhost');
+}
+
+/**
+ * Returns the top-level section a validation issue belongs to
+ * @param {{path: string}} issue - Validation issue
+ * @returns {string} Section name, e.g. "projects", or "/" for issues with the whole document
+ */
+function getIssueSection(issue) {
+  const segments = parsePointerSegments(issue.path);
+  return segments.length > 0 ? segments[0] : '/';
+}
+
+/**
+ * Finds the rendered element closest to a JSON pointer
+ * Cards carry the pointer of their data in `data-path`; the element with the longest
+ * matching pointer wins, so `/projects/2/links/0/url` finds the card of `/projects/2`.
+ * @param {Document|Element} root - Where to search
+ * @param {string} path - JSON pointer of the issue
+ * @returns {Element|null} Matching element, the section of the issue, or null
+ */
+function findRenderedElement(root, path) {
+  const segments = parsePointerSegments(path);
+  let match = null;
+  let matchLength = 0;
+
+  root.querySelectorAll('[data-path]').forEach(element => {
+    const elementSegments = parsePointerSegments(element.getAttribute('data-path'));
+    const isPrefix = elementSegments.length > matchLength &&
+      elementSegments.length <= segments.length &&
+      elementSegments.every((segment, index) => segment === segments[index]);
+    if (isPrefix) {
+      match = element;
+      matchLength = elementSegments.length;
+    }
+  });
+
+  if (match) {
+    return match;
+  }
+
+  const sectionId = DEV_OVERLAY_CONSTANTS.SECTION_ELEMENTS[segments[0]];
+  const ownerDocument = root.ownerDocument || root;
+  return sectionId ? ownerDocument.getElementById(sectionId) : null;
+}
+
+/**
+ * Splits a JSON pointer into its segments, tolerating pointers that do not parse
+ * @param {string} pointer - JSON pointer
+ * @returns {string[]} Segments
+ */
+function parsePointerSegments(pointer) {
+  if (!pointer) {
+    return [];
+  }
+  try {
+    return devOverlayTypes.parsePointer(pointer);
+  } catch (error) {
+    return [];
+  }
+}
+
+/**
+ * Dismissible panel listing the current validation issues
+ */
+class DevOverlay {
+  /**
+   * @param {Object} portfolioData - PortfolioData instance to report on
+   */
+  constructor(portfolioData) {
+    this.portfolioData = portfolioData;
+    this.element = null;
+    this.isDismissed = false;
+    this.unsubscribe = null;
+  }
+
+  init() {
+    const styleSheet = document.createElement('style');
+    styleSheet.textContent = devOverlayStyles;
+    document.head.appendChild(styleSheet);
+
+    // Subscribers run after every reload and change, with the issues already refreshed
+    this.unsubscribe = this.portfolioData.subscribe('*', () => this.render());
+    this.render();
+  }
+
+  render() {
+    if (this.isDismissed) {
+      return;
+    }
+
+    const issues = this.portfolioData.getValidationErrors();
+    if (issues.length === 0) {
+      this.remove();
+      return;
+    }
+
+    if (!this.element) {
+      this.element = this.createElement();
+      document.body.appendChild(this.element);
+    }
+
+    const errorCount = issues.filter(issue => issue.severity !== 'warning').length;
+    const warningCount = issues.length - errorCount;
+    this.element.querySelector('.dev-overlay-title').textContent =
+      `Portfolio data: ${this.pluralize(errorCount, 'error')}, ${this.pluralize(warningCount, 'warning')}`;
+
+    const list = this.element.querySelector('.dev-overlay-list');
+    list.textContent = '';
+    issues.forEach(issue => list.appendChild(this.createIssueItem(issue)));
+  }
+
+  createElement() {
+    const overlay = document.createElement('aside');
+    overlay.id = DEV_OVERLAY_CONSTANTS.OVERLAY_ID;
+    overlay.className = 'dev-overlay';
+    overlay.setAttribute('aria-label', 'Portfolio data validation issues');
+
+    const header = document.createElement('div');
+    header.className = 'dev-overlay-header';
+
+    const title = document.createElement('h2');
+    title.className = 'dev-overlay-title';
+
+    const toggle = document.createElement('button');
+    toggle.type = 'button';
+    toggle.className = 'dev-overlay-toggle';
+    toggle.textContent = 'Hide';
+    toggle.setAttribute('aria-expanded', 'true');
+    toggle.addEventListener('click', () => {
+      const isExpanded = toggle.getAttribute('aria-expanded') === 'true';
+      toggle.setAttribute('aria-expanded', String(!isExpanded));
+      toggle.textContent = isExpanded ? 'Show' : 'Hide';
+      overlay.classList.toggle('collapsed', isExpanded);
+    });
+
+    const close = document.createElement('button');
+    close.type = 'button';
+    close.className = 'dev-overlay-close';
+    close.setAttribute('aria-label', 'Dismiss validation issues');
+    close.textContent = '×';
+    close.addEventListener('click', () => this.dismiss());
+
+    header.append(title, toggle, close);
+
+    const list = document.createElement('ol');
+    list.className = 'dev-overlay-list';
+
+    overlay.append(header, list);
+    return overlay;
+  }
+
+  createIssueItem(issue) {
+    const item = document.createElement('li');
+    item.className = `dev-overlay-issue ${issue.severity === 'warning' ? 'warning' : 'error'}`;
+
+    const section = document.createElement('span');
+    section.className = 'dev-overlay-section';
+    section.textContent = getIssueSection(issue);
+
+    const link = document.createElement('a');
+    link.className = 'dev-overlay-path';
+    link.href = '#';
+    link.textContent = issue.source && window.PortfolioCompose
+      ? window.PortfolioCompose.describeSource(issue.source)
+      : issue.path || '/';
+    link.addEventListener('click', event => {
+      event.preventDefault();
+      this.reveal(issue.path);
+    });
+
+    const message = document.createElement('p');
+    message.className = 'dev-overlay-message';
+    message.textContent = issue.message;
+
+    item.append(section, link, message);
+    return item;
+  }
+
+  // Scroll to the rendered card of an issue and highlight it briefly
+  reveal(path) {
+    const target = findRenderedElement(document, path);
+    if (!target) {
+      console.warn(`No rendered element found for ${path || '/'}`);
+      return;
+    }
+
+    target.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    target.classList.add(DEV_OVERLAY_CONSTANTS.HIGHLIGHT_CLASS);
+    setTimeout(() => {
+      target.classList.remove(DEV_OVERLAY_CONSTANTS.HIGHLIGHT_CLASS);
+    }, DEV_OVERLAY_CONSTANTS.HIGHLIGHT_DURATION_MS);
+  }
+
+  dismiss() {
+    this.isDismissed = true;
+    this.remove();
+  }
+
+  remove() {
+    if (this.element) {
+      this.element.remove();
+      this.element = null;
+    }
+  }
+
+  pluralize(count, noun) {
+    return `${count} ${noun}${count === 1 ? '' : 's'}`;
+  }
+}
+
+const devOverlayStyles = `
+  .dev-overlay {
+    position: fixed;
+    top: 1rem;
+    right: 1rem;
+    z-index: 10000;
+    width: min(28rem, calc(100vw - 2rem));
+    max-height: calc(100vh - 2rem);
+    display: flex;
+    flex-direction: column;
+    background: #1f2937;
+    color: #f9fafb;
+    border-radius: 8px;
+    box-shadow: 0 10px 30px rgba(0, 0, 0, 0.3);
+    font: 13px/1.4 ui-monospace, SFMono-Regular, Menlo, monospace;
+  }
+
+  .dev-overlay-header {
+    display: flex;
+    align-items: center;
+    gap: 0.5rem;
+    padding: 0.75rem 1rem;
+    border-bottom: 1px solid #374151;
+  }
+
+  .dev-overlay-title {
+    flex: 1;
+    margin: 0;
+    font-size: 13px;
+    font-weight: 600;
+  }
+
+  .dev-overlay-header button {
+    background: none;
+    border: 1px solid #4b5563;
+    border-radius: 4px;
+    color: inherit;
+    cursor: pointer;
+    font: inherit;
+    padding: 0.125rem 0.5rem;
+  }
+
+  .dev-overlay-list {
+    margin: 0;
+    padding: 0.5rem 1rem 0.75rem 2rem;
+    overflow-y: auto;
+  }
+
+  .dev-overlay.collapsed .dev-overlay-list {
+    display: none;
+  }
+
+  .dev-overlay-issue {
+    padding: 0.375rem 0;
+    border-bottom: 1px solid #374151;
+  }
+
+  .dev-overlay-issue.error::marker {
+    color: #f87171;
+  }
+
+  .dev-overlay-issue.warning::marker {
+    color: #fbbf24;
+  }
+
+  .dev-overlay-section {
+    display: inline-block;
+    margin-right: 0.5rem;
+    padding: 0 0.375rem;
+    border-radius: 4px;
+    background: #374151;
+  }
+
+  .dev-overlay-path {
+    color: #93c5fd;
+    word-break: break-all;
+  }
+
+  .dev-overlay-message {
+    margin: 0.25rem 0 0;
+    color: #d1d5db;
+  }
+
+  .dev-overlay-highlight {
+    outline: 3px solid #f97316;
+    outline-offset: 4px;
+    transition: outline-color 0.3s ease;
+  }
+`;
+
+// Export functions and constants for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  // Node.js environment
+  module.exports = {
+    DEV_OVERLAY_CONSTANTS,
+    isDevMode,
+    getIssueSection,
+    findRenderedElement
+  };
+} else {
+  // Browser environment
+  window.PortfolioDevOverlay = {
+    DEV_OVERLAY_CONSTANTS,
+    isDevMode,
+    getIssueSection,
+    findRenderedElement,
+    DevOverlay
+  };
+
+  // The overlay starts once the data has loaded and rendered
+  document.addEventListener('portfolioLoaded', () => {
+    if (isDevMode(window.location) && window.portfolioData && !window.devOverlay) {
+      window.devOverlay = new DevOverlay(window.portfolioData);
+      window.devOverlay.init();
+    }
+  });
+}
@@ -0,0 +1,144 @@
+/**
+ * @fileoverview Unit tests for the developer overlay helpers
+ * These tests use plain objects in place of DOM elements
+ */
+
+// Import the overlay helpers
+let PortfolioDevOverlay;
+if (typeof require !== 'undefined') {
+  // Node.js environment
+  PortfolioDevOverlay = require('./dev-overlay.js');
+} else {
+  // Browser environment - assume dev-overlay.js is already loaded
+  PortfolioDevOverlay = window.PortfolioDevOverlay;
+}
+
+// Test utilities
+const TestRunner = {
+  tests: [],
+  passed: 0,
+  failed: 0,
+
+  test(name, testFn) {
+    this.tests.push({ name, testFn });
+  },
+
+  expect(actual) {
+    return {
+      toBe(expected) {
+        if (actual === expected) {
+          return { passed: true };
+        }
+        return { passed: false, message: `Expected ${expected}, got ${actual}` };
+      },
+
+      toEqual(expected) {
+        if (JSON.stringify(actual) === JSON.stringify(expected)) {
+          return { passed: true };
+        }
+        return { passed: false, message: `Expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}` };
+      },
+
+      toContain(expected) {
+        if (Array.isArray(actual) && actual.includes(expected)) {
+          return { passed: true };
+        }
+        return { passed: false, message: `Expected ${JSON.stringify(actual)} to contain ${expected}` };
+      }
+    };
+  },
+
+  run() {
+    console.log('Running developer overlay tests...\n');
+
+    this.tests.forEach(({ name, testFn }) => {
+      try {
+        const result = testFn();
+        if (result.passed) {
+          this.passed++;
+          console.log(`✓ ${name}`);
+        } else {
+          this.failed++;
+          console.log(`✗ ${name}: ${result.message}`);
+        }
+      } catch (error) {
+        this.failed++;
+        console.log(`✗ ${name}: ${error.message}`);
+      }
+    });
+
+    console.log(`\nTest Results: ${this.passed} passed, ${this.failed} failed`);
+    return this.failed === 0;
+  }
+};
+
+// Test data
+function createElement(path) {
+  return { getAttribute: name => (name === 'data-path' ? path : null) };
+}
+
+function createRoot(paths, sections = {}) {
+  const elements = paths.map(createElement);
+  return {
+    elements,
+    querySelectorAll: () => elements,
+    getElementById: id => sections[id] || null
+  };
+}
+
+// Dev mode tests
+TestRunner.test('isDevMode - is on for localhost addresses', () => {
+  return TestRunner.expect(['localhost', '127.0.0.1', '[::1]', 'portfolio.localhost']
+    .map(hostname => PortfolioDevOverlay.isDevMode({ search: '', hostname }))).toEqual([true, true, true, true]);
+});
+
+TestRunner.test('isDevMode - is off for other hosts unless ?dev is set', () => {
+  return TestRunner.expect([
+    PortfolioDevOverlay.isDevMode({ search: '', hostname: 'example.com' }),
+    PortfolioDevOverlay.isDevMode({ search: '?dev', hostname: 'example.com' }),
+    PortfolioDevOverlay.isDevMode({ search: '?lang=en&dev=1', hostname: 'example.com' })
+  ]).toEqual([false, true, true]);
+});
+
+TestRunner.test('isDevMode - ?dev=0 turns it off on localhost', () => {
+  return TestRunner.expect(PortfolioDevOverlay.isDevMode({ search: '?dev=0', hostname: 'localhost' })).toBe(false);
+});
+
+// Issue tests
+TestRunner.test('getIssueSection - returns the first pointer segment', () => {
+  return TestRunner.expect([
+    PortfolioDevOverlay.getIssueSection({ path: '/projects/2/links/0/url' }),
+    PortfolioDevOverlay.getIssueSection({ path: '' }),
+    PortfolioDevOverlay.getIssueSection({ path: 'not a pointer' })
+  ]).toEqual(['projects', '/', '/']);
+});
+
+// Element lookup tests
+TestRunner.test('findRenderedElement - picks the longest matching data-path', () => {
+  const root = createRoot(['/skills/0', '/skills/0/skills/1', '/skills/0/skills/10']);
+  return TestRunner.expect(PortfolioDevOverlay.findRenderedElement(root, '/skills/0/skills/1/level'))
+    .toBe(root.elements[1]);
+});
+
+TestRunner.test('findRenderedElement - does not match a sibling with a longer index', () => {
+  const root = createRoot(['/projects/1', '/projects/12']);
+  return TestRunner.expect(PortfolioDevOverlay.findRenderedElement(root, '/projects/12/title'))
+    .toBe(root.elements[1]);
+});
+
+TestRunner.test('findRenderedElement - falls back to the section element', () => {
+  const about = { id: 'about' };
+  const root = createRoot(['/projects/0'], { about });
+  return TestRunner.expect([
+    PortfolioDevOverlay.findRenderedElement(root, '/personal/contact/email'),
+    PortfolioDevOverlay.findRenderedElement(root, '/unknown/0')
+  ]).toEqual([about, null]);
+});
+
+// Run tests if this file is executed directly
+if (typeof require !== 'undefined' && require.main === module) {
+  process.exitCode = TestRunner.run() ? 0 : 1;
+} else if (typeof window !== 'undefined') {
+  // Browser environment - expose test runner
+  window.PortfolioDevOverlayTestRunner = TestRunner;
+}
@@ -0,0 +1,289 @@
+/**
+ * @fileoverview Typo-tolerant fuzzy matching for the skills search
+ * A query matches text exactly, as a prefix or substring, as an abbreviation made of the
+ * beginnings of its words ("gci" in "GitLab CI") or with a few typos ("pyhton" in "Python"). Matches are scored so
+ * results can be ranked, and report which characters matched so they can be highlighted.
+ */
+
+// Fuzzy matching constants
+const FUZZY_CONSTANTS = {
+  SCORES: {
+    EXACT: 1,
+    PREFIX: 0.9,
+    WORD_START: 0.85,
+    SUBSTRING: 0.8,
+    // Abbreviation scores range from ABBREVIATION_MIN to ABBREVIATION_MAX with how compact the match is
+    ABBREVIATION_MIN: 0.4,
+    ABBREVIATION_MAX: 0.7,
+    TYPO: 0.35,
+    TYPO_PENALTY: 0.1
+  },
+  // Typos allowed for queries of at least this many characters
+  TYPO_THRESHOLDS: [
+    { minLength: 8, typos: 2 },
+    { minLength: 4, typos: 1 }
+  ]
+};
+
+/**
+ * Normalizes a query for matching: lowercase with single spaces
+ * @param {string} query - Query
+ * @returns {string} Normalized query
+ */
+function normalizeQuery(query) {
+  return String(query).toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Finds the query in the text, preferring an occurrence at the start of a word
+ * @param {string} query - Normalized query
+ * @param {string} text - Lowercase text
+ * @returns {{index: number, isWordStart: boolean}|null} Occurrence, or null
+ */
+function findSubstring(query, text) {
+  const firstIndex = text.indexOf(query);
+  for (let index = firstIndex; index !== -1; index = text.indexOf(query, index + 1)) {
+    if (index === 0 || !/[a-z0-9]/.test(text[index - 1])) {
+      return { index, isWordStart: true };
+    }
+  }
+  return firstIndex !== -1 ? { index: firstIndex, isWordStart: false } : null;
+}
+
+/**
+ * Returns how many typos a query may contain
+ * @param {string} query - Normalized query
+ * @returns {number} Allowed typos
+ */
+function getAllowedTypos(query) {
+  const threshold = FUZZY_CONSTANTS.TYPO_THRESHOLDS.find(candidate => query.length >= candidate.minLength);
+  return threshold ? threshold.typos : 0;
+}
+
+/**
+ * Lists the indices from start up to, but not including, end
+ * @param {number} start - First index
+ * @param {number} end - Index after the last
+ * @returns {number[]} Indices
+ */
+function range(start, end) {
+  return Array.from({ length: end - start }, (_, offset) => start + offset);
+}
+
+/**
+ * Tells whether a character of the text begins a word
+ * @param {string} text - Lowercase text
+ * @param {number} index - Character index
+ * @returns {boolean} True at the start of the text or after a character that is no letter or digit
+ */
+function isWordStart(text, index) {
+  return index === 0 || !/[a-z0-9]/.test(text[index - 1]);
+}
+
+/**
+ * Finds the query as an abbreviation of the text: its characters appear in order, starting at
+ * the beginning of a word, and whenever characters are skipped the match goes on at the
+ * beginning of a later word
+ * @param {string} query - Normalized query
+ * @param {string} text - Lowercase text
+ * @returns {number[]|null} Indices of the matched characters, or null
+ */
+function findAbbreviation(query, text) {
+  const matchFrom = (queryIndex, textIndex) => {
+    if (queryIndex === query.length) {
+      return [];
+    }
+    for (let index = textIndex; index < text.length; index++) {
+      const continues = index === textIndex && queryIndex > 0;
+      if (text[index] === query[queryIndex] && (continues || isWordStart(text, index))) {
+        const rest = matchFrom(queryIndex + 1, index + 1);
+        if (rest) {
+          return [index, ...rest];
+        }
+      }
+    }
+    return null;
+  };
+
+  return matchFrom(0, 0);
+}
+
+/**
+ * Finds the substring of the text closest to the query, counting insertions, deletions,
+ * substitutions and swaps of neighbouring characters as one typo each
+ * @param {string} query - Normalized query
+ * @param {string} text - Lowercase text
+ * @returns {{typos: number, start: number, end: number}} Closest substring and its distance
+ */
+function findClosestSubstring(query, text) {
+  // distances[i][j]: typos between the first i query characters and a substring ending at j;
+  // starts[i][j]: where that substring begins
+  const distances = [Array(text.length + 1).fill(0)];
+  const starts = [range(0, text.length + 1)];
+
+  for (let i = 1; i <= query.length; i++) {
+    distances[i] = [i];
+    starts[i] = [0];
+    for (let j = 1; j <= text.length; j++) {
+      const cost = query[i - 1] === text[j - 1] ? 0 : 1;
+      const options = [
+        [distances[i - 1][j - 1] + cost, starts[i - 1][j - 1]],
+        [distances[i - 1][j] + 1, starts[i - 1][j]],
+        [distances[i][j - 1] + 1, starts[i][j - 1]]
+      ];
+      if (i > 1 && j > 1 && query[i - 1] === text[j - 2] && query[i - 2] === text[j - 1]) {
+        options.push([distances[i - 2][j - 2] + 1, starts[i - 2][j - 2]]);
+      }
+      const [distance, start] = options.reduce((a, b) => (b[0] < a[0] ? b : a));
+      distances[i][j] = distance;
+      starts[i][j] = start;
+    }
+  }
+
+  let end = 1;
+  for (let j = 2; j <= text.length; j++) {
+    if (distances[query.length][j] < distances[query.length][end]) {
+      end = j;
+    }
+  }
+  // "pythn" is as close to "pyth" as to "python"; take the longer match
+  while (end < text.length && distances[query.length][end + 1] === distances[query.length][end]) {
+    end++;
+  }
+
+  return { typos: distances[query.length][end], start: starts[query.length][end], end };
+}
+
+/**
+ * Matches a query against a piece of text
+ * @param {string} query - Search query
+ * @param {string} text - Text to search
+ * @returns {{score: number, indices: number[]}|null} Score between 0 and 1 and the indices of
+ *   the matched characters in the text, or null when the text does not match
+ */
+function fuzzyMatch(query, text) {
+  const normalizedQuery = normalizeQuery(query);
+  // Only the case changes, so indices into the lowercase text are indices into the text
+  const normalizedText = String(text).toLowerCase();
+  const { SCORES } = FUZZY_CONSTANTS;
+
+  if (!normalizedQuery || !normalizedText) {
+    return null;
+  }
+
+  const substring = findSubstring(normalizedQuery, normalizedText);
+  if (substring) {
+    const indices = range(substring.index, substring.index + normalizedQuery.length);
+    if (normalizedText.trim() === normalizedQuery) {
+      return { score: SCORES.EXACT, indices };
+    }
+    if (substring.index === 0) {
+      return { score: SCORES.PREFIX, indices };
+    }
+    return { score: substring.isWordStart ? SCORES.WORD_START : SCORES.SUBSTRING, indices };
+  }
+
+  const indices = normalizedQuery.length >= 2 ? findAbbreviation(normalizedQuery, normalizedText) : null;
+  if (indices) {
+    const compactness = normalizedQuery.length / (indices[indices.length - 1] - indices[0] + 1);
+    return {
+      score: SCORES.ABBREVIATION_MIN + (SCORES.ABBREVIATION_MAX - SCORES.ABBREVIATION_MIN) * compactness,
+      indices
+    };
+  }
+
+  const allowedTypos = getAllowedTypos(normalizedQuery);
+  if (allowedTypos > 0) {
+    const closest = findClosestSubstring(normalizedQuery, normalizedText);
+    if (closest.typos <= allowedTypos) {
+      return {
+        score: SCORES.TYPO - SCORES.TYPO_PENALTY * (closest.typos - 1),
+        indices: range(closest.start, closest.end)
+      };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * @typedef {Object} RankedMatch
+ * @property {*} item - Candidate item
+ * @property {number} score - Weighted score of the best matching field
+ * @property {string} field - Name of the best matching field
+ * @property {string} text - Text of the best matching field
+ * @property {number[]} indices - Matched characters in that text
+ */
+
+/**
+ * Matches a query against several fields of each candidate and ranks the candidates
+ * Each candidate scores the best weighted score of its fields; candidates with the same score
+ * keep their order.
+ * @param {string} query - Search query
+ * @param {Array<{item: *, fields: Array<{name: string, text: string, weight: number}>}>} candidates - Candidates
+ * @returns {RankedMatch[]} Matching candidates, best first
+ */
+function rankMatches(query, candidates) {
+  const matches = [];
+
+  candidates.forEach(candidate => {
+    let best = null;
+    candidate.fields.forEach(field => {
+      const match = field.text ? fuzzyMatch(query, field.text) : null;
+      const score = match ? match.score * field.weight : 0;
+      if (match && (!best || score > best.score)) {
+        best = { item: candidate.item, score, field: field.name, text: field.text, indices: match.indices };
+      }
+    });
+    if (best) {
+      matches.push(best);
+    }
+  });
+
+  // Array.prototype.sort is stable, so equal scores keep the candidate order
+  return matches.sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Splits text into matched and unmatched runs, for highlighting
+ * @param {string} text - Text
+ * @param {number[]} indices - Matched characters
+ * @returns {Array<{text: string, matched: boolean}>} Runs in order
+ */
+function splitMatches(text, indices) {
+  const matched = new Set(indices);
+  const runs = [];
+
+  Array.from(text).forEach((character, index) => {
+    const isMatched = matched.has(index);
+    const last = runs[runs.length - 1];
+    if (last && last.matched === isMatched) {
+      last.text += character;
+    } else {
+      runs.push({ text: character, matched: isMatched });
+    }
+  });
+
+  return runs;
+}
+
+// Export functions and constants for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  // Node.js environment
+  module.exports = {
+    FUZZY_CONSTANTS,
+    normalizeQuery,
+    fuzzyMatch,
+    rankMatches,
+    splitMatches
+  };
+} else {
+  // Browser environment
+  window.PortfolioFuzzy = {
+    FUZZY_CONSTANTS,
+    normalizeQuery,
+    fuzzyMatch,
+    rankMatches,
+    splitMatches
+  };
+}
@@ -0,0 +1,159 @@
+/**
+ * @fileoverview Unit tests for fuzzy matching
+ */
+
+// Import fuzzy matching
+let PortfolioFuzzy;
+if (typeof require !== 'undefined') {
+  // Node.js environment
+  PortfolioFuzzy = require('./fuzzy.js');
+} else {
+  // Browser environment - assume fuzzy.js is already loaded
+  PortfolioFuzzy = window.PortfolioFuzzy;
+}
+
+// Test utilities
+const TestRunner = {
+  tests: [],
+  passed: 0,
+  failed: 0,
+
+  test(name, testFn) {
+    this.tests.push({ name, testFn });
+  },
+
+  expect(actual) {
+    return {
+      toBe(expected) {
+        if (actual === expected) {
+          return { passed: true };
+        }
+        return { passed: false, message: `Expected ${expected}, got ${actual}` };
+      },
+
+      toEqual(expected) {
+        if (JSON.stringify(actual) === JSON.stringify(expected)) {
+          return { passed: true };
+        }
+        return { passed: false, message: `Expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}` };
+      },
+
+      toContain(expected) {
+        if (Array.isArray(actual) && actual.includes(expected)) {
+          return { passed: true };
+        }
+        return { passed: false, message: `Expected ${JSON.stringify(actual)} to contain ${expected}` };
+      }
+    };
+  },
+
+  run() {
+    console.log('Running fuzzy search tests...\n');
+
+    this.tests.forEach(({ name, testFn }) => {
+      try {
+        const result = testFn();
+        if (result.passed) {
+          this.passed++;
+          console.log(`✓ ${name}`);
+        } else {
+          this.failed++;
+          console.log(`✗ ${name}: ${result.message}`);
+        }
+      } catch (error) {
+        this.failed++;
+        console.log(`✗ ${name}: ${error.message}`);
+      }
+    });
+
+    console.log(`\nTest Results: ${this.passed} passed, ${this.failed} failed`);
+    return this.failed === 0;
+  }
+};
+
+// Test data
+const { SCORES } = PortfolioFuzzy.FUZZY_CONSTANTS;
+
+const skillCandidates = [
+  { item: 'aws', fields: [{ name: 'name', text: 'AWS (EC2, VPC, S3)', weight: 1 }, { name: 'alias', text: 'Amazon Web Services', weight: 0.9 }] },
+  { item: 'security', fields: [{ name: 'name', text: 'Cloud Security', weight: 1 }, { name: 'category', text: 'Cloud & DevOps', weight: 0.7 }] },
+  { item: 'nmap', fields: [{ name: 'name', text: 'Nmap', weight: 1 }, { name: 'category', text: 'Security Tools', weight: 0.7 }] }
+];
+
+// Matching tests
+TestRunner.test('fuzzyMatch - scores exact, prefix, word and inner matches in that order', () => {
+  const scores = ['python', 'pyt', 'sec', 'cur'].map((query, index) =>
+    PortfolioFuzzy.fuzzyMatch(query, ['Python', 'Python', 'Cloud Security', 'Cloud Security'][index]).score);
+  return TestRunner.expect(scores).toEqual([SCORES.EXACT, SCORES.PREFIX, SCORES.WORD_START, SCORES.SUBSTRING]);
+});
+
+TestRunner.test('fuzzyMatch - ignores case and extra spaces in the query', () => {
+  return TestRunner.expect(PortfolioFuzzy.fuzzyMatch('  CLOUD   sec ', 'Cloud Security')).toEqual({
+    score: SCORES.PREFIX,
+    indices: [0, 1, 2, 3, 4, 5, 6, 7, 8]
+  });
+});
+
+TestRunner.test('fuzzyMatch - matches abbreviations made of word beginnings', () => {
+  return TestRunner.expect([
+    PortfolioFuzzy.fuzzyMatch('gci', 'GitLab CI/CD').indices,
+    PortfolioFuzzy.fuzzyMatch('iac', 'Infrastructure as Code').indices,
+    PortfolioFuzzy.fuzzyMatch('sec', 'AWS (EC2, VPC)')
+  ]).toEqual([[0, 7, 8], [0, 15, 18], null]);
+});
+
+TestRunner.test('fuzzyMatch - tolerates typos in longer queries', () => {
+  const swapped = PortfolioFuzzy.fuzzyMatch('pyhton', 'Python');
+  const missing = PortfolioFuzzy.fuzzyMatch('pythn', 'Python');
+  const twoTypos = PortfolioFuzzy.fuzzyMatch('kubrenets', 'Kubernetes');
+  return TestRunner.expect([swapped.score, swapped.indices, missing.indices.length, twoTypos.score.toFixed(2)])
+    .toEqual([SCORES.TYPO, [0, 1, 2, 3, 4, 5], 6, (SCORES.TYPO - SCORES.TYPO_PENALTY).toFixed(2)]);
+});
+
+TestRunner.test('fuzzyMatch - short queries must match without typos', () => {
+  return TestRunner.expect([
+    PortfolioFuzzy.fuzzyMatch('pyt', 'Java'),
+    PortfolioFuzzy.fuzzyMatch('jvaa', 'Python'),
+    PortfolioFuzzy.fuzzyMatch('', 'Python')
+  ]).toEqual([null, null, null]);
+});
+
+// Ranking tests
+TestRunner.test('rankMatches - ranks by the best weighted field', () => {
+  const ranked = PortfolioFuzzy.rankMatches('sec', skillCandidates);
+  return TestRunner.expect(ranked.map(match => [match.item, match.field])).toEqual([
+    ['security', 'name'],
+    ['nmap', 'category']
+  ]);
+});
+
+TestRunner.test('rankMatches - reports the matched alias', () => {
+  const [match] = PortfolioFuzzy.rankMatches('amazon', skillCandidates);
+  return TestRunner.expect([match.item, match.field, match.text, match.indices])
+    .toEqual(['aws', 'alias', 'Amazon Web Services', [0, 1, 2, 3, 4, 5]]);
+});
+
+TestRunner.test('rankMatches - keeps the candidate order for equal scores', () => {
+  const ranked = PortfolioFuzzy.rankMatches('cloud', [
+    { item: 'first', fields: [{ name: 'name', text: 'Cloud Security', weight: 1 }] },
+    { item: 'second', fields: [{ name: 'name', text: 'Cloud Storage', weight: 1 }] }
+  ]);
+  return TestRunner.expect(ranked.map(match => match.item)).toEqual(['first', 'second']);
+});
+
+// Highlighting tests
+TestRunner.test('splitMatches - groups matched characters into runs', () => {
+  return TestRunner.expect(PortfolioFuzzy.splitMatches('GitLab CI', [0, 7, 8])).toEqual([
+    { text: 'G', matched: true },
+    { text: 'itLab ', matched: false },
+    { text: 'CI', matched: true }
+  ]);
+});
+
+// Run tests if this file is executed directly
+if (typeof require !== 'undefined' && require.main === module) {
+  process.exitCode = TestRunner.run() ? 0 : 1;
+} else if (typeof window !== 'undefined') {
+  // Browser environment - expose test runner
+  window.PortfolioFuzzyTestRunner = TestRunner;
+}
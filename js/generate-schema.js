@@ -0,0 +1,23 @@
+/**
+ * @fileoverview Script to generate data/portfolio.schema.json from the type definitions
+ * Run with --check to fail (exit code 1) when the committed schema is out of date
+ */
+
+const fs = require('fs');
+const path = require('path');
+const PortfolioSchema = require('./schema.js');
+
+const schemaPath = path.join(__dirname, '../data', PortfolioSchema.SCHEMA_CONSTANTS.FILE_NAME);
+const schemaText = `${JSON.stringify(PortfolioSchema.buildPortfolioSchema(), null, 2)}\n`;
+
+if (process.argv.includes('--check')) {
+  const current = fs.existsSync(schemaPath) ? fs.readFileSync(schemaPath, 'utf8') : '';
+  if (current !== schemaText) {
+    console.error(`✗ ${schemaPath} is out of date. Run: node js/generate-schema.js`);
+    process.exit(1);
+  }
+  console.log(`✓ ${schemaPath} is up to date`);
+} else {
+  fs.writeFileSync(schemaPath, schemaText);
+  console.log(`✓ Schema written to ${schemaPath}`);
+}
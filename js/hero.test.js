@@ -45,7 +45,7 @@ describe('Hero Component', () => {
           email: 'john@example.com',
           linkedin: 'https://linkedin.com/in/johndoe',
           github: 'https://github.com/johndoe',
-          behance: 'https://behance.net/johndoe'
+          social: [{ network: 'behance', url: 'https://behance.net/johndoe' }]
         }
       }
     };
@@ -132,9 +132,10 @@ describe('Hero Component', () => {
           if (contact.github) {
             links.push(`<a href="${contact.github}" class="contact-link" target="_blank" rel="noopener noreferrer" aria-label="Visit GitHub profile">GitHub</a>`);
           }
-          if (contact.behance) {
-            links.push(`<a href="${contact.behance}" class="contact-link" target="_blank" rel="noopener noreferrer" aria-label="Visit Behance portfolio">Behance</a>`);
-          }
+          (contact.social || []).forEach(link => {
+            const label = link.network.charAt(0).toUpperCase() + link.network.slice(1);
+            links.push(`<a href="${link.url}" class="contact-link" target="_blank" rel="noopener noreferrer" aria-label="Visit ${label} profile">${label}</a>`);
+          });
           return links.join('');
         }
       };
@@ -10,6 +10,15 @@ class App {
     // Component registry for managing all sections
     this.components = new Map();
     
+    // Skills search kept across re-renders of the skills section
+    this.skillsSearch = { query: '', activeId: null };
+    
+    // Project filter, read from the query string whenever the projects section renders
+    this.projectFilter = null;
+    
+    // Projects grid: sort order, how many projects to show and which cards are on the page
+    this.projectList = null;
+    
     // Initialize the application
     this.init();
   }
@@ -23,7 +32,9 @@ class App {
       this.initializeComponents();
       
       // Load portfolio data with error handling
-      await this.loadPortfolioDataWithRetry();
+      await this.loadPortfolioData();
+      this.showDataNotice();
+      this.subscribeToDataChanges();
       
       // Initialize navigation and smooth scrolling
       this.initializeNavigation();
@@ -46,6 +57,9 @@ class App {
       // Trigger any post-load animations
       this.handleLoadComplete();
       
+      // Bring cached data up to date without blocking the first render
+      this.applyRevalidation();
+      
       console.log('✅ Portfolio App initialized successfully');
       
     } catch (error) {
@@ -177,101 +191,81 @@ class App {
     }
   }
 
-  async loadPortfolioDataWithRetry(maxRetries = 3) {
+  async loadPortfolioData() {
     // Check if portfolioData is available
     if (!window.portfolioData) {
-      console.warn('⚠️ Portfolio data module not available, using fallback');
-      this.initializeFallbackData();
-      return;
+      throw new Error('Portfolio data module not available');
     }
     
-    let retries = 0;
+    // Retries happen per request inside the data module, so one call is enough here
+    await window.portfolioData.loadData();
+    console.log('✅ Portfolio data loaded successfully');
+  }
+
+  // Shows the data notice once cached data was checked in the background; sections whose
+  // data changed are re-rendered by the change subscription
+  async applyRevalidation() {
+    if (!window.portfolioData || !window.portfolioData.revalidation) return;
     
-    while (retries < maxRetries) {
-      try {
-        await window.portfolioData.loadData();
-        console.log('✅ Portfolio data loaded successfully');
-        return;
-      } catch (error) {
-        retries++;
-        console.warn(`⚠️ Data loading attempt ${retries} failed:`, error.message);
-        
-        if (retries === maxRetries) {
-          console.warn('⚠️ Using fallback data due to network issues');
-          this.initializeFallbackData();
-          return;
-        }
-        
-        // Exponential backoff
-        await new Promise(resolve => setTimeout(resolve, Math.pow(2, retries) * 1000));
-      }
+    try {
+      await window.portfolioData.revalidation;
+      this.showDataNotice();
+    } catch (error) {
+      console.error('❌ Error checking cached data for updates:', error);
     }
   }
 
-  initializeFallbackData() {
-    // Create a minimal fallback data structure
-    window.portfolioData = {
-      getData: () => ({
-        personal: {
-          name: 'Professional Portfolio',
-          title: 'Cloud Engineer & Cybersecurity Professional',
-          bio: 'Experienced professional specializing in cloud infrastructure, cybersecurity, and API development.',
-          summary: 'Passionate about building secure, scalable cloud solutions and protecting digital assets.',
-          contact: {
-            email: 'contact@example.com',
-            linkedin: 'https://linkedin.com/in/example',
-            github: 'https://github.com/example'
-          }
-        },
-        experience: [
-          {
-            id: 1,
-            company: 'Tech Company',
-            title: 'Senior Cloud Engineer',
-            duration: '2020 - Present',
-            achievements: [
-              'Designed and implemented cloud infrastructure solutions',
-              'Improved system security and performance',
-              'Led cross-functional development teams'
-            ]
-          }
-        ],
-        projects: [
-          {
-            id: 1,
-            title: 'Cloud Security Platform',
-            description: 'Comprehensive security monitoring and threat detection system.',
-            tools: ['AWS', 'Python', 'Docker', 'Kubernetes'],
-            outcomes: ['Reduced security incidents by 60%', 'Improved response time by 40%']
-          }
-        ],
-        skills: [
-          {
-            category: 'Cloud Platforms',
-            skills: [
-              { name: 'AWS', level: 'Expert' },
-              { name: 'Azure', level: 'Advanced' },
-              { name: 'Google Cloud', level: 'Intermediate' }
-            ]
-          },
-          {
-            category: 'Security',
-            skills: [
-              { name: 'Penetration Testing', level: 'Advanced' },
-              { name: 'Threat Analysis', level: 'Expert' },
-              { name: 'Compliance', level: 'Advanced' }
-            ]
-          }
-        ]
-      }),
-      getPersonalInfo: function() { return this.getData().personal; },
-      getExperience: function() { return this.getData().experience; },
-      getProjects: function() { return this.getData().projects; },
-      getSkills: function() { return this.getData().skills; },
-      loadData: function() { return Promise.resolve(); }
-    };
+  // Re-renders only the components whose data changed, e.g. after live edits or background updates
+  subscribeToDataChanges() {
+    if (!window.portfolioData || typeof window.portfolioData.subscribe !== 'function') return;
     
-    console.log('📦 Fallback data initialized');
+    window.portfolioData.subscribe('*', change => {
+      this.getSectionsForField(change.section).forEach(name => this.refreshComponent(name));
+      
+      if (change.section === 'personal' && window.SEOManager) {
+        window.SEOManager.initialize(window.portfolioData.getData());
+      }
+    });
+  }
+
+  // Maps a top-level data field to the sections that render it
+  getSectionsForField(field) {
+    const sectionsByField = {
+      personal: ['hero', 'about', 'summary', 'contact'],
+      education: ['education'],
+      certifications: ['education', 'skills'],
+      // Skills list the projects, roles and certifications that use them
+      experience: ['experience', 'skills'],
+      projects: ['projects', 'skills'],
+      skills: ['skills']
+    };
+    return sectionsByField[field] || [];
+  }
+
+  // Tells visitors when loading failed and the page shows cached or placeholder content
+  showDataNotice() {
+    const portfolioData = window.portfolioData;
+    if (!portfolioData || (!portfolioData.cachedAt && !portfolioData.isPlaceholder)) return;
+
+    let notice = document.getElementById('data-notice');
+    if (!notice) {
+      notice = document.createElement('div');
+      notice.id = 'data-notice';
+      notice.className = 'data-notice';
+      notice.setAttribute('role', 'status');
+      document.body.insertBefore(notice, document.body.firstChild);
+    }
+
+    if (portfolioData.cachedAt) {
+      const savedAt = new Date(portfolioData.cachedAt).toLocaleDateString(undefined, {
+        year: 'numeric',
+        month: 'long',
+        day: 'numeric'
+      });
+      notice.textContent = `The latest portfolio could not be loaded, showing cached content from ${savedAt}.`;
+    } else {
+      notice.textContent = 'The portfolio could not be loaded. Please check your connection and refresh the page.';
+    }
   }
 
   setupSmoothScrolling() {
@@ -512,11 +506,11 @@ class App {
     
     if (!timelineElement) return;
     
-    // Generate education timeline HTML
+    // Generate education timeline HTML, most recent first
     if (data.education && data.education.length > 0) {
-      timelineElement.innerHTML = data.education.map((edu, index) => `
-        <div class="education-item animate-on-scroll">
-          <div class="education-year">${this.escapeHtml(edu.duration)}</div>
+      timelineElement.innerHTML = this.sortByDates(data.education).map((edu, index) => `
+        <div class="education-item animate-on-scroll" data-path="${this.getEntryPath('education', edu)}">
+          <div class="education-year">${this.escapeHtml(this.formatEntryDates(edu, 'duration'))}</div>
           <div class="education-content">
             <h3 class="education-degree">${this.escapeHtml(edu.degree)}</h3>
             <div class="education-school">${this.escapeHtml(edu.institution)}</div>
@@ -530,17 +524,21 @@ class App {
       `).join('');
     }
     
-    // Add certifications section after education
+    // Add certifications section after education, replacing the one from an earlier render
+    const previousCertifications = timelineElement.parentElement &&
+      timelineElement.parentElement.querySelector(':scope > .certifications-section');
+    if (previousCertifications) previousCertifications.remove();
+    
     if (data.certifications && data.certifications.length > 0) {
       const certificationsHTML = `
         <div class="certifications-section">
           <h3 class="certifications-title">Certifications</h3>
           <div class="certifications-grid">
             ${data.certifications.map(cert => `
-              <div class="certification-item">
+              <div class="certification-item" data-path="${this.getEntryPath('certifications', cert)}">
                 <h4 class="certification-name">${this.escapeHtml(cert.name)}</h4>
                 <p class="certification-issuer">${this.escapeHtml(cert.issuer)}</p>
-                <p class="certification-year">${this.escapeHtml(cert.year)}</p>
+                <p class="certification-year">${this.escapeHtml(this.formatEntryDates(cert, 'year'))}</p>
               </div>
             `).join('')}
           </div>
@@ -702,18 +700,21 @@ class App {
   }
 
   populateExperienceSection() {
-    const experience = window.portfolioData.getExperience();
+    const experience = this.sortByDates(window.portfolioData.getExperience());
     const timelineElement = document.getElementById('experience-timeline');
     
     if (!timelineElement) return;
     
-    // Generate timeline HTML with enhanced features
+    // Generate timeline HTML with enhanced features, most recent role first
     timelineElement.innerHTML = experience.map((exp, index) => `
-      <div class="timeline-item" data-experience-id="${exp.id}">
+      <div class="timeline-item" data-experience-id="${exp.id}" data-path="${this.getEntryPath('experience', exp)}">
         <div class="timeline-card">
           <h3 class="timeline-company">${this.escapeHtml(exp.company)}</h3>
           <h4 class="timeline-title">${this.escapeHtml(exp.title)}</h4>
-          <p class="timeline-duration">${this.escapeHtml(exp.duration)}</p>
+          <p class="timeline-duration">
+            ${this.escapeHtml(this.formatEntryDates(exp, 'duration'))}
+            ${this.getTenure(exp) ? `<span class="timeline-tenure">${this.getTenure(exp)}</span>` : ''}
+          </p>
           
           ${exp.achievements && exp.achievements.length > 0 ? `
             <button class="timeline-achievements-toggle" 
@@ -859,6 +860,34 @@ class App {
     });
   }
 
+  // Display string for an entry's dates, generated from its structured dates when available
+  formatEntryDates(entry, textField) {
+    if (window.PortfolioDates && entry.dates) {
+      return window.PortfolioDates.formatDateRange(entry.dates);
+    }
+    return entry[textField] || '';
+  }
+
+  // Tenure such as "1 yr 4 mos" for an entry with a structured start date
+  getTenure(entry) {
+    if (!window.PortfolioDates || !entry.dates) return '';
+    return window.PortfolioDates.formatTenure(window.PortfolioDates.computeTenureMonths(entry.dates));
+  }
+
+  // Chronological order, most recent first; entries without dates keep their order at the end
+  sortByDates(entries) {
+    if (!window.PortfolioDates) return entries;
+    return [...entries].sort((a, b) =>
+      window.PortfolioDates.compareRangesDescending(a.dates || null, b.dates || null)
+    );
+  }
+
+  // JSON pointer of a rendered entry, so tools such as the validation overlay can find its card
+  getEntryPath(section, entry) {
+    const entries = (window.portfolioData.getData() || {})[section] || [];
+    return `/${section}/${entries.indexOf(entry)}`;
+  }
+
   // Utility method for HTML escaping
   escapeHtml(text) {
     const div = document.createElement('div');
@@ -877,8 +906,37 @@ class App {
   }
 
   createProjectsComponent(container, projects) {
-    // Get all unique technologies for filter
-    const allTechnologies = [...new Set(projects.flatMap(project => project.tools))].sort();
+    // Offer one filter per canonical technology, plus the skills tools are part of (EC2 under AWS)
+    const registry = window.portfolioData.getSkillRegistry();
+    const technologyNames = new Map();
+    projects.flatMap(project => project.tools).forEach(tool => {
+      registry.getLineage(tool).forEach((id, index) => {
+        if (!technologyNames.has(id)) {
+          technologyNames.set(id, index === 0 ? registry.getName(tool) : registry.getName(id));
+        }
+      });
+    });
+    const allTechnologies = Array.from(technologyNames, ([id, name]) => ({ id, name }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+    
+    // The selected technologies come from the query string, so a shared or reloaded view keeps its filter
+    const filters = window.PortfolioProjectFilters;
+    this.projectFilter = filters.parseFilterState(window.location.search, allTechnologies.map(tech => tech.id));
+    const selected = this.projectFilter.technologies;
+    
+    // The sort order and the number of projects shown outlast a re-render; the projects are read again
+    const { DEFAULT_SORT, PAGE_SIZE, SORT_ORDERS } = filters.PROJECT_FILTER_CONSTANTS;
+    this.projectList = {
+      sort: this.projectList ? this.projectList.sort : DEFAULT_SORT,
+      limit: this.projectList ? this.projectList.limit : PAGE_SIZE,
+      items: projects.map(project => ({
+        project,
+        path: this.getEntryPath('projects', project),
+        technologyIds: this.getProjectTechnologyIds(project)
+      })),
+      matching: [],
+      rendered: 0
+    };
     
     // Create the projects HTML structure
     const projectsHTML = `
@@ -886,16 +944,38 @@ class App {
         <h2 class="section-title">Projects</h2>
         
         <!-- Filter Controls -->
-        <div class="projects-filter">
-          <button class="filter-btn active" data-filter="all">All Projects</button>
+        <div class="projects-filter" role="group" aria-label="Filter projects by technology">
+          <button class="filter-btn${selected.length === 0 ? ' active' : ''}" data-filter="all" aria-pressed="${selected.length === 0}">All Projects</button>
           ${allTechnologies.map(tech => 
-            `<button class="filter-btn" data-filter="${this.escapeHtml(tech)}">${this.escapeHtml(tech)}</button>`
+            `<button class="filter-btn${selected.includes(tech.id) ? ' active' : ''}" data-filter="${this.escapeHtml(tech.id)}" aria-pressed="${selected.includes(tech.id)}">${this.escapeHtml(tech.name)}</button>`
           ).join('')}
         </div>
         
+        <div class="projects-filter-bar">
+          <div class="projects-match-toggle" role="group" aria-label="Show projects that use">
+            <span class="projects-match-label" aria-hidden="true">Show projects using</span>
+            ${[['any', 'any selected'], ['all', 'all selected']].map(([mode, label]) =>
+              `<button type="button" class="match-btn" data-match="${mode}" aria-pressed="${this.projectFilter.mode === mode}">${label}</button>`
+            ).join('')}
+          </div>
+          <div class="projects-active-filters" role="group" aria-label="Active filters" hidden></div>
+          <div class="projects-sort-container">
+            <label for="projects-sort" class="projects-sort-label">Sort</label>
+            <select id="projects-sort" class="projects-sort">
+              ${SORT_ORDERS.map(order =>
+                `<option value="${order.value}"${order.value === this.projectList.sort ? ' selected' : ''}>${order.label}</option>`
+              ).join('')}
+            </select>
+          </div>
+          <p class="projects-count" role="status" aria-live="polite"></p>
+        </div>
+        
         <!-- Projects Grid -->
-        <div class="projects-grid" id="projects-grid">
-          ${projects.map(project => this.createProjectCard(project)).join('')}
+        <div class="projects-grid" id="projects-grid"></div>
+        
+        <div class="projects-more">
+          <p class="projects-shown"></p>
+          <button type="button" class="projects-load-more" hidden>Show more projects</button>
         </div>
       </div>
     `;
@@ -905,15 +985,44 @@ class App {
     // Initialize project interactions
     this.initializeProjectsInteractions();
     this.initializeProjectImageLazyLoading();
+    this.initializeProjectCardObserver();
+    
+    this.renderProjectFilterChips(this.projectFilter);
+    this.renderProjectCards();
+  }
+
+  // Canonical ids of a project's tools and of the skills they are part of (EC2 under AWS)
+  getProjectTechnologyIds(project) {
+    const registry = window.portfolioData.getSkillRegistry();
+    return [...new Set(project.tools.flatMap(tool => registry.getLineage(tool)))];
   }
 
-  createProjectCard(project) {
+  // A pending card only holds the title until buildProjectCard fills it in
+  createProjectCard(project, { pending = false } = {}) {
+    const isFeatured = project.featured === true;
+    
     return `
-      <article class="project-card" 
-               data-technologies="${project.tools.join(',').toLowerCase()}"
+      <article class="project-card${isFeatured ? ' project-card-featured' : ''}${pending ? ' project-card-pending' : ''}" 
+               data-project-id="${this.escapeHtml(project.id)}"
+               data-technologies="${this.escapeHtml(this.getProjectTechnologyIds(project).join(','))}"
+               data-path="${this.getEntryPath('projects', project)}"
                role="article"
                aria-labelledby="project-title-${project.id}"
                tabindex="0">
+        ${pending
+          ? `<h3 class="project-title" id="project-title-${project.id}">${this.escapeHtml(project.title)}</h3>`
+          : this.createProjectCardContent(project)}
+      </article>
+    `;
+  }
+
+  createProjectCardContent(project) {
+    const registry = window.portfolioData.getSkillRegistry();
+    const isFeatured = project.featured === true;
+    const hasCaseStudy = Boolean(project.caseStudy);
+    const hasVideo = window.PortfolioMediaPlayer && window.PortfolioMediaPlayer.getProjectVideos(project).length > 0;
+    
+    return `
         <div class="project-image-container">
           ${project.images && project.images[0] ? `
             <img 
@@ -941,14 +1050,20 @@ class App {
         </div>
         
         <div class="project-content">
+          ${isFeatured ? '<span class="project-featured-badge">Featured</span>' : ''}
+          ${hasVideo ? '<span class="project-media-badge"><span aria-hidden="true">▶</span> Video</span>' : ''}
           <h3 class="project-title" id="project-title-${project.id}">${this.escapeHtml(project.title)}</h3>
           <p class="project-description">${this.escapeHtml(project.description)}</p>
+          ${isFeatured ? this.createProjectHighlights(project) : ''}
+          <a href="${this.getProjectHash(project.id)}" class="project-details-link">
+            ${hasCaseStudy ? 'Read the case study' : 'View details'}<span class="sr-only"> of ${this.escapeHtml(project.title)}</span>
+          </a>
           
           <div class="project-tools" role="list" aria-label="Technologies used">
             ${project.tools.map(tool => 
               `<span class="tool-tag" 
                      role="listitem"
-                     data-tech="${this.escapeHtml(tool).toLowerCase()}"
+                     data-tech="${this.escapeHtml(registry.getId(tool))}"
                      aria-label="Technology: ${this.escapeHtml(tool)}">${this.escapeHtml(tool)}</span>`
             ).join('')}
           </div>
@@ -977,97 +1092,320 @@ class App {
             </div>
           ` : ''}
         </div>
-      </article>
+    `;
+  }
+
+  // Featured cards lead with the role statement and the first case study results
+  createProjectHighlights(project) {
+    const caseStudy = project.caseStudy || {};
+    const results = Array.isArray(caseStudy.results) ? caseStudy.results.slice(0, 3) : [];
+    
+    if (!caseStudy.role && results.length === 0) return '';
+    
+    return `
+      <div class="project-highlights">
+        ${caseStudy.role ? `<p class="project-role">${this.escapeHtml(caseStudy.role)}</p>` : ''}
+        ${results.length > 0 ? `
+          <dl class="project-metrics">
+            ${results.map(result => `
+              <div class="project-metric">
+                <dt class="project-metric-label">${this.escapeHtml(result.metric)}</dt>
+                <dd class="project-metric-value">${this.escapeHtml(result.value)}</dd>
+              </div>
+            `).join('')}
+          </dl>
+        ` : ''}
+      </div>
     `;
   }
 
   initializeProjectsInteractions() {
     // Filter functionality
     const filterButtons = document.querySelectorAll('.filter-btn');
-    const projectCards = document.querySelectorAll('.project-card');
     
+    // Technology buttons toggle their technology; "All Projects" clears the selection
     filterButtons.forEach(button => {
       button.addEventListener('click', (e) => {
         e.preventDefault();
         
-        // Update active filter button
-        filterButtons.forEach(btn => btn.classList.remove('active'));
-        button.classList.add('active');
-        
         const filterValue = button.getAttribute('data-filter');
-        this.filterProjects(filterValue, projectCards);
+        const filters = window.PortfolioProjectFilters;
+        this.applyProjectFilter(filterValue === 'all'
+          ? filters.createFilterState([], this.projectFilter.mode)
+          : filters.toggleTechnology(this.projectFilter, filterValue));
       });
     });
     
-    // Project card interactions
-    projectCards.forEach(card => {
-      // Add hover effects and click handling
-      card.addEventListener('mouseenter', () => {
-        this.handleProjectCardHover(card, true);
+    document.querySelectorAll('.match-btn').forEach(button => {
+      button.addEventListener('click', () => {
+        const state = window.PortfolioProjectFilters.createFilterState(
+          this.projectFilter.technologies, button.getAttribute('data-match'));
+        this.applyProjectFilter(state);
       });
-      
-      card.addEventListener('mouseleave', () => {
-        this.handleProjectCardHover(card, false);
+    });
+    
+    // Chips remove their technology; "Clear all" removes every one
+    const activeFilters = document.querySelector('.projects-active-filters');
+    if (activeFilters) {
+      activeFilters.addEventListener('click', (e) => {
+        const chip = e.target.closest('[data-remove-filter], .filter-clear');
+        if (!chip) return;
+        
+        const filters = window.PortfolioProjectFilters;
+        const removeId = chip.getAttribute('data-remove-filter');
+        this.applyProjectFilter(removeId
+          ? filters.toggleTechnology(this.projectFilter, removeId)
+          : filters.createFilterState([], this.projectFilter.mode));
+        
+        // The chip is gone; keep keyboard focus in the filter controls
+        const next = activeFilters.querySelector('[data-remove-filter], .filter-clear');
+        const fallback = document.querySelector('.filter-btn[data-filter="all"]');
+        if (next) {
+          next.focus();
+        } else if (fallback) {
+          fallback.focus();
+        }
       });
+    }
+    
+    const sortSelect = document.getElementById('projects-sort');
+    if (sortSelect) {
+      sortSelect.addEventListener('change', () => {
+        this.handleProjectsSort(sortSelect.value);
+      });
+    }
+    
+    const loadMoreButton = document.querySelector('.projects-load-more');
+    if (loadMoreButton) {
+      loadMoreButton.addEventListener('click', () => this.loadMoreProjects());
+    }
+    
+    // One set of listeners on the grid serves every card, including cards built later
+    const grid = document.getElementById('projects-grid');
+    if (!grid) return;
+    
+    // The card opens its project details, except where links and tags do something else
+    grid.addEventListener('click', (e) => {
+      const tag = e.target.closest('.tool-tag');
+      if (tag) {
+        this.filterProjectsByTechnology(tag.getAttribute('data-tech'));
+        return;
+      }
+      if (e.target.closest('a, button')) return;
       
-      // Technology tag click filtering
-      const techTags = card.querySelectorAll('.tool-tag');
-      techTags.forEach(tag => {
-        tag.addEventListener('click', (e) => {
-          e.stopPropagation();
-          const tech = tag.getAttribute('data-tech');
-          this.filterProjectsByTechnology(tech, filterButtons, projectCards);
-        });
+      const card = e.target.closest('.project-card');
+      if (card) {
+        window.location.hash = this.getProjectHash(card.getAttribute('data-project-id'));
+      }
+    });
+    
+    grid.addEventListener('keydown', (e) => {
+      if (!e.target.classList.contains('project-card')) return;
+      if (e.key === 'Enter' || e.key === ' ') {
+        e.preventDefault();
+        window.location.hash = this.getProjectHash(e.target.getAttribute('data-project-id'));
+      }
+    });
+    
+    // Unlike mouseenter and mouseleave these bubble; moves between elements of one card are ignored
+    ['mouseover', 'mouseout'].forEach(type => {
+      grid.addEventListener(type, (e) => {
+        const card = e.target.closest('.project-card');
+        if (card && !card.contains(e.relatedTarget)) {
+          this.handleProjectCardHover(card, type === 'mouseover');
+        }
       });
     });
+  }
+
+  // Selects the technologies to filter by: updates the controls, the cards and the query string
+  applyProjectFilter(state) {
+    const filters = window.PortfolioProjectFilters;
+    this.projectFilter = state;
     
-    // Initialize scroll animations
-    this.initializeProjectScrollAnimations();
+    document.querySelectorAll('.filter-btn').forEach(button => {
+      const filterValue = button.getAttribute('data-filter');
+      const isActive = filterValue === 'all'
+        ? state.technologies.length === 0
+        : state.technologies.includes(filterValue);
+      button.classList.toggle('active', isActive);
+      button.setAttribute('aria-pressed', String(isActive));
+    });
+    
+    document.querySelectorAll('.match-btn').forEach(button => {
+      button.setAttribute('aria-pressed', String(button.getAttribute('data-match') === state.mode));
+    });
+    
+    this.renderProjectFilterChips(state);
+    this.filterProjects(state);
+    
+    if (window.history && window.history.replaceState) {
+      const search = filters.serializeFilterState(window.location.search, state);
+      window.history.replaceState(window.history.state, '', `${window.location.pathname}${search}${window.location.hash}`);
+    }
   }
 
-  filterProjects(filterValue, projectCards) {
-    projectCards.forEach((card, index) => {
-      const technologies = card.getAttribute('data-technologies');
-      const shouldShow = filterValue === 'all' || 
-                        technologies.includes(filterValue.toLowerCase());
-      
-      if (shouldShow) {
-        card.style.display = 'block';
-        // Staggered animation for showing cards
-        setTimeout(() => {
-          card.classList.add('filter-show');
-          card.classList.remove('filter-hide');
-        }, index * 100);
+  renderProjectFilterChips(state) {
+    const container = document.querySelector('.projects-active-filters');
+    if (!container) return;
+    
+    const registry = window.portfolioData.getSkillRegistry();
+    container.hidden = state.technologies.length === 0;
+    container.innerHTML = state.technologies.length === 0 ? '' : `
+      ${state.technologies.map(id => `
+        <button type="button" class="filter-chip" data-remove-filter="${this.escapeHtml(id)}" aria-label="Remove ${this.escapeHtml(registry.getName(id))} filter">
+          ${this.escapeHtml(registry.getName(id))}<span class="filter-chip-remove" aria-hidden="true">×</span>
+        </button>
+      `).join('')}
+      <button type="button" class="filter-clear">Clear all</button>
+    `;
+  }
+
+  filterProjects(filter) {
+    // Filters are canonical skill ids; names such as "Amazon EC2" resolve to the same id, and a single
+    // technology or 'all' can be passed instead of a filter state
+    const filters = window.PortfolioProjectFilters;
+    const registry = window.portfolioData.getSkillRegistry();
+    this.projectFilter = typeof filter === 'string'
+      ? filters.createFilterState(filter === 'all' ? [] : [registry.getId(filter)])
+      : filters.createFilterState(filter.technologies.map(id => registry.getId(id)), filter.mode);
+    
+    // Filtering works on the data, so projects without a card yet are filtered too; a new filter starts from the first page
+    if (this.projectList) {
+      this.projectList.limit = filters.PROJECT_FILTER_CONSTANTS.PAGE_SIZE;
+    }
+    this.renderProjectCards();
+  }
+
+  handleProjectsSort(order) {
+    if (!this.projectList) return;
+    this.projectList.sort = order;
+    this.renderProjectCards();
+  }
+
+  // Matching projects in the chosen order
+  getMatchingProjects() {
+    const filters = window.PortfolioProjectFilters;
+    const state = this.projectFilter || filters.createFilterState();
+    const matching = this.projectList.items
+      .filter(item => filters.matchesFilter(item.technologyIds, state))
+      .map(item => item.project);
+    return filters.sortProjects(matching, this.projectList.sort);
+  }
+
+  // Starts the grid again with placeholder cards for the first pages of matching projects
+  renderProjectCards() {
+    const grid = document.getElementById('projects-grid');
+    if (!grid || !this.projectList) return;
+    
+    if (this.projectCardObserver) {
+      this.projectCardObserver.disconnect();
+    }
+    this.projectList.matching = this.getMatchingProjects();
+    this.projectList.rendered = 0;
+    grid.innerHTML = '';
+    this.appendProjectCards();
+    
+    // Update results count
+    this.updateProjectsCount(this.projectFilter, this.projectList.matching.length);
+  }
+
+  // Adds placeholder cards up to the page limit; each is built as it approaches the viewport
+  appendProjectCards() {
+    const grid = document.getElementById('projects-grid');
+    const list = this.projectList;
+    const projects = list.matching.slice(list.rendered, list.limit);
+    
+    grid.insertAdjacentHTML('beforeend', projects.map(project => this.createProjectCard(project, { pending: true })).join(''));
+    Array.from(grid.children).slice(list.rendered).forEach(card => {
+      if (this.projectCardObserver) {
+        this.projectCardObserver.observe(card);
       } else {
-        card.classList.add('filter-hide');
-        card.classList.remove('filter-show');
-        // Hide after animation
-        setTimeout(() => {
-          card.style.display = 'none';
-        }, 300);
+        this.buildProjectCard(card);
       }
     });
+    list.rendered += projects.length;
     
-    // Update results count
-    this.updateProjectsCount(filterValue, projectCards);
+    this.updateProjectsMore();
   }
 
-  filterProjectsByTechnology(tech, filterButtons, projectCards) {
-    // Find and activate the corresponding filter button
-    const targetButton = Array.from(filterButtons).find(btn => 
-      btn.getAttribute('data-filter').toLowerCase() === tech
-    );
+  loadMoreProjects() {
+    const firstNew = this.projectList.rendered;
+    this.projectList.limit += window.PortfolioProjectFilters.PROJECT_FILTER_CONSTANTS.PAGE_SIZE;
+    this.appendProjectCards();
+    
+    // Keyboard and screen reader users carry on from the first card added
+    const grid = document.getElementById('projects-grid');
+    const firstCard = grid && grid.children[firstNew];
+    if (firstCard) {
+      firstCard.focus();
+    }
+  }
+
+  updateProjectsMore() {
+    const { PAGE_SIZE } = window.PortfolioProjectFilters.PROJECT_FILTER_CONSTANTS;
+    const { matching, rendered } = this.projectList;
+    const remaining = matching.length - rendered;
+    
+    const shownElement = document.querySelector('.projects-shown');
+    if (shownElement) {
+      shownElement.textContent = matching.length > PAGE_SIZE ? `Showing ${rendered} of ${matching.length} projects` : '';
+    }
     
-    if (targetButton) {
-      targetButton.click();
+    const button = document.querySelector('.projects-load-more');
+    if (button) {
+      button.hidden = remaining <= 0;
+      button.textContent = `Show ${Math.min(remaining, PAGE_SIZE)} more project${Math.min(remaining, PAGE_SIZE) !== 1 ? 's' : ''}`;
     }
   }
 
-  updateProjectsCount(filterValue, projectCards) {
-    const visibleCount = Array.from(projectCards).filter(card => 
-      card.style.display !== 'none'
-    ).length;
+  // Fills in a placeholder card
+  buildProjectCard(card) {
+    if (!card.classList.contains('project-card-pending') || !this.projectList) return;
     
+    const projectId = card.getAttribute('data-project-id');
+    const item = this.projectList.items.find(candidate => candidate.project.id === projectId);
+    if (!item) return;
+    
+    card.innerHTML = this.createProjectCardContent(item.project);
+    card.classList.remove('project-card-pending');
+    card.classList.add('animate-in');
+    this.observeProjectImages(card);
+  }
+
+  // Makes sure the card of a project is on the page and built, clearing a filter that hides it
+  revealProjectCard(path) {
+    const list = this.projectList;
+    const item = list && list.items.find(candidate => candidate.path === path);
+    if (!item) return;
+    
+    if (!list.matching.includes(item.project)) {
+      const allButton = document.querySelector('.filter-btn[data-filter="all"]');
+      if (allButton) allButton.click();
+    }
+    
+    const index = list.matching.indexOf(item.project);
+    if (index >= list.rendered) {
+      const { PAGE_SIZE } = window.PortfolioProjectFilters.PROJECT_FILTER_CONSTANTS;
+      list.limit = Math.ceil((index + 1) / PAGE_SIZE) * PAGE_SIZE;
+      this.appendProjectCards();
+    }
+    
+    const card = document.querySelector(`.project-card[data-path="${path}"]`);
+    if (card) {
+      this.buildProjectCard(card);
+    }
+  }
+
+  // A technology tag adds its technology to the selection
+  filterProjectsByTechnology(tech) {
+    const state = this.projectFilter || window.PortfolioProjectFilters.createFilterState();
+    if (!state.technologies.includes(tech)) {
+      this.applyProjectFilter(window.PortfolioProjectFilters.toggleTechnology(state, tech));
+    }
+  }
+
+  updateProjectsCount(state, visibleCount) {
     // Update or create count display
     let countElement = document.querySelector('.projects-count');
     if (!countElement) {
@@ -1079,8 +1417,15 @@ class App {
       }
     }
     
-    const filterText = filterValue === 'all' ? 'All Projects' : filterValue;
-    countElement.textContent = `${visibleCount} project${visibleCount !== 1 ? 's' : ''} ${filterValue !== 'all' ? `with ${filterText}` : ''}`;
+    const registry = window.portfolioData.getSkillRegistry();
+    countElement.textContent = window.PortfolioProjectFilters.describeFilter(visibleCount, state, id => registry.getName(id));
+  }
+
+  // Address of a project's details, e.g. "#projects/proj2"
+  getProjectHash(projectId) {
+    return window.PortfolioProjectDialog
+      ? window.PortfolioProjectDialog.createProjectHash(projectId)
+      : `#projects/${encodeURIComponent(projectId)}`;
   }
 
   handleProjectCardHover(card, isHovering) {
@@ -1107,24 +1452,28 @@ class App {
   }
 
   initializeProjectImageLazyLoading() {
-    // Create intersection observer for lazy loading images
-    const imageObserver = new IntersectionObserver((entries) => {
+    // Create intersection observer for lazy loading images; cards hand it their images as they are built
+    if (this.projectImageObserver) {
+      this.projectImageObserver.disconnect();
+    }
+    this.projectImageObserver = new IntersectionObserver((entries) => {
       entries.forEach(entry => {
         if (entry.isIntersecting) {
           const img = entry.target;
           this.loadProjectImage(img);
-          imageObserver.unobserve(img);
+          this.projectImageObserver.unobserve(img);
         }
       });
     }, {
       threshold: 0.1,
       rootMargin: '50px'
     });
-    
-    // Observe all lazy load images
-    const lazyImages = document.querySelectorAll('.project-image.lazy-load');
-    lazyImages.forEach(img => {
-      imageObserver.observe(img);
+  }
+
+  observeProjectImages(root) {
+    if (!this.projectImageObserver) return;
+    root.querySelectorAll('.project-image.lazy-load').forEach(img => {
+      this.projectImageObserver.observe(img);
     });
   }
 
@@ -1184,29 +1533,23 @@ class App {
     testImg.src = src;
   }
 
-  initializeProjectScrollAnimations() {
-    // Create intersection observer for project cards
-    const projectObserver = new IntersectionObserver((entries) => {
-      entries.forEach((entry, index) => {
-        if (entry.isIntersecting) {
-          // Staggered animation
-          setTimeout(() => {
-            entry.target.classList.add('animate-in');
-          }, index * 150);
-          
-          projectObserver.unobserve(entry.target);
-        }
-      });
-    }, {
-      threshold: 0.2,
-      rootMargin: '30px'
-    });
-    
-    // Observe all project cards
-    const projectCards = document.querySelectorAll('.project-card');
-    projectCards.forEach(card => {
-      projectObserver.observe(card);
-    });
+  initializeProjectCardObserver() {
+    // Cards are built, and fade in, as they come within reach of the viewport
+    if (this.projectCardObserver) {
+      this.projectCardObserver.disconnect();
+    }
+    this.projectCardObserver = 'IntersectionObserver' in window
+      ? new IntersectionObserver((entries) => {
+        entries.forEach(entry => {
+          if (entry.isIntersecting) {
+            this.buildProjectCard(entry.target);
+            this.projectCardObserver.unobserve(entry.target);
+          }
+        });
+      }, {
+        rootMargin: '200px 0px'
+      })
+      : null;
   }
 
   populateSkillsSection() {
@@ -1242,16 +1585,35 @@ class App {
               class="skills-search" 
               placeholder="Search skills..."
               aria-label="Search skills"
+              role="combobox"
+              aria-autocomplete="list"
+              aria-controls="skills-grid"
+              aria-expanded="false"
+              autocomplete="off"
             >
             <div class="search-icon">🔍</div>
           </div>
           
+          <div class="skills-sort-container">
+            <label for="skills-sort" class="skills-sort-label">Sort</label>
+            <select id="skills-sort" class="skills-sort">
+              <option value="listed">Listed order</option>
+              <option value="recent">Recently used</option>
+            </select>
+          </div>
+          
           <div class="skills-filter">
             <button class="skills-filter-btn active" data-category="all">All Skills</button>
             ${skillsData.map(category => 
               `<button class="skills-filter-btn" data-category="${this.escapeHtml(category.category)}">${this.escapeHtml(category.category)}</button>`
             ).join('')}
           </div>
+          
+          <div class="skills-view-toggle" role="group" aria-label="Skills view">
+            <button type="button" class="skills-view-btn active" data-view="list" aria-pressed="true">List</button>
+            <button type="button" class="skills-view-btn" data-view="radar" aria-pressed="false">Radar</button>
+            <button type="button" class="skills-view-btn" data-view="matrix" aria-pressed="false">Matrix</button>
+          </div>
         </div>
         
         <!-- Skills Categories Grid -->
@@ -1259,8 +1621,11 @@ class App {
           ${skillsData.map(category => this.createSkillCategory(category)).join('')}
         </div>
         
+        <!-- Skills Charts, shown in place of the grid by the radar and matrix views -->
+        <div class="skills-charts" id="skills-charts" hidden></div>
+        
         <!-- Skills Summary -->
-        <div class="skills-summary" id="skills-summary">
+        <div class="skills-summary" id="skills-summary" role="status" aria-live="polite">
           <p class="skills-count">Showing ${allSkills.length} skills across ${skillsData.length} categories</p>
         </div>
       </div>
@@ -1271,11 +1636,19 @@ class App {
     // Initialize skills interactions
     this.initializeSkillsInteractions(allSkills);
     this.initializeSkillsAnimations();
+    
+    // A re-render keeps the search the visitor typed and the result they picked
+    if (this.skillsSearch.query) {
+      document.getElementById('skills-search').value = this.skillsSearch.query;
+      this.handleSkillsSearch(this.skillsSearch.query, allSkills);
+    }
   }
 
   createSkillCategory(category) {
+    const categoryPath = this.getEntryPath('skills', category);
+    
     return `
-      <div class="skill-category" data-category="${this.escapeHtml(category.category)}">
+      <div class="skill-category" data-category="${this.escapeHtml(category.category)}" data-path="${categoryPath}">
         <div class="skill-category-header">
           <h3 class="skill-category-title">
             <span class="category-icon">${this.getCategoryIcon(category.category)}</span>
@@ -1290,7 +1663,7 @@ class App {
         </div>
         
         <div class="skills-list" id="skills-${category.category.replace(/\s+/g, '-').toLowerCase()}">
-          ${category.skills.map(skill => this.createSkillItem(skill, category.category)).join('')}
+          ${category.skills.map((skill, index) => this.createSkillItem(skill, category.category, `${categoryPath}/skills/${index}`)).join('')}
         </div>
         
         <div class="category-summary">
@@ -1300,19 +1673,26 @@ class App {
     `;
   }
 
-  createSkillItem(skill, categoryName) {
+  createSkillItem(skill, categoryName, path) {
     const proficiencyLevel = skill.proficiency || 'intermediate';
     const proficiencyClass = `proficiency-${proficiencyLevel}`;
+    // Search also matches the other names the registry knows the skill by
+    const entry = window.portfolioData.getSkillRegistry().resolve(skill.name);
+    const aliases = entry ? [entry.name, ...(entry.aliases || [])] : [];
+    const metrics = window.portfolioData.getSkillMetrics(skill.name);
     
     return `
       <div class="skill-item ${proficiencyClass}" 
+           ${path ? `id="skill${path.replace(/\/skills/g, '').replace(/\//g, '-')}" data-path="${path}"` : ''}
            data-skill="${this.escapeHtml(skill.name).toLowerCase()}"
+           data-aliases="${this.escapeHtml(aliases.join(',')).toLowerCase()}"
            data-category="${this.escapeHtml(categoryName).toLowerCase()}"
            data-proficiency="${proficiencyLevel}"
+           data-recency="${metrics.recency === null ? '' : metrics.recency}"
            title="${skill.name}${skill.proficiency ? ` - ${skill.proficiency} level` : ''}">
         
         <div class="skill-content">
-          <span class="skill-name">${this.escapeHtml(skill.name)}</span>
+          <span class="skill-name" data-name="${this.escapeHtml(skill.name)}">${this.escapeHtml(skill.name)}</span>
           ${skill.proficiency ? `
             <div class="skill-proficiency">
               <span class="proficiency-label">${this.escapeHtml(skill.proficiency)}</span>
@@ -1321,12 +1701,14 @@ class App {
               </div>
             </div>
           ` : ''}
+          ${this.createSkillMetrics(metrics)}
         </div>
         
         <div class="skill-details" style="display: none;">
           <p class="skill-description">
             ${this.getSkillDescription(skill.name, categoryName)}
           </p>
+          ${this.createSkillEvidence(skill.name)}
           <div class="skill-meta">
             <span class="skill-category-tag">${this.escapeHtml(categoryName)}</span>
             ${skill.proficiency ? `<span class="skill-level-tag">${this.escapeHtml(skill.proficiency)}</span>` : ''}
@@ -1336,63 +1718,116 @@ class App {
     `;
   }
 
-  getCategoryIcon(category) {
-    const iconMap = {
-      'Cloud Platforms': '☁️',
-      'Cloud': '☁️',
-      'Cybersecurity': '🔒',
-      'Security': '🔒',
-      'Programming': '💻',
-      'Tools & Technologies': '🛠️',
-      'Tools': '🛠️',
-      'Design': '🎨',
-      'Database': '🗄️',
-      'DevOps': '⚙️',
-      'AI/ML': '🤖',
-      'Mobile': '📱',
-      'Web': '🌐'
-    };
+  // Shows when and for how long a skill was used; skills without dated roles or projects say so
+  createSkillMetrics(metrics) {
+    if (metrics.months === null || !window.PortfolioDates) {
+      return '<span class="skill-metrics skill-metrics-undated">No dated use</span>';
+    }
     
-    return iconMap[category] || '📋';
+    const period = window.PortfolioDates.formatDateRange({
+      start: metrics.firstUsed,
+      end: metrics.lastUsed || undefined
+    });
+    const tenure = window.PortfolioDates.formatTenure(metrics.months);
+    
+    return `<span class="skill-metrics">${this.escapeHtml(period)}${tenure ? ` · ${this.escapeHtml(tenure)}` : ''}</span>`;
   }
 
-  getSkillDescription(skillName, category) {
-    // Generate contextual descriptions based on skill and category
-    const descriptions = {
-      'AWS': 'Amazon Web Services - Cloud computing platform with extensive experience in EC2, S3, Lambda, and more.',
-      'Azure': 'Microsoft Azure cloud platform - Experience with virtual machines, storage, and cloud services.',
-      'Docker': 'Containerization technology for application deployment and development environments.',
-      'Kubernetes': 'Container orchestration platform for managing scalable applications.',
-      'Python': 'Versatile programming language used for automation, web development, and data analysis.',
-      'JavaScript': 'Dynamic programming language for web development and modern applications.',
-      'React': 'Modern JavaScript library for building user interfaces and web applications.',
-      'Security Auditing': 'Comprehensive security assessments and vulnerability analysis.',
-      'Penetration Testing': 'Ethical hacking and security testing methodologies.',
-      'SIEM': 'Security Information and Event Management systems for threat detection.',
-      'Terraform': 'Infrastructure as Code tool for cloud resource management.',
-      'Git': 'Version control system for collaborative software development.',
-      'CI/CD': 'Continuous Integration and Deployment practices for automated software delivery.'
-    };
+  // Lists the projects, roles and certifications that use a skill, linking to their cards
+  createSkillEvidence(skillName) {
+    const evidence = window.portfolioData.getSkillEvidence(skillName);
+    const groups = [
+      { section: 'projects', label: 'Project', noun: 'project', anchor: 'projects' },
+      { section: 'experience', label: 'Role', noun: 'role', anchor: 'experience' },
+      { section: 'certifications', label: 'Certification', noun: 'certification', anchor: 'education' }
+    ].filter(group => evidence[group.section].length > 0);
+    
+    if (groups.length === 0) {
+      return '<p class="skill-evidence-empty">Not listed in any project, role or certification yet.</p>';
+    }
+    
+    const counts = groups.map(group => {
+      const count = evidence[group.section].length;
+      return `${count} ${group.noun}${count !== 1 ? 's' : ''}`;
+    });
     
-    return descriptions[skillName] || `Professional experience with ${skillName} in ${category.toLowerCase()} contexts.`;
+    return `
+      <div class="skill-evidence">
+        <p class="skill-evidence-summary">Used in ${counts.join(', ')}</p>
+        <ul class="skill-evidence-list">
+          ${groups.flatMap(group => evidence[group.section].map(item => `
+            <li class="skill-evidence-item">
+              <span class="skill-evidence-type">${group.label}</span>
+              <a href="#${group.anchor}" class="skill-evidence-link" data-evidence-path="${item.path}">${this.escapeHtml(item.title)}</a>
+            </li>
+          `)).join('')}
+        </ul>
+      </div>
+    `;
+  }
+
+  // Scrolls to the rendered card of a data entry and highlights it briefly
+  revealEntry(path) {
+    // A project may be filtered out, past the projects shown or not built yet
+    if (path.startsWith('/projects/')) {
+      this.revealProjectCard(path);
+    }
+    
+    const target = document.querySelector(`[data-path="${path}"]`);
+    if (!target) return false;
+    
+    target.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    target.classList.add('entry-highlight');
+    setTimeout(() => {
+      target.classList.remove('entry-highlight');
+    }, 2000);
+    return true;
+  }
+
+  getCategoryIcon(category) {
+    return window.portfolioData.getSkillRegistry().getCategoryIcon(category);
+  }
+
+  getSkillDescription(skillName, category) {
+    return window.portfolioData.getSkillRegistry().getDescription(skillName, category);
   }
 
   initializeSkillsInteractions(allSkills) {
     // Search functionality
     const searchInput = document.getElementById('skills-search');
     if (searchInput) {
-      let searchTimeout;
+      let searchTimeout = null;
+      
+      // Runs a search still waiting for the typing pause, so keys act on current results
+      const flushSearch = () => {
+        if (searchTimeout !== null) {
+          clearTimeout(searchTimeout);
+          searchTimeout = null;
+          this.handleSkillsSearch(searchInput.value, allSkills);
+        }
+      };
       
       searchInput.addEventListener('input', (e) => {
         clearTimeout(searchTimeout);
         searchTimeout = setTimeout(() => {
+          searchTimeout = null;
           this.handleSkillsSearch(e.target.value, allSkills);
         }, 300);
       });
       
-      // Clear search on escape
+      // Arrow keys move through the results, Enter opens one and Escape clears the search
       searchInput.addEventListener('keydown', (e) => {
-        if (e.key === 'Escape') {
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+          e.preventDefault();
+          flushSearch();
+          this.moveSkillResult(e.key === 'ArrowDown' ? 1 : -1);
+        } else if (e.key === 'Enter') {
+          e.preventDefault();
+          flushSearch();
+          this.openSkillResult();
+        } else if (e.key === 'Escape') {
+          clearTimeout(searchTimeout);
+          searchTimeout = null;
           e.target.value = '';
           this.handleSkillsSearch('', allSkills);
           e.target.blur();
@@ -1412,9 +1847,27 @@ class App {
         
         const category = button.getAttribute('data-category');
         this.handleSkillsFilter(category);
+        this.renderSkillsCharts();
+      });
+    });
+    
+    // View toggle between the lists and the charts
+    const viewButtons = document.querySelectorAll('.skills-view-btn');
+    viewButtons.forEach(button => {
+      button.addEventListener('click', (e) => {
+        e.preventDefault();
+        this.handleSkillsView(button.getAttribute('data-view'));
       });
     });
     
+    // Sort order
+    const sortSelect = document.getElementById('skills-sort');
+    if (sortSelect) {
+      sortSelect.addEventListener('change', () => {
+        this.handleSkillsSort(sortSelect.value);
+      });
+    }
+    
     // Category toggle functionality
     const toggleButtons = document.querySelectorAll('.category-toggle');
     toggleButtons.forEach(button => {
@@ -1435,6 +1888,8 @@ class App {
       
       // Keyboard support
       item.addEventListener('keydown', (e) => {
+        // Keys pressed on the evidence links inside belong to the links
+        if (e.target !== item) return;
         if (e.key === 'Enter' || e.key === ' ') {
           e.preventDefault();
           this.handleSkillItemClick(item);
@@ -1444,62 +1899,266 @@ class App {
       // Make focusable
       item.setAttribute('tabindex', '0');
     });
+    
+    // Evidence links scroll to the card they name instead of toggling the skill
+    document.querySelectorAll('.skill-evidence-link').forEach(link => {
+      link.addEventListener('click', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        this.revealEntry(link.getAttribute('data-evidence-path'));
+      });
+    });
+  }
+
+  // Reorders the skills of each category: "recent" puts skills in use first and skills
+  // without dated use last, "listed" restores the order of the data
+  handleSkillsSort(order) {
+    // While searching, results stay ranked by how well they match
+    if (this.skillsSearch.query.trim()) return;
+    
+    const listedIndex = item => Number((item.getAttribute('data-path') || '').split('/').pop()) || 0;
+    const recency = item => {
+      const value = item.getAttribute('data-recency');
+      return value ? parseFloat(value) : -Infinity;
+    };
+    
+    document.querySelectorAll('.skills-list').forEach(list => {
+      const items = Array.from(list.querySelectorAll('.skill-item'));
+      items.sort((a, b) => {
+        if (order === 'recent' && recency(a) !== recency(b)) {
+          return recency(b) - recency(a);
+        }
+        return listedIndex(a) - listedIndex(b);
+      });
+      items.forEach(item => list.appendChild(item));
+    });
+  }
+
+  // Switches between the skill lists and the radar or matrix charts
+  handleSkillsView(view) {
+    document.querySelectorAll('.skills-view-btn').forEach(button => {
+      const isActive = button.getAttribute('data-view') === view;
+      button.classList.toggle('active', isActive);
+      button.setAttribute('aria-pressed', String(isActive));
+    });
+    
+    const grid = document.getElementById('skills-grid');
+    const charts = document.getElementById('skills-charts');
+    if (grid) grid.hidden = view !== 'list';
+    if (charts) charts.hidden = view === 'list';
+    
+    this.renderSkillsCharts();
   }
 
+  // Draws the charts of the active view for the categories the filter shows
+  renderSkillsCharts() {
+    const charts = document.getElementById('skills-charts');
+    const activeView = document.querySelector('.skills-view-btn.active');
+    const view = activeView ? activeView.getAttribute('data-view') : 'list';
+    if (!charts || view === 'list' || !window.PortfolioSkillCharts) return;
+    
+    const activeFilter = document.querySelector('.skills-filter-btn.active');
+    const categoryFilter = activeFilter ? activeFilter.getAttribute('data-category') : 'all';
+    const registry = window.portfolioData.getSkillRegistry();
+    const categories = window.portfolioData.getSkills()
+      .filter(category => categoryFilter === 'all' || category.category === categoryFilter)
+      .map(category => ({
+        category: category.category,
+        skills: category.skills.map(skill => ({ ...skill, label: registry.getName(skill.name) }))
+      }));
+    
+    charts.innerHTML = view === 'radar'
+      ? `<div class="skills-radar-grid">${categories.map((category, index) =>
+        window.PortfolioSkillCharts.createRadarChart(category, { id: `skill-radar-${index}` })).join('')}</div>`
+      : window.PortfolioSkillCharts.createProficiencyMatrix(categories, { id: 'skill-matrix' });
+  }
+
+  // Ranks the skills by a fuzzy match of their names, aliases and categories, shows the
+  // matches best first with the matched characters highlighted and hides the rest
   handleSkillsSearch(query, allSkills) {
-    const searchTerm = query.toLowerCase().trim();
-    const skillItems = document.querySelectorAll('.skill-item');
-    const categories = document.querySelectorAll('.skill-category');
+    const searchTerm = query.trim();
+    const searchInput = document.getElementById('skills-search');
+    const grid = document.getElementById('skills-grid');
+    const skillItems = Array.from(document.querySelectorAll('.skill-item'));
+    const categories = Array.from(document.querySelectorAll('.skill-category'));
+    const listedIndex = element => Number((element.getAttribute('data-path') || '').split('/').pop()) || 0;
+    
+    // The same query run again, as after a re-render, keeps its active result
+    const previousActiveId = this.skillsSearch.query === query ? this.skillsSearch.activeId : null;
+    this.skillsSearch = { query, activeId: null };
+    this.setActiveSkillResult(null);
     
     let visibleSkillsCount = 0;
     let visibleCategoriesCount = 0;
     
     if (!searchTerm) {
-      // Show all skills and categories
+      // Show all skills and categories in their usual order
       skillItems.forEach(item => {
         item.style.display = 'block';
         item.classList.remove('search-highlight');
+        this.highlightSkillMatch(item, null);
       });
-      categories.forEach(category => {
+      categories.sort((a, b) => listedIndex(a) - listedIndex(b)).forEach(category => {
         category.style.display = 'block';
+        if (grid) grid.appendChild(category);
       });
+      const sortSelect = document.getElementById('skills-sort');
+      this.handleSkillsSort(sortSelect ? sortSelect.value : 'listed');
       visibleSkillsCount = allSkills.length;
       visibleCategoriesCount = categories.length;
     } else {
-      // Filter skills based on search
-      categories.forEach(category => {
-        const categorySkills = category.querySelectorAll('.skill-item');
-        let categoryHasVisibleSkills = false;
-        
-        categorySkills.forEach(item => {
-          const skillName = item.getAttribute('data-skill');
-          const categoryName = item.getAttribute('data-category');
+      const registry = window.portfolioData.getSkillRegistry();
+      const matches = window.PortfolioFuzzy.rankMatches(searchTerm, skillItems.map(item => {
+        const name = item.querySelector('.skill-name').getAttribute('data-name');
+        const entry = registry.resolve(name);
+        const aliases = entry ? [entry.name, ...(entry.aliases || [])] : [];
+        const category = item.closest('.skill-category');
+        return {
+          item,
+          fields: [
+            { name: 'name', text: name, weight: 1 },
+            ...aliases
+              .filter(alias => alias.toLowerCase() !== name.toLowerCase())
+              .map(alias => ({ name: 'alias', text: alias, weight: 0.9 })),
+            { name: 'category', text: category ? category.getAttribute('data-category') : '', weight: 0.7 }
+          ]
+        };
+      }));
+      const ranks = new Map(matches.map((match, rank) => [match.item, { match, rank }]));
+      const rankOf = item => (ranks.has(item) ? ranks.get(item).rank : Infinity);
+      
+      // Each category lists its matches best first, and the category with the best match comes first
+      categories
+        .map(category => ({ category, rank: Math.min(...Array.from(category.querySelectorAll('.skill-item')).map(rankOf)) }))
+        .sort((a, b) => a.rank - b.rank)
+        .forEach(({ category, rank }) => {
+          const list = category.querySelector('.skills-list');
+          Array.from(category.querySelectorAll('.skill-item'))
+            .sort((a, b) => rankOf(a) - rankOf(b))
+            .forEach(item => {
+              const ranked = ranks.get(item);
+              item.style.display = ranked ? 'block' : 'none';
+              item.classList.toggle('search-highlight', Boolean(ranked));
+              this.highlightSkillMatch(item, ranked ? ranked.match : null);
+              if (list) list.appendChild(item);
+            });
           
-          if (skillName.includes(searchTerm) || categoryName.includes(searchTerm)) {
-            item.style.display = 'block';
-            item.classList.add('search-highlight');
-            categoryHasVisibleSkills = true;
-            visibleSkillsCount++;
-          } else {
-            item.style.display = 'none';
-            item.classList.remove('search-highlight');
-          }
+          category.style.display = rank !== Infinity ? 'block' : 'none';
+          if (rank !== Infinity) visibleCategoriesCount++;
+          if (grid) grid.appendChild(category);
         });
-        
-        // Show/hide category based on whether it has visible skills
-        if (categoryHasVisibleSkills) {
-          category.style.display = 'block';
-          visibleCategoriesCount++;
-        } else {
-          category.style.display = 'none';
-        }
-      });
+      
+      visibleSkillsCount = matches.length;
+    }
+    
+    this.setSkillResultRoles(Boolean(searchTerm));
+    if (previousActiveId && searchTerm) {
+      this.setActiveSkillResult(document.getElementById(previousActiveId));
+    }
+    
+    if (searchInput) {
+      searchInput.setAttribute('aria-expanded', String(Boolean(searchTerm) && visibleSkillsCount > 0));
     }
     
     // Update summary
     this.updateSkillsSummary(visibleSkillsCount, visibleCategoriesCount, searchTerm);
   }
 
+  // Marks the matched characters in a skill name, or in the alias that matched next to it;
+  // a match on the category leaves the name as it is
+  highlightSkillMatch(item, match) {
+    const nameElement = item.querySelector('.skill-name');
+    const name = nameElement.getAttribute('data-name');
+    const marked = (text, indices) => window.PortfolioFuzzy.splitMatches(text, indices)
+      .map(run => (run.matched ? `<mark class="search-match">${this.escapeHtml(run.text)}</mark>` : this.escapeHtml(run.text)))
+      .join('');
+    
+    if (!match || match.field === 'category') {
+      nameElement.textContent = name;
+    } else if (match.field === 'name') {
+      nameElement.innerHTML = marked(name, match.indices);
+    } else {
+      nameElement.innerHTML = `${this.escapeHtml(name)} <span class="skill-match-alias">(${marked(match.text, match.indices)})</span>`;
+    }
+  }
+
+  // While a search runs, the grid is the listbox of the search box: each category with
+  // matches is a group and each visible result an option. Without a search they are plain lists.
+  setSkillResultRoles(isSearching) {
+    const grid = document.getElementById('skills-grid');
+    if (!grid) return;
+    
+    const setRole = (element, role, attributes = {}) => {
+      if (role) {
+        element.setAttribute('role', role);
+        Object.entries(attributes).forEach(([name, value]) => element.setAttribute(name, value));
+      } else {
+        element.removeAttribute('role');
+        Object.keys(attributes).forEach(name => element.removeAttribute(name));
+      }
+    };
+    const isShown = element => isSearching && element.style.display !== 'none';
+    
+    setRole(grid, isSearching ? 'listbox' : null, { 'aria-label': 'Skill search results' });
+    grid.querySelectorAll('.skill-category').forEach(category => {
+      setRole(category, isShown(category) ? 'group' : null, { 'aria-label': category.getAttribute('data-category') });
+    });
+    grid.querySelectorAll('.skill-item').forEach(item => {
+      setRole(item, isShown(item) ? 'option' : null, { 'aria-selected': String(item.classList.contains('search-active')) });
+    });
+  }
+
+  // Visible search results in the order they are shown
+  getSkillResults() {
+    if (!this.skillsSearch.query.trim()) return [];
+    return Array.from(document.querySelectorAll('.skill-item.search-highlight'))
+      .filter(item => item.style.display !== 'none');
+  }
+
+  // Makes a result the active one of the search box, or clears the active result
+  setActiveSkillResult(item) {
+    const searchInput = document.getElementById('skills-search');
+    document.querySelectorAll('.skill-item.search-active').forEach(active => active.classList.remove('search-active'));
+    document.querySelectorAll('.skill-item[role="option"]').forEach(option => {
+      option.setAttribute('aria-selected', String(option === item));
+    });
+    
+    if (!item) {
+      if (searchInput) searchInput.removeAttribute('aria-activedescendant');
+      this.skillsSearch.activeId = null;
+      return;
+    }
+    
+    item.classList.add('search-active');
+    if (searchInput) searchInput.setAttribute('aria-activedescendant', item.id);
+    this.skillsSearch.activeId = item.id;
+    item.scrollIntoView({ block: 'nearest' });
+  }
+
+  // Moves the active result up or down, wrapping around at either end
+  moveSkillResult(step) {
+    const results = this.getSkillResults();
+    if (results.length === 0) return;
+    
+    const current = results.findIndex(item => item.id === this.skillsSearch.activeId);
+    const next = current === -1
+      ? (step > 0 ? 0 : results.length - 1)
+      : (current + step + results.length) % results.length;
+    this.setActiveSkillResult(results[next]);
+  }
+
+  // Opens the details of the active result, or of the best result when none is active
+  openSkillResult() {
+    const results = this.getSkillResults();
+    const item = results.find(result => result.id === this.skillsSearch.activeId) || results[0];
+    if (!item) return;
+    
+    if (!item.classList.contains('expanded')) {
+      this.handleSkillItemClick(item);
+    }
+    item.focus();
+  }
+
   handleSkillsFilter(categoryFilter) {
     const categories = document.querySelectorAll('.skill-category');
     let visibleSkillsCount = 0;
@@ -1759,23 +2418,29 @@ class App {
       `);
     }
     
-    if (contact.behance) {
+    (contact.social || []).forEach(link => {
+      const label = this.escapeHtml(link.label || this.formatNetworkName(link.network));
       links.push(`
-        <a href="${contact.behance}" 
+        <a href="${this.escapeHtml(link.url)}" 
            class="contact-link" 
            target="_blank" 
            rel="noopener noreferrer"
-           aria-label="Visit Behance portfolio (opens in new tab)"
-           data-contact-type="behance">
+           aria-label="Visit ${label} profile (opens in new tab)"
+           data-contact-type="${this.escapeHtml(link.network)}">
           <span class="contact-icon" aria-hidden="true">→</span>
-          <span class="contact-text">Behance</span>
+          <span class="contact-text">${label}</span>
         </a>
       `);
-    }
+    });
     
     return links.join('');
   }
 
+  // Display name for a social network identifier, e.g. "behance" → "Behance"
+  formatNetworkName(network) {
+    return network.charAt(0).toUpperCase() + network.slice(1);
+  }
+
   initializeContactInteractions() {
     const contactLinks = document.querySelectorAll('.contact-link');
     
@@ -1999,10 +2664,12 @@ class App {
 
   refreshComponent(name) {
     const component = this.components.get(name);
-    if (component && component.populateMethod) {
+    if (component && component.element && component.populateMethod) {
       try {
+        const state = this.captureComponentState(component.element);
         component.populateMethod();
         component.populated = true;
+        this.restoreComponentState(component.element, state);
         console.log(`🔄 ${name} component refreshed`);
         return true;
       } catch (error) {
@@ -2013,6 +2680,78 @@ class App {
     return false;
   }
 
+  // Records the UI state a re-render would reset: expanded toggles, the active filters,
+  // search text, sort order and view, focus and the scroll position
+  captureComponentState(element) {
+    const activeView = element.querySelector('[data-view][aria-pressed="true"]');
+    const focused = document.activeElement;
+    
+    return {
+      expanded: Array.from(element.querySelectorAll('[aria-expanded][data-target]'))
+        .map(toggle => [toggle.getAttribute('data-target'), toggle.getAttribute('aria-expanded')]),
+      // Project technology filters and skill category filters, as [attribute, value] pairs
+      filters: Array.from(element.querySelectorAll('button[data-filter].active, button[data-category].active'))
+        .map(button => button.hasAttribute('data-filter')
+          ? ['data-filter', button.getAttribute('data-filter')]
+          : ['data-category', button.getAttribute('data-category')]),
+      view: activeView ? activeView.getAttribute('data-view') : null,
+      inputs: Array.from(element.querySelectorAll('input[id], select[id]')).map(input => [input.id, input.value]),
+      focusId: focused && focused.id && element.contains(focused) ? focused.id : null,
+      revealed: element.querySelector('.animate-on-scroll.visible') !== null,
+      scrollY: window.scrollY
+    };
+  }
+
+  // Puts back the state recorded by captureComponentState, through the component's own controls
+  // so their labels and ARIA attributes stay consistent
+  restoreComponentState(element, state) {
+    const toggles = Array.from(element.querySelectorAll('[aria-expanded][data-target]'));
+    state.expanded.forEach(([target, expanded]) => {
+      const toggle = toggles.find(candidate => candidate.getAttribute('data-target') === target);
+      if (toggle && toggle.getAttribute('aria-expanded') !== expanded) {
+        toggle.click();
+      }
+    });
+    
+    state.filters.forEach(([attribute, value]) => {
+      const filterButton = Array.from(element.querySelectorAll(`button[${attribute}]`))
+        .find(button => button.getAttribute(attribute) === value);
+      if (filterButton && !filterButton.classList.contains('active')) {
+        filterButton.click();
+      }
+    });
+    
+    if (state.view) {
+      const viewButton = Array.from(element.querySelectorAll('[data-view]'))
+        .find(button => button.getAttribute('data-view') === state.view);
+      if (viewButton && viewButton.getAttribute('aria-pressed') !== 'true') {
+        viewButton.click();
+      }
+    }
+    
+    state.inputs.forEach(([id, value]) => {
+      const input = document.getElementById(id);
+      if (input && element.contains(input) && input.value !== value) {
+        input.value = value;
+        input.dispatchEvent(new Event(input.tagName === 'SELECT' ? 'change' : 'input', { bubbles: true }));
+      }
+    });
+    
+    // Content the visitor has already seen should not fade in again
+    if (state.revealed) {
+      element.querySelectorAll('.animate-on-scroll').forEach(item => item.classList.add('visible'));
+    }
+    
+    if (state.focusId) {
+      const focusTarget = document.getElementById(state.focusId);
+      if (focusTarget) focusTarget.focus({ preventScroll: true });
+    }
+    
+    if (window.scrollY !== state.scrollY) {
+      window.scrollTo({ top: state.scrollY, behavior: 'instant' });
+    }
+  }
+
   refreshAllComponents() {
     console.log('🔄 Refreshing all components...');
     this.populateAllSections();
@@ -2060,31 +2799,11 @@ class App {
 
   // Utility method to update data dynamically
   updateSection(sectionName) {
-    switch (sectionName) {
-      case 'hero':
-        this.populateHeroSection();
-        break;
-      case 'about':
-        this.populateAboutSection();
-        break;
-      case 'summary':
-        this.populateSummarySection();
-        break;
-      case 'experience':
-        this.populateExperienceSection();
-        break;
-      case 'projects':
-        this.populateProjectsSection();
-        break;
-      case 'skills':
-        this.populateSkillsSection();
-        break;
-      case 'contact':
-        this.populateContactSection();
-        break;
-      default:
-        console.warn(`Unknown section: ${sectionName}`);
+    if (!this.components.has(sectionName)) {
+      console.warn(`Unknown section: ${sectionName}`);
+      return false;
     }
+    return this.refreshComponent(sectionName);
   }
 }
 
@@ -2106,198 +2825,4 @@ window.addEventListener('error', (event) => {
 // Handle unhandled promise rejections
 window.addEventListener('unhandledrejection', (event) => {
   console.error('Unhandled promise rejection:', event.reason);
-});  creat
-eContactLinks(contact) {
-    if (!contact) return '';
-    
-    const links = [];
-    
-    if (contact.email) {
-      links.push(`<a href="mailto:${contact.email}" class="contact-link">
-        <span class="contact-icon">📧</span>
-        Email
-      </a>`);
-    }
-    
-    if (contact.linkedin) {
-      links.push(`<a href="${contact.linkedin}" class="contact-link" target="_blank" rel="noopener noreferrer">
-        <span class="contact-icon">💼</span>
-        LinkedIn
-      </a>`);
-    }
-    
-    if (contact.github) {
-      links.push(`<a href="${contact.github}" class="contact-link" target="_blank" rel="noopener noreferrer">
-        <span class="contact-icon">💻</span>
-        GitHub
-      </a>`);
-    }
-    
-    return links.join('');
-  }
-
-  initializeProjectsInteractions() {
-    // Filter functionality
-    const filterButtons = document.querySelectorAll('.filter-btn');
-    const projectCards = document.querySelectorAll('.project-card');
-    
-    filterButtons.forEach(button => {
-      button.addEventListener('click', () => {
-        const filter = button.getAttribute('data-filter');
-        
-        // Update active button
-        filterButtons.forEach(btn => btn.classList.remove('active'));
-        button.classList.add('active');
-        
-        // Filter projects
-        projectCards.forEach(card => {
-          const technologies = card.getAttribute('data-technologies');
-          
-          if (filter === 'all' || technologies.includes(filter.toLowerCase())) {
-            card.style.display = 'block';
-          } else {
-            card.style.display = 'none';
-          }
-        });
-      });
-    });
-  }
-
-  initializeProjectImageLazyLoading() {
-    const images = document.querySelectorAll('.project-image[data-src]');
-    
-    const imageObserver = new IntersectionObserver((entries) => {
-      entries.forEach(entry => {
-        if (entry.isIntersecting) {
-          const img = entry.target;
-          const placeholder = img.parentElement.querySelector('.project-image-placeholder');
-          
-          img.src = img.getAttribute('data-src');
-          img.removeAttribute('data-src');
-          
-          img.onload = () => {
-            img.classList.add('loaded');
-            if (placeholder) placeholder.style.display = 'none';
-          };
-          
-          img.onerror = () => {
-            if (placeholder) {
-              placeholder.innerHTML = `
-                <div class="fallback-icon">❌</div>
-                <div class="fallback-text">Failed to load</div>
-              `;
-            }
-          };
-          
-          imageObserver.unobserve(img);
-        }
-      });
-    });
-    
-    images.forEach(img => imageObserver.observe(img));
-  }
-
-  populateSkillsSection() {
-    const skills = window.portfolioData.getSkills();
-    const skillsElement = document.getElementById('skills-categories');
-    
-    if (!skillsElement) return;
-    
-    skillsElement.innerHTML = skills.map(category => `
-      <div class="skill-category">
-        <h3 class="skill-category-title">${this.escapeHtml(category.category)}</h3>
-        <ul class="skill-list">
-          ${category.skills.map(skill => `
-            <li class="skill-item">
-              <span class="skill-name">${this.escapeHtml(skill.name)}</span>
-              <span class="skill-level">${this.escapeHtml(skill.level)}</span>
-            </li>
-          `).join('')}
-        </ul>
-      </div>
-    `).join('');
-  }
-
-  populateContactSection() {
-    const personal = window.portfolioData.getPersonalInfo();
-    const contactLinksElement = document.getElementById('contact-links');
-    
-    if (contactLinksElement && personal.contact) {
-      contactLinksElement.innerHTML = this.createContactLinks(personal.contact);
-    }
-  }
-
-  handleLoadComplete() {
-    // Add loaded class to body for CSS animations
-    document.body.classList.add('app-loaded');
-    
-    // Initialize scroll animations
-    this.initializeScrollAnimations();
-    
-    // Announce to screen readers
-    this.announceToScreenReader('Portfolio loaded successfully');
-    
-    console.log('🎉 Portfolio app fully loaded and ready');
-  }
-
-  handleLoadError(error) {
-    console.error('Portfolio initialization error:', error);
-    
-    // Show user-friendly error message
-    const errorMessage = document.createElement('div');
-    errorMessage.className = 'error-message';
-    errorMessage.innerHTML = `
-      <h3>Loading Error</h3>
-      <p>Some content may not display correctly. Please refresh the page.</p>
-      <button onclick="location.reload()">Refresh Page</button>
-    `;
-    
-    document.body.appendChild(errorMessage);
-    
-    // Auto-hide after 10 seconds
-    setTimeout(() => {
-      if (errorMessage.parentNode) {
-        errorMessage.remove();
-      }
-    }, 10000);
-  }
-
-  initializeScrollAnimations() {
-    // Animate sections on scroll
-    const sections = document.querySelectorAll('.section');
-    
-    const sectionObserver = new IntersectionObserver((entries) => {
-      entries.forEach(entry => {
-        if (entry.isIntersecting) {
-          entry.target.classList.add('section-visible');
-        }
-      });
-    }, {
-      threshold: 0.1,
-      rootMargin: '50px'
-    });
-    
-    sections.forEach(section => {
-      sectionObserver.observe(section);
-    });
-  }
-}
-
-// Initialize the app when DOM is ready
-document.addEventListener('DOMContentLoaded', () => {
-  window.portfolioApp = new App();
-});
-
-// Handle page visibility changes for performance
-document.addEventListener('visibilitychange', () => {
-  if (window.portfolioApp && window.performanceOptimizer) {
-    if (document.hidden) {
-      window.performanceOptimizer.pauseAnimations();
-    } else {
-      window.performanceOptimizer.resumeAnimations();
-    }
-  }
 });
-// Ma
-ke App class globally available
-window.App = App;
\ No newline at end of file
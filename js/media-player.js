@@ -0,0 +1,495 @@
+/**
+ * @fileoverview Video player for project media
+ * Nothing is downloaded until the player comes near the viewport, or until the visitor
+ * presses play when they asked to save data. Videos only ever start on their own muted, as a
+ * preview while in view, and not at all when reduced motion is preferred. Playback pauses when
+ * the player leaves the viewport or the page is hidden. Captions come from WebVTT files, and
+ * chapters are listed below the video so any part of it is one click away.
+ */
+
+// Media player constants
+const MEDIA_PLAYER_CONSTANTS = {
+  PLAYER_CLASS: 'media-player',
+  // Distance from the viewport at which a player starts loading its video
+  LOAD_MARGIN: '200px 0px',
+  // Share of the player that must be visible for it to keep playing
+  VISIBLE_RATIO: 0.5,
+  PRELOAD: 'metadata',
+  ERROR_MESSAGE: 'This video could not be played.'
+};
+
+/**
+ * @typedef {Object} PlaybackPolicy
+ * @property {string} preload - Value of the video's preload attribute once it loads
+ * @property {boolean} loadWhenNear - Whether the video loads as it nears the viewport, rather than on play
+ * @property {boolean} autoplay - Whether the video plays muted while in view until the visitor takes over
+ */
+
+/**
+ * Lists the videos of a project that can be played
+ * @param {{media: (Object[]|undefined)}} project - Project
+ * @returns {Object[]} Video media entries with at least one source
+ */
+function getProjectVideos(project) {
+  const media = Array.isArray(project.media) ? project.media : [];
+  return media.filter(entry => entry && entry.type === 'video' &&
+    Array.isArray(entry.sources) && entry.sources.some(source => source && source.src));
+}
+
+/**
+ * Formats a playback position
+ * @param {number} seconds - Position in seconds
+ * @returns {string} Position as "m:ss", or "h:mm:ss" from an hour on
+ */
+function formatTime(seconds) {
+  const total = Number.isFinite(seconds) && seconds > 0 ? Math.floor(seconds) : 0;
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const rest = String(total % 60).padStart(2, '0');
+  return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${rest}` : `${minutes}:${rest}`;
+}
+
+/**
+ * Finds the chapter playing at a position
+ * @param {Array<{start: number}>} chapters - Chapters in the order they start
+ * @param {number} time - Position in seconds
+ * @returns {number} Index of the chapter, or -1 before the first one
+ */
+function getActiveChapter(chapters, time) {
+  let active = -1;
+  (chapters || []).forEach((chapter, index) => {
+    if (chapter.start <= time) {
+      active = index;
+    }
+  });
+  return active;
+}
+
+/**
+ * Finds the captions shown from the start
+ * @param {Array<{default: (boolean|undefined)}>} captions - Captions tracks
+ * @returns {number} Index of the default track, or -1 when captions start off
+ */
+function getDefaultCaptions(captions) {
+  return (captions || []).findIndex(track => track.default === true);
+}
+
+/**
+ * Reads the visitor's motion and data preferences
+ * @param {Window} win - Window to read them from
+ * @returns {{reducedMotion: boolean, saveData: boolean}} Preferences
+ */
+function readPlaybackPreferences(win) {
+  const connection = win.navigator && win.navigator.connection;
+  return {
+    reducedMotion: Boolean(win.matchMedia && win.matchMedia('(prefers-reduced-motion: reduce)').matches),
+    saveData: Boolean(connection && connection.saveData)
+  };
+}
+
+/**
+ * Decides when videos load and whether they preview on their own
+ * @param {{reducedMotion: boolean, saveData: boolean}} preferences - Visitor preferences
+ * @returns {PlaybackPolicy} Playback policy
+ */
+function getPlaybackPolicy(preferences) {
+  if (preferences.saveData) {
+    return { preload: 'none', loadWhenNear: false, autoplay: false };
+  }
+  return {
+    preload: MEDIA_PLAYER_CONSTANTS.PRELOAD,
+    loadWhenNear: true,
+    autoplay: !preferences.reducedMotion
+  };
+}
+
+/**
+ * Escapes text for use in HTML
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapePlayerHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Player for one video media entry
+ */
+class MediaPlayer {
+  /**
+   * @param {Object} media - Video media entry
+   * @param {PlaybackPolicy} [policy] - Playback policy; defaults to the visitor's preferences
+   */
+  constructor(media, policy = getPlaybackPolicy(readPlaybackPreferences(window))) {
+    this.media = media;
+    this.policy = policy;
+    this.element = null;
+    this.video = null;
+    this.isLoaded = false;
+    this.isVisible = false;
+    // True while the video plays muted on its own; any use of the controls ends the preview
+    this.isPreview = false;
+    this.hasInteracted = false;
+    this.pendingTime = null;
+    this.observers = [];
+    this.handleVisibilityChange = this.handleVisibilityChange.bind(this);
+  }
+
+  render() {
+    const media = this.media;
+    const chapters = Array.isArray(media.chapters) ? media.chapters : [];
+    const captions = Array.isArray(media.captions) ? media.captions : [];
+    const defaultCaptions = getDefaultCaptions(captions);
+
+    const figure = document.createElement('figure');
+    figure.className = MEDIA_PLAYER_CONSTANTS.PLAYER_CLASS;
+    figure.setAttribute('data-state', 'idle');
+    figure.innerHTML = `
+      <div class="media-player-stage">
+        <video class="media-player-video" playsinline preload="none"
+               ${media.poster ? `poster="${escapePlayerHtml(media.poster)}"` : ''}
+               aria-label="${escapePlayerHtml(media.title)}"></video>
+        <button type="button" class="media-player-start" aria-label="Play video: ${escapePlayerHtml(media.title)}">
+          <span aria-hidden="true">▶</span>
+        </button>
+        <p class="media-player-message" role="status"></p>
+      </div>
+      <div class="media-player-controls" role="group" aria-label="Video controls">
+        <button type="button" class="media-player-play" aria-label="Play"><span aria-hidden="true">▶</span></button>
+        <input type="range" class="media-player-seek" min="0" max="0" step="1" value="0" aria-label="Seek" aria-valuetext="0:00">
+        <span class="media-player-time" aria-hidden="true">0:00 / 0:00</span>
+        <button type="button" class="media-player-mute" aria-pressed="false" aria-label="Mute"><span aria-hidden="true">🔊</span></button>
+        ${captions.length > 0 ? `
+          <select class="media-player-captions" aria-label="Captions">
+            <option value="-1">Captions off</option>
+            ${captions.map((track, index) => `
+              <option value="${index}"${index === defaultCaptions ? ' selected' : ''}>${escapePlayerHtml(track.label)}</option>
+            `).join('')}
+          </select>
+        ` : ''}
+        ${figure.requestFullscreen ? `
+          <button type="button" class="media-player-fullscreen" aria-label="Full screen"><span aria-hidden="true">⛶</span></button>
+        ` : ''}
+      </div>
+      <figcaption class="media-player-title">${escapePlayerHtml(media.title)}</figcaption>
+      ${chapters.length > 0 ? `
+        <ol class="media-player-chapters" aria-label="Chapters of ${escapePlayerHtml(media.title)}">
+          ${chapters.map((chapter, index) => `
+            <li>
+              <button type="button" class="media-player-chapter" data-index="${index}">
+                <span class="media-player-chapter-time">${formatTime(chapter.start)}</span>
+                ${escapePlayerHtml(chapter.title)}
+              </button>
+            </li>
+          `).join('')}
+        </ol>
+      ` : ''}
+    `;
+
+    this.element = figure;
+    this.video = figure.querySelector('.media-player-video');
+    this.initializeControls();
+    this.initializeVideoEvents();
+    return figure;
+  }
+
+  // Starts watching the viewport; call once the player is in the document
+  observe() {
+    document.addEventListener('visibilitychange', this.handleVisibilityChange);
+
+    if (!('IntersectionObserver' in window)) {
+      // Without an observer nothing can pause off-screen, so nothing starts on its own either
+      if (this.policy.loadWhenNear) {
+        this.load();
+      }
+      return;
+    }
+
+    if (this.policy.loadWhenNear) {
+      const loadObserver = new IntersectionObserver(entries => {
+        if (entries.some(entry => entry.isIntersecting)) {
+          this.load();
+          loadObserver.disconnect();
+        }
+      }, { rootMargin: MEDIA_PLAYER_CONSTANTS.LOAD_MARGIN });
+      loadObserver.observe(this.element);
+      this.observers.push(loadObserver);
+    }
+
+    const visibilityObserver = new IntersectionObserver(entries => {
+      entries.forEach(entry => {
+        this.isVisible = entry.isIntersecting && entry.intersectionRatio >= MEDIA_PLAYER_CONSTANTS.VISIBLE_RATIO;
+        this.updatePlaybackForVisibility();
+      });
+    }, { threshold: [0, MEDIA_PLAYER_CONSTANTS.VISIBLE_RATIO] });
+    visibilityObserver.observe(this.element);
+    this.observers.push(visibilityObserver);
+  }
+
+  initializeControls() {
+    const figure = this.element;
+
+    figure.querySelector('.media-player-start').addEventListener('click', () => this.takeOver(() => this.play()));
+    figure.querySelector('.media-player-play').addEventListener('click', () => {
+      this.takeOver(() => (this.video.paused || this.video.ended ? this.play() : this.video.pause()));
+    });
+
+    const mute = figure.querySelector('.media-player-mute');
+    mute.addEventListener('click', () => this.takeOver(() => {
+      this.video.muted = !this.video.muted;
+    }));
+
+    const seek = figure.querySelector('.media-player-seek');
+    seek.addEventListener('input', () => this.takeOver(() => this.seek(Number(seek.value))));
+
+    const captions = figure.querySelector('.media-player-captions');
+    if (captions) {
+      captions.addEventListener('change', () => this.showCaptions(Number(captions.value)));
+    }
+
+    const fullscreen = figure.querySelector('.media-player-fullscreen');
+    if (fullscreen) {
+      fullscreen.addEventListener('click', () => {
+        if (document.fullscreenElement === figure) {
+          document.exitFullscreen();
+        } else {
+          figure.requestFullscreen();
+        }
+      });
+    }
+
+    figure.querySelectorAll('.media-player-chapter').forEach(button => {
+      button.addEventListener('click', () => this.takeOver(() => {
+        this.seek(this.media.chapters[Number(button.getAttribute('data-index'))].start);
+        this.play();
+      }));
+    });
+  }
+
+  initializeVideoEvents() {
+    const video = this.video;
+
+    video.addEventListener('loadedmetadata', () => {
+      if (this.pendingTime !== null) {
+        video.currentTime = this.pendingTime;
+        this.pendingTime = null;
+      }
+      this.showCaptions(this.getSelectedCaptions());
+      this.updateProgress();
+    });
+    video.addEventListener('play', () => this.updateState());
+    video.addEventListener('pause', () => this.updateState());
+    video.addEventListener('ended', () => this.updateState());
+    video.addEventListener('timeupdate', () => this.updateProgress());
+    video.addEventListener('durationchange', () => this.updateProgress());
+    video.addEventListener('volumechange', () => this.updateMute());
+    video.addEventListener('click', () => this.takeOver(() => (video.paused ? this.play() : video.pause())));
+  }
+
+  // Runs an action the visitor asked for: the video is theirs from now on, with sound unless they mute it
+  takeOver(action) {
+    if (this.isPreview) {
+      this.isPreview = false;
+      this.video.muted = false;
+    }
+    this.hasInteracted = true;
+    action();
+  }
+
+  // Adds the sources and captions, which is when the browser starts downloading
+  load() {
+    if (this.isLoaded) {
+      return;
+    }
+    this.isLoaded = true;
+
+    this.media.sources.filter(source => source && source.src).forEach(source => {
+      const element = document.createElement('source');
+      element.src = source.src;
+      element.type = source.type;
+      this.video.appendChild(element);
+    });
+
+    // Browsers report a source that cannot be played on the source, not the video; the last one failing means none can
+    const sources = this.video.querySelectorAll('source');
+    sources[sources.length - 1].addEventListener('error', () => this.showError());
+
+    (this.media.captions || []).forEach(track => {
+      const element = document.createElement('track');
+      element.kind = 'captions';
+      element.src = track.src;
+      element.srclang = track.srclang;
+      element.label = track.label;
+      this.video.appendChild(element);
+    });
+
+    this.video.preload = this.policy.preload;
+    this.video.load();
+  }
+
+  play() {
+    this.load();
+    const playing = this.video.play();
+    // Browsers may refuse to play, e.g. muted previews in power saving mode; the poster stays up
+    if (playing && typeof playing.catch === 'function') {
+      playing.catch(() => {
+        this.isPreview = false;
+        this.updateState();
+      });
+    }
+  }
+
+  seek(time) {
+    this.load();
+    if (this.video.readyState >= 1) {
+      this.video.currentTime = time;
+    } else {
+      this.pendingTime = time;
+    }
+    this.updateProgress(time);
+  }
+
+  // Plays a muted preview in view until the visitor takes over, and pauses whatever plays out of view
+  updatePlaybackForVisibility() {
+    const isShown = this.isVisible && document.visibilityState !== 'hidden';
+    const state = this.element.getAttribute('data-state');
+
+    if (!isShown) {
+      if (!this.video.paused) {
+        this.video.pause();
+      }
+      return;
+    }
+
+    const canPreview = this.policy.autoplay && !this.hasInteracted && state !== 'error';
+    if (canPreview && this.video.paused && !this.video.ended) {
+      this.isPreview = true;
+      this.video.muted = true;
+      this.play();
+    }
+  }
+
+  handleVisibilityChange() {
+    this.updatePlaybackForVisibility();
+  }
+
+  getSelectedCaptions() {
+    const select = this.element.querySelector('.media-player-captions');
+    return select ? Number(select.value) : -1;
+  }
+
+  showCaptions(index) {
+    Array.from(this.video.textTracks || []).forEach((track, trackIndex) => {
+      track.mode = trackIndex === index ? 'showing' : 'disabled';
+    });
+  }
+
+  updateState() {
+    if (this.element.getAttribute('data-state') === 'error') {
+      return;
+    }
+
+    const video = this.video;
+    let state = 'paused';
+    if (video.ended) {
+      state = 'ended';
+    } else if (!video.paused) {
+      state = this.isPreview ? 'preview' : 'playing';
+    } else if (!this.hasInteracted && video.currentTime === 0) {
+      state = 'idle';
+    }
+    this.element.setAttribute('data-state', state);
+
+    const isPlaying = state === 'playing' || state === 'preview';
+    const play = this.element.querySelector('.media-player-play');
+    play.setAttribute('aria-label', isPlaying ? 'Pause' : 'Play');
+    play.querySelector('span').textContent = isPlaying ? '❚❚' : '▶';
+
+    // During a preview the large button brings the sound in
+    const title = this.media.title;
+    this.element.querySelector('.media-player-start')
+      .setAttribute('aria-label', state === 'preview' ? `Play with sound: ${title}` : `Play video: ${title}`);
+  }
+
+  updateMute() {
+    const mute = this.element.querySelector('.media-player-mute');
+    mute.setAttribute('aria-pressed', String(this.video.muted));
+    mute.querySelector('span').textContent = this.video.muted ? '🔇' : '🔊';
+  }
+
+  updateProgress(time = this.video.currentTime) {
+    const duration = Number.isFinite(this.video.duration) ? this.video.duration : 0;
+    const seek = this.element.querySelector('.media-player-seek');
+    seek.max = String(Math.floor(duration));
+    seek.value = String(Math.floor(time));
+    seek.setAttribute('aria-valuetext', `${formatTime(time)} of ${formatTime(duration)}`);
+    this.element.querySelector('.media-player-time').textContent = `${formatTime(time)} / ${formatTime(duration)}`;
+
+    const chapters = Array.isArray(this.media.chapters) ? this.media.chapters : [];
+    const active = getActiveChapter(chapters, time);
+    this.element.querySelectorAll('.media-player-chapter').forEach((button, index) => {
+      if (index === active) {
+        button.setAttribute('aria-current', 'true');
+      } else {
+        button.removeAttribute('aria-current');
+      }
+    });
+  }
+
+  // Keeps the poster and replaces the controls with a message
+  showError() {
+    this.isPreview = false;
+    this.element.setAttribute('data-state', 'error');
+    this.element.querySelector('.media-player-message').textContent = MEDIA_PLAYER_CONSTANTS.ERROR_MESSAGE;
+    this.element.querySelectorAll('.media-player-controls button, .media-player-controls input, .media-player-controls select, .media-player-start, .media-player-chapter')
+      .forEach(control => {
+        control.disabled = true;
+      });
+  }
+
+  // Stops playback and any download in progress
+  destroy() {
+    this.observers.forEach(observer => observer.disconnect());
+    this.observers = [];
+    document.removeEventListener('visibilitychange', this.handleVisibilityChange);
+
+    if (this.video) {
+      this.video.pause();
+      this.video.querySelectorAll('source, track').forEach(element => element.remove());
+      if (this.isLoaded) {
+        this.video.load();
+      }
+    }
+  }
+}
+
+// Export functions and constants for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  // Node.js environment
+  module.exports = {
+    MEDIA_PLAYER_CONSTANTS,
+    getProjectVideos,
+    formatTime,
+    getActiveChapter,
+    getDefaultCaptions,
+    readPlaybackPreferences,
+    getPlaybackPolicy
+  };
+} else {
+  // Browser environment
+  window.PortfolioMediaPlayer = {
+    MEDIA_PLAYER_CONSTANTS,
+    getProjectVideos,
+    formatTime,
+    getActiveChapter,
+    getDefaultCaptions,
+    readPlaybackPreferences,
+    getPlaybackPolicy,
+    MediaPlayer
+  };
+}
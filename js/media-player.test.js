@@ -0,0 +1,162 @@
+/**
+ * @fileoverview Unit tests for the project video player helpers
+ */
+
+// Import the media player helpers
+let PortfolioMediaPlayer;
+if (typeof require !== 'undefined') {
+  // Node.js environment
+  PortfolioMediaPlayer = require('./media-player.js');
+} else {
+  // Browser environment - assume media-player.js is already loaded
+  PortfolioMediaPlayer = window.PortfolioMediaPlayer;
+}
+
+// Test utilities
+const TestRunner = {
+  tests: [],
+  passed: 0,
+  failed: 0,
+
+  test(name, testFn) {
+    this.tests.push({ name, testFn });
+  },
+
+  expect(actual) {
+    return {
+      toBe(expected) {
+        if (actual === expected) {
+          return { passed: true };
+        }
+        return { passed: false, message: `Expected ${expected}, got ${actual}` };
+      },
+
+      toEqual(expected) {
+        if (JSON.stringify(actual) === JSON.stringify(expected)) {
+          return { passed: true };
+        }
+        return { passed: false, message: `Expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}` };
+      },
+
+      toContain(expected) {
+        if (Array.isArray(actual) && actual.includes(expected)) {
+          return { passed: true };
+        }
+        return { passed: false, message: `Expected ${JSON.stringify(actual)} to contain ${expected}` };
+      }
+    };
+  },
+
+  run() {
+    console.log('Running media player tests...\n');
+
+    this.tests.forEach(({ name, testFn }) => {
+      try {
+        const result = testFn();
+        if (result.passed) {
+          this.passed++;
+          console.log(`✓ ${name}`);
+        } else {
+          this.failed++;
+          console.log(`✗ ${name}: ${result.message}`);
+        }
+      } catch (error) {
+        this.failed++;
+        console.log(`✗ ${name}: ${error.message}`);
+      }
+    });
+
+    console.log(`\nTest Results: ${this.passed} passed, ${this.failed} failed`);
+    return this.failed === 0;
+  }
+};
+
+// Test data
+const chapters = [{ start: 0, title: 'Overview' }, { start: 42.5, title: 'Screening' }, { start: 95, title: 'Reports' }];
+
+/**
+ * Builds a window with the given preferences
+ * @param {boolean} reducedMotion - Whether reduced motion is preferred
+ * @param {Object} [connection] - Network information, e.g. { saveData: true }
+ * @returns {Object} Window-like object
+ */
+function createWindow(reducedMotion, connection) {
+  return {
+    navigator: { connection },
+    matchMedia: query => ({ matches: reducedMotion && query === '(prefers-reduced-motion: reduce)' })
+  };
+}
+
+// Media tests
+TestRunner.test('getProjectVideos - keeps videos with a source', () => {
+  const videos = PortfolioMediaPlayer.getProjectVideos({
+    media: [
+      { type: 'video', title: 'Walkthrough', sources: [{ src: 'videos/intro.webm', type: 'video/webm' }] },
+      { type: 'video', title: 'No sources', sources: [] },
+      { type: 'audio', title: 'Podcast', sources: [{ src: 'talk.mp3' }] },
+      null
+    ]
+  });
+  return TestRunner.expect(videos.map(video => video.title)).toEqual(['Walkthrough']);
+});
+
+TestRunner.test('getProjectVideos - returns nothing without media', () => {
+  return TestRunner.expect(PortfolioMediaPlayer.getProjectVideos({ title: 'VPC' })).toEqual([]);
+});
+
+// Time and chapter tests
+TestRunner.test('formatTime - minutes and seconds, hours from an hour on', () => {
+  return TestRunner.expect([0, 7.9, 65, 3599, 3723, NaN, -3].map(PortfolioMediaPlayer.formatTime))
+    .toEqual(['0:00', '0:07', '1:05', '59:59', '1:02:03', '0:00', '0:00']);
+});
+
+TestRunner.test('getActiveChapter - finds the chapter playing', () => {
+  return TestRunner.expect([0, 42, 42.5, 120].map(time => PortfolioMediaPlayer.getActiveChapter(chapters, time)))
+    .toEqual([0, 0, 1, 2]);
+});
+
+TestRunner.test('getActiveChapter - none before the first chapter or without chapters', () => {
+  return TestRunner.expect([
+    PortfolioMediaPlayer.getActiveChapter([{ start: 10, title: 'Intro' }], 5),
+    PortfolioMediaPlayer.getActiveChapter(undefined, 5)
+  ]).toEqual([-1, -1]);
+});
+
+TestRunner.test('getDefaultCaptions - finds the default track', () => {
+  return TestRunner.expect([
+    PortfolioMediaPlayer.getDefaultCaptions([{ label: 'English' }, { label: 'Deutsch', default: true }]),
+    PortfolioMediaPlayer.getDefaultCaptions([{ label: 'English' }]),
+    PortfolioMediaPlayer.getDefaultCaptions(undefined)
+  ]).toEqual([1, -1, -1]);
+});
+
+// Playback policy tests
+TestRunner.test('readPlaybackPreferences - reads reduced motion and Save-Data', () => {
+  return TestRunner.expect([
+    PortfolioMediaPlayer.readPlaybackPreferences(createWindow(true, { saveData: true })),
+    PortfolioMediaPlayer.readPlaybackPreferences(createWindow(false))
+  ]).toEqual([{ reducedMotion: true, saveData: true }, { reducedMotion: false, saveData: false }]);
+});
+
+TestRunner.test('getPlaybackPolicy - previews muted and loads near the viewport by default', () => {
+  return TestRunner.expect(PortfolioMediaPlayer.getPlaybackPolicy({ reducedMotion: false, saveData: false }))
+    .toEqual({ preload: 'metadata', loadWhenNear: true, autoplay: true });
+});
+
+TestRunner.test('getPlaybackPolicy - no preview with reduced motion', () => {
+  return TestRunner.expect(PortfolioMediaPlayer.getPlaybackPolicy({ reducedMotion: true, saveData: false }))
+    .toEqual({ preload: 'metadata', loadWhenNear: true, autoplay: false });
+});
+
+TestRunner.test('getPlaybackPolicy - nothing loads before play with Save-Data', () => {
+  return TestRunner.expect(PortfolioMediaPlayer.getPlaybackPolicy({ reducedMotion: false, saveData: true }))
+    .toEqual({ preload: 'none', loadWhenNear: false, autoplay: false });
+});
+
+// Run tests if this file is executed directly
+if (typeof require !== 'undefined' && require.main === module) {
+  process.exitCode = TestRunner.run() ? 0 : 1;
+} else if (typeof window !== 'undefined') {
+  // Browser environment - expose test runner
+  window.PortfolioMediaPlayerTestRunner = TestRunner;
+}
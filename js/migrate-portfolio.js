@@ -0,0 +1,277 @@
+/**
+ * @fileoverview Command line tool that migrates portfolio data files between schema versions
+ * Upgrades (or, with --to, downgrades) a portfolio.json file one schemaVersion at a time and
+ * rewrites it, or prints a diff preview without writing when run with --dry-run.
+ *
+ * Usage: node js/migrate-portfolio.js [options] [file]
+ *
+ * Exit codes: 0 on success (including when nothing needed migrating), 1 when the file cannot
+ * be migrated, 2 for usage errors or files that cannot be read or written.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const PortfolioMigrations = require('./migrations.js');
+const PortfolioCompose = require('./compose.js');
+const DataFormats = require('./data-formats.js');
+
+// CLI constants
+const CLI_CONSTANTS = {
+  DEFAULT_FILE: path.join(__dirname, '../data/portfolio.json'),
+  MAX_INLINE_WIDTH: 130,
+  MAX_INLINE_KEYS: 3,
+  DIFF_CONTEXT: 2,
+  EXIT_OK: 0,
+  EXIT_FAILED: 1,
+  EXIT_USAGE: 2
+};
+
+const USAGE = `Usage: node js/migrate-portfolio.js [options] [file]
+
+Migrates a portfolio data file to another schemaVersion (default: the latest, ${PortfolioMigrations.CURRENT_SCHEMA_VERSION}).
+Defaults to data/portfolio.json.
+
+Options:
+  --to <version>  Target schemaVersion; lower than the file's version migrates down
+  --dry-run       Print the changes as a diff instead of rewriting the file
+  -h, --help      Show this help`;
+
+/**
+ * Parses command line arguments
+ * @param {string[]} argv - Arguments without the node executable and script path
+ * @returns {{options: Object, files: string[]}} Parsed options and file arguments
+ * @throws {Error} When an option is unknown or has an invalid value
+ */
+function parseArgs(argv) {
+  const options = { to: undefined, dryRun: false, help: false };
+  const files = [];
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (arg === '--dry-run') {
+      options.dryRun = true;
+    } else if (arg === '-h' || arg === '--help') {
+      options.help = true;
+    } else if (arg === '--to' || arg.startsWith('--to=')) {
+      const value = arg === '--to' ? argv[++i] : arg.slice('--to='.length);
+      if (!/^\d+$/.test(value || '')) {
+        throw new Error('--to must be a schemaVersion number');
+      }
+      options.to = Number(value);
+    } else if (arg.startsWith('-')) {
+      throw new Error(`Unknown option: ${arg}`);
+    } else {
+      files.push(arg);
+    }
+  }
+
+  if (files.length > 1) {
+    throw new Error('Migrate one file at a time');
+  }
+
+  return { options, files };
+}
+
+/**
+ * Serializes portfolio data the way data/portfolio.json is written by hand: two-space
+ * indentation, with arrays of plain values and small objects of plain values kept on one
+ * line when they fit
+ * @param {*} value - Value to serialize
+ * @param {string} [indent] - Indentation of the current line
+ * @param {number} [prefixWidth] - Width of the text before the value on its line
+ * @returns {string} JSON text
+ */
+function formatPortfolioJson(value, indent = '', prefixWidth = 0) {
+  if (value === null || typeof value !== 'object') {
+    return JSON.stringify(value);
+  }
+
+  const isArray = Array.isArray(value);
+  const entries = isArray ? value.map(item => [null, item]) : Object.entries(value);
+  if (entries.length === 0) {
+    return isArray ? '[]' : '{}';
+  }
+
+  const [open, close] = isArray ? ['[', ']'] : ['{', '}'];
+  const renderKey = key => (key === null ? '' : `${JSON.stringify(key)}: `);
+
+  // Keep plain values on one line when the whole line stays readable
+  const isPlain = entries.every(([, item]) => item === null || typeof item !== 'object');
+  if (isPlain && (isArray || entries.length <= CLI_CONSTANTS.MAX_INLINE_KEYS)) {
+    const items = entries.map(([key, item]) => `${renderKey(key)}${JSON.stringify(item)}`).join(', ');
+    const inline = isArray ? `[${items}]` : `{ ${items} }`;
+    if (indent.length + prefixWidth + inline.length <= CLI_CONSTANTS.MAX_INLINE_WIDTH) {
+      return inline;
+    }
+  }
+
+  const childIndent = `${indent}  `;
+  const lines = entries.map(([key, item]) => {
+    const prefix = renderKey(key);
+    return `${childIndent}${prefix}${formatPortfolioJson(item, childIndent, prefix.length)}`;
+  });
+  return `${open}\n${lines.join(',\n')}\n${indent}${close}`;
+}
+
+/**
+ * Builds a unified diff between two texts
+ * @param {string} before - Original text
+ * @param {string} after - Changed text
+ * @param {string} label - File name shown in the diff header
+ * @returns {string} Unified diff, or '' when the texts are equal
+ */
+function createDiff(before, after, label) {
+  if (before === after) return '';
+
+  const a = before.replace(/\n$/, '').split('\n');
+  const b = after.replace(/\n$/, '').split('\n');
+
+  // Longest common subsequence table, filled from the end
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      ops.push({ type: ' ', text: a[i], oldLine: i++, newLine: j++ });
+    } else if (i < a.length && (j === b.length || lcs[i + 1][j] >= lcs[i][j + 1])) {
+      ops.push({ type: '-', text: a[i], oldLine: i++, newLine: j });
+    } else {
+      ops.push({ type: '+', text: b[j], oldLine: i, newLine: j++ });
+    }
+  }
+
+  // Group changes with their surrounding context into hunks
+  const hunks = [];
+  ops.forEach((op, index) => {
+    if (op.type === ' ') return;
+    const start = Math.max(0, index - CLI_CONSTANTS.DIFF_CONTEXT);
+    const end = Math.min(ops.length, index + CLI_CONSTANTS.DIFF_CONTEXT + 1);
+    const last = hunks[hunks.length - 1];
+    if (last && start <= last.end) {
+      last.end = Math.max(last.end, end);
+    } else {
+      hunks.push({ start, end });
+    }
+  });
+
+  const output = [`--- a/${label}`, `+++ b/${label}`];
+  hunks.forEach(({ start, end }) => {
+    const slice = ops.slice(start, end);
+    const oldCount = slice.filter(op => op.type !== '+').length;
+    const newCount = slice.filter(op => op.type !== '-').length;
+    output.push(`@@ -${slice[0].oldLine + 1},${oldCount} +${slice[0].newLine + 1},${newCount} @@`);
+    slice.forEach(op => output.push(`${op.type}${op.text}`));
+  });
+
+  return output.join('\n');
+}
+
+/**
+ * Runs the migration tool
+ * @param {string[]} argv - Arguments without the node executable and script path
+ * @param {Object} [io] - Output streams and working directory, for tests
+ * @param {{write: Function}} [io.stdout] - Standard output
+ * @param {{write: Function}} [io.stderr] - Standard error
+ * @param {string} [io.cwd] - Directory relative paths are resolved against
+ * @returns {number} Exit code
+ */
+function run(argv, io = {}) {
+  const stdout = io.stdout || process.stdout;
+  const stderr = io.stderr || process.stderr;
+  const cwd = io.cwd || process.cwd();
+
+  let parsed;
+  try {
+    parsed = parseArgs(argv);
+  } catch (error) {
+    stderr.write(`${error.message}\n\n${USAGE}\n`);
+    return CLI_CONSTANTS.EXIT_USAGE;
+  }
+
+  const { options, files } = parsed;
+  if (options.help) {
+    stdout.write(`${USAGE}\n`);
+    return CLI_CONSTANTS.EXIT_OK;
+  }
+
+  const file = files[0] || path.relative(cwd, CLI_CONSTANTS.DEFAULT_FILE);
+  const filePath = path.resolve(cwd, file);
+
+  let original;
+  let data;
+  try {
+    original = fs.readFileSync(filePath, 'utf8');
+  } catch (error) {
+    stderr.write(`Cannot read ${file}: ${error.message}\n`);
+    return CLI_CONSTANTS.EXIT_USAGE;
+  }
+
+  let result;
+  try {
+    if (DataFormats.getDataFormat(file) !== 'json') {
+      // Rewriting would lose the comments and layout the format exists for
+      throw new Error(`only JSON files can be rewritten; ${DataFormats.describeDataFormat(file)} files are migrated when they load`);
+    }
+    data = JSON.parse(original);
+    if (PortfolioCompose.hasIncludes(data)) {
+      // The migrated document could not be split back into the files it was composed from
+      throw new Error('it includes other files; composed documents are migrated when they load');
+    }
+    result = PortfolioMigrations.migrate(data, { to: options.to });
+  } catch (error) {
+    stderr.write(`✗ Cannot migrate ${file}: ${error.message}\n`);
+    return CLI_CONSTANTS.EXIT_FAILED;
+  }
+
+  if (result.applied.length === 0) {
+    stdout.write(`✓ ${file} is already at schemaVersion ${result.to}\n`);
+    return CLI_CONSTANTS.EXIT_OK;
+  }
+
+  const lines = [`${file}: schemaVersion ${result.from} → ${result.to}`];
+  result.applied.forEach(step => {
+    lines.push(`  ${step.direction === 'up' ? '↑' : '↓'} v${step.version}: ${step.description}`);
+  });
+
+  const migrated = `${formatPortfolioJson(result.data)}\n`;
+
+  if (options.dryRun) {
+    // Diff against the original reformatted the same way, so the preview only shows the migration
+    const normalized = `${formatPortfolioJson(data)}\n`;
+    lines.push('', createDiff(normalized, migrated, file.split(path.sep).join('/')), '', 'Dry run: no files were changed.');
+    stdout.write(`${lines.join('\n')}\n`);
+    return CLI_CONSTANTS.EXIT_OK;
+  }
+
+  try {
+    fs.writeFileSync(filePath, migrated);
+  } catch (error) {
+    stderr.write(`Cannot write ${file}: ${error.message}\n`);
+    return CLI_CONSTANTS.EXIT_USAGE;
+  }
+
+  lines.push(`✓ ${file} rewritten`);
+  stdout.write(`${lines.join('\n')}\n`);
+  return CLI_CONSTANTS.EXIT_OK;
+}
+
+// Run when executed directly
+if (require.main === module) {
+  process.exitCode = run(process.argv.slice(2));
+}
+
+module.exports = {
+  CLI_CONSTANTS,
+  run,
+  parseArgs,
+  formatPortfolioJson,
+  createDiff
+};
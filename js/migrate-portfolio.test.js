@@ -0,0 +1,191 @@
+/**
+ * @fileoverview Unit tests for the migrate-portfolio command line tool
+ * These tests run the CLI against fixture files in a temporary directory
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const MigratePortfolio = require('./migrate-portfolio.js');
+
+// Test utilities
+const TestRunner = {
+  tests: [],
+  passed: 0,
+  failed: 0,
+
+  test(name, testFn) {
+    this.tests.push({ name, testFn });
+  },
+
+  expect(actual) {
+    return {
+      toBe(expected) {
+        if (actual === expected) {
+          return { passed: true };
+        }
+        return { passed: false, message: `Expected ${expected}, got ${actual}` };
+      },
+
+      toEqual(expected) {
+        if (JSON.stringify(actual) === JSON.stringify(expected)) {
+          return { passed: true };
+        }
+        return { passed: false, message: `Expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}` };
+      },
+
+      toContain(expected) {
+        if (Array.isArray(actual) && actual.includes(expected)) {
+          return { passed: true };
+        }
+        return { passed: false, message: `Expected ${JSON.stringify(actual)} to contain ${expected}` };
+      }
+    };
+  },
+
+  run() {
+    console.log('Running portfolio migration CLI tests...\n');
+
+    this.tests.forEach(({ name, testFn }) => {
+      try {
+        const result = testFn();
+        if (result.passed) {
+          this.passed++;
+          console.log(`✓ ${name}`);
+        } else {
+          this.failed++;
+          console.log(`✗ ${name}: ${result.message}`);
+        }
+      } catch (error) {
+        this.failed++;
+        console.log(`✗ ${name}: ${error.message}`);
+      }
+    });
+
+    console.log(`\nTest Results: ${this.passed} passed, ${this.failed} failed`);
+    return this.failed === 0;
+  }
+};
+
+// Test data
+const versionOneText = `{
+  "personal": {
+    "name": "John Doe",
+    "contact": { "email": "test@example.com", "behance": "https://behance.net/test" }
+  },
+  "experience": [
+    {
+      "id": "exp1",
+      "duration": "2020 – 2022",
+      "technologies": ["AWS", "Docker"]
+    }
+  ]
+}
+`;
+
+const fixtureDir = fs.mkdtempSync(path.join(os.tmpdir(), 'migrate-portfolio-'));
+
+/**
+ * Writes a fresh copy of the version 1 fixture
+ * @param {string} name - File name inside the fixture directory
+ * @returns {string} Absolute path of the file
+ */
+function writeFixture(name) {
+  const file = path.join(fixtureDir, name);
+  fs.writeFileSync(file, versionOneText);
+  return file;
+}
+
+/**
+ * Runs the CLI against the fixture directory, capturing its output
+ * @param {string[]} argv - CLI arguments
+ * @returns {{code: number, stdout: string, stderr: string}} Exit code and output
+ */
+function runCli(argv) {
+  let stdout = '';
+  let stderr = '';
+  const code = MigratePortfolio.run(argv, {
+    cwd: fixtureDir,
+    stdout: { write: text => { stdout += text; } },
+    stderr: { write: text => { stderr += text; } }
+  });
+  return { code, stdout, stderr };
+}
+
+// Dry run tests
+TestRunner.test('run - --dry-run leaves the file untouched', () => {
+  const file = writeFixture('dry-run.json');
+  const { code } = runCli(['--dry-run', 'dry-run.json']);
+  return TestRunner.expect(code === 0 && fs.readFileSync(file, 'utf8') === versionOneText).toBe(true);
+});
+
+TestRunner.test('run - --dry-run prints a diff of the changes', () => {
+  writeFixture('preview.json');
+  const { stdout } = runCli(['--dry-run', 'preview.json']);
+  return TestRunner.expect([
+    '-      "duration": "2020 – 2022",',
+    '+      "dates": { "start": "2020", "end": "2022" },'
+  ].every(line => stdout.includes(line))).toBe(true);
+});
+
+// Rewrite tests
+TestRunner.test('run - rewrites the file at the latest version', () => {
+  const file = writeFixture('rewrite.json');
+  runCli(['rewrite.json']);
+  const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  return TestRunner.expect([data.schemaVersion, data.personal.contact.social[0].network]).toEqual([3, 'behance']);
+});
+
+TestRunner.test('run - --to migrates back down', () => {
+  const file = writeFixture('round-trip.json');
+  runCli(['round-trip.json']);
+  runCli(['--to', '1', 'round-trip.json']);
+  return TestRunner.expect(fs.readFileSync(file, 'utf8')).toBe(versionOneText);
+});
+
+TestRunner.test('run - reports files that are already current', () => {
+  writeFixture('current.json');
+  runCli(['current.json']);
+  return TestRunner.expect(runCli(['current.json']).stdout.includes('already at schemaVersion 3')).toBe(true);
+});
+
+// Error tests
+TestRunner.test('run - exits 1 for unsupported versions', () => {
+  fs.writeFileSync(path.join(fixtureDir, 'future.json'), '{ "schemaVersion": 99 }');
+  return TestRunner.expect(runCli(['future.json']).code).toBe(1);
+});
+
+TestRunner.test('run - exits 1 for files with includes', () => {
+  fs.writeFileSync(path.join(fixtureDir, 'manifest.json'), '{ "projects": { "$include": "projects/*.json" } }');
+  return TestRunner.expect(runCli(['manifest.json']).code).toBe(1);
+});
+
+TestRunner.test('run - exits 1 for YAML files', () => {
+  fs.writeFileSync(path.join(fixtureDir, 'portfolio.yaml'), 'personal:\n  name: John Doe\n');
+  return TestRunner.expect(runCli(['portfolio.yaml']).code).toBe(1);
+});
+
+TestRunner.test('run - exits 2 for a missing file', () => {
+  return TestRunner.expect(runCli(['missing.json']).code).toBe(2);
+});
+
+TestRunner.test('run - exits 2 for an invalid --to', () => {
+  return TestRunner.expect(runCli(['--to', 'latest', 'current.json']).code).toBe(2);
+});
+
+// Formatting tests
+TestRunner.test('formatPortfolioJson - keeps short plain arrays and small objects inline', () => {
+  const text = MigratePortfolio.formatPortfolioJson({ tools: ['AWS'], link: { name: 'Repo', url: 'https://x.dev' } });
+  return TestRunner.expect(text).toBe('{\n  "tools": ["AWS"],\n  "link": { "name": "Repo", "url": "https://x.dev" }\n}');
+});
+
+TestRunner.test('createDiff - empty for equal texts', () => {
+  return TestRunner.expect(MigratePortfolio.createDiff('a\nb\n', 'a\nb\n', 'file.json')).toBe('');
+});
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+  const passed = TestRunner.run();
+  fs.rmSync(fixtureDir, { recursive: true, force: true });
+  process.exitCode = passed ? 0 : 1;
+}
@@ -0,0 +1,227 @@
+/**
+ * @fileoverview Schema versioning and migrations for portfolio data
+ * Each migration upgrades a document by one schemaVersion and knows how to undo itself, so
+ * older portfolio.json files can be upgraded step by step at runtime and by the migrate CLI
+ */
+
+// Date parsing and formatting come from dates.js (required in Node.js, loaded before this file in the browser)
+const migrationDates = typeof module !== 'undefined' && module.exports
+  ? require('./dates.js')
+  : window.PortfolioDates;
+
+// Migration constants
+const MIGRATION_CONSTANTS = {
+  VERSION_FIELD: 'schemaVersion',
+  INITIAL_VERSION: 1,
+  DATE_LOCALE: 'en-US'
+};
+
+/**
+ * @typedef {Object} Migration
+ * @property {number} version - Version the migration upgrades to
+ * @property {string} description - What the migration changes
+ * @property {Function} up - Upgrades a document from version - 1 to version, in place
+ * @property {Function} down - Downgrades a document from version to version - 1, in place
+ */
+
+/**
+ * Timeline sections and the free-text field each one's structured dates replace
+ */
+const DATED_SECTIONS = [
+  { section: 'experience', textField: 'duration' },
+  { section: 'education', textField: 'duration' },
+  { section: 'certifications', textField: 'year' }
+];
+
+/**
+ * Replaces one field of an object with another, in place, keeping the field's position
+ * so rewritten files stay in the order their authors chose
+ * @param {Object} entry - Object to change
+ * @param {string} from - Field to remove
+ * @param {string} to - Field to add in its place
+ * @param {*} value - Value of the new field
+ */
+function replaceField(entry, from, to, value) {
+  const fields = Object.entries(entry).filter(([key]) => key !== to);
+  Object.keys(entry).forEach(key => delete entry[key]);
+  fields.forEach(([key, fieldValue]) => {
+    if (key === from) {
+      entry[to] = value;
+    } else {
+      entry[key] = fieldValue;
+    }
+  });
+}
+
+/**
+ * Registered migrations, in version order
+ * @type {Migration[]}
+ */
+const MIGRATIONS = [
+  {
+    version: 2,
+    description: 'Move contact.behance into the contact.social links list',
+    up(data) {
+      const contact = data.personal && data.personal.contact;
+      if (!contact || contact.behance === undefined) return;
+
+      contact.social = [...(contact.social || []), { network: 'behance', url: contact.behance }];
+      delete contact.behance;
+    },
+    down(data) {
+      const contact = data.personal && data.personal.contact;
+      if (!contact || !Array.isArray(contact.social)) return;
+
+      const behance = contact.social.find(link => link && link.network === 'behance');
+      if (behance) {
+        contact.behance = behance.url;
+        contact.social = contact.social.filter(link => link !== behance);
+      }
+      if (contact.social.length === 0) {
+        delete contact.social;
+      }
+    }
+  },
+  {
+    version: 3,
+    description: 'Replace free-text duration and year fields with structured dates',
+    up(data) {
+      DATED_SECTIONS.forEach(({ section, textField }) => {
+        (Array.isArray(data[section]) ? data[section] : []).forEach(entry => {
+          if (!entry || entry[textField] === undefined) return;
+
+          // Text without actual dates (e.g. "Completed" or just "Present") is kept as it is
+          const dates = entry.dates || migrationDates.parseDuration(entry[textField]);
+          if (dates && (dates.start || dates.end)) {
+            replaceField(entry, textField, 'dates', dates);
+          }
+        });
+      });
+    },
+    down(data) {
+      DATED_SECTIONS.forEach(({ section, textField }) => {
+        (Array.isArray(data[section]) ? data[section] : []).forEach(entry => {
+          if (!entry || !entry.dates) return;
+
+          if (entry[textField] === undefined) {
+            const text = migrationDates.formatDateRange(entry.dates, { locale: MIGRATION_CONSTANTS.DATE_LOCALE });
+            replaceField(entry, 'dates', textField, text);
+          } else {
+            delete entry.dates;
+          }
+        });
+      });
+    }
+  }
+];
+
+/**
+ * Latest data format version
+ * @type {number}
+ */
+const CURRENT_SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Returns the data format version of a document
+ * @param {Object} portfolioData - Portfolio data
+ * @returns {number} Version; documents without schemaVersion are version 1
+ */
+function getSchemaVersion(portfolioData) {
+  const version = portfolioData && portfolioData[MIGRATION_CONSTANTS.VERSION_FIELD];
+  return version === undefined ? MIGRATION_CONSTANTS.INITIAL_VERSION : version;
+}
+
+/**
+ * Checks whether a document is older than the current data format
+ * @param {Object} portfolioData - Portfolio data
+ * @returns {boolean} True if migrate() would upgrade it
+ */
+function needsMigration(portfolioData) {
+  return getSchemaVersion(portfolioData) < CURRENT_SCHEMA_VERSION;
+}
+
+/**
+ * Writes the version into a document, keeping it right after $schema.
+ * Version 1 is written as no version at all, the way version 1 documents looked.
+ * @param {Object} portfolioData - Portfolio data
+ * @param {number} version - Version to record
+ * @returns {Object} Document with the version recorded
+ */
+function withSchemaVersion(portfolioData, version) {
+  const versioned = portfolioData.$schema !== undefined ? { $schema: portfolioData.$schema } : {};
+  if (version !== MIGRATION_CONSTANTS.INITIAL_VERSION) {
+    versioned[MIGRATION_CONSTANTS.VERSION_FIELD] = version;
+  }
+
+  Object.entries(portfolioData).forEach(([key, value]) => {
+    if (key !== '$schema' && key !== MIGRATION_CONSTANTS.VERSION_FIELD) {
+      versioned[key] = value;
+    }
+  });
+  return versioned;
+}
+
+/**
+ * Migrates a document to another data format version, one step at a time
+ * @param {Object} portfolioData - Portfolio data; not modified
+ * @param {Object} [options] - Migration options
+ * @param {number} [options.to] - Target version; defaults to the current version
+ * @returns {{data: Object, from: number, to: number, applied: Array<{version: number, direction: string, description: string}>}} Migrated copy and the steps applied
+ * @throws {Error} When a version is not a known version
+ */
+function migrate(portfolioData, options = {}) {
+  if (!portfolioData || typeof portfolioData !== 'object' || Array.isArray(portfolioData)) {
+    throw new Error('Portfolio data must be an object');
+  }
+
+  const from = getSchemaVersion(portfolioData);
+  const to = options.to === undefined ? CURRENT_SCHEMA_VERSION : options.to;
+
+  [['Document', from], ['Target', to]].forEach(([label, version]) => {
+    if (!Number.isInteger(version) || version < MIGRATION_CONSTANTS.INITIAL_VERSION || version > CURRENT_SCHEMA_VERSION) {
+      throw new Error(`${label} schemaVersion ${version} is not supported (expected ${MIGRATION_CONSTANTS.INITIAL_VERSION}-${CURRENT_SCHEMA_VERSION})`);
+    }
+  });
+
+  let data = JSON.parse(JSON.stringify(portfolioData));
+  const applied = [];
+
+  if (to > from) {
+    MIGRATIONS.filter(migration => migration.version > from && migration.version <= to).forEach(migration => {
+      migration.up(data);
+      data = withSchemaVersion(data, migration.version);
+      applied.push({ version: migration.version, direction: 'up', description: migration.description });
+    });
+  } else if (to < from) {
+    MIGRATIONS.filter(migration => migration.version <= from && migration.version > to).reverse().forEach(migration => {
+      migration.down(data);
+      data = withSchemaVersion(data, migration.version - 1);
+      applied.push({ version: migration.version, direction: 'down', description: migration.description });
+    });
+  }
+
+  return { data, from, to, applied };
+}
+
+// Export functions and constants for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  // Node.js environment
+  module.exports = {
+    MIGRATION_CONSTANTS,
+    MIGRATIONS,
+    CURRENT_SCHEMA_VERSION,
+    getSchemaVersion,
+    needsMigration,
+    migrate
+  };
+} else {
+  // Browser environment
+  window.PortfolioMigrations = {
+    MIGRATION_CONSTANTS,
+    MIGRATIONS,
+    CURRENT_SCHEMA_VERSION,
+    getSchemaVersion,
+    needsMigration,
+    migrate
+  };
+}
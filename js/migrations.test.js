@@ -0,0 +1,200 @@
+/**
+ * @fileoverview Unit tests for portfolio data migrations
+ * These tests upgrade and downgrade documents between schema versions
+ */
+
+// Import the migration functions
+let PortfolioMigrations;
+if (typeof require !== 'undefined') {
+  // Node.js environment
+  PortfolioMigrations = require('./migrations.js');
+} else {
+  // Browser environment - assume dates.js and migrations.js are already loaded
+  PortfolioMigrations = window.PortfolioMigrations;
+}
+
+// Test utilities
+const TestRunner = {
+  tests: [],
+  passed: 0,
+  failed: 0,
+
+  test(name, testFn) {
+    this.tests.push({ name, testFn });
+  },
+
+  expect(actual) {
+    return {
+      toBe(expected) {
+        if (actual === expected) {
+          return { passed: true };
+        }
+        return { passed: false, message: `Expected ${expected}, got ${actual}` };
+      },
+
+      toEqual(expected) {
+        if (JSON.stringify(actual) === JSON.stringify(expected)) {
+          return { passed: true };
+        }
+        return { passed: false, message: `Expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}` };
+      },
+
+      toContain(expected) {
+        if (Array.isArray(actual) && actual.includes(expected)) {
+          return { passed: true };
+        }
+        return { passed: false, message: `Expected ${JSON.stringify(actual)} to contain ${expected}` };
+      }
+    };
+  },
+
+  run() {
+    console.log('Running portfolio migration tests...\n');
+
+    this.tests.forEach(({ name, testFn }) => {
+      try {
+        const result = testFn();
+        if (result.passed) {
+          this.passed++;
+          console.log(`✓ ${name}`);
+        } else {
+          this.failed++;
+          console.log(`✗ ${name}: ${result.message}`);
+        }
+      } catch (error) {
+        this.failed++;
+        console.log(`✗ ${name}: ${error.message}`);
+      }
+    });
+
+    console.log(`\nTest Results: ${this.passed} passed, ${this.failed} failed`);
+    return this.failed === 0;
+  }
+};
+
+// Test data
+const versionOneData = {
+  $schema: './portfolio.schema.json',
+  personal: {
+    name: 'John Doe',
+    contact: {
+      email: 'test@example.com',
+      linkedin: 'https://linkedin.com/in/test',
+      github: 'https://github.com/test',
+      behance: 'https://behance.net/test'
+    }
+  },
+  education: [
+    { id: 'edu1', duration: 'Jul 2025 – Jul 2027 (Expected)', status: 'In Progress' },
+    { id: 'edu2', duration: 'Completed', status: 'Completed' }
+  ],
+  certifications: [{ id: 'cert1', year: 'Aug 2024' }],
+  experience: [
+    { id: 'exp1', duration: 'Present' },
+    { id: 'exp2', duration: 'Sep 2024 – Oct 2024', achievements: ['Shipped'] }
+  ],
+  projects: [],
+  skills: []
+};
+
+// Version tests
+TestRunner.test('getSchemaVersion - documents without a version are version 1', () => {
+  return TestRunner.expect(PortfolioMigrations.getSchemaVersion(versionOneData)).toBe(1);
+});
+
+TestRunner.test('needsMigration - current documents need no migration', () => {
+  const current = { schemaVersion: PortfolioMigrations.CURRENT_SCHEMA_VERSION };
+  return TestRunner.expect(PortfolioMigrations.needsMigration(current)).toBe(false);
+});
+
+// Upgrade tests
+TestRunner.test('migrate - applies every step in order', () => {
+  const result = PortfolioMigrations.migrate(versionOneData);
+  return TestRunner.expect(result.applied.map(step => `${step.direction} ${step.version}`)).toEqual(['up 2', 'up 3']);
+});
+
+TestRunner.test('migrate - records schemaVersion after $schema', () => {
+  const { data } = PortfolioMigrations.migrate(versionOneData);
+  return TestRunner.expect(Object.keys(data).slice(0, 3)).toEqual(['$schema', 'schemaVersion', 'personal']);
+});
+
+TestRunner.test('migrate - v2 moves behance into social links', () => {
+  const { data } = PortfolioMigrations.migrate(versionOneData, { to: 2 });
+  return TestRunner.expect(data.personal.contact).toEqual({
+    email: 'test@example.com',
+    linkedin: 'https://linkedin.com/in/test',
+    github: 'https://github.com/test',
+    social: [{ network: 'behance', url: 'https://behance.net/test' }]
+  });
+});
+
+TestRunner.test('migrate - v3 replaces duration with dates in place', () => {
+  const { data } = PortfolioMigrations.migrate(versionOneData);
+  return TestRunner.expect(data.experience[1]).toEqual({
+    id: 'exp2',
+    dates: { start: '2024-09', end: '2024-10' },
+    achievements: ['Shipped']
+  });
+});
+
+TestRunner.test('migrate - v3 replaces certification years', () => {
+  const { data } = PortfolioMigrations.migrate(versionOneData);
+  return TestRunner.expect(data.certifications[0]).toEqual({ id: 'cert1', dates: { start: '2024-08', end: '2024-08' } });
+});
+
+TestRunner.test('migrate - v3 keeps text without dates', () => {
+  const { data } = PortfolioMigrations.migrate(versionOneData);
+  return TestRunner.expect([data.education[1].duration, data.experience[0].duration]).toEqual(['Completed', 'Present']);
+});
+
+TestRunner.test('migrate - does not modify its input', () => {
+  const before = JSON.stringify(versionOneData);
+  PortfolioMigrations.migrate(versionOneData);
+  return TestRunner.expect(JSON.stringify(versionOneData)).toBe(before);
+});
+
+TestRunner.test('migrate - current documents are returned unchanged', () => {
+  const { data } = PortfolioMigrations.migrate(versionOneData);
+  const again = PortfolioMigrations.migrate(data);
+  return TestRunner.expect(again.applied.length === 0 && JSON.stringify(again.data) === JSON.stringify(data)).toBe(true);
+});
+
+// Downgrade tests
+TestRunner.test('migrate - down migrations restore a version 1 document', () => {
+  const { data } = PortfolioMigrations.migrate(versionOneData);
+  const restored = PortfolioMigrations.migrate(data, { to: 1 });
+  return TestRunner.expect(restored.data).toEqual(versionOneData);
+});
+
+TestRunner.test('migrate - down migrations run in reverse order', () => {
+  const { data } = PortfolioMigrations.migrate(versionOneData);
+  const restored = PortfolioMigrations.migrate(data, { to: 1 });
+  return TestRunner.expect(restored.applied.map(step => `${step.direction} ${step.version}`)).toEqual(['down 3', 'down 2']);
+});
+
+// Error tests
+TestRunner.test('migrate - rejects documents newer than this code', () => {
+  try {
+    PortfolioMigrations.migrate({ schemaVersion: PortfolioMigrations.CURRENT_SCHEMA_VERSION + 1 });
+    return { passed: false, message: 'Expected an error' };
+  } catch (error) {
+    return TestRunner.expect(error.message.includes('not supported')).toBe(true);
+  }
+});
+
+TestRunner.test('migrate - rejects unknown target versions', () => {
+  try {
+    PortfolioMigrations.migrate(versionOneData, { to: 0 });
+    return { passed: false, message: 'Expected an error' };
+  } catch (error) {
+    return TestRunner.expect(error.message.includes('Target')).toBe(true);
+  }
+});
+
+// Run tests if this file is executed directly
+if (typeof require !== 'undefined' && require.main === module) {
+  process.exitCode = TestRunner.run() ? 0 : 1;
+} else if (typeof window !== 'undefined') {
+  // Browser environment - expose test runner
+  window.PortfolioMigrationsTestRunner = TestRunner;
+}
@@ -449,9 +449,6 @@ class PerformanceOptimizer {
   setupErrorHandling() {
     // Create error boundary for the application
     this.createErrorBoundary();
-    
-    // Handle network errors gracefully
-    this.setupNetworkErrorHandling();
   }
 
   /**
@@ -526,41 +523,6 @@ class PerformanceOptimizer {
     }, 10000);
   }
 
-  /**
-   * Setup network error handling
-   */
-  setupNetworkErrorHandling() {
-    // Override fetch to add retry logic
-    const originalFetch = window.fetch;
-    
-    window.fetch = async (...args) => {
-      const maxRetries = 3;
-      let retries = 0;
-      
-      while (retries < maxRetries) {
-        try {
-          const response = await originalFetch(...args);
-          
-          if (!response.ok && response.status >= 500) {
-            throw new Error(`Server error: ${response.status}`);
-          }
-          
-          return response;
-        } catch (error) {
-          retries++;
-          
-          if (retries === maxRetries) {
-            console.error('Network request failed after retries:', error);
-            throw error;
-          }
-          
-          // Exponential backoff
-          await new Promise(resolve => setTimeout(resolve, Math.pow(2, retries) * 1000));
-        }
-      }
-    };
-  }
-
   /**
    * Log error for monitoring
    */
@@ -0,0 +1,516 @@
+/**
+ * @fileoverview Project detail dialog with an image gallery
+ * Every project has its own address, `#projects/<id>`, so a link can open one project
+ * directly. The dialog follows the address: opening a project adds a history entry, and the
+ * back button closes the dialog again. Projects with a case study show it as a long-form read,
+ * and project videos play in the player from media-player.js.
+ */
+
+// Project dialog constants
+const PROJECT_DIALOG_CONSTANTS = {
+  HASH_PREFIX: '#projects/',
+  SECTION_HASH: '#projects',
+  DIALOG_ID: 'project-dialog',
+  OPEN_CLASS: 'project-dialog-open',
+  CASE_STUDY_CLASS: 'project-dialog-case-study',
+  // Case study blocks in reading order, with their headings
+  CASE_STUDY_SECTIONS: [
+    { field: 'role', title: 'My Role' },
+    { field: 'problem', title: 'Problem' },
+    { field: 'constraints', title: 'Constraints' },
+    { field: 'architecture', title: 'Architecture' },
+    { field: 'approach', title: 'Approach' },
+    { field: 'results', title: 'Results' },
+    { field: 'lessons', title: 'Lessons Learned' }
+  ],
+  FOCUSABLE_SELECTOR: 'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])'
+};
+
+/**
+ * Reads the project id from a location hash
+ * @param {string} hash - Location hash, e.g. "#projects/proj2"
+ * @returns {string|null} Project id, or null when the hash does not address a project
+ */
+function parseProjectHash(hash) {
+  if (typeof hash !== 'string' || !hash.startsWith(PROJECT_DIALOG_CONSTANTS.HASH_PREFIX)) {
+    return null;
+  }
+  let id;
+  try {
+    id = decodeURIComponent(hash.slice(PROJECT_DIALOG_CONSTANTS.HASH_PREFIX.length));
+  } catch (error) {
+    return null;
+  }
+  return id || null;
+}
+
+/**
+ * Creates the location hash of a project
+ * @param {string} projectId - Project id
+ * @returns {string} Hash, e.g. "#projects/proj2"
+ */
+function createProjectHash(projectId) {
+  return `${PROJECT_DIALOG_CONSTANTS.HASH_PREFIX}${encodeURIComponent(projectId)}`;
+}
+
+/**
+ * Lists the gallery images of a project with their text alternatives
+ * @param {{title: string, images: (string[]|undefined)}} project - Project
+ * @returns {Array<{src: string, alt: string}>} Images in order
+ */
+function getGalleryImages(project) {
+  const images = Array.isArray(project.images) ? project.images.filter(Boolean) : [];
+  return images.map((src, index) => ({
+    src,
+    alt: images.length > 1
+      ? `${project.title}, screenshot ${index + 1} of ${images.length}`
+      : `${project.title}, screenshot`
+  }));
+}
+
+/**
+ * Lists the case study sections of a project that have content, in reading order
+ * @param {{caseStudy: (Object|undefined)}} project - Project
+ * @returns {Array<{field: string, title: string, content: (string|Array)}>} Sections; empty without a case study
+ */
+function getCaseStudySections(project) {
+  const caseStudy = project.caseStudy;
+  if (!caseStudy || typeof caseStudy !== 'object') {
+    return [];
+  }
+  return PROJECT_DIALOG_CONSTANTS.CASE_STUDY_SECTIONS
+    .filter(section => Array.isArray(caseStudy[section.field])
+      ? caseStudy[section.field].length > 0
+      : typeof caseStudy[section.field] === 'string' && caseStudy[section.field].trim() !== '')
+    .map(section => ({ ...section, content: caseStudy[section.field] }));
+}
+
+/**
+ * Escapes text for use in HTML
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeDialogHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Modal dialog showing one project in full
+ */
+class ProjectDialog {
+  /**
+   * @param {Object} portfolioData - PortfolioData instance holding the projects
+   */
+  constructor(portfolioData) {
+    this.portfolioData = portfolioData;
+    this.element = null;
+    this.project = null;
+    this.imageIndex = 0;
+    this.opener = null;
+    this.mediaPlayers = [];
+    // True when the dialog was opened by in-page navigation, so going back closes it
+    this.hasHistoryEntry = false;
+    this.unsubscribe = null;
+    this.handleHashChange = this.handleHashChange.bind(this);
+    this.handleKeydown = this.handleKeydown.bind(this);
+  }
+
+  init() {
+    window.addEventListener('hashchange', this.handleHashChange);
+
+    // Keep an open dialog in step with changes to the project it shows
+    this.unsubscribe = this.portfolioData.subscribe('projects', () => {
+      if (this.project) {
+        this.show(this.project.id);
+      }
+    });
+
+    // A link straight to a project opens it once the page has loaded
+    const projectId = parseProjectHash(window.location.hash);
+    if (projectId) {
+      this.hasHistoryEntry = false;
+      this.show(projectId);
+    }
+  }
+
+  handleHashChange() {
+    const projectId = parseProjectHash(window.location.hash);
+    if (projectId) {
+      this.hasHistoryEntry = true;
+      this.show(projectId);
+    } else if (this.project) {
+      this.hide();
+    }
+  }
+
+  // Opens a project by navigating to its address; the hashchange opens the dialog
+  open(projectId) {
+    if (window.location.hash === createProjectHash(projectId)) {
+      this.show(projectId);
+    } else {
+      window.location.hash = createProjectHash(projectId);
+    }
+  }
+
+  // Closes the dialog and leaves the project address, going back when the visitor came from the page
+  close() {
+    if (!this.project) {
+      return;
+    }
+    if (this.hasHistoryEntry) {
+      history.back();
+    } else {
+      history.replaceState(null, '', `${window.location.pathname}${window.location.search}${PROJECT_DIALOG_CONSTANTS.SECTION_HASH}`);
+      this.hide();
+    }
+  }
+
+  show(projectId) {
+    const project = this.portfolioData.getProjects().find(candidate => candidate.id === projectId);
+    if (!project) {
+      console.warn(`No project with id "${projectId}"`);
+      if (this.project) {
+        this.hide();
+      }
+      const section = document.getElementById('projects');
+      if (section) {
+        section.scrollIntoView();
+      }
+      return;
+    }
+
+    const isOpening = !this.project;
+    if (isOpening) {
+      this.opener = document.activeElement;
+      this.imageIndex = 0;
+    } else if (this.project.id !== project.id) {
+      this.imageIndex = 0;
+    }
+    this.project = project;
+
+    if (!this.element) {
+      this.element = this.createElement();
+      document.body.appendChild(this.element);
+    }
+    const hadFocus = this.element.contains(document.activeElement);
+    this.render();
+
+    if (isOpening) {
+      document.body.classList.add(PROJECT_DIALOG_CONSTANTS.OPEN_CLASS);
+      document.addEventListener('keydown', this.handleKeydown);
+    }
+    if (isOpening || hadFocus) {
+      this.element.querySelector('.project-dialog-close').focus();
+    }
+  }
+
+  hide() {
+    if (!this.project) {
+      return;
+    }
+    const projectId = this.project.id;
+    this.project = null;
+    this.hasHistoryEntry = false;
+
+    this.destroyMediaPlayers();
+    if (this.element) {
+      this.element.remove();
+      this.element = null;
+    }
+    document.body.classList.remove(PROJECT_DIALOG_CONSTANTS.OPEN_CLASS);
+    document.removeEventListener('keydown', this.handleKeydown);
+
+    // Focus goes back where it was, or to the card when the section was re-rendered meanwhile
+    const title = document.getElementById(`project-title-${projectId}`);
+    const fallback = title ? title.closest('.project-card') : null;
+    const target = this.opener && this.opener.isConnected && this.opener !== document.body ? this.opener : fallback;
+    this.opener = null;
+    if (target) {
+      target.focus();
+    }
+  }
+
+  createElement() {
+    const backdrop = document.createElement('div');
+    backdrop.className = 'project-dialog-backdrop';
+    backdrop.addEventListener('click', event => {
+      if (event.target === backdrop) {
+        this.close();
+      }
+    });
+
+    const dialog = document.createElement('div');
+    dialog.id = PROJECT_DIALOG_CONSTANTS.DIALOG_ID;
+    dialog.className = 'project-dialog';
+    dialog.setAttribute('role', 'dialog');
+    dialog.setAttribute('aria-modal', 'true');
+    dialog.setAttribute('aria-labelledby', `${PROJECT_DIALOG_CONSTANTS.DIALOG_ID}-title`);
+
+    backdrop.appendChild(dialog);
+    return backdrop;
+  }
+
+  render() {
+    const project = this.project;
+    const images = getGalleryImages(project);
+    const dates = project.dates && window.PortfolioDates ? window.PortfolioDates.formatDateRange(project.dates) : '';
+    const dialog = this.element.querySelector('.project-dialog');
+    const titleId = `${PROJECT_DIALOG_CONSTANTS.DIALOG_ID}-title`;
+    const caseStudySections = getCaseStudySections(project);
+    const videos = window.PortfolioMediaPlayer ? window.PortfolioMediaPlayer.getProjectVideos(project) : [];
+
+    this.destroyMediaPlayers();
+    dialog.classList.toggle(PROJECT_DIALOG_CONSTANTS.CASE_STUDY_CLASS, caseStudySections.length > 0);
+
+    dialog.innerHTML = `
+      <header class="project-dialog-header">
+        <h2 class="project-dialog-title" id="${titleId}">${escapeDialogHtml(project.title)}</h2>
+        <button type="button" class="project-dialog-close" aria-label="Close project details">×</button>
+      </header>
+      <div class="project-dialog-body">
+        ${images.length > 0 ? `
+          <div class="project-gallery-container">${this.createGallery(images)}</div>
+          <p class="sr-only project-gallery-status" aria-live="polite"></p>
+        ` : ''}
+        ${dates ? `<p class="project-dialog-dates">${escapeDialogHtml(dates)}</p>` : ''}
+        <p class="project-dialog-description">${escapeDialogHtml(project.description)}</p>
+        ${videos.length > 0 ? `
+          <section class="project-dialog-media" aria-labelledby="project-dialog-media-title">
+            <h3 class="project-dialog-subtitle" id="project-dialog-media-title">${videos.length > 1 ? 'Videos' : 'Video'}</h3>
+          </section>
+        ` : ''}
+        ${caseStudySections.map(section => this.createCaseStudySection(section)).join('')}
+        ${project.outcomes && project.outcomes.length > 0 ? `
+          <h3 class="project-dialog-subtitle">Key Outcomes</h3>
+          <ul class="project-dialog-outcomes">
+            ${project.outcomes.map(outcome => `<li>${escapeDialogHtml(outcome)}</li>`).join('')}
+          </ul>
+        ` : ''}
+        <h3 class="project-dialog-subtitle">Technologies</h3>
+        <ul class="project-dialog-tools">
+          ${project.tools.map(tool => `<li class="tool-tag">${escapeDialogHtml(tool)}</li>`).join('')}
+        </ul>
+        ${project.links && project.links.length > 0 ? `
+          <h3 class="project-dialog-subtitle">Links</h3>
+          <ul class="project-dialog-links">
+            ${project.links.map(link => `
+              <li>
+                <a href="${escapeDialogHtml(link.url)}" class="project-link" target="_blank" rel="noopener noreferrer">
+                  ${escapeDialogHtml(link.name)}<span class="sr-only"> (opens in new tab)</span>
+                </a>
+              </li>
+            `).join('')}
+          </ul>
+        ` : ''}
+      </div>
+    `;
+
+    dialog.querySelector('.project-dialog-close').addEventListener('click', () => this.close());
+    this.initializeGallery(dialog, images);
+    this.initializeMediaPlayers(dialog, videos);
+  }
+
+  initializeMediaPlayers(dialog, videos) {
+    const section = dialog.querySelector('.project-dialog-media');
+    if (!section) {
+      return;
+    }
+    this.mediaPlayers = videos.map(media => {
+      const player = new window.PortfolioMediaPlayer.MediaPlayer(media);
+      section.appendChild(player.render());
+      player.observe();
+      return player;
+    });
+  }
+
+  // Stops the videos of the project shown before, so nothing plays or downloads once it is gone
+  destroyMediaPlayers() {
+    this.mediaPlayers.forEach(player => player.destroy());
+    this.mediaPlayers = [];
+  }
+
+  createCaseStudySection(section) {
+    let content;
+    if (section.field === 'results') {
+      // Each metric is followed by its value, which the styles set large
+      content = `
+        <dl class="case-study-results">
+          ${section.content.map(result => `
+            <div class="case-study-result">
+              <dt class="case-study-result-metric">${escapeDialogHtml(result.metric)}</dt>
+              <dd class="case-study-result-value">${escapeDialogHtml(result.value)}</dd>
+              ${result.detail ? `<dd class="case-study-result-detail">${escapeDialogHtml(result.detail)}</dd>` : ''}
+            </div>
+          `).join('')}
+        </dl>
+      `;
+    } else if (Array.isArray(section.content)) {
+      const listTag = section.field === 'approach' ? 'ol' : 'ul';
+      content = `
+        <${listTag} class="case-study-list">
+          ${section.content.map(item => `<li>${escapeDialogHtml(item)}</li>`).join('')}
+        </${listTag}>
+      `;
+    } else {
+      content = `<p class="case-study-text">${escapeDialogHtml(section.content)}</p>`;
+    }
+
+    return `
+      <section class="case-study-section case-study-${section.field}" aria-labelledby="case-study-${section.field}-title">
+        <h3 class="project-dialog-subtitle" id="case-study-${section.field}-title">${section.title}</h3>
+        ${content}
+      </section>
+    `;
+  }
+
+  createGallery(images) {
+    const current = images[Math.min(this.imageIndex, images.length - 1)];
+    const hasSeveral = images.length > 1;
+
+    return `
+      <div class="project-gallery" role="group" aria-roledescription="gallery" aria-label="Screenshots">
+        <div class="project-gallery-stage">
+          <img class="project-gallery-image" src="${escapeDialogHtml(current.src)}" alt="${escapeDialogHtml(current.alt)}">
+          ${hasSeveral ? `
+            <button type="button" class="project-gallery-prev" aria-label="Previous screenshot">‹</button>
+            <button type="button" class="project-gallery-next" aria-label="Next screenshot">›</button>
+          ` : ''}
+        </div>
+        ${hasSeveral ? `
+          <div class="project-gallery-thumbnails">
+            ${images.map((image, index) => `
+              <button type="button" class="project-gallery-thumbnail${index === this.imageIndex ? ' active' : ''}"
+                      data-index="${index}" aria-label="Show screenshot ${index + 1} of ${images.length}"
+                      aria-current="${index === this.imageIndex}">
+                <img src="${escapeDialogHtml(image.src)}" alt="" loading="lazy">
+              </button>
+            `).join('')}
+          </div>
+        ` : ''}
+      </div>
+    `;
+  }
+
+  initializeGallery(container, images) {
+    const image = container.querySelector('.project-gallery-image');
+    if (!image) {
+      return;
+    }
+
+    // Screenshots that fail to load make way for a placeholder instead of a broken image
+    image.addEventListener('error', () => {
+      const placeholder = document.createElement('div');
+      placeholder.className = 'project-gallery-missing';
+      placeholder.setAttribute('role', 'img');
+      placeholder.setAttribute('aria-label', image.alt);
+      placeholder.textContent = 'Screenshot unavailable';
+      image.replaceWith(placeholder);
+    });
+
+    const prev = container.querySelector('.project-gallery-prev');
+    const next = container.querySelector('.project-gallery-next');
+    if (prev) prev.addEventListener('click', () => this.showImage(this.imageIndex - 1, images, '.project-gallery-prev'));
+    if (next) next.addEventListener('click', () => this.showImage(this.imageIndex + 1, images, '.project-gallery-next'));
+    container.querySelectorAll('.project-gallery-thumbnail').forEach(thumbnail => {
+      thumbnail.addEventListener('click', () => {
+        const index = Number(thumbnail.getAttribute('data-index'));
+        this.showImage(index, images, `.project-gallery-thumbnail[data-index="${index}"]`);
+      });
+    });
+  }
+
+  // Shows another screenshot, wrapping around, and keeps focus on the control that was used
+  showImage(index, images, focusSelector) {
+    this.imageIndex = (index + images.length) % images.length;
+    const container = this.element.querySelector('.project-gallery-container');
+    container.innerHTML = this.createGallery(images);
+    this.initializeGallery(container, images);
+    this.element.querySelector('.project-gallery-status').textContent = `Screenshot ${this.imageIndex + 1} of ${images.length}`;
+    const control = container.querySelector(focusSelector);
+    if (control) {
+      control.focus();
+    }
+  }
+
+  handleKeydown(event) {
+    if (!this.element) {
+      return;
+    }
+
+    if (event.key === 'Escape') {
+      event.preventDefault();
+      this.close();
+      return;
+    }
+
+    // Arrow keys page through the screenshots unless focus is on a link or in a video player
+    const images = getGalleryImages(this.project);
+    if ((event.key === 'ArrowLeft' || event.key === 'ArrowRight') && images.length > 1 && !(event.target.closest && event.target.closest('a, .media-player'))) {
+      event.preventDefault();
+      const step = event.key === 'ArrowRight' ? 1 : -1;
+      this.showImage(this.imageIndex + step, images, step > 0 ? '.project-gallery-next' : '.project-gallery-prev');
+      return;
+    }
+
+    if (event.key === 'Tab') {
+      this.trapFocus(event);
+    }
+  }
+
+  // Keeps Tab and Shift+Tab cycling through the controls of the dialog
+  trapFocus(event) {
+    const dialog = this.element.querySelector('.project-dialog');
+    const focusable = Array.from(dialog.querySelectorAll(PROJECT_DIALOG_CONSTANTS.FOCUSABLE_SELECTOR));
+    if (focusable.length === 0) {
+      event.preventDefault();
+      return;
+    }
+
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    const isInside = dialog.contains(document.activeElement);
+
+    if (event.shiftKey && (document.activeElement === first || !isInside)) {
+      event.preventDefault();
+      last.focus();
+    } else if (!event.shiftKey && (document.activeElement === last || !isInside)) {
+      event.preventDefault();
+      first.focus();
+    }
+  }
+}
+
+// Export functions and constants for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  // Node.js environment
+  module.exports = {
+    PROJECT_DIALOG_CONSTANTS,
+    parseProjectHash,
+    createProjectHash,
+    getGalleryImages,
+    getCaseStudySections
+  };
+} else {
+  // Browser environment
+  window.PortfolioProjectDialog = {
+    PROJECT_DIALOG_CONSTANTS,
+    parseProjectHash,
+    createProjectHash,
+    getGalleryImages,
+    getCaseStudySections,
+    ProjectDialog
+  };
+
+  // The dialog starts once the projects have loaded and rendered
+  document.addEventListener('portfolioLoaded', () => {
+    if (window.portfolioData && !window.projectDialog) {
+      window.projectDialog = new ProjectDialog(window.portfolioData);
+      window.projectDialog.init();
+    }
+  });
+}
@@ -0,0 +1,135 @@
+/**
+ * @fileoverview Unit tests for the project dialog addresses and gallery
+ */
+
+// Import the project dialog helpers
+let PortfolioProjectDialog;
+if (typeof require !== 'undefined') {
+  // Node.js environment
+  PortfolioProjectDialog = require('./project-dialog.js');
+} else {
+  // Browser environment - assume project-dialog.js is already loaded
+  PortfolioProjectDialog = window.PortfolioProjectDialog;
+}
+
+// Test utilities
+const TestRunner = {
+  tests: [],
+  passed: 0,
+  failed: 0,
+
+  test(name, testFn) {
+    this.tests.push({ name, testFn });
+  },
+
+  expect(actual) {
+    return {
+      toBe(expected) {
+        if (actual === expected) {
+          return { passed: true };
+        }
+        return { passed: false, message: `Expected ${expected}, got ${actual}` };
+      },
+
+      toEqual(expected) {
+        if (JSON.stringify(actual) === JSON.stringify(expected)) {
+          return { passed: true };
+        }
+        return { passed: false, message: `Expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}` };
+      },
+
+      toContain(expected) {
+        if (Array.isArray(actual) && actual.includes(expected)) {
+          return { passed: true };
+        }
+        return { passed: false, message: `Expected ${JSON.stringify(actual)} to contain ${expected}` };
+      }
+    };
+  },
+
+  run() {
+    console.log('Running project dialog tests...\n');
+
+    this.tests.forEach(({ name, testFn }) => {
+      try {
+        const result = testFn();
+        if (result.passed) {
+          this.passed++;
+          console.log(`✓ ${name}`);
+        } else {
+          this.failed++;
+          console.log(`✗ ${name}: ${result.message}`);
+        }
+      } catch (error) {
+        this.failed++;
+        console.log(`✗ ${name}: ${error.message}`);
+      }
+    });
+
+    console.log(`\nTest Results: ${this.passed} passed, ${this.failed} failed`);
+    return this.failed === 0;
+  }
+};
+
+// Address tests
+TestRunner.test('parseProjectHash - reads the project id', () => {
+  return TestRunner.expect([
+    PortfolioProjectDialog.parseProjectHash('#projects/proj2'),
+    PortfolioProjectDialog.parseProjectHash('#projects/my%20project')
+  ]).toEqual(['proj2', 'my project']);
+});
+
+TestRunner.test('parseProjectHash - ignores other addresses', () => {
+  return TestRunner.expect(['', '#projects', '#projects/', '#skills/proj2', '#projects/%E0%A4%A', undefined]
+    .map(PortfolioProjectDialog.parseProjectHash)).toEqual([null, null, null, null, null, null]);
+});
+
+TestRunner.test('createProjectHash - round-trips through parseProjectHash', () => {
+  const hash = PortfolioProjectDialog.createProjectHash('hr system/v2');
+  return TestRunner.expect([hash, PortfolioProjectDialog.parseProjectHash(hash)])
+    .toEqual(['#projects/hr%20system%2Fv2', 'hr system/v2']);
+});
+
+// Gallery tests
+TestRunner.test('getGalleryImages - numbers the screenshots of a project', () => {
+  const images = PortfolioProjectDialog.getGalleryImages({ title: 'VPC', images: ['a.jpg', '', 'b.jpg'] });
+  return TestRunner.expect(images).toEqual([
+    { src: 'a.jpg', alt: 'VPC, screenshot 1 of 2' },
+    { src: 'b.jpg', alt: 'VPC, screenshot 2 of 2' }
+  ]);
+});
+
+TestRunner.test('getGalleryImages - handles one or no screenshots', () => {
+  return TestRunner.expect([
+    PortfolioProjectDialog.getGalleryImages({ title: 'VPC', images: ['a.jpg'] }),
+    PortfolioProjectDialog.getGalleryImages({ title: 'VPC' })
+  ]).toEqual([[{ src: 'a.jpg', alt: 'VPC, screenshot' }], []]);
+});
+
+// Case study tests
+TestRunner.test('getCaseStudySections - lists blocks with content in reading order', () => {
+  const sections = PortfolioProjectDialog.getCaseStudySections({
+    caseStudy: {
+      lessons: ['Start with the data model'],
+      results: [{ metric: 'Screening time', value: '-60%' }],
+      problem: 'Hiring was slow',
+      role: 'Lead developer',
+      constraints: [],
+      architecture: ' '
+    }
+  });
+  return TestRunner.expect(sections.map(section => section.title))
+    .toEqual(['My Role', 'Problem', 'Results', 'Lessons Learned']);
+});
+
+TestRunner.test('getCaseStudySections - returns nothing without a case study', () => {
+  return TestRunner.expect(PortfolioProjectDialog.getCaseStudySections({ title: 'VPC' })).toEqual([]);
+});
+
+// Run tests if this file is executed directly
+if (typeof require !== 'undefined' && require.main === module) {
+  process.exitCode = TestRunner.run() ? 0 : 1;
+} else if (typeof window !== 'undefined') {
+  // Browser environment - expose test runner
+  window.PortfolioProjectDialogTestRunner = TestRunner;
+}
@@ -0,0 +1,190 @@
+/**
+ * @fileoverview Project filter state: which technologies are selected and how they combine
+ * Several technologies can be selected at once, matching projects that use any of them or
+ * all of them. The state lives in the query string (`?tech=aws,docker&match=all`) so a
+ * filtered view can be shared, and comes back on reload. The matching projects can be sorted,
+ * and are shown a page at a time.
+ */
+
+// Dates come from dates.js (required in Node.js, loaded before this file in the browser)
+const filterDates = typeof module !== 'undefined' && module.exports
+  ? require('./dates.js')
+  : window.PortfolioDates;
+
+// Project filter constants
+const PROJECT_FILTER_CONSTANTS = {
+  TECH_PARAM: 'tech',
+  MODE_PARAM: 'match',
+  SEPARATOR: ',',
+  MODES: {
+    ANY: 'any',
+    ALL: 'all'
+  },
+  DEFAULT_MODE: 'any',
+  // Sort orders, with their labels in the order they are offered
+  SORT_ORDERS: [
+    { value: 'featured', label: 'Featured first' },
+    { value: 'newest', label: 'Newest first' },
+    { value: 'title', label: 'Title (A–Z)' },
+    { value: 'tools', label: 'Most technologies' }
+  ],
+  DEFAULT_SORT: 'featured',
+  // Projects shown at first, and added by each "Show more"
+  PAGE_SIZE: 12
+};
+
+/**
+ * @typedef {Object} ProjectFilterState
+ * @property {string[]} technologies - Selected canonical skill ids; none selected shows every project
+ * @property {'any'|'all'} mode - Whether a project needs any or all of the selected technologies
+ */
+
+/**
+ * Creates a filter state, dropping duplicate and empty ids and unknown modes
+ * @param {string[]} [technologies] - Selected canonical skill ids
+ * @param {string} [mode] - 'any' or 'all'
+ * @returns {ProjectFilterState} Filter state
+ */
+function createFilterState(technologies = [], mode = PROJECT_FILTER_CONSTANTS.DEFAULT_MODE) {
+  const modes = Object.values(PROJECT_FILTER_CONSTANTS.MODES);
+  return {
+    technologies: [...new Set(technologies.filter(Boolean))],
+    mode: modes.includes(mode) ? mode : PROJECT_FILTER_CONSTANTS.DEFAULT_MODE
+  };
+}
+
+/**
+ * Reads the filter state from a query string
+ * @param {string} search - Query string, e.g. "?tech=aws,docker&match=all"
+ * @param {string[]} [knownIds] - Technologies that can be selected; others are dropped
+ * @returns {ProjectFilterState} Filter state
+ */
+function parseFilterState(search, knownIds) {
+  const params = new URLSearchParams(search || '');
+  const technologies = (params.get(PROJECT_FILTER_CONSTANTS.TECH_PARAM) || '')
+    .split(PROJECT_FILTER_CONSTANTS.SEPARATOR)
+    .map(id => id.trim().toLowerCase())
+    .filter(id => !knownIds || knownIds.includes(id));
+  return createFilterState(technologies, params.get(PROJECT_FILTER_CONSTANTS.MODE_PARAM) || undefined);
+}
+
+/**
+ * Writes the filter state into a query string, keeping its other parameters
+ * The default mode and an empty selection are left out, so an unfiltered view has no filter parameters.
+ * @param {string} search - Current query string
+ * @param {ProjectFilterState} state - Filter state
+ * @returns {string} Query string with a leading "?", or '' when no parameters remain
+ */
+function serializeFilterState(search, state) {
+  const params = new URLSearchParams(search || '');
+  params.delete(PROJECT_FILTER_CONSTANTS.TECH_PARAM);
+  params.delete(PROJECT_FILTER_CONSTANTS.MODE_PARAM);
+
+  if (state.technologies.length > 0) {
+    params.set(PROJECT_FILTER_CONSTANTS.TECH_PARAM, state.technologies.join(PROJECT_FILTER_CONSTANTS.SEPARATOR));
+    if (state.mode !== PROJECT_FILTER_CONSTANTS.DEFAULT_MODE) {
+      params.set(PROJECT_FILTER_CONSTANTS.MODE_PARAM, state.mode);
+    }
+  }
+
+  // Keep the separator readable: "tech=aws,docker" rather than "tech=aws%2Cdocker"
+  const query = params.toString().replace(/%2C/gi, PROJECT_FILTER_CONSTANTS.SEPARATOR);
+  return query ? `?${query}` : '';
+}
+
+/**
+ * Selects or deselects one technology
+ * @param {ProjectFilterState} state - Filter state
+ * @param {string} id - Canonical skill id
+ * @returns {ProjectFilterState} New filter state
+ */
+function toggleTechnology(state, id) {
+  const technologies = state.technologies.includes(id)
+    ? state.technologies.filter(selected => selected !== id)
+    : [...state.technologies, id];
+  return createFilterState(technologies, state.mode);
+}
+
+/**
+ * Tells whether a project matches the filter
+ * @param {string[]} technologyIds - Canonical ids of the project's tools and the skills they are part of
+ * @param {ProjectFilterState} state - Filter state
+ * @returns {boolean} True when the project should be shown
+ */
+function matchesFilter(technologyIds, state) {
+  if (state.technologies.length === 0) {
+    return true;
+  }
+  return state.mode === PROJECT_FILTER_CONSTANTS.MODES.ALL
+    ? state.technologies.every(id => technologyIds.includes(id))
+    : state.technologies.some(id => technologyIds.includes(id));
+}
+
+/**
+ * Sorts projects, keeping the order of the data between projects that compare equal
+ * - featured: featured projects first
+ * - newest: ongoing projects, then by end and start date; projects without dates last
+ * - title: alphabetical by title
+ * - tools: most tools first
+ * @param {Object[]} projects - Projects
+ * @param {string} order - Sort order; unknown orders sort as 'featured'
+ * @returns {Object[]} Sorted copy of the projects
+ */
+function sortProjects(projects, order) {
+  const comparators = {
+    featured: (a, b) => Number(b.featured === true) - Number(a.featured === true),
+    newest: (a, b) => filterDates.compareRangesDescending(a.dates || null, b.dates || null),
+    title: (a, b) => a.title.localeCompare(b.title, undefined, { sensitivity: 'base' }),
+    tools: (a, b) => b.tools.length - a.tools.length
+  };
+  // Array.prototype.sort is stable, so equal projects keep the order of the data
+  return [...projects].sort(comparators[order] || comparators[PROJECT_FILTER_CONSTANTS.DEFAULT_SORT]);
+}
+
+/**
+ * Describes how many projects match the filter, e.g. "2 projects with AWS and Docker"
+ * @param {number} count - Matching projects
+ * @param {ProjectFilterState} state - Filter state
+ * @param {function(string): string} getName - Display name of a canonical skill id
+ * @returns {string} Description
+ */
+function describeFilter(count, state, getName) {
+  const projects = `${count} project${count !== 1 ? 's' : ''}`;
+  const names = state.technologies.map(getName);
+
+  if (names.length === 0) {
+    return projects;
+  }
+  if (names.length === 1) {
+    return `${projects} with ${names[0]}`;
+  }
+  const conjunction = state.mode === PROJECT_FILTER_CONSTANTS.MODES.ALL ? 'and' : 'or';
+  return `${projects} with ${names.slice(0, -1).join(', ')} ${conjunction} ${names[names.length - 1]}`;
+}
+
+// Export functions and constants for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  // Node.js environment
+  module.exports = {
+    PROJECT_FILTER_CONSTANTS,
+    createFilterState,
+    parseFilterState,
+    serializeFilterState,
+    toggleTechnology,
+    matchesFilter,
+    sortProjects,
+    describeFilter
+  };
+} else {
+  // Browser environment
+  window.PortfolioProjectFilters = {
+    PROJECT_FILTER_CONSTANTS,
+    createFilterState,
+    parseFilterState,
+    serializeFilterState,
+    toggleTechnology,
+    matchesFilter,
+    sortProjects,
+    describeFilter
+  };
+}
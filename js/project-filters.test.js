@@ -0,0 +1,177 @@
+/**
+ * @fileoverview Unit tests for the project filter state
+ */
+
+// Import the project filter helpers
+let PortfolioProjectFilters;
+if (typeof require !== 'undefined') {
+  // Node.js environment
+  PortfolioProjectFilters = require('./project-filters.js');
+} else {
+  // Browser environment - assume project-filters.js is already loaded
+  PortfolioProjectFilters = window.PortfolioProjectFilters;
+}
+
+// Test utilities
+const TestRunner = {
+  tests: [],
+  passed: 0,
+  failed: 0,
+
+  test(name, testFn) {
+    this.tests.push({ name, testFn });
+  },
+
+  expect(actual) {
+    return {
+      toBe(expected) {
+        if (actual === expected) {
+          return { passed: true };
+        }
+        return { passed: false, message: `Expected ${expected}, got ${actual}` };
+      },
+
+      toEqual(expected) {
+        if (JSON.stringify(actual) === JSON.stringify(expected)) {
+          return { passed: true };
+        }
+        return { passed: false, message: `Expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}` };
+      },
+
+      toContain(expected) {
+        if (Array.isArray(actual) && actual.includes(expected)) {
+          return { passed: true };
+        }
+        return { passed: false, message: `Expected ${JSON.stringify(actual)} to contain ${expected}` };
+      }
+    };
+  },
+
+  run() {
+    console.log('Running project filter tests...\n');
+
+    this.tests.forEach(({ name, testFn }) => {
+      try {
+        const result = testFn();
+        if (result.passed) {
+          this.passed++;
+          console.log(`✓ ${name}`);
+        } else {
+          this.failed++;
+          console.log(`✗ ${name}: ${result.message}`);
+        }
+      } catch (error) {
+        this.failed++;
+        console.log(`✗ ${name}: ${error.message}`);
+      }
+    });
+
+    console.log(`\nTest Results: ${this.passed} passed, ${this.failed} failed`);
+    return this.failed === 0;
+  }
+};
+
+// Query string tests
+TestRunner.test('parseFilterState - reads technologies and mode', () => {
+  return TestRunner.expect(PortfolioProjectFilters.parseFilterState('?tech=aws,Docker,aws&match=all'))
+    .toEqual({ technologies: ['aws', 'docker'], mode: 'all' });
+});
+
+TestRunner.test('parseFilterState - drops unknown technologies and modes', () => {
+  return TestRunner.expect(PortfolioProjectFilters.parseFilterState('?tech=aws,bogus,&match=some', ['aws', 'ec2']))
+    .toEqual({ technologies: ['aws'], mode: 'any' });
+});
+
+TestRunner.test('parseFilterState - no parameters select nothing', () => {
+  return TestRunner.expect(PortfolioProjectFilters.parseFilterState(''))
+    .toEqual({ technologies: [], mode: 'any' });
+});
+
+TestRunner.test('serializeFilterState - keeps other parameters and round-trips', () => {
+  const state = PortfolioProjectFilters.createFilterState(['aws', 'ec2'], 'all');
+  const search = PortfolioProjectFilters.serializeFilterState('?data=cv.yaml&tech=php', state);
+  return TestRunner.expect([search, PortfolioProjectFilters.parseFilterState(search)])
+    .toEqual(['?data=cv.yaml&tech=aws,ec2&match=all', state]);
+});
+
+TestRunner.test('serializeFilterState - leaves out an empty selection and the default mode', () => {
+  return TestRunner.expect([
+    PortfolioProjectFilters.serializeFilterState('?tech=aws&match=all', PortfolioProjectFilters.createFilterState([], 'all')),
+    PortfolioProjectFilters.serializeFilterState('', PortfolioProjectFilters.createFilterState(['aws']))
+  ]).toEqual(['', '?tech=aws']);
+});
+
+// Matching tests
+TestRunner.test('toggleTechnology - adds and removes a technology', () => {
+  const added = PortfolioProjectFilters.toggleTechnology(PortfolioProjectFilters.createFilterState(['aws'], 'all'), 'ec2');
+  const removed = PortfolioProjectFilters.toggleTechnology(added, 'aws');
+  return TestRunner.expect([added, removed]).toEqual([
+    { technologies: ['aws', 'ec2'], mode: 'all' },
+    { technologies: ['ec2'], mode: 'all' }
+  ]);
+});
+
+TestRunner.test('matchesFilter - any, all and nothing selected', () => {
+  const project = ['aws', 'ec2'];
+  return TestRunner.expect([
+    PortfolioProjectFilters.matchesFilter(project, PortfolioProjectFilters.createFilterState(['ec2', 'php'], 'any')),
+    PortfolioProjectFilters.matchesFilter(project, PortfolioProjectFilters.createFilterState(['ec2', 'php'], 'all')),
+    PortfolioProjectFilters.matchesFilter(project, PortfolioProjectFilters.createFilterState(['aws', 'ec2'], 'all')),
+    PortfolioProjectFilters.matchesFilter(project, PortfolioProjectFilters.createFilterState())
+  ]).toEqual([true, false, true, true]);
+});
+
+TestRunner.test('matchesFilter - matches canonical ids exactly', () => {
+  const state = PortfolioProjectFilters.createFilterState(['ec2']);
+  return TestRunner.expect(PortfolioProjectFilters.matchesFilter(['aws-ec2-instance'], state)).toBe(false);
+});
+
+// Sort tests
+const sortFixtures = [
+  { id: 'a', title: 'vpc lab', tools: ['AWS'], dates: { start: '2023-01', end: '2023-06' } },
+  { id: 'b', title: 'HR system', tools: ['PHP', 'MySQL', 'HTML'], featured: true },
+  { id: 'c', title: 'Chatbot', tools: ['Lex', 'Lambda'], dates: { start: '2024-02' } },
+  { id: 'd', title: 'S3 site', tools: ['S3', 'IAM', 'CloudFront'], dates: { start: '2024-01', end: '2024-03' } }
+];
+const sortedIds = order => PortfolioProjectFilters.sortProjects(sortFixtures, order).map(project => project.id);
+
+TestRunner.test('sortProjects - featured first, then the order of the data', () => {
+  return TestRunner.expect([sortedIds('featured'), sortedIds('unknown')]).toEqual([['b', 'a', 'c', 'd'], ['b', 'a', 'c', 'd']]);
+});
+
+TestRunner.test('sortProjects - newest first, ongoing before finished and undated last', () => {
+  return TestRunner.expect(sortedIds('newest')).toEqual(['c', 'd', 'a', 'b']);
+});
+
+TestRunner.test('sortProjects - by title ignoring case, and by number of tools', () => {
+  return TestRunner.expect([sortedIds('title'), sortedIds('tools')]).toEqual([['c', 'b', 'd', 'a'], ['b', 'd', 'c', 'a']]);
+});
+
+TestRunner.test('sortProjects - leaves the projects untouched', () => {
+  PortfolioProjectFilters.sortProjects(sortFixtures, 'title');
+  return TestRunner.expect(sortFixtures.map(project => project.id)).toEqual(['a', 'b', 'c', 'd']);
+});
+
+TestRunner.test('describeFilter - describes the combined filter', () => {
+  const names = { aws: 'AWS', ec2: 'EC2', php: 'PHP' };
+  const getName = id => names[id];
+  return TestRunner.expect([
+    PortfolioProjectFilters.describeFilter(6, PortfolioProjectFilters.createFilterState(), getName),
+    PortfolioProjectFilters.describeFilter(1, PortfolioProjectFilters.createFilterState(['php']), getName),
+    PortfolioProjectFilters.describeFilter(3, PortfolioProjectFilters.createFilterState(['aws', 'ec2', 'php']), getName),
+    PortfolioProjectFilters.describeFilter(2, PortfolioProjectFilters.createFilterState(['aws', 'ec2'], 'all'), getName)
+  ]).toEqual([
+    '6 projects',
+    '1 project with PHP',
+    '3 projects with AWS, EC2 or PHP',
+    '2 projects with AWS and EC2'
+  ]);
+});
+
+// Run tests if this file is executed directly
+if (typeof require !== 'undefined' && require.main === module) {
+  process.exitCode = TestRunner.run() ? 0 : 1;
+} else if (typeof window !== 'undefined') {
+  // Browser environment - expose test runner
+  window.PortfolioProjectFiltersTestRunner = TestRunner;
+}
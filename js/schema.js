@@ -0,0 +1,565 @@
+/**
+ * @fileoverview JSON Schema generation and schema-backed validation for portfolio data
+ * Builds a draft 2020-12 schema for portfolio.json from the constants in types.js and
+ * validates documents against it, reporting each problem with its JSON pointer
+ */
+
+// Validation constants come from types.js (required in Node.js, loaded before this file in the browser)
+const schemaTypes = typeof module !== 'undefined' && module.exports
+  ? require('./types.js')
+  : window.PortfolioTypes;
+
+// Schema constants
+const SCHEMA_CONSTANTS = {
+  DRAFT: 'https://json-schema.org/draft/2020-12/schema',
+  VERSION: '2.0.0',
+  FILE_NAME: 'portfolio.schema.json',
+  NON_EMPTY_PATTERN: '\\S',
+  // Checks the legacy validator in types.js makes that JSON Schema cannot express, because
+  // they compare two values. Both paths report the same errors for everything else.
+  // - dateOrder: a date range whose end is before its start
+  // - chapterOrder: video chapters that do not start in ascending order
+  LEGACY_ONLY_CODES: ['dateOrder', 'chapterOrder']
+};
+
+/**
+ * @typedef {Object} SchemaIssue
+ * @property {string} path - JSON pointer to the offending value
+ * @property {string} code - Schema keyword that failed, or the patternErrorCode a pattern names
+ * @property {string} message - Human readable description
+ */
+
+/**
+ * Builds the schema fragment for a non-empty string
+ * @returns {Object} Schema fragment
+ */
+function nonEmptyString() {
+  return {
+    type: 'string',
+    pattern: SCHEMA_CONSTANTS.NON_EMPTY_PATTERN,
+    patternErrorCode: 'minLength',
+    patternErrorMessage: 'must be a non-empty string'
+  };
+}
+
+/**
+ * Builds the schema fragment for a non-empty array of non-empty strings
+ * @returns {Object} Schema fragment
+ */
+function nonEmptyStringArray() {
+  return { type: 'array', minItems: 1, items: nonEmptyString() };
+}
+
+/**
+ * Builds the schema fragment requiring a free-text date field or structured dates
+ * @param {string} textField - Name of the free-text date field
+ * @returns {Object[]} anyOf branches
+ */
+function textOrStructuredDates(textField) {
+  return [{ required: [textField] }, { required: ['dates'] }];
+}
+
+/**
+ * Builds the complete portfolio.json schema from the validation constants
+ * @returns {Object} JSON Schema (draft 2020-12) document
+ */
+function buildPortfolioSchema() {
+  const constants = schemaTypes.VALIDATION_CONSTANTS;
+
+  const contactProperties = {
+    email: {
+      type: 'string',
+      format: 'email',
+      pattern: constants.EMAIL_REGEX.source,
+      patternErrorCode: 'format',
+      patternErrorMessage: 'must be a valid email address'
+    },
+    phone: nonEmptyString()
+  };
+  constants.CONTACT_URL_FIELDS.forEach(field => {
+    contactProperties[field] = { $ref: '#/$defs/url' };
+  });
+  contactProperties.social = { type: 'array', items: { $ref: '#/$defs/socialLink' } };
+
+  // Case study blocks, in the order they are shown
+  const caseStudyProperties = {};
+  constants.CASE_STUDY_BLOCKS.forEach(block => {
+    if (constants.CASE_STUDY_TEXT_FIELDS.includes(block)) {
+      caseStudyProperties[block] = nonEmptyString();
+    } else if (constants.CASE_STUDY_LIST_FIELDS.includes(block)) {
+      caseStudyProperties[block] = nonEmptyStringArray();
+    } else {
+      caseStudyProperties[block] = { type: 'array', items: { $ref: '#/$defs/caseStudyResult' } };
+    }
+  });
+
+  return {
+    $schema: SCHEMA_CONSTANTS.DRAFT,
+    $id: `urn:portfolio:schema:${SCHEMA_CONSTANTS.VERSION}`,
+    title: 'Portfolio data',
+    description: `Schema for data/portfolio.json (version ${SCHEMA_CONSTANTS.VERSION}). Generated from js/types.js by js/generate-schema.js - do not edit by hand.`,
+    type: 'object',
+    required: ['personal', 'experience', 'projects', 'skills'],
+    properties: {
+      $schema: { type: 'string' },
+      schemaVersion: { type: 'integer', minimum: 1 },
+      personal: { $ref: '#/$defs/personalInfo' },
+      education: { type: 'array', items: { $ref: '#/$defs/education' } },
+      certifications: { type: 'array', items: { $ref: '#/$defs/certification' } },
+      experience: { type: 'array', items: { $ref: '#/$defs/experience' } },
+      projects: { type: 'array', items: { $ref: '#/$defs/project' } },
+      skills: { type: 'array', items: { $ref: '#/$defs/skillCategory' } },
+      integrity: {
+        type: 'object',
+        properties: {
+          ignore: { type: 'array', items: nonEmptyString() }
+        }
+      }
+    },
+    $defs: {
+      url: {
+        type: 'string',
+        format: 'uri',
+        pattern: constants.URL_REGEX.source,
+        patternErrorCode: 'format',
+        patternErrorMessage: 'must be a valid http(s) URL'
+      },
+      dateValue: {
+        type: 'string',
+        pattern: constants.DATE_REGEX.source,
+        patternErrorMessage: 'must use the "YYYY" or "YYYY-MM" format'
+      },
+      dateRange: {
+        type: 'object',
+        properties: {
+          start: { $ref: '#/$defs/dateValue' },
+          end: { $ref: '#/$defs/dateValue' },
+          expected: { type: 'boolean' }
+        },
+        additionalProperties: false
+      },
+      socialLink: {
+        type: 'object',
+        required: constants.REQUIRED_SOCIAL_LINK_FIELDS,
+        properties: {
+          network: nonEmptyString(),
+          url: { $ref: '#/$defs/url' },
+          label: nonEmptyString()
+        }
+      },
+      contactInfo: {
+        type: 'object',
+        required: constants.REQUIRED_CONTACT_FIELDS,
+        properties: contactProperties
+      },
+      personalInfo: {
+        type: 'object',
+        required: constants.REQUIRED_PERSONAL_FIELDS,
+        properties: {
+          name: nonEmptyString(),
+          title: nonEmptyString(),
+          bio: nonEmptyString(),
+          summary: nonEmptyString(),
+          contact: { $ref: '#/$defs/contactInfo' },
+          headshot: { type: ['string', 'null'] }
+        }
+      },
+      education: {
+        type: 'object',
+        required: constants.REQUIRED_EDUCATION_FIELDS,
+        anyOf: textOrStructuredDates('duration'),
+        properties: {
+          id: nonEmptyString(),
+          degree: nonEmptyString(),
+          specialization: { type: 'string' },
+          institution: nonEmptyString(),
+          duration: nonEmptyString(),
+          dates: { $ref: '#/$defs/dateRange' },
+          status: { type: 'string', enum: constants.EDUCATION_STATUSES },
+          cgpa: {
+            type: 'string',
+            pattern: constants.CGPA_REGEX.source,
+            patternErrorMessage: 'must use the "score/scale" format, e.g. "7.7/10"'
+          }
+        }
+      },
+      certification: {
+        type: 'object',
+        required: constants.REQUIRED_CERTIFICATION_FIELDS,
+        anyOf: textOrStructuredDates('year'),
+        properties: {
+          id: nonEmptyString(),
+          name: nonEmptyString(),
+          issuer: nonEmptyString(),
+          year: nonEmptyString(),
+          dates: { $ref: '#/$defs/dateRange' },
+          link: { $ref: '#/$defs/url' }
+        }
+      },
+      experience: {
+        type: 'object',
+        required: constants.REQUIRED_EXPERIENCE_FIELDS,
+        anyOf: textOrStructuredDates('duration'),
+        properties: {
+          id: nonEmptyString(),
+          company: nonEmptyString(),
+          title: nonEmptyString(),
+          duration: nonEmptyString(),
+          dates: { $ref: '#/$defs/dateRange' },
+          achievements: nonEmptyStringArray(),
+          technologies: { type: 'array', items: nonEmptyString() }
+        }
+      },
+      projectLink: {
+        type: 'object',
+        required: ['name', 'url'],
+        properties: {
+          name: nonEmptyString(),
+          url: { $ref: '#/$defs/url' }
+        }
+      },
+      caseStudyResult: {
+        type: 'object',
+        required: constants.REQUIRED_CASE_STUDY_RESULT_FIELDS,
+        properties: {
+          metric: nonEmptyString(),
+          value: nonEmptyString(),
+          detail: nonEmptyString()
+        }
+      },
+      caseStudy: {
+        type: 'object',
+        anyOf: constants.CASE_STUDY_BLOCKS.map(block => ({ required: [block] })),
+        properties: caseStudyProperties
+      },
+      mediaSource: {
+        type: 'object',
+        required: constants.REQUIRED_MEDIA_SOURCE_FIELDS,
+        properties: {
+          src: nonEmptyString(),
+          type: { type: 'string', enum: constants.VIDEO_MIME_TYPES }
+        }
+      },
+      mediaCaptions: {
+        type: 'object',
+        required: constants.REQUIRED_CAPTIONS_FIELDS,
+        properties: {
+          src: {
+            type: 'string',
+            pattern: constants.WEBVTT_REGEX.source,
+            patternErrorMessage: 'must be a WebVTT file (.vtt)'
+          },
+          srclang: {
+            type: 'string',
+            pattern: constants.LANGUAGE_TAG_REGEX.source,
+            patternErrorMessage: 'must be a language tag, e.g. "en" or "pt-BR"'
+          },
+          label: nonEmptyString(),
+          default: { type: 'boolean' }
+        }
+      },
+      mediaChapter: {
+        type: 'object',
+        required: constants.REQUIRED_CHAPTER_FIELDS,
+        properties: {
+          start: { type: 'number', minimum: 0 },
+          title: nonEmptyString()
+        }
+      },
+      media: {
+        type: 'object',
+        required: constants.REQUIRED_MEDIA_FIELDS,
+        properties: {
+          type: { type: 'string', enum: constants.MEDIA_TYPES },
+          title: nonEmptyString(),
+          sources: { type: 'array', minItems: 1, items: { $ref: '#/$defs/mediaSource' } },
+          poster: nonEmptyString(),
+          captions: { type: 'array', items: { $ref: '#/$defs/mediaCaptions' } },
+          chapters: { type: 'array', items: { $ref: '#/$defs/mediaChapter' } }
+        }
+      },
+      project: {
+        type: 'object',
+        required: constants.REQUIRED_PROJECT_FIELDS,
+        properties: {
+          id: nonEmptyString(),
+          title: nonEmptyString(),
+          description: nonEmptyString(),
+          tools: nonEmptyStringArray(),
+          outcomes: nonEmptyStringArray(),
+          images: { type: 'array', items: nonEmptyString() },
+          links: { type: 'array', items: { $ref: '#/$defs/projectLink' } },
+          dates: { $ref: '#/$defs/dateRange' },
+          featured: { type: 'boolean' },
+          caseStudy: { $ref: '#/$defs/caseStudy' },
+          media: { type: 'array', items: { $ref: '#/$defs/media' } }
+        }
+      },
+      skill: {
+        type: 'object',
+        required: constants.REQUIRED_SKILL_FIELDS,
+        properties: {
+          name: nonEmptyString(),
+          icon: {
+            type: 'string',
+            pattern: `^$|${SCHEMA_CONSTANTS.NON_EMPTY_PATTERN}`,
+            patternErrorCode: 'minLength',
+            patternErrorMessage: 'must be a non-empty string'
+          },
+          proficiency: { type: 'string', enum: constants.PROFICIENCY_LEVELS }
+        }
+      },
+      skillCategory: {
+        type: 'object',
+        required: constants.REQUIRED_SKILL_CATEGORY_FIELDS,
+        properties: {
+          category: nonEmptyString(),
+          skills: { type: 'array', minItems: 1, items: { $ref: '#/$defs/skill' } }
+        }
+      }
+    }
+  };
+}
+
+/**
+ * Returns the JSON Schema type name of a value
+ * @param {*} value - Value to inspect
+ * @returns {string} Type name
+ */
+function getSchemaType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+/**
+ * Checks a value against one JSON Schema type name
+ * @param {*} value - Value to check
+ * @param {string} type - JSON Schema type name
+ * @returns {boolean} True if the value has that type
+ */
+function matchesType(value, type) {
+  const actual = getSchemaType(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+/**
+ * Resolves a local "#/..." reference against the root schema
+ * @param {string} ref - Reference to resolve
+ * @param {Object} rootSchema - Root schema document
+ * @returns {Object} Referenced schema
+ */
+function resolveRef(ref, rootSchema) {
+  if (!ref.startsWith('#')) {
+    throw new Error(`Only local schema references are supported: ${ref}`);
+  }
+
+  return ref.slice(1).split('/').filter(Boolean).reduce((node, segment) => {
+    const key = segment.replace(/~1/g, '/').replace(/~0/g, '~');
+    if (!node || !Object.prototype.hasOwnProperty.call(node, key)) {
+      throw new Error(`Unresolvable schema reference: ${ref}`);
+    }
+    return node[key];
+  }, rootSchema);
+}
+
+/**
+ * Validates a value against a schema node, collecting issues
+ * @param {*} value - Value to validate
+ * @param {Object} schema - Schema node
+ * @param {string} pointer - JSON pointer of the value
+ * @param {Object} rootSchema - Root schema used to resolve references
+ * @param {SchemaIssue[]} issues - Collected issues
+ */
+function visitSchema(value, schema, pointer, rootSchema, issues) {
+  if (schema.$ref) {
+    visitSchema(value, resolveRef(schema.$ref, rootSchema), pointer, rootSchema, issues);
+    return;
+  }
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      issues.push({ path: pointer, code: 'type', message: `must be of type ${types.join(' or ')}` });
+      return;
+    }
+  }
+
+  if (schema.anyOf && !schema.anyOf.some(branch => validateAgainstBranch(value, branch, pointer, rootSchema))) {
+    issues.push({ path: pointer, code: 'anyOf', message: describeAnyOf(schema.anyOf) });
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    issues.push({ path: pointer, code: 'enum', message: `must be one of: ${schema.enum.join(', ')}` });
+  }
+
+  if (typeof value === 'string') {
+    if (typeof schema.minLength === 'number' && value.length < schema.minLength) {
+      issues.push({ path: pointer, code: 'minLength', message: `must be at least ${schema.minLength} characters long` });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern, 'u').test(value)) {
+      issues.push({
+        path: pointer,
+        code: schema.patternErrorCode || 'pattern',
+        message: schema.patternErrorMessage || `must match pattern ${schema.pattern}`
+      });
+    }
+  }
+
+  if (typeof value === 'number' && typeof schema.minimum === 'number' && value < schema.minimum) {
+    issues.push({ path: pointer, code: 'minimum', message: `must be at least ${schema.minimum}` });
+  }
+
+  if (Array.isArray(value)) {
+    if (typeof schema.minItems === 'number' && value.length < schema.minItems) {
+      issues.push({ path: pointer, code: 'minItems', message: `must contain at least ${schema.minItems} item${schema.minItems !== 1 ? 's' : ''}` });
+    }
+    if (schema.items) {
+      value.forEach((item, index) => {
+        visitSchema(item, schema.items, schemaTypes.appendPointer(pointer, index), rootSchema, issues);
+      });
+    }
+  }
+
+  if (getSchemaType(value) === 'object') {
+    (schema.required || []).forEach(field => {
+      if (!Object.prototype.hasOwnProperty.call(value, field)) {
+        issues.push({ path: schemaTypes.appendPointer(pointer, field), code: 'required', message: `missing required field "${field}"` });
+      }
+    });
+
+    const properties = schema.properties || {};
+    Object.keys(value).forEach(key => {
+      const childPointer = schemaTypes.appendPointer(pointer, key);
+      if (Object.prototype.hasOwnProperty.call(properties, key)) {
+        visitSchema(value[key], properties[key], childPointer, rootSchema, issues);
+      } else if (schema.additionalProperties === false) {
+        issues.push({ path: childPointer, code: 'additionalProperties', message: `unknown property "${key}"` });
+      } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+        visitSchema(value[key], schema.additionalProperties, childPointer, rootSchema, issues);
+      }
+    });
+  }
+}
+
+/**
+ * Checks whether a value satisfies one anyOf branch
+ * @param {*} value - Value to validate
+ * @param {Object} branch - anyOf branch schema
+ * @param {string} pointer - JSON pointer of the value
+ * @param {Object} rootSchema - Root schema used to resolve references
+ * @returns {boolean} True if the branch reports no issues
+ */
+function validateAgainstBranch(value, branch, pointer, rootSchema) {
+  const branchIssues = [];
+  visitSchema(value, branch, pointer, rootSchema, branchIssues);
+  return branchIssues.length === 0;
+}
+
+/**
+ * Describes a failed anyOf, naming the fields when every branch only requires fields
+ * @param {Object[]} branches - anyOf branches
+ * @returns {string} Issue message
+ */
+function describeAnyOf(branches) {
+  const requiredOnly = branches.every(branch => Object.keys(branch).length === 1 && Array.isArray(branch.required));
+  if (requiredOnly) {
+    const fields = branches.map(branch => branch.required.map(field => `"${field}"`).join(' and '));
+    return `must include ${fields.join(' or ')}`;
+  }
+  return 'must match at least one of the allowed shapes';
+}
+
+/**
+ * Walks a value alongside its schema, collecting properties the schema does not declare.
+ * Objects that already forbid additional properties are skipped because visitSchema
+ * reports those as errors.
+ * @param {*} value - Value to inspect
+ * @param {Object} schema - Schema node
+ * @param {string} pointer - JSON pointer of the value
+ * @param {Object} rootSchema - Root schema used to resolve references
+ * @param {SchemaIssue[]} issues - Collected issues
+ */
+function visitDeclarations(value, schema, pointer, rootSchema, issues) {
+  if (schema.$ref) {
+    visitDeclarations(value, resolveRef(schema.$ref, rootSchema), pointer, rootSchema, issues);
+    return;
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => {
+      visitDeclarations(item, schema.items, schemaTypes.appendPointer(pointer, index), rootSchema, issues);
+    });
+  }
+
+  if (getSchemaType(value) === 'object' && schema.properties) {
+    Object.keys(value).forEach(key => {
+      const childPointer = schemaTypes.appendPointer(pointer, key);
+      if (Object.prototype.hasOwnProperty.call(schema.properties, key)) {
+        visitDeclarations(value[key], schema.properties[key], childPointer, rootSchema, issues);
+      } else if (schema.additionalProperties === undefined) {
+        issues.push({ path: childPointer, code: 'undeclaredProperty', message: `property "${key}" is not declared in the schema` });
+      }
+    });
+  }
+}
+
+/**
+ * Finds properties that the schema allows but does not declare, which usually point at
+ * a typo in a field name. These are reported as warnings rather than errors.
+ * @param {*} value - Value to inspect
+ * @param {Object} schema - JSON Schema document
+ * @returns {SchemaIssue[]} One issue per undeclared property
+ */
+function findUndeclaredProperties(value, schema) {
+  const issues = [];
+  visitDeclarations(value, schema, '', schema, issues);
+  return issues;
+}
+
+/**
+ * Validates a value against a JSON Schema
+ * @param {*} value - Value to validate
+ * @param {Object} schema - JSON Schema document
+ * @returns {{isValid: boolean, errors: string[], issues: SchemaIssue[]}} Validation result
+ */
+function validateAgainstSchema(value, schema) {
+  const issues = [];
+  visitSchema(value, schema, '', schema, issues);
+  return { isValid: issues.length === 0, errors: issues.map(schemaTypes.formatIssue), issues };
+}
+
+/**
+ * Validates complete portfolio data against the generated portfolio schema
+ * @param {Object} portfolioData - Portfolio data to validate
+ * @returns {{isValid: boolean, errors: string[], issues: SchemaIssue[]}} Validation result
+ */
+function validatePortfolioDataWithSchema(portfolioData) {
+  return validateAgainstSchema(portfolioData, buildPortfolioSchema());
+}
+
+// Export functions and constants for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  // Node.js environment
+  module.exports = {
+    SCHEMA_CONSTANTS,
+    buildPortfolioSchema,
+    validateAgainstSchema,
+    validatePortfolioDataWithSchema,
+    findUndeclaredProperties,
+    formatSchemaIssue: schemaTypes.formatIssue,
+    appendPointer: schemaTypes.appendPointer
+  };
+} else {
+  // Browser environment
+  window.PortfolioSchema = {
+    SCHEMA_CONSTANTS,
+    buildPortfolioSchema,
+    validateAgainstSchema,
+    validatePortfolioDataWithSchema,
+    findUndeclaredProperties,
+    formatSchemaIssue: schemaTypes.formatIssue,
+    appendPointer: schemaTypes.appendPointer
+  };
+}
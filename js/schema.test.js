@@ -0,0 +1,322 @@
+/**
+ * @fileoverview Unit tests for the generated portfolio JSON Schema
+ * These tests check the schema-backed validation path against the legacy validators
+ */
+
+// Import the validation functions
+let PortfolioTypes;
+let PortfolioSchema;
+if (typeof require !== 'undefined') {
+  // Node.js environment
+  PortfolioTypes = require('./types.js');
+  PortfolioSchema = require('./schema.js');
+} else {
+  // Browser environment - assume types.js and schema.js are already loaded
+  PortfolioTypes = window.PortfolioTypes;
+  PortfolioSchema = window.PortfolioSchema;
+}
+
+// Test utilities
+const TestRunner = {
+  tests: [],
+  passed: 0,
+  failed: 0,
+
+  test(name, testFn) {
+    this.tests.push({ name, testFn });
+  },
+
+  expect(actual) {
+    return {
+      toBe(expected) {
+        if (actual === expected) {
+          return { passed: true };
+        }
+        return { passed: false, message: `Expected ${expected}, got ${actual}` };
+      },
+
+      toEqual(expected) {
+        if (JSON.stringify(actual) === JSON.stringify(expected)) {
+          return { passed: true };
+        }
+        return { passed: false, message: `Expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}` };
+      },
+
+      toContain(expected) {
+        if (Array.isArray(actual) && actual.includes(expected)) {
+          return { passed: true };
+        }
+        return { passed: false, message: `Expected ${JSON.stringify(actual)} to contain ${expected}` };
+      }
+    };
+  },
+
+  run() {
+    console.log('Running portfolio schema tests...\n');
+
+    this.tests.forEach(({ name, testFn }) => {
+      try {
+        const result = testFn();
+        if (result.passed) {
+          this.passed++;
+          console.log(`✓ ${name}`);
+        } else {
+          this.failed++;
+          console.log(`✗ ${name}: ${result.message}`);
+        }
+      } catch (error) {
+        this.failed++;
+        console.log(`✗ ${name}: ${error.message}`);
+      }
+    });
+
+    console.log(`\nTest Results: ${this.passed} passed, ${this.failed} failed`);
+    return this.failed === 0;
+  }
+};
+
+// Test data
+const validPortfolioData = {
+  personal: {
+    name: 'John Doe',
+    title: 'Software Engineer',
+    bio: 'A passionate software engineer',
+    summary: 'Experienced in web development',
+    contact: {
+      email: 'test@example.com',
+      linkedin: 'https://linkedin.com/in/test',
+      github: 'https://github.com/test',
+      social: [{ network: 'behance', url: 'https://behance.net/test' }]
+    },
+    headshot: 'images/profile/headshot.jpg'
+  },
+  education: [{
+    id: 'edu1',
+    degree: 'Bachelor of Computer Applications',
+    specialization: '',
+    institution: 'Example University',
+    duration: '2022 - 2025',
+    status: 'Completed',
+    cgpa: '7.7/10'
+  }],
+  certifications: [{
+    id: 'cert1',
+    name: 'Cloud Foundations',
+    issuer: 'Example Academy',
+    year: 'Aug 2024'
+  }],
+  experience: [{
+    id: 'exp1',
+    company: 'Tech Corp',
+    title: 'Senior Developer',
+    duration: '2020-2023',
+    achievements: ['Built awesome features'],
+    technologies: ['JavaScript']
+  }],
+  projects: [{
+    id: 'proj1',
+    title: 'Awesome Project',
+    description: 'A really cool project',
+    tools: ['React'],
+    outcomes: ['Reduced costs'],
+    images: ['image1.jpg'],
+    links: [{ name: 'GitHub', url: 'https://github.com/test/project' }]
+  }],
+  skills: [{
+    category: 'Programming',
+    skills: [{ name: 'JavaScript', icon: 'js-icon', proficiency: 'expert' }]
+  }]
+};
+
+/**
+ * Returns a deep copy of the valid fixture with a mutation applied
+ * @param {Function} mutate - Receives the copy and changes it in place
+ * @returns {Object} Mutated portfolio data
+ */
+function withChange(mutate) {
+  const copy = JSON.parse(JSON.stringify(validPortfolioData));
+  mutate(copy);
+  return copy;
+}
+
+// Documents both validation paths must agree on
+const parityFixtures = {
+  'valid document': validPortfolioData,
+  'missing personal': withChange(data => { delete data.personal; }),
+  'empty name': withChange(data => { data.personal.name = '  '; }),
+  'missing contact field': withChange(data => { delete data.personal.contact.github; }),
+  'invalid email': withChange(data => { data.personal.contact.email = 'invalid'; }),
+  'phone number': withChange(data => { data.personal.contact.phone = '+1 555 0100'; }),
+  'empty phone number': withChange(data => { data.personal.contact.phone = ' '; }),
+  'invalid contact URL': withChange(data => { data.personal.contact.github = 'github.com/test'; }),
+  'invalid social URL': withChange(data => { data.personal.contact.social[0].url = 'behance.net/test'; }),
+  'social link without network': withChange(data => { delete data.personal.contact.social[0].network; }),
+  'invalid schemaVersion': withChange(data => { data.schemaVersion = 0; }),
+  'experience not an array': withChange(data => { data.experience = 'not-an-array'; }),
+  'empty achievements': withChange(data => { data.experience[0].achievements = []; }),
+  'non-string technology': withChange(data => { data.experience[0].technologies = ['JS', 42]; }),
+  'empty tools': withChange(data => { data.projects[0].tools = []; }),
+  'invalid link URL': withChange(data => { data.projects[0].links[0].url = 'not-a-url'; }),
+  'link without name': withChange(data => { delete data.projects[0].links[0].name; }),
+  'invalid proficiency': withChange(data => { data.skills[0].skills[0].proficiency = 'guru'; }),
+  'empty skill category': withChange(data => { data.skills[0].skills = []; }),
+  'null headshot': withChange(data => { data.personal.headshot = null; }),
+  'invalid education status': withChange(data => { data.education[0].status = 'Finished'; }),
+  'invalid CGPA': withChange(data => { data.education[0].cgpa = 'A+'; }),
+  'missing institution': withChange(data => { delete data.education[0].institution; }),
+  'empty certification link': withChange(data => { data.certifications[0].link = ''; }),
+  'certifications not an array': withChange(data => { data.certifications = {}; }),
+  'structured dates only': withChange(data => {
+    delete data.experience[0].duration;
+    data.experience[0].dates = { start: '2020-01', end: '2023-06' };
+  }),
+  'neither duration nor dates': withChange(data => { delete data.experience[0].duration; }),
+  'invalid date format': withChange(data => { data.education[0].dates = { start: 'July 2022' }; }),
+  'end date before start': withChange(data => {
+    data.experience.push({ ...data.experience[0], id: 'exp2', dates: { start: '2025-07', end: '2024-01' } });
+  }),
+  'skill icon not a string': withChange(data => { data.skills[0].skills[0].icon = 5; }),
+  'certification without year or dates': withChange(data => { delete data.certifications[0].year; }),
+  'integrity ignore list': withChange(data => { data.integrity = { ignore: ['Custom Slots'] }; }),
+  'integrity ignore not a list': withChange(data => { data.integrity = { ignore: 'Custom Slots' }; }),
+  'integrity not an object': withChange(data => { data.integrity = ['Custom Slots']; }),
+  'featured case study': withChange(data => {
+    data.projects[0].featured = true;
+    data.projects[0].caseStudy = { problem: 'Slow hiring', results: [{ metric: 'Screening time', value: '-60%' }] };
+  }),
+  'featured not a boolean': withChange(data => { data.projects[0].featured = 'yes'; }),
+  'empty case study': withChange(data => { data.projects[0].caseStudy = {}; }),
+  'case study result without value': withChange(data => {
+    data.projects[0].caseStudy = { results: [{ metric: 'Screening time' }] };
+  }),
+  'empty case study lessons': withChange(data => { data.projects[0].caseStudy = { lessons: [] }; }),
+  'video with captions and chapters': withChange(data => {
+    data.projects[0].media = [{
+      type: 'video',
+      title: 'Walkthrough',
+      sources: [{ src: 'videos/intro.webm', type: 'video/webm' }],
+      captions: [{ src: 'videos/intro.en.vtt', srclang: 'en', label: 'English', default: true }],
+      chapters: [{ start: 0, title: 'Overview' }, { start: 42.5, title: 'Screening' }]
+    }];
+  }),
+  'video without sources': withChange(data => {
+    data.projects[0].media = [{ type: 'video', title: 'Walkthrough', sources: [] }];
+  }),
+  'unsupported video type': withChange(data => {
+    data.projects[0].media = [{ type: 'video', title: 'Walkthrough', sources: [{ src: 'intro.ogv', type: 'video/ogg' }] }];
+  }),
+  'captions that are not WebVTT': withChange(data => {
+    data.projects[0].media = [{
+      type: 'video',
+      title: 'Walkthrough',
+      sources: [{ src: 'videos/intro.webm', type: 'video/webm' }],
+      captions: [{ src: 'videos/intro.en.srt', srclang: 'en', label: 'English' }]
+    }];
+  }),
+  'negative chapter start': withChange(data => {
+    data.projects[0].media = [{
+      type: 'video',
+      title: 'Walkthrough',
+      sources: [{ src: 'videos/intro.webm', type: 'video/webm' }],
+      chapters: [{ start: -5, title: 'Overview' }]
+    }];
+  })
+};
+
+// Schema generation tests
+TestRunner.test('buildPortfolioSchema - declares draft 2020-12', () => {
+  const schema = PortfolioSchema.buildPortfolioSchema();
+  return TestRunner.expect(schema.$schema).toBe('https://json-schema.org/draft/2020-12/schema');
+});
+
+TestRunner.test('buildPortfolioSchema - uses required fields from VALIDATION_CONSTANTS', () => {
+  const schema = PortfolioSchema.buildPortfolioSchema();
+  return TestRunner.expect(schema.$defs.project.required)
+    .toEqual(PortfolioTypes.VALIDATION_CONSTANTS.REQUIRED_PROJECT_FIELDS);
+});
+
+TestRunner.test('buildPortfolioSchema - uses proficiency levels from VALIDATION_CONSTANTS', () => {
+  const schema = PortfolioSchema.buildPortfolioSchema();
+  return TestRunner.expect(schema.$defs.skill.properties.proficiency.enum)
+    .toEqual(PortfolioTypes.VALIDATION_CONSTANTS.PROFICIENCY_LEVELS);
+});
+
+if (typeof require !== 'undefined') {
+  TestRunner.test('portfolio.schema.json - matches the generated schema', () => {
+    const fs = require('fs');
+    const path = require('path');
+    const committed = JSON.parse(fs.readFileSync(path.join(__dirname, '../data/portfolio.schema.json'), 'utf8'));
+    return TestRunner.expect(committed).toEqual(PortfolioSchema.buildPortfolioSchema());
+  });
+}
+
+// Schema validation tests
+TestRunner.test('validatePortfolioDataWithSchema - valid portfolio data', () => {
+  const result = PortfolioSchema.validatePortfolioDataWithSchema(validPortfolioData);
+  return TestRunner.expect(result.isValid).toBe(true);
+});
+
+TestRunner.test('validatePortfolioDataWithSchema - reports JSON pointer of invalid link', () => {
+  const result = PortfolioSchema.validatePortfolioDataWithSchema(parityFixtures['invalid link URL']);
+  return TestRunner.expect(result.issues.map(issue => issue.path)).toContain('/projects/0/links/0/url');
+});
+
+TestRunner.test('validatePortfolioDataWithSchema - names the missing field', () => {
+  const result = PortfolioSchema.validatePortfolioDataWithSchema(parityFixtures['missing contact field']);
+  return TestRunner.expect(result.errors).toContain('/personal/contact/github: missing required field "github"');
+});
+
+TestRunner.test('validateAgainstSchema - rejects unknown properties when additionalProperties is false', () => {
+  const schema = { type: 'object', properties: { a: { type: 'string' } }, additionalProperties: false };
+  const result = PortfolioSchema.validateAgainstSchema({ a: 'x', b: 1 }, schema);
+  return TestRunner.expect(result.issues[0].code).toBe('additionalProperties');
+});
+
+TestRunner.test('findUndeclaredProperties - reports fields missing from the schema', () => {
+  const data = withChange(data => { data.projects[0].summary = 'Typo of description'; });
+  const issues = PortfolioSchema.findUndeclaredProperties(data, PortfolioSchema.buildPortfolioSchema());
+  return TestRunner.expect(issues.map(issue => issue.path)).toEqual(['/projects/0/summary']);
+});
+
+TestRunner.test('appendPointer - escapes "~" and "/"', () => {
+  return TestRunner.expect(PortfolioSchema.appendPointer('/a', 'b/c~d')).toBe('/a/b~1c~0d');
+});
+
+/**
+ * Lists the errors of a validation result as sorted "path code" strings
+ * @param {{issues: Object[]}} result - Validation result
+ * @param {string[]} [ignoredCodes] - Codes to leave out
+ * @returns {string[]} Error summaries
+ */
+function summarizeErrors(result, ignoredCodes = []) {
+  return result.issues
+    .filter(issue => (issue.severity || 'error') === 'error' && !ignoredCodes.includes(issue.code))
+    .map(issue => `${issue.path} ${issue.code}`)
+    .sort();
+}
+
+// Parity tests: both paths must report the same errors, apart from the checks JSON Schema cannot express
+Object.entries(parityFixtures).forEach(([name, fixture]) => {
+  TestRunner.test(`parity - ${name}`, () => {
+    const legacy = PortfolioTypes.validatePortfolioData(fixture);
+    const schema = PortfolioSchema.validatePortfolioDataWithSchema(fixture);
+    return TestRunner.expect(summarizeErrors(schema))
+      .toEqual(summarizeErrors(legacy, PortfolioSchema.SCHEMA_CONSTANTS.LEGACY_ONLY_CODES));
+  });
+});
+
+TestRunner.test('parity - date order is only checked by the legacy path', () => {
+  const fixture = parityFixtures['end date before start'];
+  return TestRunner.expect([
+    summarizeErrors(PortfolioTypes.validatePortfolioData(fixture)),
+    summarizeErrors(PortfolioSchema.validatePortfolioDataWithSchema(fixture))
+  ]).toEqual([['/experience/1/dates/end dateOrder'], []]);
+});
+
+// Run tests if this file is executed directly
+if (typeof require !== 'undefined' && require.main === module) {
+  process.exitCode = TestRunner.run() ? 0 : 1;
+} else if (typeof window !== 'undefined') {
+  // Browser environment - expose test runner
+  window.PortfolioSchemaTestRunner = TestRunner;
+}
@@ -210,6 +210,11 @@ class SEOManager {
   generateKeywords() {
     const { personal, skills, experience } = this.portfolioData;
     const keywords = new Set();
+    // Use canonical skill names, so "AWS (EC2, VPC)" and "AWS" give one keyword
+    const registry = window.PortfolioSkillRegistry
+      ? window.PortfolioSkillRegistry.createSkillRegistry({ portfolioSkills: skills })
+      : null;
+    const skillKeyword = name => (registry ? registry.getName(name) : name).toLowerCase();
 
     // Add title keywords
     personal.title.split(/[,&\s]+/).forEach(word => {
@@ -220,14 +225,14 @@ class SEOManager {
     skills.forEach(category => {
       keywords.add(category.category.toLowerCase());
       category.skills.forEach(skill => {
-        keywords.add(skill.name.toLowerCase());
+        keywords.add(skillKeyword(skill.name));
       });
     });
 
     // Add technology keywords from experience
     experience.forEach(exp => {
       if (exp.technologies) {
-        exp.technologies.forEach(tech => keywords.add(tech.toLowerCase()));
+        exp.technologies.forEach(tech => keywords.add(skillKeyword(tech)));
       }
     });
 
@@ -246,7 +251,7 @@ class SEOManager {
     const links = [];
     if (contact.linkedin) links.push(contact.linkedin);
     if (contact.github) links.push(contact.github);
-    if (contact.behance) links.push(contact.behance);
+    (contact.social || []).forEach(link => links.push(link.url));
     return links;
   }
 
@@ -265,10 +270,7 @@ class SEOManager {
   getCurrentEmployer(experience) {
     if (!experience || experience.length === 0) return null;
     
-    const currentJob = experience.find(exp => 
-      exp.duration.toLowerCase().includes('present') || 
-      exp.duration.toLowerCase().includes('current')
-    ) || experience[0];
+    const currentJob = experience.find(exp => this.isCurrentExperience(exp)) || experience[0];
 
     return {
       "@type": "Organization",
@@ -276,6 +278,20 @@ class SEOManager {
     };
   }
 
+  /**
+   * Check whether an experience entry is a current role, preferring its structured dates
+   */
+  isCurrentExperience(exp) {
+    const dates = typeof window !== 'undefined' && window.PortfolioDates ? window.PortfolioDates : null;
+    if (dates) {
+      const range = exp.dates || dates.parseDuration(exp.duration);
+      if (range) return dates.isCurrentRange(range);
+    }
+
+    const duration = (exp.duration || '').toLowerCase();
+    return duration.includes('present') || duration.includes('current');
+  }
+
   /**
    * Utility methods for meta tag management
    */
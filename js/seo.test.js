@@ -37,7 +37,7 @@ describe('SEO Manager', () => {
           email: 'john.doe@example.com',
           linkedin: 'https://linkedin.com/in/johndoe',
           github: 'https://github.com/johndoe',
-          behance: 'https://behance.net/johndoe'
+          social: [{ network: 'behance', url: 'https://behance.net/johndoe' }]
         },
         headshot: 'images/profile/john-doe.jpg'
       },
@@ -0,0 +1,279 @@
+/**
+ * @fileoverview SVG charts of skill proficiency: a radar chart per category and a matrix of
+ * skills against proficiency levels. Charts are plain SVG markup without dependencies; colors
+ * come from CSS classes so both themes apply, every chart carries a text alternative and every
+ * plotted skill is a keyboard focusable point.
+ */
+
+const chartsTypes = typeof module !== 'undefined' && module.exports ? require('./types.js') : window.PortfolioTypes;
+
+// Skill chart constants
+const SKILL_CHART_CONSTANTS = {
+  PROFICIENCY_LEVELS: chartsTypes.VALIDATION_CONSTANTS.PROFICIENCY_LEVELS,
+  MAX_LABEL_LENGTH: 16,
+  // Read out for skills listed without a proficiency
+  UNRATED_LABEL: 'not rated',
+  RADAR: {
+    SIZE: 320,
+    RADIUS: 110,
+    // Room on the left and right for the axis labels
+    LABEL_SPACE: 70,
+    LABEL_OFFSET: 14,
+    POINT_RADIUS: 5
+  },
+  MATRIX: {
+    LABEL_WIDTH: 180,
+    LABEL_INDENT: 12,
+    CELL_WIDTH: 96,
+    ROW_HEIGHT: 28,
+    HEADER_HEIGHT: 32,
+    POINT_RADIUS: 6
+  }
+};
+
+/**
+ * @typedef {Object} ChartSkill
+ * @property {string} name - Skill name as listed in the skills section
+ * @property {string} [proficiency] - Proficiency level; skills without one are not rated
+ * @property {string} [label] - Shorter name to show on the chart, e.g. the registry name
+ */
+
+/**
+ * Returns the position of a proficiency level on the chart scales
+ * @param {string} proficiency - Proficiency level
+ * @returns {number} 1 for the lowest level up to the number of levels, 0 when unknown
+ */
+function getProficiencyValue(proficiency) {
+  return SKILL_CHART_CONSTANTS.PROFICIENCY_LEVELS.indexOf(proficiency) + 1;
+}
+
+/**
+ * Shortens a label for display on a chart; the full name stays in the text alternative
+ * @param {string} label - Label
+ * @returns {string} Label of at most MAX_LABEL_LENGTH characters
+ */
+function truncateLabel(label) {
+  const maxLength = SKILL_CHART_CONSTANTS.MAX_LABEL_LENGTH;
+  return label.length > maxLength ? `${label.slice(0, maxLength - 1).trimEnd()}…` : label;
+}
+
+/**
+ * Escapes text for use in SVG markup
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeMarkup(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Rounds a coordinate so the markup stays short and stable
+ * @param {number} value - Coordinate
+ * @returns {number} Coordinate rounded to two decimals
+ */
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Describes a skill for screen readers and tooltips
+ * @param {ChartSkill} skill - Skill
+ * @returns {string} Description, e.g. "Python: advanced" or "OpenCV: not rated"
+ */
+function describeSkill(skill) {
+  const level = getProficiencyValue(skill.proficiency) > 0 ? skill.proficiency : SKILL_CHART_CONSTANTS.UNRATED_LABEL;
+  return `${skill.name}: ${level}`;
+}
+
+/**
+ * Works out where each skill of a category sits on a radar chart
+ * Axes start at the top and go clockwise; the distance from the center grows with the level.
+ * Skills that are not rated have no place on the scale and get no axis.
+ * @param {ChartSkill[]} skills - Skills of the category
+ * @returns {Array<{skill: ChartSkill, value: number, x: number, y: number, axisX: number, axisY: number, labelX: number, labelY: number, anchor: string}>} Points
+ */
+function computeRadarPoints(skills) {
+  const { SIZE, RADIUS, LABEL_OFFSET } = SKILL_CHART_CONSTANTS.RADAR;
+  const levelCount = SKILL_CHART_CONSTANTS.PROFICIENCY_LEVELS.length;
+  const center = SIZE / 2;
+  const rated = skills.filter(skill => getProficiencyValue(skill.proficiency) > 0);
+
+  return rated.map((skill, index) => {
+    const angle = -Math.PI / 2 + (2 * Math.PI * index) / rated.length;
+    const value = getProficiencyValue(skill.proficiency);
+    const distance = (RADIUS * value) / levelCount;
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+
+    return {
+      skill,
+      value,
+      x: round(center + distance * cos),
+      y: round(center + distance * sin),
+      axisX: round(center + RADIUS * cos),
+      axisY: round(center + RADIUS * sin),
+      labelX: round(center + (RADIUS + LABEL_OFFSET) * cos),
+      labelY: round(center + (RADIUS + LABEL_OFFSET) * sin),
+      anchor: cos > 0.3 ? 'start' : cos < -0.3 ? 'end' : 'middle'
+    };
+  });
+}
+
+/**
+ * Creates the grid rings of a radar chart, one per proficiency level
+ * Fewer than three axes cannot form a polygon, so those charts get circles.
+ * @param {number} axisCount - Number of axes
+ * @returns {string} SVG markup
+ */
+function createRadarRings(axisCount) {
+  const { SIZE, RADIUS } = SKILL_CHART_CONSTANTS.RADAR;
+  const levelCount = SKILL_CHART_CONSTANTS.PROFICIENCY_LEVELS.length;
+  const center = SIZE / 2;
+
+  return SKILL_CHART_CONSTANTS.PROFICIENCY_LEVELS.map((level, index) => {
+    const distance = (RADIUS * (index + 1)) / levelCount;
+    if (axisCount < 3) {
+      return `<circle class="skill-chart-ring" cx="${center}" cy="${center}" r="${round(distance)}"></circle>`;
+    }
+    const corners = Array.from({ length: axisCount }, (_, axis) => {
+      const angle = -Math.PI / 2 + (2 * Math.PI * axis) / axisCount;
+      return `${round(center + distance * Math.cos(angle))},${round(center + distance * Math.sin(angle))}`;
+    });
+    return `<polygon class="skill-chart-ring" points="${corners.join(' ')}"></polygon>`;
+  }).join('');
+}
+
+/**
+ * Creates a radar chart of the skills of one category
+ * @param {{category: string, skills: ChartSkill[]}} category - Skill category
+ * @param {Object} [options] - Chart options
+ * @param {string} [options.id] - Unique id for the chart, used to link its text alternative
+ * @returns {string} Markup of a figure holding the chart
+ */
+function createRadarChart(category, options = {}) {
+  const { SIZE, LABEL_SPACE, POINT_RADIUS } = SKILL_CHART_CONSTANTS.RADAR;
+  const id = options.id || 'skill-radar';
+  const center = SIZE / 2;
+  const points = computeRadarPoints(category.skills);
+
+  const axes = points.map(point =>
+    `<line class="skill-chart-axis" x1="${center}" y1="${center}" x2="${point.axisX}" y2="${point.axisY}"></line>`
+  ).join('');
+  const area = points.length >= 3
+    ? `<polygon class="skill-radar-area" points="${points.map(point => `${point.x},${point.y}`).join(' ')}"></polygon>`
+    : '';
+  const labels = points.map(point =>
+    `<text class="skill-chart-label" x="${point.labelX}" y="${point.labelY}" text-anchor="${point.anchor}" dominant-baseline="middle">${escapeMarkup(truncateLabel(point.skill.label || point.skill.name))}</text>`
+  ).join('');
+  const markers = points.map(point => `
+      <circle class="skill-chart-point" cx="${point.x}" cy="${point.y}" r="${POINT_RADIUS}" tabindex="0" role="img"
+              data-skill="${escapeMarkup(point.skill.name.toLowerCase())}" aria-label="${escapeMarkup(describeSkill(point.skill))}">
+        <title>${escapeMarkup(describeSkill(point.skill))}</title>
+      </circle>`).join('');
+
+  return `
+    <figure class="skill-chart skill-radar" data-category="${escapeMarkup(category.category)}">
+      <svg class="skill-chart-svg" viewBox="${-LABEL_SPACE} 0 ${SIZE + 2 * LABEL_SPACE} ${SIZE}" role="group"
+           aria-labelledby="${id}-title" aria-describedby="${id}-desc">
+        <title id="${id}-title">${escapeMarkup(category.category)} proficiency</title>
+        <desc id="${id}-desc">${escapeMarkup(category.skills.map(describeSkill).join('; '))}</desc>
+        <g class="skill-chart-grid" aria-hidden="true">${createRadarRings(points.length)}${axes}</g>
+        <g aria-hidden="true">${area}${labels}</g>
+        <g class="skill-chart-points">${markers}
+        </g>
+      </svg>
+      <figcaption class="skill-chart-caption">${escapeMarkup(category.category)}</figcaption>
+    </figure>
+  `;
+}
+
+/**
+ * Creates a matrix of skills against proficiency levels, with a row per skill grouped by
+ * category and a marked cell at the level of each skill
+ * @param {Array<{category: string, skills: ChartSkill[]}>} categories - Skill categories
+ * @param {Object} [options] - Chart options
+ * @param {string} [options.id] - Unique id for the chart, used to link its text alternative
+ * @returns {string} Markup of a figure holding the chart
+ */
+function createProficiencyMatrix(categories, options = {}) {
+  const { LABEL_WIDTH, LABEL_INDENT, CELL_WIDTH, ROW_HEIGHT, HEADER_HEIGHT, POINT_RADIUS } = SKILL_CHART_CONSTANTS.MATRIX;
+  const levels = SKILL_CHART_CONSTANTS.PROFICIENCY_LEVELS;
+  const id = options.id || 'skill-matrix';
+  const width = LABEL_WIDTH + levels.length * CELL_WIDTH;
+  const rows = [];
+  let y = HEADER_HEIGHT;
+
+  categories.forEach(category => {
+    rows.push(`<text class="skill-matrix-category" x="0" y="${y + ROW_HEIGHT / 2}" dominant-baseline="middle" aria-hidden="true">${escapeMarkup(category.category)}</text>`);
+    y += ROW_HEIGHT;
+
+    category.skills.forEach(skill => {
+      const value = getProficiencyValue(skill.proficiency);
+      const middle = y + ROW_HEIGHT / 2;
+      const cells = levels.map((level, index) => {
+        const reached = index < value ? ' reached' : '';
+        return `<rect class="skill-matrix-cell${reached}" x="${LABEL_WIDTH + index * CELL_WIDTH}" y="${y}" width="${CELL_WIDTH}" height="${ROW_HEIGHT}"></rect>`;
+      }).join('');
+      const marker = value > 0
+        ? `<circle class="skill-chart-point" cx="${LABEL_WIDTH + (value - 0.5) * CELL_WIDTH}" cy="${middle}" r="${POINT_RADIUS}" tabindex="0" role="img"
+                  data-skill="${escapeMarkup(skill.name.toLowerCase())}" aria-label="${escapeMarkup(`${describeSkill(skill)} (${category.category})`)}">
+            <title>${escapeMarkup(describeSkill(skill))}</title>
+          </circle>`
+        : '';
+
+      rows.push(`
+        <g class="skill-matrix-row">
+          <g aria-hidden="true">${cells}<text class="skill-chart-label" x="${LABEL_INDENT}" y="${middle}" dominant-baseline="middle">${escapeMarkup(truncateLabel(skill.label || skill.name))}</text></g>
+          ${marker}
+        </g>`);
+      y += ROW_HEIGHT;
+    });
+  });
+
+  const header = levels.map((level, index) =>
+    `<text class="skill-matrix-level" x="${LABEL_WIDTH + (index + 0.5) * CELL_WIDTH}" y="${HEADER_HEIGHT / 2}" text-anchor="middle" dominant-baseline="middle">${escapeMarkup(level)}</text>`
+  ).join('');
+  const description = categories
+    .map(category => `${category.category}: ${category.skills.map(describeSkill).join(', ')}`)
+    .join('. ');
+
+  return `
+    <figure class="skill-chart skill-matrix">
+      <svg class="skill-chart-svg" viewBox="0 0 ${width} ${y}" role="group"
+           aria-labelledby="${id}-title" aria-describedby="${id}-desc">
+        <title id="${id}-title">Skills by proficiency level</title>
+        <desc id="${id}-desc">${escapeMarkup(description)}</desc>
+        <g aria-hidden="true">${header}</g>
+        ${rows.join('')}
+      </svg>
+    </figure>
+  `;
+}
+
+// Export functions and constants for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  // Node.js environment
+  module.exports = {
+    SKILL_CHART_CONSTANTS,
+    getProficiencyValue,
+    truncateLabel,
+    computeRadarPoints,
+    createRadarChart,
+    createProficiencyMatrix
+  };
+} else {
+  // Browser environment
+  window.PortfolioSkillCharts = {
+    SKILL_CHART_CONSTANTS,
+    getProficiencyValue,
+    truncateLabel,
+    computeRadarPoints,
+    createRadarChart,
+    createProficiencyMatrix
+  };
+}
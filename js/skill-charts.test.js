@@ -0,0 +1,192 @@
+/**
+ * @fileoverview Unit tests for the skill charts
+ */
+
+// Import the charts
+let PortfolioSkillCharts;
+if (typeof require !== 'undefined') {
+  // Node.js environment
+  PortfolioSkillCharts = require('./skill-charts.js');
+} else {
+  // Browser environment - assume skill-charts.js is already loaded
+  PortfolioSkillCharts = window.PortfolioSkillCharts;
+}
+
+// Test utilities
+const TestRunner = {
+  tests: [],
+  passed: 0,
+  failed: 0,
+
+  test(name, testFn) {
+    this.tests.push({ name, testFn });
+  },
+
+  expect(actual) {
+    return {
+      toBe(expected) {
+        if (actual === expected) {
+          return { passed: true };
+        }
+        return { passed: false, message: `Expected ${expected}, got ${actual}` };
+      },
+
+      toEqual(expected) {
+        if (JSON.stringify(actual) === JSON.stringify(expected)) {
+          return { passed: true };
+        }
+        return { passed: false, message: `Expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}` };
+      },
+
+      toContain(expected) {
+        if (Array.isArray(actual) && actual.includes(expected)) {
+          return { passed: true };
+        }
+        return { passed: false, message: `Expected ${JSON.stringify(actual)} to contain ${expected}` };
+      }
+    };
+  },
+
+  run() {
+    console.log('Running skill chart tests...\n');
+
+    this.tests.forEach(({ name, testFn }) => {
+      try {
+        const result = testFn();
+        if (result.passed) {
+          this.passed++;
+          console.log(`✓ ${name}`);
+        } else {
+          this.failed++;
+          console.log(`✗ ${name}: ${result.message}`);
+        }
+      } catch (error) {
+        this.failed++;
+        console.log(`✗ ${name}: ${error.message}`);
+      }
+    });
+
+    console.log(`\nTest Results: ${this.passed} passed, ${this.failed} failed`);
+    return this.failed === 0;
+  }
+};
+
+// Test data
+const cloudCategory = {
+  category: 'Cloud & DevOps',
+  skills: [
+    { name: 'AWS (EC2, VPC, S3)', proficiency: 'expert', label: 'AWS' },
+    { name: 'Docker', proficiency: 'advanced' },
+    { name: 'Terraform', proficiency: 'intermediate' },
+    { name: 'Ansible', proficiency: 'beginner' }
+  ]
+};
+
+const countMatches = (text, pattern) => (text.match(pattern) || []).length;
+
+// Scale tests
+TestRunner.test('getProficiencyValue - orders the levels from 1 and gives 0 for unknown levels', () => {
+  return TestRunner.expect(['beginner', 'intermediate', 'advanced', 'expert', 'guru'].map(PortfolioSkillCharts.getProficiencyValue))
+    .toEqual([1, 2, 3, 4, 0]);
+});
+
+TestRunner.test('truncateLabel - shortens long labels only', () => {
+  return TestRunner.expect([
+    PortfolioSkillCharts.truncateLabel('Docker'),
+    PortfolioSkillCharts.truncateLabel('Infrastructure as Code')
+  ]).toEqual(['Docker', 'Infrastructure…']);
+});
+
+// Radar tests
+TestRunner.test('computeRadarPoints - places axes clockwise from the top, scaled by level', () => {
+  const { SIZE, RADIUS } = PortfolioSkillCharts.SKILL_CHART_CONSTANTS.RADAR;
+  const center = SIZE / 2;
+  const points = PortfolioSkillCharts.computeRadarPoints(cloudCategory.skills);
+  return TestRunner.expect(points.map(point => [point.x, point.y, point.anchor])).toEqual([
+    [center, center - RADIUS, 'middle'],
+    [center + RADIUS * 3 / 4, center, 'start'],
+    [center, center + RADIUS / 2, 'middle'],
+    [center - RADIUS / 4, center, 'end']
+  ]);
+});
+
+TestRunner.test('createRadarChart - links the title and description of the chart', () => {
+  const markup = PortfolioSkillCharts.createRadarChart(cloudCategory, { id: 'radar-1' });
+  return TestRunner.expect([
+    markup.includes('aria-labelledby="radar-1-title" aria-describedby="radar-1-desc"'),
+    markup.includes('<title id="radar-1-title">Cloud &amp; DevOps proficiency</title>'),
+    markup.includes('<desc id="radar-1-desc">AWS (EC2, VPC, S3): expert; Docker: advanced; Terraform: intermediate; Ansible: beginner</desc>')
+  ]).toEqual([true, true, true]);
+});
+
+TestRunner.test('createRadarChart - makes every skill a focusable labelled point', () => {
+  const markup = PortfolioSkillCharts.createRadarChart(cloudCategory);
+  return TestRunner.expect([
+    countMatches(markup, /class="skill-chart-point"[^>]*tabindex="0"/g),
+    markup.includes('aria-label="AWS (EC2, VPC, S3): expert"'),
+    markup.includes('>AWS</text>')
+  ]).toEqual([4, true, true]);
+});
+
+TestRunner.test('createRadarChart - draws circles for categories with fewer than three skills', () => {
+  const markup = PortfolioSkillCharts.createRadarChart({ category: 'Soft Skills', skills: [{ name: 'Communication', proficiency: 'advanced' }] });
+  return TestRunner.expect([
+    countMatches(markup, /<circle class="skill-chart-ring"/g),
+    markup.includes('skill-radar-area')
+  ]).toEqual([4, false]);
+});
+
+TestRunner.test('createRadarChart - escapes skill names', () => {
+  const markup = PortfolioSkillCharts.createRadarChart({ category: 'Web', skills: [{ name: '<script>', proficiency: 'expert' }] });
+  return TestRunner.expect(markup.includes('<script>')).toBe(false);
+});
+
+TestRunner.test('createRadarChart - leaves skills without a proficiency off the chart', () => {
+  const category = { ...cloudCategory, skills: [...cloudCategory.skills, { name: 'OpenCV' }] };
+  const markup = PortfolioSkillCharts.createRadarChart(category, { id: 'radar-1' });
+  return TestRunner.expect([
+    PortfolioSkillCharts.computeRadarPoints(category.skills).length,
+    countMatches(markup, /class="skill-chart-point"/g),
+    countMatches(markup, /class="skill-chart-axis"/g),
+    markup.includes('undefined'),
+    markup.includes('Ansible: beginner; OpenCV: not rated</desc>')
+  ]).toEqual([4, 4, 4, false, true]);
+});
+
+// Matrix tests
+TestRunner.test('createProficiencyMatrix - marks the level of each skill and the levels below it', () => {
+  const markup = PortfolioSkillCharts.createProficiencyMatrix([cloudCategory]);
+  return TestRunner.expect([
+    countMatches(markup, /class="skill-matrix-cell reached"/g),
+    countMatches(markup, /class="skill-matrix-cell"/g),
+    countMatches(markup, /class="skill-chart-point"[^>]*tabindex="0"/g)
+  ]).toEqual([4 + 3 + 2 + 1, 16 - 10, 4]);
+});
+
+TestRunner.test('createProficiencyMatrix - describes every category in its text alternative', () => {
+  const markup = PortfolioSkillCharts.createProficiencyMatrix([
+    cloudCategory,
+    { category: 'Soft Skills', skills: [{ name: 'Communication', proficiency: 'advanced' }] }
+  ], { id: 'matrix' });
+  return TestRunner.expect([
+    markup.includes('<desc id="matrix-desc">Cloud &amp; DevOps: AWS (EC2, VPC, S3): expert, Docker: advanced, Terraform: intermediate, Ansible: beginner. Soft Skills: Communication: advanced</desc>'),
+    markup.includes('aria-label="Communication: advanced (Soft Skills)"')
+  ]).toEqual([true, true]);
+});
+
+TestRunner.test('createProficiencyMatrix - reads out skills without a proficiency as not rated', () => {
+  const markup = PortfolioSkillCharts.createProficiencyMatrix([{ category: 'Programming', skills: [{ name: 'OpenCV' }] }], { id: 'matrix' });
+  return TestRunner.expect([
+    markup.includes('undefined'),
+    markup.includes('<desc id="matrix-desc">Programming: OpenCV: not rated</desc>'),
+    countMatches(markup, /class="skill-chart-point"/g)
+  ]).toEqual([false, true, 0]);
+});
+
+// Run tests if this file is executed directly
+if (typeof require !== 'undefined' && require.main === module) {
+  process.exitCode = TestRunner.run() ? 0 : 1;
+} else if (typeof window !== 'undefined') {
+  // Browser environment - expose test runner
+  window.PortfolioSkillChartsTestRunner = TestRunner;
+}
@@ -0,0 +1,520 @@
+/**
+ * @fileoverview Canonical registry of skills and technologies
+ * The same technology is written in different ways across the data: "AWS (EC2, VPC, S3)"
+ * in the skills, "AWS VPC" and "EC2" in project tools. Every section resolves names
+ * against this registry, so filters, search, SEO keywords and descriptions agree on
+ * what a name refers to. A skill may have a parent, e.g. EC2 is part of AWS.
+ */
+
+// Date helpers come from dates.js (required in Node.js, loaded before this file in the browser)
+const registryDates = typeof module !== 'undefined' && module.exports
+  ? require('./dates.js')
+  : window.PortfolioDates;
+
+// Skill registry constants
+const SKILL_REGISTRY_CONSTANTS = {
+  DEFAULT_CATEGORY_ICON: '📋',
+  // "AWS (EC2, VPC, S3)" resolves to "AWS" when the full name is not registered
+  QUALIFIER_REGEX: /\s*\([^)]*\)\s*$/,
+  // Fields listing the technologies an entry used, by section
+  TECHNOLOGY_FIELDS: { projects: 'tools', experience: 'technologies' },
+  // Certification fields searched for skill names, since certifications list no technologies
+  CERTIFICATION_TEXT_FIELDS: ['name', 'issuer']
+};
+
+/**
+ * @typedef {Object} SkillEntry
+ * @property {string} id - Canonical id, e.g. "ec2"
+ * @property {string} name - Display name, e.g. "EC2"
+ * @property {string[]} [aliases] - Other names the skill is written as, e.g. "Amazon EC2"
+ * @property {string} [parent] - Id of the skill this one is part of, e.g. "aws"
+ * @property {string} [category] - Id of the registry category, e.g. "cloud"
+ * @property {string} [icon] - Icon shown next to the skill
+ * @property {string} [description] - One-sentence description shown in the skill details
+ */
+
+/**
+ * @typedef {Object} SkillCategoryEntry
+ * @property {string} id - Canonical id, e.g. "security"
+ * @property {string} name - Display name, e.g. "Security"
+ * @property {string[]} [aliases] - Other names the category is written as
+ * @property {string} icon - Icon shown next to the category
+ */
+
+/** @type {SkillCategoryEntry[]} */
+const DEFAULT_SKILL_CATEGORIES = [
+  { id: 'cloud', name: 'Cloud', aliases: ['Cloud Platforms'], icon: '☁️' },
+  { id: 'security', name: 'Security', aliases: ['Cybersecurity'], icon: '🔒' },
+  { id: 'programming', name: 'Programming', icon: '💻' },
+  { id: 'tools', name: 'Tools', aliases: ['Tools & Technologies'], icon: '🛠️' },
+  { id: 'design', name: 'Design', icon: '🎨' },
+  { id: 'database', name: 'Database', icon: '🗄️' },
+  { id: 'devops', name: 'DevOps', icon: '⚙️' },
+  { id: 'ai-ml', name: 'AI/ML', icon: '🤖' },
+  { id: 'mobile', name: 'Mobile', icon: '📱' },
+  { id: 'web', name: 'Web', icon: '🌐' }
+];
+
+/** @type {SkillEntry[]} */
+const DEFAULT_SKILLS = [
+  {
+    id: 'aws',
+    name: 'AWS',
+    aliases: ['Amazon Web Services'],
+    category: 'cloud',
+    description: 'Amazon Web Services - Cloud computing platform with extensive experience in EC2, S3, Lambda, and more.'
+  },
+  { id: 'ec2', name: 'EC2', aliases: ['Amazon EC2', 'AWS EC2'], parent: 'aws', category: 'cloud' },
+  { id: 's3', name: 'S3', aliases: ['Amazon S3', 'AWS S3'], parent: 'aws', category: 'cloud' },
+  { id: 'lambda', name: 'Lambda', aliases: ['AWS Lambda'], parent: 'aws', category: 'cloud' },
+  { id: 'iam', name: 'IAM', aliases: ['AWS IAM', 'IAM Roles', 'IAM Policies'], parent: 'aws', category: 'security' },
+  { id: 'lex', name: 'Amazon Lex', aliases: ['Lex', 'AWS Lex'], parent: 'aws', category: 'ai-ml' },
+  { id: 'vpc', name: 'VPC', aliases: ['Amazon VPC', 'AWS VPC'], parent: 'aws', category: 'cloud' },
+  { id: 'subnets', name: 'Subnets', parent: 'vpc', category: 'cloud' },
+  { id: 'cidr', name: 'CIDR', parent: 'vpc', category: 'cloud' },
+  { id: 'route-tables', name: 'Route Tables', parent: 'vpc', category: 'cloud' },
+  { id: 'internet-gateway', name: 'Internet Gateway', parent: 'vpc', category: 'cloud' },
+  { id: 'security-groups', name: 'Security Groups', parent: 'vpc', category: 'security' },
+  { id: 'network-acls', name: 'Network ACLs', aliases: ['NACLs'], parent: 'vpc', category: 'security' },
+  {
+    id: 'azure',
+    name: 'Azure',
+    aliases: ['Microsoft Azure'],
+    category: 'cloud',
+    description: 'Microsoft Azure cloud platform - Experience with virtual machines, storage, and cloud services.'
+  },
+  {
+    id: 'docker',
+    name: 'Docker',
+    category: 'devops',
+    description: 'Containerization technology for application deployment and development environments.'
+  },
+  {
+    id: 'kubernetes',
+    name: 'Kubernetes',
+    aliases: ['K8s'],
+    category: 'devops',
+    description: 'Container orchestration platform for managing scalable applications.'
+  },
+  {
+    id: 'terraform',
+    name: 'Terraform',
+    category: 'devops',
+    description: 'Infrastructure as Code tool for cloud resource management.'
+  },
+  {
+    id: 'ci-cd',
+    name: 'CI/CD',
+    aliases: ['Continuous Integration'],
+    category: 'devops',
+    description: 'Continuous Integration and Deployment practices for automated software delivery.'
+  },
+  { id: 'gitlab-ci', name: 'GitLab CI/CD', aliases: ['GitLab CI'], parent: 'ci-cd', category: 'devops' },
+  { id: 'jenkins', name: 'Jenkins', parent: 'ci-cd', category: 'devops' },
+  {
+    id: 'git',
+    name: 'Git',
+    category: 'tools',
+    description: 'Version control system for collaborative software development.'
+  },
+  {
+    id: 'python',
+    name: 'Python',
+    category: 'programming',
+    description: 'Versatile programming language used for automation, web development, and data analysis.'
+  },
+  { id: 'django', name: 'Django', parent: 'python', category: 'web' },
+  {
+    id: 'javascript',
+    name: 'JavaScript',
+    aliases: ['JS'],
+    category: 'programming',
+    description: 'Dynamic programming language for web development and modern applications.'
+  },
+  {
+    id: 'react',
+    name: 'React',
+    aliases: ['React.js', 'ReactJS'],
+    parent: 'javascript',
+    category: 'web',
+    description: 'Modern JavaScript library for building user interfaces and web applications.'
+  },
+  {
+    id: 'security-auditing',
+    name: 'Security Auditing',
+    category: 'security',
+    description: 'Comprehensive security assessments and vulnerability analysis.'
+  },
+  {
+    id: 'penetration-testing',
+    name: 'Penetration Testing',
+    aliases: ['Pentesting'],
+    category: 'security',
+    description: 'Ethical hacking and security testing methodologies.'
+  },
+  {
+    id: 'siem',
+    name: 'SIEM',
+    category: 'security',
+    description: 'Security Information and Event Management systems for threat detection.'
+  }
+];
+
+/**
+ * Normalizes a name for lookups, so "aws vpc " matches "AWS VPC"
+ * @param {string} name - Skill or category name
+ * @returns {string} Lookup key
+ */
+function normalizeSkillKey(name) {
+  return String(name).trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+/**
+ * Derives a canonical id from a name, e.g. "GitLab CI/CD" becomes "gitlab-ci-cd"
+ * @param {string} name - Skill name
+ * @returns {string} Id
+ */
+function slugifySkillName(name) {
+  return normalizeSkillKey(name).replace(/[^a-z0-9+#]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Tells whether a normalized text contains a term as whole words
+ * @param {string} text - Normalized text
+ * @param {string} term - Normalized term
+ * @returns {boolean} True if the term appears with no letter or digit on either side
+ */
+function containsSkillTerm(text, term) {
+  let index = text.indexOf(term);
+  while (index !== -1) {
+    const before = text.charAt(index - 1);
+    const after = text.charAt(index + term.length);
+    if (!/[a-z0-9]/.test(before) && !/[a-z0-9]/.test(after)) {
+      return true;
+    }
+    index = text.indexOf(term, index + 1);
+  }
+  return false;
+}
+
+/**
+ * Indexes entries by id, name and aliases
+ * @param {Array<SkillEntry|SkillCategoryEntry>} entries - Entries to index
+ * @param {string} kind - What the entries are, for error messages
+ * @returns {{byId: Map, byKey: Map}} Lookup tables
+ * @throws {Error} When two entries share an id or a name
+ */
+function indexSkillEntries(entries, kind) {
+  const byId = new Map();
+  const byKey = new Map();
+
+  entries.forEach(entry => {
+    if (byId.has(entry.id)) {
+      throw new Error(`Duplicate ${kind.toLowerCase()} id "${entry.id}"`);
+    }
+    byId.set(entry.id, entry);
+
+    [entry.id, entry.name, ...(entry.aliases || [])].forEach(name => {
+      const key = normalizeSkillKey(name);
+      const owner = byKey.get(key);
+      if (owner && owner !== entry) {
+        throw new Error(`${kind} name "${name}" is used by both "${owner.id}" and "${entry.id}"`);
+      }
+      byKey.set(key, entry);
+    });
+  });
+
+  return { byId, byKey };
+}
+
+/**
+ * Creates a skill registry
+ * Skills from the portfolio data that the registry does not know are added with their
+ * own name, so every skill the page shows resolves to an entry.
+ * @param {Object} [options] - Registry options
+ * @param {SkillEntry[]} [options.skills] - Known skills (DEFAULT_SKILLS by default)
+ * @param {SkillCategoryEntry[]} [options.categories] - Known categories (DEFAULT_SKILL_CATEGORIES by default)
+ * @param {Array<{category: string, skills: Array<{name: string}>}>} [options.portfolioSkills] - Skills section of the portfolio data
+ * @returns {Object} Registry with resolve, getId, getName, getLineage, getDescription and getCategoryIcon
+ * @throws {Error} When entries share an id or a name, or name a parent that does not exist
+ */
+function createSkillRegistry(options = {}) {
+  const skills = [...(options.skills || DEFAULT_SKILLS)];
+  const categories = indexSkillEntries(options.categories || DEFAULT_SKILL_CATEGORIES, 'Skill category');
+  const { byId, byKey } = indexSkillEntries(skills, 'Skill');
+
+  skills.forEach(entry => {
+    if (entry.parent && !byId.has(entry.parent)) {
+      throw new Error(`Skill "${entry.id}" has unknown parent "${entry.parent}"`);
+    }
+  });
+
+  /**
+   * Finds the entry a name refers to
+   * @param {string} name - Skill name, alias or id as written anywhere in the data
+   * @returns {SkillEntry|null} Entry, or null when the name is unknown
+   */
+  function resolve(name) {
+    if (typeof name !== 'string' || name.trim() === '') {
+      return null;
+    }
+    const key = normalizeSkillKey(name);
+    if (byKey.has(key)) {
+      return byKey.get(key);
+    }
+    const unqualified = normalizeSkillKey(name.replace(SKILL_REGISTRY_CONSTANTS.QUALIFIER_REGEX, ''));
+    return (unqualified && byKey.get(unqualified)) || null;
+  }
+
+  // Portfolio skills the registry does not know become entries of their own
+  (options.portfolioSkills || []).forEach(category => {
+    (category && Array.isArray(category.skills) ? category.skills : []).forEach(skill => {
+      if (!skill || resolve(skill.name) || typeof skill.name !== 'string' || skill.name.trim() === '') {
+        return;
+      }
+      const id = slugifySkillName(skill.name);
+      if (byId.has(id)) {
+        return;
+      }
+      const categoryEntry = categories.byKey.get(normalizeSkillKey(category.category || ''));
+      const entry = { id, name: skill.name.trim(), category: categoryEntry ? categoryEntry.id : undefined };
+      byId.set(id, entry);
+      byKey.set(normalizeSkillKey(entry.name), entry);
+    });
+  });
+
+  return {
+    resolve,
+
+    /**
+     * Returns the canonical id of a name; unknown names get an id derived from the name
+     * @param {string} name - Skill name
+     * @returns {string} Canonical id
+     */
+    getId(name) {
+      const entry = resolve(name);
+      return entry ? entry.id : slugifySkillName(name);
+    },
+
+    /**
+     * Returns the display name of a skill
+     * @param {string} name - Skill name, alias or id
+     * @returns {string} Display name, or the name itself when it is unknown
+     */
+    getName(name) {
+      const entry = resolve(name);
+      return entry ? entry.name : name;
+    },
+
+    /**
+     * Returns the ids of a skill and of every skill it is part of, nearest first
+     * @param {string} name - Skill name
+     * @returns {string[]} Ids, e.g. ["vpc", "aws"] for "AWS VPC"
+     */
+    getLineage(name) {
+      const lineage = [];
+      let entry = resolve(name);
+      if (!entry) {
+        return [slugifySkillName(name)];
+      }
+      while (entry && !lineage.includes(entry.id)) {
+        lineage.push(entry.id);
+        entry = entry.parent ? byId.get(entry.parent) : null;
+      }
+      return lineage;
+    },
+
+    /**
+     * Finds the skills a text mentions by name or alias, e.g. in a certification name
+     * @param {string} text - Free text
+     * @returns {string[]} Ids of the mentioned skills
+     */
+    findMentions(text) {
+      const normalized = normalizeSkillKey(text || '');
+      const ids = new Set();
+      byKey.forEach((entry, key) => {
+        if (containsSkillTerm(normalized, key)) {
+          ids.add(entry.id);
+        }
+      });
+      return Array.from(ids);
+    },
+
+    /**
+     * Returns the description shown in the skill details
+     * @param {string} name - Skill name
+     * @param {string} category - Name of the category the skill is listed under
+     * @returns {string} Description
+     */
+    getDescription(name, category) {
+      const entry = resolve(name);
+      if (entry && entry.description) {
+        return entry.description;
+      }
+      return `Professional experience with ${name} in ${category.toLowerCase()} contexts.`;
+    },
+
+    /**
+     * Returns the icon of a skill category
+     * @param {string} category - Category name as written in the data
+     * @returns {string} Icon
+     */
+    getCategoryIcon(category) {
+      const entry = categories.byKey.get(normalizeSkillKey(category || ''));
+      return entry ? entry.icon : SKILL_REGISTRY_CONSTANTS.DEFAULT_CATEGORY_ICON;
+    }
+  };
+}
+
+/**
+ * @typedef {Object} SkillEvidence
+ * @property {string} section - Section of the entry: "projects", "experience" or "certifications"
+ * @property {string} path - JSON pointer of the entry, e.g. "/projects/2"
+ * @property {string} title - Title of the entry, e.g. "Senior Developer at Tech Corp"
+ */
+
+/**
+ * Lists the projects, roles and certifications that use a skill
+ * Projects and roles use a skill when one of their tools or technologies is the skill or
+ * part of it, so EC2 counts for AWS. Certifications use it when their name or issuer
+ * mentions it.
+ * @param {Object} registry - Skill registry, see createSkillRegistry
+ * @param {Object} portfolioData - Portfolio data
+ * @param {string} skillName - Skill name as listed in the skills section
+ * @returns {{projects: SkillEvidence[], experience: SkillEvidence[], certifications: SkillEvidence[]}} Evidence by section
+ */
+function findSkillEvidence(registry, portfolioData, skillName) {
+  const evidence = { projects: [], experience: [], certifications: [] };
+
+  collectSkillUses(registry, portfolioData, skillName).forEach(({ section, index, entry }) => {
+    const title = section === 'experience' ? `${entry.title} at ${entry.company}` :
+      section === 'certifications' ? entry.name : entry.title;
+    evidence[section].push({ section, path: `/${section}/${index}`, title });
+  });
+
+  return evidence;
+}
+
+/**
+ * Finds the entries that use a skill, in section order
+ * @param {Object} registry - Skill registry
+ * @param {Object} portfolioData - Portfolio data
+ * @param {string} skillName - Skill name
+ * @returns {Array<{section: string, index: number, entry: Object}>} Entries using the skill
+ */
+function collectSkillUses(registry, portfolioData, skillName) {
+  const skillId = registry.getId(skillName);
+  const usesSkill = names => names.some(name => registry.getLineage(name).includes(skillId));
+  const entriesOf = section => (Array.isArray(portfolioData[section]) ? portfolioData[section] : []);
+  const uses = [];
+
+  Object.entries(SKILL_REGISTRY_CONSTANTS.TECHNOLOGY_FIELDS).forEach(([section, field]) => {
+    entriesOf(section).forEach((entry, index) => {
+      const technologies = entry && Array.isArray(entry[field]) ? entry[field].filter(name => typeof name === 'string') : [];
+      if (usesSkill(technologies)) {
+        uses.push({ section, index, entry });
+      }
+    });
+  });
+
+  entriesOf('certifications').forEach((certification, index) => {
+    if (!certification) {
+      return;
+    }
+    const text = SKILL_REGISTRY_CONSTANTS.CERTIFICATION_TEXT_FIELDS.map(field => certification[field] || '').join(' ');
+    if (usesSkill(registry.findMentions(text))) {
+      uses.push({ section: 'certifications', index, entry: certification });
+    }
+  });
+
+  return uses;
+}
+
+/**
+ * @typedef {Object} SkillMetrics
+ * @property {string|null} firstUsed - Start of the earliest dated use, as "YYYY" or "YYYY-MM"
+ * @property {string|null} lastUsed - End of the latest dated use; null while still in use
+ * @property {boolean} isCurrent - True while a role or project using the skill is ongoing
+ * @property {number|null} months - Months of use, counting overlapping roles and projects once
+ * @property {number} datedEntries - Number of dated roles and projects that use the skill
+ * @property {number|null} recency - Month index of the last use, for sorting; Infinity while
+ *   in use and null without dated use
+ */
+
+/**
+ * Works out how long and how recently a skill was used, from the dates of the roles and
+ * projects that use it. Certifications do not count as use. Skills whose roles and projects
+ * have no dates get null values rather than guesses.
+ * @param {Object} registry - Skill registry, see createSkillRegistry
+ * @param {Object} portfolioData - Portfolio data with structured dates
+ * @param {string} skillName - Skill name as listed in the skills section
+ * @param {Date} [now] - Reference date
+ * @returns {SkillMetrics} Metrics
+ */
+function computeSkillMetrics(registry, portfolioData, skillName, now = new Date()) {
+  const nowIndex = now.getFullYear() * 12 + now.getMonth();
+  const ranges = collectSkillUses(registry, portfolioData, skillName)
+    .filter(({ section }) => section !== 'certifications')
+    .map(({ entry }) => entry.dates)
+    .filter(range => range && range.start && registryDates.toMonthIndex(range.start, 'start') <= nowIndex);
+
+  if (ranges.length === 0) {
+    return { firstUsed: null, lastUsed: null, isCurrent: false, months: null, datedEntries: 0, recency: null };
+  }
+
+  const intervals = ranges.map(range => ({
+    range,
+    start: registryDates.toMonthIndex(range.start, 'start'),
+    end: range.end ? Math.min(registryDates.toMonthIndex(range.end, 'end'), nowIndex) : nowIndex
+  })).sort((a, b) => a.start - b.start);
+
+  // Overlapping roles and projects count once
+  let months = 0;
+  let current = null;
+  intervals.forEach(interval => {
+    if (current && interval.start <= current.end + 1) {
+      current.end = Math.max(current.end, interval.end);
+    } else {
+      if (current) months += current.end - current.start + 1;
+      current = { start: interval.start, end: interval.end };
+    }
+  });
+  months += current.end - current.start + 1;
+
+  const isCurrent = ranges.some(range => registryDates.isCurrentRange(range, now));
+  const latest = intervals.reduce((a, b) => (b.end > a.end ? b : a));
+
+  return {
+    firstUsed: intervals[0].range.start,
+    lastUsed: isCurrent ? null : latest.range.end,
+    isCurrent,
+    months,
+    datedEntries: ranges.length,
+    recency: isCurrent ? Infinity : latest.end
+  };
+}
+
+// Export functions and constants for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  // Node.js environment
+  module.exports = {
+    SKILL_REGISTRY_CONSTANTS,
+    DEFAULT_SKILLS,
+    DEFAULT_SKILL_CATEGORIES,
+    createSkillRegistry,
+    findSkillEvidence,
+    computeSkillMetrics,
+    slugifySkillName
+  };
+} else {
+  // Browser environment
+  window.PortfolioSkillRegistry = {
+    SKILL_REGISTRY_CONSTANTS,
+    DEFAULT_SKILLS,
+    DEFAULT_SKILL_CATEGORIES,
+    createSkillRegistry,
+    findSkillEvidence,
+    computeSkillMetrics,
+    slugifySkillName
+  };
+}
@@ -0,0 +1,256 @@
+/**
+ * @fileoverview Unit tests for the skill registry
+ */
+
+// Import the registry
+let PortfolioSkillRegistry;
+if (typeof require !== 'undefined') {
+  // Node.js environment
+  PortfolioSkillRegistry = require('./skill-registry.js');
+} else {
+  // Browser environment - assume skill-registry.js is already loaded
+  PortfolioSkillRegistry = window.PortfolioSkillRegistry;
+}
+
+// Test utilities
+const TestRunner = {
+  tests: [],
+  passed: 0,
+  failed: 0,
+
+  test(name, testFn) {
+    this.tests.push({ name, testFn });
+  },
+
+  expect(actual) {
+    return {
+      toBe(expected) {
+        if (actual === expected) {
+          return { passed: true };
+        }
+        return { passed: false, message: `Expected ${expected}, got ${actual}` };
+      },
+
+      toEqual(expected) {
+        if (JSON.stringify(actual) === JSON.stringify(expected)) {
+          return { passed: true };
+        }
+        return { passed: false, message: `Expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}` };
+      },
+
+      toContain(expected) {
+        if (Array.isArray(actual) && actual.includes(expected)) {
+          return { passed: true };
+        }
+        return { passed: false, message: `Expected ${JSON.stringify(actual)} to contain ${expected}` };
+      }
+    };
+  },
+
+  run() {
+    console.log('Running skill registry tests...\n');
+
+    this.tests.forEach(({ name, testFn }) => {
+      try {
+        const result = testFn();
+        if (result.passed) {
+          this.passed++;
+          console.log(`✓ ${name}`);
+        } else {
+          this.failed++;
+          console.log(`✗ ${name}: ${result.message}`);
+        }
+      } catch (error) {
+        this.failed++;
+        console.log(`✗ ${name}: ${error.message}`);
+      }
+    });
+
+    console.log(`\nTest Results: ${this.passed} passed, ${this.failed} failed`);
+    return this.failed === 0;
+  }
+};
+
+// Test data
+const portfolioSkills = [
+  { category: 'Cloud Platforms', skills: [{ name: 'AWS (EC2, VPC, S3)' }, { name: 'Cloud Security' }] },
+  { category: 'Security Tools', skills: [{ name: 'Nmap' }] }
+];
+
+const registry = PortfolioSkillRegistry.createSkillRegistry({ portfolioSkills });
+
+/**
+ * Runs a function and returns the message of the error it throws
+ * @param {Function} fn - Function expected to throw
+ * @returns {string|null} Error message, or null if nothing was thrown
+ */
+function errorMessageOf(fn) {
+  try {
+    fn();
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+// Resolution tests
+TestRunner.test('resolve - finds skills by name, alias and id regardless of case', () => {
+  return TestRunner.expect(['EC2', 'amazon ec2', ' AWS  EC2 ', 'ec2'].map(name => registry.resolve(name).id))
+    .toEqual(['ec2', 'ec2', 'ec2', 'ec2']);
+});
+
+TestRunner.test('resolve - ignores a trailing qualifier in parentheses', () => {
+  return TestRunner.expect(registry.resolve('AWS (EC2, VPC, S3)').id).toBe('aws');
+});
+
+TestRunner.test('resolve - returns null for unknown and empty names', () => {
+  return TestRunner.expect([registry.resolve('COBOL'), registry.resolve(''), registry.resolve(undefined)])
+    .toEqual([null, null, null]);
+});
+
+TestRunner.test('getId and getName - map aliases to the canonical skill', () => {
+  return TestRunner.expect([registry.getId('AWS VPC'), registry.getName('AWS VPC'), registry.getName('aws')])
+    .toEqual(['vpc', 'VPC', 'AWS']);
+});
+
+TestRunner.test('getId and getName - keep unknown names', () => {
+  return TestRunner.expect([registry.getId('AI Resume Parser'), registry.getName('AI Resume Parser')])
+    .toEqual(['ai-resume-parser', 'AI Resume Parser']);
+});
+
+TestRunner.test('getLineage - lists the skill and its parents, nearest first', () => {
+  return TestRunner.expect([registry.getLineage('Internet Gateway'), registry.getLineage('COBOL')])
+    .toEqual([['internet-gateway', 'vpc', 'aws'], ['cobol']]);
+});
+
+// Portfolio skill tests
+TestRunner.test('createSkillRegistry - adds portfolio skills it does not know', () => {
+  const entry = registry.resolve('cloud security');
+  return TestRunner.expect({ id: entry.id, name: entry.name, category: entry.category })
+    .toEqual({ id: 'cloud-security', name: 'Cloud Security', category: 'cloud' });
+});
+
+TestRunner.test('createSkillRegistry - the default registry does not know portfolio skills', () => {
+  return TestRunner.expect(PortfolioSkillRegistry.createSkillRegistry().resolve('Nmap')).toBe(null);
+});
+
+// Description and icon tests
+TestRunner.test('getDescription - uses the registry description or a generic one', () => {
+  return TestRunner.expect([registry.getDescription('Docker', 'Tools'), registry.getDescription('Nmap', 'Security Tools')]).toEqual([
+    'Containerization technology for application deployment and development environments.',
+    'Professional experience with Nmap in security tools contexts.'
+  ]);
+});
+
+TestRunner.test('getCategoryIcon - matches category names and aliases', () => {
+  return TestRunner.expect(['Cybersecurity', 'Security', 'Soft Skills'].map(category => registry.getCategoryIcon(category)))
+    .toEqual(['🔒', '🔒', '📋']);
+});
+
+// Evidence tests
+const evidenceData = {
+  experience: [{ id: 'exp1', title: 'DevOps Engineer', company: 'Cloud Co', technologies: ['Kubernetes', 'AWS'] }],
+  projects: [
+    { id: 'vpc', title: 'Private Network', tools: ['AWS VPC', 'Subnets'] },
+    { id: 'site', title: 'Portfolio Site', tools: ['HTML'] }
+  ],
+  certifications: [
+    { id: 'cert1', name: 'Networking Basics', issuer: 'Amazon Web Services' },
+    { id: 'cert2', name: 'Kubernetes Fundamentals', issuer: 'CNCF' }
+  ]
+};
+
+TestRunner.test('findMentions - finds names and aliases as whole words', () => {
+  return TestRunner.expect([
+    registry.findMentions('AWS Certified Cloud Practitioner'),
+    registry.findMentions('Issued by Amazon Web Services'),
+    registry.findMentions('Lawsuits and lexicons')
+  ]).toEqual([['aws'], ['aws'], []]);
+});
+
+TestRunner.test('findSkillEvidence - lists entries using the skill or a part of it', () => {
+  const evidence = PortfolioSkillRegistry.findSkillEvidence(registry, evidenceData, 'AWS (EC2, VPC, S3)');
+  return TestRunner.expect(evidence).toEqual({
+    projects: [{ section: 'projects', path: '/projects/0', title: 'Private Network' }],
+    experience: [{ section: 'experience', path: '/experience/0', title: 'DevOps Engineer at Cloud Co' }],
+    certifications: [{ section: 'certifications', path: '/certifications/0', title: 'Networking Basics' }]
+  });
+});
+
+TestRunner.test('findSkillEvidence - using a parent is no evidence for its parts', () => {
+  const evidence = PortfolioSkillRegistry.findSkillEvidence(registry, evidenceData, 'EC2');
+  return TestRunner.expect(evidence).toEqual({ projects: [], experience: [], certifications: [] });
+});
+
+TestRunner.test('findSkillEvidence - ignores missing sections', () => {
+  const evidence = PortfolioSkillRegistry.findSkillEvidence(registry, { projects: evidenceData.projects }, 'Kubernetes');
+  return TestRunner.expect(evidence).toEqual({ projects: [], experience: [], certifications: [] });
+});
+
+// Metrics tests
+const metricsNow = new Date(2025, 5, 15);
+const metricsData = {
+  experience: [
+    { id: 'exp1', title: 'Cloud Engineer', company: 'Cloud Co', technologies: ['AWS', 'Docker'], dates: { start: '2023-01', end: '2023-12' } },
+    { id: 'exp2', title: 'DevOps Engineer', company: 'Ops Co', technologies: ['Kubernetes', 'Docker'], dates: { start: '2024-06' } },
+    { id: 'exp3', title: 'Intern', company: 'Old Co', technologies: ['Python'] }
+  ],
+  projects: [
+    { id: 'vpc', title: 'Private Network', tools: ['AWS VPC'], dates: { start: '2023-10', end: '2024-03' } },
+    { id: 'later', title: 'Next Project', tools: ['Python'], dates: { start: '2026-01' } }
+  ],
+  certifications: [{ id: 'cert1', name: 'Python Basics', issuer: 'Python Institute' }]
+};
+
+TestRunner.test('computeSkillMetrics - merges overlapping roles and projects', () => {
+  const metrics = PortfolioSkillRegistry.computeSkillMetrics(registry, metricsData, 'AWS (EC2, VPC, S3)', metricsNow);
+  return TestRunner.expect(metrics).toEqual({
+    firstUsed: '2023-01',
+    lastUsed: '2024-03',
+    isCurrent: false,
+    months: 15,
+    datedEntries: 2,
+    recency: 2024 * 12 + 2
+  });
+});
+
+TestRunner.test('computeSkillMetrics - counts ongoing use up to now', () => {
+  const metrics = PortfolioSkillRegistry.computeSkillMetrics(registry, metricsData, 'Docker', metricsNow);
+  return TestRunner.expect([metrics.firstUsed, metrics.lastUsed, metrics.isCurrent, metrics.months, metrics.recency === Infinity])
+    .toEqual(['2023-01', null, true, 12 + 13, true]);
+});
+
+TestRunner.test('computeSkillMetrics - undated and future use give no metrics', () => {
+  const metrics = PortfolioSkillRegistry.computeSkillMetrics(registry, metricsData, 'Python', metricsNow);
+  return TestRunner.expect(metrics).toEqual({
+    firstUsed: null,
+    lastUsed: null,
+    isCurrent: false,
+    months: null,
+    datedEntries: 0,
+    recency: null
+  });
+});
+
+// Registry definition tests
+TestRunner.test('createSkillRegistry - rejects a parent that does not exist', () => {
+  const message = errorMessageOf(() => PortfolioSkillRegistry.createSkillRegistry({
+    skills: [{ id: 'ec2', name: 'EC2', parent: 'aws' }]
+  }));
+  return TestRunner.expect(message).toBe('Skill "ec2" has unknown parent "aws"');
+});
+
+TestRunner.test('createSkillRegistry - rejects a name used by two skills', () => {
+  const message = errorMessageOf(() => PortfolioSkillRegistry.createSkillRegistry({
+    skills: [{ id: 'aws', name: 'AWS' }, { id: 'amazon', name: 'Amazon', aliases: ['aws'] }]
+  }));
+  return TestRunner.expect(message).toBe('Skill name "aws" is used by both "aws" and "amazon"');
+});
+
+// Run tests if this file is executed directly
+if (typeof require !== 'undefined' && require.main === module) {
+  process.exitCode = TestRunner.run() ? 0 : 1;
+} else if (typeof window !== 'undefined') {
+  // Browser environment - expose test runner
+  window.PortfolioSkillRegistryTestRunner = TestRunner;
+}
@@ -164,6 +164,33 @@ describe('Skills Component', () => {
         done();
       }, 350);
     });
+    
+    test('should expose search results as options of a listbox', (done) => {
+      const searchInput = document.getElementById('skills-search');
+      const grid = document.getElementById('skills-grid');
+      
+      searchInput.value = 'python';
+      searchInput.dispatchEvent(new Event('input'));
+      
+      setTimeout(() => {
+        const options = grid.querySelectorAll('[role="option"]');
+        expect(grid.getAttribute('role')).toBe('listbox');
+        expect(options.length).toBe(1);
+        expect(options[0].getAttribute('aria-selected')).toBe('false');
+        
+        searchInput.dispatchEvent(new KeyboardEvent('keydown', { key: 'ArrowDown' }));
+        expect(options[0].getAttribute('aria-selected')).toBe('true');
+        expect(searchInput.getAttribute('aria-activedescendant')).toBe(options[0].id);
+        
+        searchInput.value = '';
+        searchInput.dispatchEvent(new Event('input'));
+        setTimeout(() => {
+          expect(grid.hasAttribute('role')).toBe(false);
+          expect(grid.querySelectorAll('[role="option"]').length).toBe(0);
+          done();
+        }, 350);
+      }, 350);
+    });
   });
   
   describe('Skills Filter Functionality', () => {
@@ -3,12 +3,25 @@
  * This file contains JSDoc type definitions and validation functions for the portfolio data structure
  */
 
+// Skill names are compared through the skill registry (required in Node.js, loaded before this file in the browser)
+const typesSkillRegistry = typeof module !== 'undefined' && module.exports
+  ? require('./skill-registry.js')
+  : window.PortfolioSkillRegistry;
+
+/**
+ * @typedef {Object} SocialLink
+ * @property {string} network - Network identifier, e.g. "behance" or "dribbble"
+ * @property {string} url - Profile URL
+ * @property {string} [label] - Optional display name; defaults to the capitalized network
+ */
+
 /**
  * @typedef {Object} ContactInfo
  * @property {string} email - Email address
+ * @property {string} [phone] - Optional phone number, shown as written
  * @property {string} linkedin - LinkedIn profile URL
  * @property {string} github - GitHub profile URL
- * @property {string} behance - Behance profile URL
+ * @property {SocialLink[]} [social] - Optional links to other profiles
  */
 
 /**
@@ -26,17 +39,95 @@
  * @property {string} id - Unique identifier
  * @property {string} company - Company name
  * @property {string} title - Job title
- * @property {string} duration - Employment duration
+ * @property {string} [duration] - Employment duration as free text (required without dates)
+ * @property {DateRange} [dates] - Structured employment period (required without duration)
  * @property {string[]} achievements - List of achievements
  * @property {string[]} [technologies] - Optional list of technologies used
  */
 
+/**
+ * @typedef {Object} DateRange
+ * @property {string} [start] - Start date as "YYYY" or "YYYY-MM"
+ * @property {string} [end] - End date as "YYYY" or "YYYY-MM"; omitted while ongoing
+ * @property {boolean} [expected] - True when the end date is a projection
+ */
+
+/**
+ * @typedef {Object} Education
+ * @property {string} id - Unique identifier
+ * @property {string} degree - Degree or qualification name
+ * @property {string} [specialization] - Optional specialization (may be empty)
+ * @property {string} institution - Institution name
+ * @property {string} [duration] - Study period as free text (required without dates)
+ * @property {DateRange} [dates] - Structured study period (required without duration)
+ * @property {string} status - Completion status ("In Progress" or "Completed")
+ * @property {string} [cgpa] - Optional grade in "score/scale" format, e.g. "7.7/10"
+ */
+
+/**
+ * @typedef {Object} Certification
+ * @property {string} id - Unique identifier
+ * @property {string} name - Certification name
+ * @property {string} issuer - Issuing organization
+ * @property {string} [year] - Date earned as free text (required without dates)
+ * @property {DateRange} [dates] - Structured date earned (required without year)
+ * @property {string} [link] - Optional credential URL
+ */
+
 /**
  * @typedef {Object} ProjectLink
  * @property {string} name - Link display name
  * @property {string} url - Link URL
  */
 
+/**
+ * @typedef {Object} CaseStudyResult
+ * @property {string} metric - What was measured, e.g. "Manual screening time"
+ * @property {string} value - Measured result, e.g. "-60%"
+ * @property {string} [detail] - Optional context, e.g. "compared with screening by hand"
+ */
+
+/**
+ * @typedef {Object} CaseStudy
+ * @property {string} [role] - Role statement: what you did on the project
+ * @property {string} [problem] - Problem the project set out to solve
+ * @property {string[]} [constraints] - Constraints the solution had to work within
+ * @property {string} [architecture] - How the solution is put together
+ * @property {string[]} [approach] - Steps taken, in order
+ * @property {CaseStudyResult[]} [results] - Results with metrics
+ * @property {string[]} [lessons] - Lessons learned
+ */
+
+/**
+ * @typedef {Object} MediaSource
+ * @property {string} src - Video file path or URL, e.g. "videos/intro.webm"
+ * @property {string} type - MIME type, e.g. "video/webm"
+ */
+
+/**
+ * @typedef {Object} MediaCaptions
+ * @property {string} src - WebVTT file path or URL, e.g. "videos/intro.en.vtt"
+ * @property {string} srclang - Language tag, e.g. "en" or "pt-BR"
+ * @property {string} label - Name of the track in the captions menu, e.g. "English"
+ * @property {boolean} [default] - Optional flag showing these captions from the start
+ */
+
+/**
+ * @typedef {Object} MediaChapter
+ * @property {number} start - Start time in seconds
+ * @property {string} title - Chapter title
+ */
+
+/**
+ * @typedef {Object} ProjectMedia
+ * @property {string} type - Media type; only "video" for now
+ * @property {string} title - Title, also the accessible name of the player
+ * @property {MediaSource[]} sources - Formats of the same video, preferred first
+ * @property {string} [poster] - Optional image shown before playback
+ * @property {MediaCaptions[]} [captions] - Optional WebVTT captions, one per language
+ * @property {MediaChapter[]} [chapters] - Optional chapter markers, in playback order
+ */
+
 /**
  * @typedef {Object} Project
  * @property {string} id - Unique identifier
@@ -46,6 +137,10 @@
  * @property {string[]} outcomes - Project outcomes and achievements
  * @property {string[]} [images] - Optional project images
  * @property {ProjectLink[]} [links] - Optional project links
+ * @property {DateRange} [dates] - Optional dates the project ran, used for skill metrics
+ * @property {boolean} [featured] - Optional flag showing the project first, on a larger card
+ * @property {CaseStudy} [caseStudy] - Optional long-form case study shown in the project details
+ * @property {ProjectMedia[]} [media] - Optional videos played in the project details
  */
 
 /**
@@ -61,12 +156,38 @@
  * @property {Skill[]} skills - Skills in this category
  */
 
+/**
+ * @typedef {Object} IntegrityOptions
+ * @property {string[]} [ignore] - Names in tools, technologies and skills that are not
+ *   technologies, e.g. project features or soft skills; the integrity checks skip them
+ */
+
 /**
  * @typedef {Object} PortfolioData
+ * @property {number} [schemaVersion] - Data format version; documents without it are version 1
  * @property {PersonalInfo} personal - Personal information
+ * @property {Education[]} [education] - Optional education history
+ * @property {Certification[]} [certifications] - Optional certifications
  * @property {Experience[]} experience - Work experience
  * @property {Project[]} projects - Projects portfolio
  * @property {SkillCategory[]} skills - Skills organized by category
+ * @property {IntegrityOptions} [integrity] - Options for the cross-section checks
+ */
+
+/**
+ * @typedef {Object} ValidationIssue
+ * @property {string} path - JSON pointer to the offending value, e.g. "/projects/2/links/0/url"
+ * @property {string} code - Machine readable issue code, e.g. "required" or "format"
+ * @property {string} message - Human readable description
+ * @property {'error'|'warning'} severity - Issue severity; only errors make data invalid
+ * @property {{file: string, path: string}} [source] - File and pointer to edit, when the value came from an included file
+ */
+
+/**
+ * @typedef {Object} ValidationResult
+ * @property {boolean} isValid - True if there are no errors
+ * @property {string[]} errors - Issues rendered as "path: message" for console output
+ * @property {ValidationIssue[]} issues - Structured issues
  */
 
 // Validation constants
@@ -74,12 +195,36 @@ const VALIDATION_CONSTANTS = {
   EMAIL_REGEX: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
   URL_REGEX: /^https?:\/\/.+/,
   REQUIRED_PERSONAL_FIELDS: ['name', 'title', 'bio', 'summary', 'contact'],
-  REQUIRED_CONTACT_FIELDS: ['email', 'linkedin', 'github', 'behance'],
-  REQUIRED_EXPERIENCE_FIELDS: ['id', 'company', 'title', 'duration', 'achievements'],
+  REQUIRED_CONTACT_FIELDS: ['email', 'linkedin', 'github'],
+  CONTACT_URL_FIELDS: ['linkedin', 'github'],
+  REQUIRED_SOCIAL_LINK_FIELDS: ['network', 'url'],
+  REQUIRED_EDUCATION_FIELDS: ['id', 'degree', 'institution', 'status'],
+  REQUIRED_CERTIFICATION_FIELDS: ['id', 'name', 'issuer'],
+  EDUCATION_STATUSES: ['In Progress', 'Completed'],
+  CGPA_REGEX: /^\d+(\.\d+)?\/\d+(\.\d+)?$/,
+  REQUIRED_EXPERIENCE_FIELDS: ['id', 'company', 'title', 'achievements'],
+  DATE_REGEX: /^\d{4}(-(0[1-9]|1[0-2]))?$/,
   REQUIRED_PROJECT_FIELDS: ['id', 'title', 'description', 'tools', 'outcomes'],
+  // Case study blocks: all optional, but a case study needs at least one
+  CASE_STUDY_TEXT_FIELDS: ['role', 'problem', 'architecture'],
+  CASE_STUDY_LIST_FIELDS: ['constraints', 'approach', 'lessons'],
+  CASE_STUDY_BLOCKS: ['role', 'problem', 'constraints', 'architecture', 'approach', 'results', 'lessons'],
+  REQUIRED_CASE_STUDY_RESULT_FIELDS: ['metric', 'value'],
+  MEDIA_TYPES: ['video'],
+  VIDEO_MIME_TYPES: ['video/mp4', 'video/webm'],
+  REQUIRED_MEDIA_FIELDS: ['type', 'title', 'sources'],
+  REQUIRED_MEDIA_SOURCE_FIELDS: ['src', 'type'],
+  REQUIRED_CAPTIONS_FIELDS: ['src', 'srclang', 'label'],
+  REQUIRED_CHAPTER_FIELDS: ['start', 'title'],
+  WEBVTT_REGEX: /\.vtt([?#].*)?$/,
+  LANGUAGE_TAG_REGEX: /^[a-z]{2,3}(-[A-Za-z0-9]{2,8})*$/,
   REQUIRED_SKILL_FIELDS: ['name'],
   REQUIRED_SKILL_CATEGORY_FIELDS: ['category', 'skills'],
-  PROFICIENCY_LEVELS: ['beginner', 'intermediate', 'advanced', 'expert']
+  PROFICIENCY_LEVELS: ['beginner', 'intermediate', 'advanced', 'expert'],
+  // Sections whose entries are identified by an id that must be unique within the section
+  ID_SECTIONS: ['education', 'certifications', 'experience', 'projects'],
+  // Proficiency that must be backed by at least one project or role
+  EVIDENCED_PROFICIENCY: 'expert'
 };
 
 /**
@@ -111,314 +256,885 @@ function hasRequiredFields(obj, requiredFields) {
   return requiredFields.every(field => obj.hasOwnProperty(field) && obj[field] !== null && obj[field] !== undefined);
 }
 
+/**
+ * Appends a property name or array index to a JSON pointer
+ * @param {string} pointer - Base JSON pointer ('' for the document root)
+ * @param {string|number} segment - Property name or array index
+ * @returns {string} Extended JSON pointer
+ */
+function appendPointer(pointer, segment) {
+  return `${pointer}/${String(segment).replace(/~/g, '~0').replace(/\//g, '~1')}`;
+}
+
+/**
+ * Splits a JSON pointer into its unescaped segments
+ * @param {string} pointer - JSON pointer, e.g. "/projects/0/title" ('' for the document root)
+ * @returns {string[]} Property names and array indexes
+ * @throws {Error} When the pointer is not empty and does not start with "/"
+ */
+function parsePointer(pointer) {
+  if (pointer === '') {
+    return [];
+  }
+  if (typeof pointer !== 'string' || !pointer.startsWith('/')) {
+    throw new Error(`Invalid JSON pointer "${pointer}" (must start with "/")`);
+  }
+  return pointer.slice(1).split('/').map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'));
+}
+
+/**
+ * Creates a validation issue
+ * @param {string} path - JSON pointer to the offending value
+ * @param {string} code - Machine readable issue code
+ * @param {string} message - Human readable description
+ * @param {'error'|'warning'} [severity] - Issue severity
+ * @returns {ValidationIssue} Validation issue
+ */
+function createIssue(path, code, message, severity = 'error') {
+  return { path, code, message, severity };
+}
+
+/**
+ * Renders a validation issue as a single line for console output
+ * @param {ValidationIssue} issue - Issue to render
+ * @returns {string} Rendered issue, e.g. "/projects/2/links/0/url: must be a valid URL"
+ */
+function formatIssue(issue) {
+  return `${issue.path || '/'}: ${issue.message}`;
+}
+
+/**
+ * Builds a validation result from collected issues. Only errors make the result invalid.
+ * @param {ValidationIssue[]} issues - Collected issues
+ * @returns {ValidationResult} Validation result
+ */
+function createValidationResult(issues) {
+  return {
+    isValid: !issues.some(issue => issue.severity === 'error'),
+    errors: issues.map(formatIssue),
+    issues
+  };
+}
+
+/**
+ * Reports every missing required field
+ * @param {Object} obj - Object to check
+ * @param {string[]} requiredFields - Array of required field names
+ * @param {string} basePath - JSON pointer of the object
+ * @param {ValidationIssue[]} issues - Collected issues
+ * @returns {boolean} True if all required fields are present
+ */
+function checkRequiredFields(obj, requiredFields, basePath, issues) {
+  if (!obj || typeof obj !== 'object' || Array.isArray(obj)) {
+    issues.push(createIssue(basePath, 'type', 'must be an object'));
+    return false;
+  }
+  
+  const missing = requiredFields.filter(field => !hasRequiredFields(obj, [field]));
+  missing.forEach(field => {
+    issues.push(createIssue(appendPointer(basePath, field), 'required', `missing required field "${field}"`));
+  });
+  return missing.length === 0;
+}
+
+/**
+ * Reports string fields that are not non-empty strings
+ * @param {Object} obj - Object to check
+ * @param {string[]} fields - Field names to check
+ * @param {string} basePath - JSON pointer of the object
+ * @param {ValidationIssue[]} issues - Collected issues
+ */
+function checkNonEmptyStrings(obj, fields, basePath, issues) {
+  fields.forEach(field => {
+    if (obj[field] !== undefined && typeof obj[field] !== 'string') {
+      issues.push(createIssue(appendPointer(basePath, field), 'type', 'must be a string'));
+    } else if (typeof obj[field] !== 'string' || obj[field].trim() === '') {
+      issues.push(createIssue(appendPointer(basePath, field), 'minLength', 'must be a non-empty string'));
+    }
+  });
+}
+
+/**
+ * Reports an array field that is not an array of non-empty strings
+ * @param {Object} obj - Object to check
+ * @param {string} field - Array field name
+ * @param {string} basePath - JSON pointer of the object
+ * @param {ValidationIssue[]} issues - Collected issues
+ * @param {boolean} [requireItems] - Whether the array must have at least one item
+ */
+function checkStringArray(obj, field, basePath, issues, requireItems = false) {
+  const path = appendPointer(basePath, field);
+  
+  if (!Array.isArray(obj[field])) {
+    issues.push(createIssue(path, 'type', requireItems ? 'must be a non-empty array' : 'must be an array'));
+    return;
+  }
+  
+  if (requireItems && obj[field].length === 0) {
+    issues.push(createIssue(path, 'minItems', 'must be a non-empty array'));
+    return;
+  }
+  
+  obj[field].forEach((item, index) => {
+    if (typeof item !== 'string') {
+      issues.push(createIssue(appendPointer(path, index), 'type', 'must be a string'));
+    } else if (item.trim() === '') {
+      issues.push(createIssue(appendPointer(path, index), 'minLength', 'must be a non-empty string'));
+    }
+  });
+}
+
+/**
+ * Validates each entry of an array section
+ * @param {Object} container - Object holding the section
+ * @param {string} field - Section field name
+ * @param {Function} validator - Entry validator taking (entry, basePath)
+ * @param {string} basePath - JSON pointer of the container
+ * @param {ValidationIssue[]} issues - Collected issues
+ */
+function checkEntries(container, field, validator, basePath, issues) {
+  const path = appendPointer(basePath, field);
+  
+  if (!Array.isArray(container[field])) {
+    issues.push(createIssue(path, 'type', 'must be an array'));
+    return;
+  }
+  
+  container[field].forEach((entry, index) => {
+    issues.push(...validator(entry, appendPointer(path, index)).issues);
+  });
+}
+
+/**
+ * Validates a structured date range
+ * @param {DateRange} range - Date range to validate
+ * @param {string} [basePath] - JSON pointer of the range
+ * @returns {ValidationResult} Validation result
+ */
+function validateDateRange(range, basePath = '') {
+  const issues = [];
+  
+  if (!range || typeof range !== 'object' || Array.isArray(range)) {
+    issues.push(createIssue(basePath, 'type', 'must be an object'));
+    return createValidationResult(issues);
+  }
+  
+  ['start', 'end'].forEach(field => {
+    if (range[field] !== undefined &&
+        (typeof range[field] !== 'string' || !VALIDATION_CONSTANTS.DATE_REGEX.test(range[field]))) {
+      issues.push(createIssue(appendPointer(basePath, field), 'pattern', 'must use the "YYYY" or "YYYY-MM" format'));
+    }
+  });
+  
+  if (range.expected !== undefined) {
+    if (typeof range.expected !== 'boolean') {
+      issues.push(createIssue(appendPointer(basePath, 'expected'), 'type', 'must be a boolean'));
+    } else if (range.expected && range.end === undefined) {
+      issues.push(createIssue(appendPointer(basePath, 'end'), 'required', 'missing required field "end" (expected dates need an end date)'));
+    }
+  }
+  
+  // Compare as "YYYY-MM", reading a year-only start as January and a year-only end as December
+  if (issues.length === 0 && range.start && range.end) {
+    const start = range.start.length === 4 ? `${range.start}-01` : range.start;
+    const end = range.end.length === 4 ? `${range.end}-12` : range.end;
+    if (end < start) {
+      issues.push(createIssue(appendPointer(basePath, 'end'), 'dateOrder', 'must not be before start'));
+    }
+  }
+  
+  return createValidationResult(issues);
+}
+
+/**
+ * Validates the date fields of a timeline entry: a free-text field, structured dates, or both
+ * @param {Object} entry - Experience, education or certification entry
+ * @param {string} textField - Name of the free-text date field ('duration' or 'year')
+ * @param {string} basePath - JSON pointer of the entry
+ * @returns {ValidationIssue[]} Validation issues
+ */
+function validateEntryDates(entry, textField, basePath) {
+  if (entry[textField] === undefined && entry.dates === undefined) {
+    return [createIssue(basePath, 'anyOf', `must include "${textField}" or "dates"`)];
+  }
+  
+  const issues = [];
+  
+  if (entry[textField] !== undefined) {
+    checkNonEmptyStrings(entry, [textField], basePath, issues);
+  }
+  
+  if (entry.dates !== undefined) {
+    issues.push(...validateDateRange(entry.dates, appendPointer(basePath, 'dates')).issues);
+  }
+  
+  return issues;
+}
+
+/**
+ * Validates a social profile link
+ * @param {SocialLink} link - Link to validate
+ * @param {string} [basePath] - JSON pointer of the link
+ * @returns {ValidationResult} Validation result
+ */
+function validateSocialLink(link, basePath = '') {
+  const issues = [];
+  
+  if (!checkRequiredFields(link, VALIDATION_CONSTANTS.REQUIRED_SOCIAL_LINK_FIELDS, basePath, issues)) {
+    return createValidationResult(issues);
+  }
+  
+  checkNonEmptyStrings(link, ['network'], basePath, issues);
+  
+  if (!isValidUrl(link.url)) {
+    issues.push(createIssue(appendPointer(basePath, 'url'), 'format', 'must be a valid URL'));
+  }
+  
+  if (link.label !== undefined) {
+    checkNonEmptyStrings(link, ['label'], basePath, issues);
+  }
+  
+  return createValidationResult(issues);
+}
+
 /**
  * Validates contact information
  * @param {ContactInfo} contact - Contact info to validate
- * @returns {{isValid: boolean, errors: string[]}} Validation result
+ * @param {string} [basePath] - JSON pointer of the contact info
+ * @returns {ValidationResult} Validation result
  */
-function validateContactInfo(contact) {
-  const errors = [];
+function validateContactInfo(contact, basePath = '') {
+  const issues = [];
   
-  if (!hasRequiredFields(contact, VALIDATION_CONSTANTS.REQUIRED_CONTACT_FIELDS)) {
-    errors.push('Contact info missing required fields');
-    return { isValid: false, errors };
+  if (!checkRequiredFields(contact, VALIDATION_CONSTANTS.REQUIRED_CONTACT_FIELDS, basePath, issues)) {
+    return createValidationResult(issues);
   }
   
   if (!isValidEmail(contact.email)) {
-    errors.push('Invalid email address');
+    issues.push(createIssue(appendPointer(basePath, 'email'), 'format', 'must be a valid email address'));
   }
   
-  ['linkedin', 'github', 'behance'].forEach(field => {
+  VALIDATION_CONSTANTS.CONTACT_URL_FIELDS.forEach(field => {
     if (!isValidUrl(contact[field])) {
-      errors.push(`Invalid ${field} URL`);
+      issues.push(createIssue(appendPointer(basePath, field), 'format', 'must be a valid URL'));
     }
   });
   
-  return { isValid: errors.length === 0, errors };
+  // Validate optional phone number
+  if (contact.phone !== undefined) {
+    checkNonEmptyStrings(contact, ['phone'], basePath, issues);
+  }
+  
+  // Validate optional social links
+  if (contact.social !== undefined) {
+    checkEntries(contact, 'social', validateSocialLink, basePath, issues);
+  }
+  
+  return createValidationResult(issues);
 }
 
 /**
  * Validates personal information
  * @param {PersonalInfo} personal - Personal info to validate
- * @returns {{isValid: boolean, errors: string[]}} Validation result
+ * @param {string} [basePath] - JSON pointer of the personal info
+ * @returns {ValidationResult} Validation result
  */
-function validatePersonalInfo(personal) {
-  const errors = [];
+function validatePersonalInfo(personal, basePath = '') {
+  const issues = [];
   
-  if (!hasRequiredFields(personal, VALIDATION_CONSTANTS.REQUIRED_PERSONAL_FIELDS)) {
-    errors.push('Personal info missing required fields');
-    return { isValid: false, errors };
+  if (!checkRequiredFields(personal, VALIDATION_CONSTANTS.REQUIRED_PERSONAL_FIELDS, basePath, issues)) {
+    return createValidationResult(issues);
   }
   
   // Validate string fields are not empty
-  ['name', 'title', 'bio', 'summary'].forEach(field => {
-    if (typeof personal[field] !== 'string' || personal[field].trim() === '') {
-      errors.push(`${field} must be a non-empty string`);
-    }
-  });
+  checkNonEmptyStrings(personal, ['name', 'title', 'bio', 'summary'], basePath, issues);
   
   // Validate contact info
-  const contactValidation = validateContactInfo(personal.contact);
-  if (!contactValidation.isValid) {
-    errors.push(...contactValidation.errors);
-  }
+  issues.push(...validateContactInfo(personal.contact, appendPointer(basePath, 'contact')).issues);
   
   // Validate optional headshot
   if (personal.headshot && typeof personal.headshot !== 'string') {
-    errors.push('Headshot must be a string');
+    issues.push(createIssue(appendPointer(basePath, 'headshot'), 'type', 'must be a string'));
   }
   
-  return { isValid: errors.length === 0, errors };
+  return createValidationResult(issues);
+}
+
+/**
+ * Validates education entry
+ * @param {Education} education - Education to validate
+ * @param {string} [basePath] - JSON pointer of the entry
+ * @returns {ValidationResult} Validation result
+ */
+function validateEducation(education, basePath = '') {
+  const issues = [];
+  
+  if (!checkRequiredFields(education, VALIDATION_CONSTANTS.REQUIRED_EDUCATION_FIELDS, basePath, issues)) {
+    return createValidationResult(issues);
+  }
+  
+  // Validate string fields
+  checkNonEmptyStrings(education, ['id', 'degree', 'institution'], basePath, issues);
+  
+  issues.push(...validateEntryDates(education, 'duration', basePath));
+  
+  if (!VALIDATION_CONSTANTS.EDUCATION_STATUSES.includes(education.status)) {
+    issues.push(createIssue(appendPointer(basePath, 'status'), 'enum',
+      `must be one of: ${VALIDATION_CONSTANTS.EDUCATION_STATUSES.join(', ')}`));
+  }
+  
+  // Validate optional specialization (an empty string means none)
+  if (education.specialization !== undefined && typeof education.specialization !== 'string') {
+    issues.push(createIssue(appendPointer(basePath, 'specialization'), 'type', 'must be a string'));
+  }
+  
+  // Validate optional CGPA
+  if (education.cgpa !== undefined) {
+    if (typeof education.cgpa !== 'string' || !VALIDATION_CONSTANTS.CGPA_REGEX.test(education.cgpa)) {
+      issues.push(createIssue(appendPointer(basePath, 'cgpa'), 'pattern', 'must use the "score/scale" format, e.g. "7.7/10"'));
+    }
+  }
+  
+  return createValidationResult(issues);
+}
+
+/**
+ * Validates certification entry
+ * @param {Certification} certification - Certification to validate
+ * @param {string} [basePath] - JSON pointer of the entry
+ * @returns {ValidationResult} Validation result
+ */
+function validateCertification(certification, basePath = '') {
+  const issues = [];
+  
+  if (!checkRequiredFields(certification, VALIDATION_CONSTANTS.REQUIRED_CERTIFICATION_FIELDS, basePath, issues)) {
+    return createValidationResult(issues);
+  }
+  
+  // Validate string fields
+  checkNonEmptyStrings(certification, ['id', 'name', 'issuer'], basePath, issues);
+  
+  issues.push(...validateEntryDates(certification, 'year', basePath));
+  
+  // Validate optional link - omit the field when there is no credential URL
+  if (certification.link !== undefined && !isValidUrl(certification.link)) {
+    issues.push(createIssue(appendPointer(basePath, 'link'), 'format', 'must be a valid URL or omitted'));
+  }
+  
+  return createValidationResult(issues);
 }
 
 /**
  * Validates experience entry
  * @param {Experience} experience - Experience to validate
- * @returns {{isValid: boolean, errors: string[]}} Validation result
+ * @param {string} [basePath] - JSON pointer of the entry
+ * @returns {ValidationResult} Validation result
  */
-function validateExperience(experience) {
-  const errors = [];
+function validateExperience(experience, basePath = '') {
+  const issues = [];
   
-  if (!hasRequiredFields(experience, VALIDATION_CONSTANTS.REQUIRED_EXPERIENCE_FIELDS)) {
-    errors.push('Experience missing required fields');
-    return { isValid: false, errors };
+  if (!checkRequiredFields(experience, VALIDATION_CONSTANTS.REQUIRED_EXPERIENCE_FIELDS, basePath, issues)) {
+    return createValidationResult(issues);
   }
   
   // Validate string fields
-  ['id', 'company', 'title', 'duration'].forEach(field => {
-    if (typeof experience[field] !== 'string' || experience[field].trim() === '') {
-      errors.push(`${field} must be a non-empty string`);
-    }
-  });
+  checkNonEmptyStrings(experience, ['id', 'company', 'title'], basePath, issues);
+  
+  issues.push(...validateEntryDates(experience, 'duration', basePath));
   
   // Validate achievements array
-  if (!Array.isArray(experience.achievements) || experience.achievements.length === 0) {
-    errors.push('Achievements must be a non-empty array');
-  } else {
-    experience.achievements.forEach((achievement, index) => {
-      if (typeof achievement !== 'string' || achievement.trim() === '') {
-        errors.push(`Achievement ${index} must be a non-empty string`);
-      }
-    });
-  }
+  checkStringArray(experience, 'achievements', basePath, issues, true);
   
   // Validate optional technologies array
   if (experience.technologies) {
-    if (!Array.isArray(experience.technologies)) {
-      errors.push('Technologies must be an array');
-    } else {
-      experience.technologies.forEach((tech, index) => {
-        if (typeof tech !== 'string' || tech.trim() === '') {
-          errors.push(`Technology ${index} must be a non-empty string`);
+    checkStringArray(experience, 'technologies', basePath, issues);
+  }
+  
+  return createValidationResult(issues);
+}
+
+/**
+ * Validates a project link
+ * @param {ProjectLink} link - Link to validate
+ * @param {string} basePath - JSON pointer of the link
+ * @returns {ValidationResult} Validation result
+ */
+function validateProjectLink(link, basePath) {
+  const issues = [];
+  
+  if (!link || typeof link !== 'object' || Array.isArray(link)) {
+    issues.push(createIssue(basePath, 'type', 'must be an object'));
+    return createValidationResult(issues);
+  }
+  
+  if (link.name === undefined) {
+    issues.push(createIssue(appendPointer(basePath, 'name'), 'required', 'missing required field "name"'));
+  } else {
+    checkNonEmptyStrings(link, ['name'], basePath, issues);
+  }
+  
+  if (link.url === undefined) {
+    issues.push(createIssue(appendPointer(basePath, 'url'), 'required', 'missing required field "url"'));
+  } else if (!isValidUrl(link.url)) {
+    issues.push(createIssue(appendPointer(basePath, 'url'), 'format', 'must be a valid URL'));
+  }
+  
+  return createValidationResult(issues);
+}
+
+/**
+ * Validates a case study result
+ * @param {CaseStudyResult} result - Result to validate
+ * @param {string} basePath - JSON pointer of the result
+ * @returns {ValidationResult} Validation result
+ */
+function validateCaseStudyResult(result, basePath) {
+  const issues = [];
+  
+  if (!checkRequiredFields(result, VALIDATION_CONSTANTS.REQUIRED_CASE_STUDY_RESULT_FIELDS, basePath, issues)) {
+    return createValidationResult(issues);
+  }
+  
+  checkNonEmptyStrings(result, VALIDATION_CONSTANTS.REQUIRED_CASE_STUDY_RESULT_FIELDS, basePath, issues);
+  
+  if (result.detail !== undefined) {
+    checkNonEmptyStrings(result, ['detail'], basePath, issues);
+  }
+  
+  return createValidationResult(issues);
+}
+
+/**
+ * Validates a project case study
+ * @param {CaseStudy} caseStudy - Case study to validate
+ * @param {string} [basePath] - JSON pointer of the case study
+ * @returns {ValidationResult} Validation result
+ */
+function validateCaseStudy(caseStudy, basePath = '') {
+  const issues = [];
+  
+  if (!caseStudy || typeof caseStudy !== 'object' || Array.isArray(caseStudy)) {
+    issues.push(createIssue(basePath, 'type', 'must be an object'));
+    return createValidationResult(issues);
+  }
+  
+  const blocks = VALIDATION_CONSTANTS.CASE_STUDY_BLOCKS;
+  if (!blocks.some(block => caseStudy[block] !== undefined)) {
+    issues.push(createIssue(basePath, 'anyOf', `must include ${blocks.map(block => `"${block}"`).join(' or ')}`));
+    return createValidationResult(issues);
+  }
+  
+  VALIDATION_CONSTANTS.CASE_STUDY_TEXT_FIELDS
+    .filter(field => caseStudy[field] !== undefined)
+    .forEach(field => checkNonEmptyStrings(caseStudy, [field], basePath, issues));
+  
+  VALIDATION_CONSTANTS.CASE_STUDY_LIST_FIELDS
+    .filter(field => caseStudy[field] !== undefined)
+    .forEach(field => checkStringArray(caseStudy, field, basePath, issues, true));
+  
+  if (caseStudy.results !== undefined) {
+    checkEntries(caseStudy, 'results', validateCaseStudyResult, basePath, issues);
+  }
+  
+  return createValidationResult(issues);
+}
+
+/**
+ * Validates a video source
+ * @param {MediaSource} source - Source to validate
+ * @param {string} basePath - JSON pointer of the source
+ * @returns {ValidationResult} Validation result
+ */
+function validateMediaSource(source, basePath) {
+  const issues = [];
+  
+  if (!checkRequiredFields(source, VALIDATION_CONSTANTS.REQUIRED_MEDIA_SOURCE_FIELDS, basePath, issues)) {
+    return createValidationResult(issues);
+  }
+  
+  checkNonEmptyStrings(source, ['src'], basePath, issues);
+  
+  if (!VALIDATION_CONSTANTS.VIDEO_MIME_TYPES.includes(source.type)) {
+    issues.push(createIssue(appendPointer(basePath, 'type'), 'enum',
+      `must be one of: ${VALIDATION_CONSTANTS.VIDEO_MIME_TYPES.join(', ')}`));
+  }
+  
+  return createValidationResult(issues);
+}
+
+/**
+ * Validates a captions track
+ * @param {MediaCaptions} captions - Captions to validate
+ * @param {string} basePath - JSON pointer of the captions
+ * @returns {ValidationResult} Validation result
+ */
+function validateMediaCaptions(captions, basePath) {
+  const issues = [];
+  
+  if (!checkRequiredFields(captions, VALIDATION_CONSTANTS.REQUIRED_CAPTIONS_FIELDS, basePath, issues)) {
+    return createValidationResult(issues);
+  }
+  
+  if (typeof captions.src !== 'string' || !VALIDATION_CONSTANTS.WEBVTT_REGEX.test(captions.src)) {
+    issues.push(createIssue(appendPointer(basePath, 'src'), 'pattern', 'must be a WebVTT file (.vtt)'));
+  }
+  
+  if (typeof captions.srclang !== 'string' || !VALIDATION_CONSTANTS.LANGUAGE_TAG_REGEX.test(captions.srclang)) {
+    issues.push(createIssue(appendPointer(basePath, 'srclang'), 'pattern', 'must be a language tag, e.g. "en" or "pt-BR"'));
+  }
+  
+  checkNonEmptyStrings(captions, ['label'], basePath, issues);
+  
+  if (captions.default !== undefined && typeof captions.default !== 'boolean') {
+    issues.push(createIssue(appendPointer(basePath, 'default'), 'type', 'must be a boolean'));
+  }
+  
+  return createValidationResult(issues);
+}
+
+/**
+ * Validates a chapter marker
+ * @param {MediaChapter} chapter - Chapter to validate
+ * @param {string} basePath - JSON pointer of the chapter
+ * @returns {ValidationResult} Validation result
+ */
+function validateMediaChapter(chapter, basePath) {
+  const issues = [];
+  
+  if (!checkRequiredFields(chapter, VALIDATION_CONSTANTS.REQUIRED_CHAPTER_FIELDS, basePath, issues)) {
+    return createValidationResult(issues);
+  }
+  
+  if (typeof chapter.start !== 'number' || !Number.isFinite(chapter.start) || chapter.start < 0) {
+    issues.push(createIssue(appendPointer(basePath, 'start'), 'minimum', 'must be a number of seconds, 0 or more'));
+  }
+  
+  checkNonEmptyStrings(chapter, ['title'], basePath, issues);
+  
+  return createValidationResult(issues);
+}
+
+/**
+ * Validates a project media entry
+ * @param {ProjectMedia} media - Media entry to validate
+ * @param {string} [basePath] - JSON pointer of the entry
+ * @returns {ValidationResult} Validation result
+ */
+function validateMedia(media, basePath = '') {
+  const issues = [];
+  
+  if (!checkRequiredFields(media, VALIDATION_CONSTANTS.REQUIRED_MEDIA_FIELDS, basePath, issues)) {
+    return createValidationResult(issues);
+  }
+  
+  if (!VALIDATION_CONSTANTS.MEDIA_TYPES.includes(media.type)) {
+    issues.push(createIssue(appendPointer(basePath, 'type'), 'enum',
+      `must be one of: ${VALIDATION_CONSTANTS.MEDIA_TYPES.join(', ')}`));
+  }
+  
+  checkNonEmptyStrings(media, ['title'], basePath, issues);
+  
+  if (Array.isArray(media.sources) && media.sources.length === 0) {
+    issues.push(createIssue(appendPointer(basePath, 'sources'), 'minItems', 'must be a non-empty array'));
+  } else {
+    checkEntries(media, 'sources', validateMediaSource, basePath, issues);
+  }
+  
+  if (media.poster !== undefined) {
+    checkNonEmptyStrings(media, ['poster'], basePath, issues);
+  }
+  
+  if (media.captions !== undefined) {
+    checkEntries(media, 'captions', validateMediaCaptions, basePath, issues);
+    
+    // A player can only start with one captions track showing
+    if (Array.isArray(media.captions) &&
+        media.captions.filter(captions => captions && captions.default === true).length > 1) {
+      issues.push(createIssue(appendPointer(basePath, 'captions'), 'default', 'must mark at most one track as default'));
+    }
+  }
+  
+  if (media.chapters !== undefined) {
+    const chapterIssues = [];
+    checkEntries(media, 'chapters', validateMediaChapter, basePath, chapterIssues);
+    issues.push(...chapterIssues);
+    
+    // Chapters are listed, and highlighted during playback, in the order they start
+    if (chapterIssues.length === 0) {
+      const chaptersPath = appendPointer(basePath, 'chapters');
+      media.chapters.forEach((chapter, index) => {
+        if (index > 0 && chapter.start <= media.chapters[index - 1].start) {
+          issues.push(createIssue(appendPointer(appendPointer(chaptersPath, index), 'start'),
+            'chapterOrder', 'must be after the start of the previous chapter'));
         }
       });
     }
   }
   
-  return { isValid: errors.length === 0, errors };
+  return createValidationResult(issues);
 }
 
 /**
  * Validates project entry
  * @param {Project} project - Project to validate
- * @returns {{isValid: boolean, errors: string[]}} Validation result
+ * @param {string} [basePath] - JSON pointer of the entry
+ * @returns {ValidationResult} Validation result
  */
-function validateProject(project) {
-  const errors = [];
+function validateProject(project, basePath = '') {
+  const issues = [];
   
-  if (!hasRequiredFields(project, VALIDATION_CONSTANTS.REQUIRED_PROJECT_FIELDS)) {
-    errors.push('Project missing required fields');
-    return { isValid: false, errors };
+  if (!checkRequiredFields(project, VALIDATION_CONSTANTS.REQUIRED_PROJECT_FIELDS, basePath, issues)) {
+    return createValidationResult(issues);
   }
   
   // Validate string fields
-  ['id', 'title', 'description'].forEach(field => {
-    if (typeof project[field] !== 'string' || project[field].trim() === '') {
-      errors.push(`${field} must be a non-empty string`);
-    }
-  });
+  checkNonEmptyStrings(project, ['id', 'title', 'description'], basePath, issues);
   
-  // Validate tools array
-  if (!Array.isArray(project.tools) || project.tools.length === 0) {
-    errors.push('Tools must be a non-empty array');
-  } else {
-    project.tools.forEach((tool, index) => {
-      if (typeof tool !== 'string' || tool.trim() === '') {
-        errors.push(`Tool ${index} must be a non-empty string`);
-      }
-    });
-  }
-  
-  // Validate outcomes array
-  if (!Array.isArray(project.outcomes) || project.outcomes.length === 0) {
-    errors.push('Outcomes must be a non-empty array');
-  } else {
-    project.outcomes.forEach((outcome, index) => {
-      if (typeof outcome !== 'string' || outcome.trim() === '') {
-        errors.push(`Outcome ${index} must be a non-empty string`);
-      }
-    });
-  }
+  // Validate tools and outcomes arrays
+  checkStringArray(project, 'tools', basePath, issues, true);
+  checkStringArray(project, 'outcomes', basePath, issues, true);
   
   // Validate optional images array
   if (project.images) {
-    if (!Array.isArray(project.images)) {
-      errors.push('Images must be an array');
-    } else {
-      project.images.forEach((image, index) => {
-        if (typeof image !== 'string' || image.trim() === '') {
-          errors.push(`Image ${index} must be a non-empty string`);
-        }
-      });
-    }
+    checkStringArray(project, 'images', basePath, issues);
   }
   
   // Validate optional links array
   if (project.links) {
-    if (!Array.isArray(project.links)) {
-      errors.push('Links must be an array');
-    } else {
-      project.links.forEach((link, index) => {
-        if (!link || typeof link !== 'object') {
-          errors.push(`Link ${index} must be an object`);
-        } else {
-          if (!link.name || typeof link.name !== 'string' || link.name.trim() === '') {
-            errors.push(`Link ${index} name must be a non-empty string`);
-          }
-          if (!isValidUrl(link.url)) {
-            errors.push(`Link ${index} URL is invalid`);
-          }
-        }
-      });
-    }
+    checkEntries(project, 'links', validateProjectLink, basePath, issues);
   }
   
-  return { isValid: errors.length === 0, errors };
+  // Validate optional dates, used to work out how long and how recently each skill was used
+  if (project.dates !== undefined) {
+    issues.push(...validateDateRange(project.dates, appendPointer(basePath, 'dates')).issues);
+  }
+  
+  // Validate optional featured flag and case study
+  if (project.featured !== undefined && typeof project.featured !== 'boolean') {
+    issues.push(createIssue(appendPointer(basePath, 'featured'), 'type', 'must be a boolean'));
+  }
+  
+  if (project.caseStudy !== undefined) {
+    issues.push(...validateCaseStudy(project.caseStudy, appendPointer(basePath, 'caseStudy')).issues);
+  }
+  
+  // Validate optional media
+  if (project.media !== undefined) {
+    checkEntries(project, 'media', validateMedia, basePath, issues);
+  }
+  
+  return createValidationResult(issues);
 }
 
 /**
  * Validates skill entry
  * @param {Skill} skill - Skill to validate
- * @returns {{isValid: boolean, errors: string[]}} Validation result
+ * @param {string} [basePath] - JSON pointer of the skill
+ * @returns {ValidationResult} Validation result
  */
-function validateSkill(skill) {
-  const errors = [];
+function validateSkill(skill, basePath = '') {
+  const issues = [];
   
-  if (!hasRequiredFields(skill, VALIDATION_CONSTANTS.REQUIRED_SKILL_FIELDS)) {
-    errors.push('Skill missing required fields');
-    return { isValid: false, errors };
+  if (!checkRequiredFields(skill, VALIDATION_CONSTANTS.REQUIRED_SKILL_FIELDS, basePath, issues)) {
+    return createValidationResult(issues);
   }
   
-  if (typeof skill.name !== 'string' || skill.name.trim() === '') {
-    errors.push('Skill name must be a non-empty string');
-  }
+  checkNonEmptyStrings(skill, ['name'], basePath, issues);
   
   // Validate optional icon
-  if (skill.icon && (typeof skill.icon !== 'string' || skill.icon.trim() === '')) {
-    errors.push('Skill icon must be a non-empty string');
+  if (skill.icon && typeof skill.icon !== 'string') {
+    issues.push(createIssue(appendPointer(basePath, 'icon'), 'type', 'must be a string'));
+  } else if (skill.icon && skill.icon.trim() === '') {
+    issues.push(createIssue(appendPointer(basePath, 'icon'), 'minLength', 'must be a non-empty string'));
   }
   
   // Validate optional proficiency
   if (skill.proficiency) {
     if (typeof skill.proficiency !== 'string' || !VALIDATION_CONSTANTS.PROFICIENCY_LEVELS.includes(skill.proficiency)) {
-      errors.push(`Skill proficiency must be one of: ${VALIDATION_CONSTANTS.PROFICIENCY_LEVELS.join(', ')}`);
+      issues.push(createIssue(appendPointer(basePath, 'proficiency'), 'enum',
+        `must be one of: ${VALIDATION_CONSTANTS.PROFICIENCY_LEVELS.join(', ')}`));
     }
   }
   
-  return { isValid: errors.length === 0, errors };
+  return createValidationResult(issues);
 }
 
 /**
  * Validates skill category
  * @param {SkillCategory} skillCategory - Skill category to validate
- * @returns {{isValid: boolean, errors: string[]}} Validation result
+ * @param {string} [basePath] - JSON pointer of the category
+ * @returns {ValidationResult} Validation result
  */
-function validateSkillCategory(skillCategory) {
-  const errors = [];
+function validateSkillCategory(skillCategory, basePath = '') {
+  const issues = [];
   
-  if (!hasRequiredFields(skillCategory, VALIDATION_CONSTANTS.REQUIRED_SKILL_CATEGORY_FIELDS)) {
-    errors.push('Skill category missing required fields');
-    return { isValid: false, errors };
+  if (!checkRequiredFields(skillCategory, VALIDATION_CONSTANTS.REQUIRED_SKILL_CATEGORY_FIELDS, basePath, issues)) {
+    return createValidationResult(issues);
   }
   
-  if (typeof skillCategory.category !== 'string' || skillCategory.category.trim() === '') {
-    errors.push('Category name must be a non-empty string');
-  }
+  checkNonEmptyStrings(skillCategory, ['category'], basePath, issues);
   
-  if (!Array.isArray(skillCategory.skills) || skillCategory.skills.length === 0) {
-    errors.push('Skills must be a non-empty array');
+  if (Array.isArray(skillCategory.skills) && skillCategory.skills.length === 0) {
+    issues.push(createIssue(appendPointer(basePath, 'skills'), 'minItems', 'must be a non-empty array'));
   } else {
-    skillCategory.skills.forEach((skill, index) => {
-      const skillValidation = validateSkill(skill);
-      if (!skillValidation.isValid) {
-        errors.push(`Skill ${index}: ${skillValidation.errors.join(', ')}`);
+    checkEntries(skillCategory, 'skills', validateSkill, basePath, issues);
+  }
+  
+  return createValidationResult(issues);
+}
+
+/**
+ * Validates the options for the cross-section checks
+ * @param {IntegrityOptions} options - Options to validate
+ * @param {string} [basePath] - JSON pointer of the options
+ * @returns {ValidationResult} Validation result
+ */
+function validateIntegrityOptions(options, basePath = '') {
+  const issues = [];
+  
+  if (!options || typeof options !== 'object' || Array.isArray(options)) {
+    issues.push(createIssue(basePath, 'type', 'must be an object'));
+    return createValidationResult(issues);
+  }
+  
+  if (options.ignore !== undefined) {
+    checkStringArray(options, 'ignore', basePath, issues);
+  }
+  
+  return createValidationResult(issues);
+}
+
+/**
+ * Checks references between sections: duplicate ids, technologies that are missing from
+ * the skills and expert skills that no project or role uses. Every issue is a warning.
+ * Names are resolved through the skill registry, so "EC2" counts as listed when "AWS" is.
+ * Names listed in integrity.ignore, such as project features or soft skills, are skipped.
+ * @param {PortfolioData} portfolioData - Portfolio data to check
+ * @returns {ValidationResult} Validation result
+ */
+function validateIntegrity(portfolioData) {
+  const issues = [];
+  const isEntry = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+  const entriesOf = (container, field) => (Array.isArray(container[field]) ? container[field] : []);
+  
+  // Ids must be unique within their section
+  VALIDATION_CONSTANTS.ID_SECTIONS.forEach(section => {
+    const firstPaths = new Map();
+    entriesOf(portfolioData, section).forEach((entry, index) => {
+      if (!isEntry(entry) || typeof entry.id !== 'string') {
+        return;
+      }
+      const path = appendPointer(appendPointer('', section), index);
+      if (firstPaths.has(entry.id)) {
+        issues.push(createIssue(appendPointer(path, 'id'), 'uniqueId',
+          `duplicates the id "${entry.id}" of ${firstPaths.get(entry.id)}`, 'warning'));
+      } else {
+        firstPaths.set(entry.id, path);
       }
     });
-  }
+  });
   
-  return { isValid: errors.length === 0, errors };
+  const skills = [];
+  entriesOf(portfolioData, 'skills').forEach((category, categoryIndex) => {
+    if (!isEntry(category)) {
+      return;
+    }
+    entriesOf(category, 'skills').forEach((skill, skillIndex) => {
+      if (isEntry(skill) && typeof skill.name === 'string') {
+        skills.push({ skill, path: `/skills/${categoryIndex}/skills/${skillIndex}` });
+      }
+    });
+  });
+  const registry = typesSkillRegistry.createSkillRegistry({ portfolioSkills: entriesOf(portfolioData, 'skills') });
+  const skillIds = new Set(skills.map(({ skill }) => registry.getId(skill.name)));
+  const ignoredIds = new Set(entriesOf(isEntry(portfolioData.integrity) ? portfolioData.integrity : {}, 'ignore')
+    .filter(name => typeof name === 'string' && name.trim() !== '')
+    .map(name => registry.getId(name)));
+  
+  // Technologies used in projects and roles must be listed in the skills, or be part of a listed skill
+  const usedIds = new Set();
+  Object.entries(typesSkillRegistry.SKILL_REGISTRY_CONSTANTS.TECHNOLOGY_FIELDS).forEach(([section, field]) => {
+    entriesOf(portfolioData, section).forEach((entry, index) => {
+      if (!isEntry(entry)) {
+        return;
+      }
+      entriesOf(entry, field).forEach((technology, technologyIndex) => {
+        if (typeof technology !== 'string' || technology.trim() === '') {
+          return;
+        }
+        const lineage = registry.getLineage(technology);
+        lineage.forEach(id => usedIds.add(id));
+        if (!ignoredIds.has(registry.getId(technology)) && !lineage.some(id => skillIds.has(id))) {
+          issues.push(createIssue(`/${section}/${index}/${field}/${technologyIndex}`, 'unknownSkill',
+            `"${technology}" is not listed in skills`, 'warning'));
+        }
+      });
+    });
+  });
+  
+  // Expert skills must be backed by a project or role that uses them
+  skills.forEach(({ skill, path }) => {
+    const skillId = registry.getId(skill.name);
+    if (skill.proficiency === VALIDATION_CONSTANTS.EVIDENCED_PROFICIENCY && !ignoredIds.has(skillId) && !usedIds.has(skillId)) {
+      issues.push(createIssue(appendPointer(path, 'proficiency'), 'unsupportedClaim',
+        `"${skill.name}" is marked ${skill.proficiency} but no project or role uses it`, 'warning'));
+    }
+  });
+  
+  return createValidationResult(issues);
 }
 
 /**
  * Validates complete portfolio data
  * @param {PortfolioData} portfolioData - Portfolio data to validate
- * @returns {{isValid: boolean, errors: string[]}} Validation result
+ * @returns {ValidationResult} Validation result
  */
 function validatePortfolioData(portfolioData) {
-  const errors = [];
+  const issues = [];
+  
+  if (!portfolioData || typeof portfolioData !== 'object' || Array.isArray(portfolioData)) {
+    issues.push(createIssue('', 'type', 'must be an object'));
+    return createValidationResult(issues);
+  }
   
-  if (!portfolioData || typeof portfolioData !== 'object') {
-    errors.push('Portfolio data must be an object');
-    return { isValid: false, errors };
+  // Validate optional schema version
+  if (portfolioData.schemaVersion !== undefined && !Number.isInteger(portfolioData.schemaVersion)) {
+    issues.push(createIssue('/schemaVersion', 'type', 'must be a positive integer'));
+  } else if (portfolioData.schemaVersion < 1) {
+    issues.push(createIssue('/schemaVersion', 'minimum', 'must be a positive integer'));
   }
   
   // Validate personal info
   if (!portfolioData.personal) {
-    errors.push('Personal information is required');
+    issues.push(createIssue('/personal', 'required', 'missing required field "personal"'));
   } else {
-    const personalValidation = validatePersonalInfo(portfolioData.personal);
-    if (!personalValidation.isValid) {
-      errors.push(`Personal info: ${personalValidation.errors.join(', ')}`);
-    }
+    issues.push(...validatePersonalInfo(portfolioData.personal, '/personal').issues);
   }
   
-  // Validate experience array
-  if (!Array.isArray(portfolioData.experience)) {
-    errors.push('Experience must be an array');
-  } else {
-    portfolioData.experience.forEach((exp, index) => {
-      const expValidation = validateExperience(exp);
-      if (!expValidation.isValid) {
-        errors.push(`Experience ${index}: ${expValidation.errors.join(', ')}`);
-      }
-    });
+  // Validate optional education and certifications arrays
+  if (portfolioData.education !== undefined) {
+    checkEntries(portfolioData, 'education', validateEducation, '', issues);
+  }
+  if (portfolioData.certifications !== undefined) {
+    checkEntries(portfolioData, 'certifications', validateCertification, '', issues);
   }
   
-  // Validate projects array
-  if (!Array.isArray(portfolioData.projects)) {
-    errors.push('Projects must be an array');
-  } else {
-    portfolioData.projects.forEach((project, index) => {
-      const projectValidation = validateProject(project);
-      if (!projectValidation.isValid) {
-        errors.push(`Project ${index}: ${projectValidation.errors.join(', ')}`);
-      }
-    });
+  // Validate experience, projects and skills arrays
+  checkEntries(portfolioData, 'experience', validateExperience, '', issues);
+  checkEntries(portfolioData, 'projects', validateProject, '', issues);
+  checkEntries(portfolioData, 'skills', validateSkillCategory, '', issues);
+  
+  // Validate optional integrity check options
+  if (portfolioData.integrity !== undefined) {
+    issues.push(...validateIntegrityOptions(portfolioData.integrity, '/integrity').issues);
   }
   
-  // Validate skills array
-  if (!Array.isArray(portfolioData.skills)) {
-    errors.push('Skills must be an array');
-  } else {
-    portfolioData.skills.forEach((skillCategory, index) => {
-      const skillCategoryValidation = validateSkillCategory(skillCategory);
-      if (!skillCategoryValidation.isValid) {
-        errors.push(`Skill category ${index}: ${skillCategoryValidation.errors.join(', ')}`);
-      }
-    });
+  // Cross-section checks only make sense once every section is well-formed
+  if (!issues.some(issue => issue.severity === 'error')) {
+    issues.push(...validateIntegrity(portfolioData).issues);
   }
   
-  return { isValid: errors.length === 0, errors };
+  return createValidationResult(issues);
 }
 
 // Export functions and constants for use in other modules
@@ -428,14 +1144,27 @@ if (typeof module !== 'undefined' && module.exports) {
     VALIDATION_CONSTANTS,
     validatePortfolioData,
     validatePersonalInfo,
+    validateEducation,
+    validateCertification,
     validateExperience,
     validateProject,
+    validateCaseStudy,
+    validateMedia,
     validateSkill,
     validateSkillCategory,
     validateContactInfo,
+    validateSocialLink,
+    validateDateRange,
+    validateIntegrity,
+    validateIntegrityOptions,
     isValidEmail,
     isValidUrl,
-    hasRequiredFields
+    hasRequiredFields,
+    appendPointer,
+    parsePointer,
+    createIssue,
+    formatIssue,
+    createValidationResult
   };
 } else {
   // Browser environment
@@ -443,13 +1172,26 @@ if (typeof module !== 'undefined' && module.exports) {
     VALIDATION_CONSTANTS,
     validatePortfolioData,
     validatePersonalInfo,
+    validateEducation,
+    validateCertification,
     validateExperience,
     validateProject,
+    validateCaseStudy,
+    validateMedia,
     validateSkill,
     validateSkillCategory,
     validateContactInfo,
+    validateSocialLink,
+    validateDateRange,
+    validateIntegrity,
+    validateIntegrityOptions,
     isValidEmail,
     isValidUrl,
-    hasRequiredFields
+    hasRequiredFields,
+    appendPointer,
+    parsePointer,
+    createIssue,
+    formatIssue,
+    createValidationResult
   };
 }
\ No newline at end of file
@@ -88,7 +88,7 @@ const validContactInfo = {
   email: 'test@example.com',
   linkedin: 'https://linkedin.com/in/test',
   github: 'https://github.com/test',
-  behance: 'https://behance.net/test'
+  social: [{ network: 'behance', url: 'https://behance.net/test' }]
 };
 
 const validPersonalInfo = {
@@ -109,6 +109,24 @@ const validExperience = {
   technologies: ['JavaScript', 'React']
 };
 
+const validEducation = {
+  id: 'edu1',
+  degree: 'Master of Computer Applications',
+  specialization: 'Cloud & DevOps',
+  institution: 'Example University',
+  duration: '2025 - 2027',
+  status: 'In Progress',
+  cgpa: '8.2/10'
+};
+
+const validCertification = {
+  id: 'cert1',
+  name: 'Cloud Foundations',
+  issuer: 'Example Academy',
+  year: 'Aug 2025',
+  link: 'https://example.com/credential/123'
+};
+
 const validProject = {
   id: 'proj1',
   title: 'Awesome Project',
@@ -132,6 +150,8 @@ const validSkillCategory = {
 
 const validPortfolioData = {
   personal: validPersonalInfo,
+  education: [validEducation],
+  certifications: [validCertification],
   experience: [validExperience],
   projects: [validProject],
   skills: [validSkillCategory]
@@ -241,6 +261,111 @@ TestRunner.test('validateExperience - invalid achievement type', () => {
   return TestRunner.expect(result.isValid).toBeFalse();
 });
 
+// Date range validation tests
+TestRunner.test('validateDateRange - valid range', () => {
+  const result = PortfolioTypes.validateDateRange({ start: '2025-07', end: '2027-07', expected: true });
+  return TestRunner.expect(result.isValid).toBeTrue();
+});
+
+TestRunner.test('validateDateRange - ongoing range', () => {
+  const result = PortfolioTypes.validateDateRange({ start: '2022' });
+  return TestRunner.expect(result.isValid).toBeTrue();
+});
+
+TestRunner.test('validateDateRange - invalid month', () => {
+  const result = PortfolioTypes.validateDateRange({ start: '2025-13' });
+  return TestRunner.expect(result.isValid).toBeFalse();
+});
+
+TestRunner.test('validateDateRange - end before start', () => {
+  const result = PortfolioTypes.validateDateRange({ start: '2025-07', end: '2024' });
+  return TestRunner.expect(result.isValid).toBeFalse();
+});
+
+TestRunner.test('validateDateRange - expected without end', () => {
+  const result = PortfolioTypes.validateDateRange({ start: '2025-07', expected: true });
+  return TestRunner.expect(result.isValid).toBeFalse();
+});
+
+// Education validation tests
+TestRunner.test('validateEducation - valid education', () => {
+  const result = PortfolioTypes.validateEducation(validEducation);
+  return TestRunner.expect(result.isValid).toBeTrue();
+});
+
+TestRunner.test('validateEducation - valid without optional fields', () => {
+  const minimalEducation = { ...validEducation, specialization: '' };
+  delete minimalEducation.cgpa;
+  const result = PortfolioTypes.validateEducation(minimalEducation);
+  return TestRunner.expect(result.isValid).toBeTrue();
+});
+
+TestRunner.test('validateEducation - missing institution', () => {
+  const invalidEducation = { ...validEducation };
+  delete invalidEducation.institution;
+  const result = PortfolioTypes.validateEducation(invalidEducation);
+  return TestRunner.expect(result.isValid).toBeFalse();
+});
+
+TestRunner.test('validateEducation - invalid status', () => {
+  const invalidEducation = { ...validEducation, status: 'In progres' };
+  const result = PortfolioTypes.validateEducation(invalidEducation);
+  return TestRunner.expect(result.isValid).toBeFalse();
+});
+
+TestRunner.test('validateEducation - invalid CGPA format', () => {
+  const invalidEducation = { ...validEducation, cgpa: '8.2' };
+  const result = PortfolioTypes.validateEducation(invalidEducation);
+  return TestRunner.expect(result.isValid).toBeFalse();
+});
+
+// Certification validation tests
+TestRunner.test('validateCertification - valid certification', () => {
+  const result = PortfolioTypes.validateCertification(validCertification);
+  return TestRunner.expect(result.isValid).toBeTrue();
+});
+
+TestRunner.test('validateCertification - valid without link', () => {
+  const certification = { ...validCertification };
+  delete certification.link;
+  const result = PortfolioTypes.validateCertification(certification);
+  return TestRunner.expect(result.isValid).toBeTrue();
+});
+
+TestRunner.test('validateCertification - empty link', () => {
+  const invalidCertification = { ...validCertification, link: '' };
+  const result = PortfolioTypes.validateCertification(invalidCertification);
+  return TestRunner.expect(result.isValid).toBeFalse();
+});
+
+TestRunner.test('validateCertification - missing issuer', () => {
+  const invalidCertification = { ...validCertification };
+  delete invalidCertification.issuer;
+  const result = PortfolioTypes.validateCertification(invalidCertification);
+  return TestRunner.expect(result.isValid).toBeFalse();
+});
+
+TestRunner.test('validateExperience - structured dates instead of duration', () => {
+  const experience = { ...validExperience, dates: { start: '2020-01', end: '2023-06' } };
+  delete experience.duration;
+  const result = PortfolioTypes.validateExperience(experience);
+  return TestRunner.expect(result.isValid).toBeTrue();
+});
+
+TestRunner.test('validateExperience - neither duration nor dates', () => {
+  const invalidExp = { ...validExperience };
+  delete invalidExp.duration;
+  const result = PortfolioTypes.validateExperience(invalidExp);
+  return TestRunner.expect(result.isValid).toBeFalse();
+});
+
+TestRunner.test('validateCertification - structured dates instead of year', () => {
+  const certification = { ...validCertification, dates: { start: '2025-08', end: '2025-08' } };
+  delete certification.year;
+  const result = PortfolioTypes.validateCertification(certification);
+  return TestRunner.expect(result.isValid).toBeTrue();
+});
+
 // Project validation tests
 TestRunner.test('validateProject - valid project', () => {
   const result = PortfolioTypes.validateProject(validProject);
@@ -269,6 +394,109 @@ TestRunner.test('validateProject - invalid link URL', () => {
   return TestRunner.expect(result.isValid).toBeFalse();
 });
 
+TestRunner.test('validateProject - optional dates are validated', () => {
+  const dated = PortfolioTypes.validateProject({ ...validProject, dates: { start: '2024-03', end: '2024-06' } });
+  const reversed = PortfolioTypes.validateProject({ ...validProject, dates: { start: '2024-06', end: '2024-03' } }, '/projects/1');
+  return TestRunner.expect([dated.isValid, reversed.issues.map(issue => issue.path)])
+    .toEqual([true, ['/projects/1/dates/end']]);
+});
+
+TestRunner.test('validateProject - featured must be a boolean', () => {
+  const featured = PortfolioTypes.validateProject({ ...validProject, featured: true });
+  const invalid = PortfolioTypes.validateProject({ ...validProject, featured: 'yes' }, '/projects/0');
+  return TestRunner.expect([featured.isValid, invalid.issues.map(issue => issue.path)])
+    .toEqual([true, ['/projects/0/featured']]);
+});
+
+TestRunner.test('validateProject - optional case study is validated', () => {
+  const caseStudy = {
+    role: 'Lead developer',
+    problem: 'Hiring was slow',
+    constraints: ['Six months', 'Shared hosting'],
+    architecture: 'PHP application on MySQL',
+    approach: ['Parse resumes', 'Add tests'],
+    results: [{ metric: 'Screening time', value: '-60%', detail: 'per opening' }],
+    lessons: ['Start with the data model']
+  };
+  const result = PortfolioTypes.validateProject({ ...validProject, caseStudy });
+  return TestRunner.expect(result.isValid).toBeTrue();
+});
+
+TestRunner.test('validateCaseStudy - reports each invalid block', () => {
+  const result = PortfolioTypes.validateCaseStudy({
+    problem: ' ',
+    constraints: [],
+    approach: ['Parse resumes', 42],
+    results: [{ metric: 'Screening time' }, 'fast']
+  }, '/projects/0/caseStudy');
+  return TestRunner.expect(result.issues.map(issue => issue.path)).toEqual([
+    '/projects/0/caseStudy/problem',
+    '/projects/0/caseStudy/constraints',
+    '/projects/0/caseStudy/approach/1',
+    '/projects/0/caseStudy/results/0/value',
+    '/projects/0/caseStudy/results/1'
+  ]);
+});
+
+TestRunner.test('validateCaseStudy - needs at least one block', () => {
+  const empty = PortfolioTypes.validateCaseStudy({}, '/projects/0/caseStudy');
+  const notObject = PortfolioTypes.validateCaseStudy(['Problem'], '/projects/0/caseStudy');
+  return TestRunner.expect([empty.issues[0].code, notObject.issues[0].code]).toEqual(['anyOf', 'type']);
+});
+
+// Media validation tests
+const validMedia = {
+  type: 'video',
+  title: 'Walkthrough',
+  sources: [{ src: 'videos/intro.webm', type: 'video/webm' }, { src: 'videos/intro.mp4', type: 'video/mp4' }],
+  poster: 'images/projects/intro.jpg',
+  captions: [{ src: 'videos/intro.en.vtt', srclang: 'en', label: 'English', default: true }],
+  chapters: [{ start: 0, title: 'Overview' }, { start: 42.5, title: 'Screening' }]
+};
+
+TestRunner.test('validateProject - optional media is validated', () => {
+  const result = PortfolioTypes.validateProject({ ...validProject, media: [validMedia] });
+  const notArray = PortfolioTypes.validateProject({ ...validProject, media: validMedia }, '/projects/0');
+  return TestRunner.expect([result.isValid, notArray.issues.map(issue => issue.path)])
+    .toEqual([true, ['/projects/0/media']]);
+});
+
+TestRunner.test('validateMedia - reports invalid sources, captions and chapters', () => {
+  const result = PortfolioTypes.validateMedia({
+    ...validMedia,
+    type: 'audio',
+    sources: [{ src: 'videos/intro.ogv', type: 'video/ogg' }, { src: '' }],
+    captions: [{ src: 'videos/intro.en.srt', srclang: 'English', label: 'English' }],
+    chapters: [{ start: -1, title: 'Overview' }]
+  }, '/projects/0/media/0');
+  return TestRunner.expect(result.issues.map(issue => issue.path)).toEqual([
+    '/projects/0/media/0/type',
+    '/projects/0/media/0/sources/0/type',
+    '/projects/0/media/0/sources/1/type',
+    '/projects/0/media/0/captions/0/src',
+    '/projects/0/media/0/captions/0/srclang',
+    '/projects/0/media/0/chapters/0/start'
+  ]);
+});
+
+TestRunner.test('validateMedia - needs at least one source', () => {
+  const result = PortfolioTypes.validateMedia({ ...validMedia, sources: [] }, '/projects/0/media/0');
+  return TestRunner.expect(result.issues.map(issue => `${issue.path} ${issue.code}`))
+    .toEqual(['/projects/0/media/0/sources minItems']);
+});
+
+TestRunner.test('validateMedia - chapters must be in order and one captions track default', () => {
+  const result = PortfolioTypes.validateMedia({
+    ...validMedia,
+    captions: [validMedia.captions[0], { ...validMedia.captions[0], srclang: 'pt-BR', label: 'Português' }],
+    chapters: [{ start: 30, title: 'Screening' }, { start: 30, title: 'Overview' }]
+  }, '/projects/0/media/0');
+  return TestRunner.expect(result.issues.map(issue => `${issue.path} ${issue.code}`)).toEqual([
+    '/projects/0/media/0/captions default',
+    '/projects/0/media/0/chapters/1/start chapterOrder'
+  ]);
+});
+
 // Skill validation tests
 TestRunner.test('validateSkill - valid skill', () => {
   const result = PortfolioTypes.validateSkill(validSkill);
@@ -341,6 +569,29 @@ TestRunner.test('validatePortfolioData - invalid experience array', () => {
   return TestRunner.expect(result.isValid).toBeFalse();
 });
 
+TestRunner.test('validatePortfolioData - valid without education and certifications', () => {
+  const minimalData = { ...validPortfolioData };
+  delete minimalData.education;
+  delete minimalData.certifications;
+  const result = PortfolioTypes.validatePortfolioData(minimalData);
+  return TestRunner.expect(result.isValid).toBeTrue();
+});
+
+TestRunner.test('validatePortfolioData - invalid education in array', () => {
+  const invalidData = {
+    ...validPortfolioData,
+    education: [{ ...validEducation, status: 'Done' }]
+  };
+  const result = PortfolioTypes.validatePortfolioData(invalidData);
+  return TestRunner.expect(result.isValid).toBeFalse();
+});
+
+TestRunner.test('validatePortfolioData - certifications not an array', () => {
+  const invalidData = { ...validPortfolioData, certifications: {} };
+  const result = PortfolioTypes.validatePortfolioData(invalidData);
+  return TestRunner.expect(result.isValid).toBeFalse();
+});
+
 TestRunner.test('validatePortfolioData - invalid project in array', () => {
   const invalidData = { 
     ...validPortfolioData, 
@@ -350,6 +601,156 @@ TestRunner.test('validatePortfolioData - invalid project in array', () => {
   return TestRunner.expect(result.isValid).toBeFalse();
 });
 
+// Structured issue tests
+TestRunner.test('validatePersonalInfo - names each missing field', () => {
+  const invalidPersonal = { ...validPersonalInfo };
+  delete invalidPersonal.bio;
+  delete invalidPersonal.summary;
+  const result = PortfolioTypes.validatePersonalInfo(invalidPersonal, '/personal');
+  return TestRunner.expect(result.issues.map(issue => issue.path)).toEqual(['/personal/bio', '/personal/summary']);
+});
+
+TestRunner.test('validateProject - issue points at the invalid link URL', () => {
+  const invalidProject = { ...validProject, links: [{ name: 'GitHub', url: 'not-a-url' }] };
+  const result = PortfolioTypes.validateProject(invalidProject, '/projects/2');
+  return TestRunner.expect(result.issues).toEqual([{
+    path: '/projects/2/links/0/url',
+    code: 'format',
+    message: 'must be a valid URL',
+    severity: 'error'
+  }]);
+});
+
+TestRunner.test('validatePortfolioData - issues carry the full JSON pointer', () => {
+  const invalidData = {
+    ...validPortfolioData,
+    skills: [{ category: 'Programming', skills: [{ name: 'JavaScript', proficiency: 'guru' }] }]
+  };
+  const result = PortfolioTypes.validatePortfolioData(invalidData);
+  return TestRunner.expect(result.issues.map(issue => `${issue.code} ${issue.path}`))
+    .toEqual(['enum /skills/0/skills/0/proficiency']);
+});
+
+TestRunner.test('validatePortfolioData - errors render issues for the console', () => {
+  const invalidData = { ...validPortfolioData, experience: [{ ...validExperience, achievements: [] }] };
+  const result = PortfolioTypes.validatePortfolioData(invalidData);
+  return TestRunner.expect(result.errors).toEqual(['/experience/0/achievements: must be a non-empty array']);
+});
+
+TestRunner.test('createValidationResult - warnings alone keep data valid', () => {
+  const result = PortfolioTypes.createValidationResult([
+    PortfolioTypes.createIssue('/projects/0/summary', 'undeclaredProperty', 'not declared', 'warning')
+  ]);
+  return TestRunner.expect(result.isValid).toBeTrue();
+});
+
+TestRunner.test('appendPointer - escapes "~" and "/"', () => {
+  return TestRunner.expect(PortfolioTypes.appendPointer('/a', 'b/c~d')).toBe('/a/b~1c~0d');
+});
+
+TestRunner.test('parsePointer - unescapes what appendPointer escapes', () => {
+  return TestRunner.expect(PortfolioTypes.parsePointer(PortfolioTypes.appendPointer('/projects/0', 'b/c~d'))).toEqual(['projects', '0', 'b/c~d']);
+});
+
+TestRunner.test('parsePointer - rejects pointers without a leading "/"', () => {
+  try {
+    PortfolioTypes.parsePointer('projects/0');
+    return { passed: false, message: 'Expected an error' };
+  } catch (error) {
+    return TestRunner.expect(error.message).toBe('Invalid JSON pointer "projects/0" (must start with "/")');
+  }
+});
+
+// Integrity tests
+TestRunner.test('validateIntegrity - reports duplicate ids within a section', () => {
+  const data = {
+    ...validPortfolioData,
+    projects: [validProject, { ...validProject, title: 'Copy' }],
+    certifications: [{ ...validCertification, id: 'proj1' }]
+  };
+  const result = PortfolioTypes.validateIntegrity(data);
+  return TestRunner.expect(result.issues.filter(issue => issue.code === 'uniqueId')).toEqual([{
+    path: '/projects/1/id',
+    code: 'uniqueId',
+    message: 'duplicates the id "proj1" of /projects/0',
+    severity: 'warning'
+  }]);
+});
+
+TestRunner.test('validateIntegrity - reports technologies missing from the skills', () => {
+  const data = {
+    ...validPortfolioData,
+    skills: [{ category: 'Programming', skills: [validSkill, { name: 'react' }] }]
+  };
+  const result = PortfolioTypes.validateIntegrity(data);
+  return TestRunner.expect(result.issues.map(issue => `${issue.code} ${issue.path}`))
+    .toEqual(['unknownSkill /projects/0/tools/1']);
+});
+
+TestRunner.test('validateIntegrity - counts technologies that are part of a listed skill', () => {
+  const data = {
+    ...validPortfolioData,
+    experience: [{ ...validExperience, technologies: ['JavaScript'] }],
+    projects: [{ ...validProject, tools: ['AWS VPC', 'Amazon EC2'] }],
+    skills: [{ category: 'Cloud', skills: [validSkill, { name: 'AWS (EC2, VPC)', proficiency: 'expert' }] }]
+  };
+  return TestRunner.expect(PortfolioTypes.validateIntegrity(data).issues).toEqual([]);
+});
+
+TestRunner.test('validateIntegrity - reports expert skills no project or role uses', () => {
+  const data = {
+    ...validPortfolioData,
+    experience: [{ ...validExperience, technologies: [] }],
+    projects: [{ ...validProject, tools: ['Go'] }],
+    skills: [{ category: 'Programming', skills: [validSkill, { name: 'Go', proficiency: 'expert' }] }]
+  };
+  const result = PortfolioTypes.validateIntegrity(data);
+  return TestRunner.expect(result.errors)
+    .toEqual(['/skills/0/skills/0/proficiency: "JavaScript" is marked expert but no project or role uses it']);
+});
+
+TestRunner.test('validateIntegrity - checks names the skill registry does not know', () => {
+  const data = {
+    ...validPortfolioData,
+    experience: [{ ...validExperience, technologies: ['JavaScript', 'OpenCV'] }],
+    projects: [{ ...validProject, tools: ['React'] }],
+    skills: [{ category: 'Soft Skills', skills: [{ name: 'JavaScript' }, { name: 'React' }, { name: 'Problem-Solving', proficiency: 'expert' }] }]
+  };
+  const result = PortfolioTypes.validateIntegrity(data);
+  return TestRunner.expect(result.issues.map(issue => `${issue.code} ${issue.path}`))
+    .toEqual(['unknownSkill /experience/0/technologies/1', 'unsupportedClaim /skills/0/skills/2/proficiency']);
+});
+
+TestRunner.test('validateIntegrity - skips names in integrity.ignore', () => {
+  const data = {
+    ...validPortfolioData,
+    experience: [{ ...validExperience, technologies: ['JavaScript', 'Error Handling'] }],
+    projects: [{ ...validProject, tools: ['React', 'Custom Slots'] }],
+    skills: [{ category: 'Soft Skills', skills: [{ name: 'JavaScript' }, { name: 'React' }, { name: 'Problem-Solving', proficiency: 'expert' }] }],
+    integrity: { ignore: ['error handling', 'Custom Slots', 'Problem-Solving'] }
+  };
+  return TestRunner.expect(PortfolioTypes.validateIntegrity(data).issues).toEqual([]);
+});
+
+TestRunner.test('validateIntegrityOptions - ignore must be a list of names', () => {
+  const results = [{ ignore: ['Custom Slots'] }, { ignore: 'Custom Slots' }, { ignore: [''] }, []]
+    .map(options => PortfolioTypes.validateIntegrityOptions(options, '/integrity').issues.map(issue => `${issue.code} ${issue.path}`));
+  return TestRunner.expect(results)
+    .toEqual([[], ['type /integrity/ignore'], ['minLength /integrity/ignore/0'], ['type /integrity']]);
+});
+
+TestRunner.test('validatePortfolioData - integrity issues are warnings', () => {
+  const result = PortfolioTypes.validatePortfolioData(validPortfolioData);
+  return TestRunner.expect([result.isValid, result.issues.length > 0, result.issues.every(issue => issue.severity === 'warning')])
+    .toEqual([true, true, true]);
+});
+
+TestRunner.test('validatePortfolioData - skips integrity checks while there are errors', () => {
+  const invalidData = { ...validPortfolioData, projects: [{ ...validProject, title: '' }] };
+  const result = PortfolioTypes.validatePortfolioData(invalidData);
+  return TestRunner.expect(result.issues.map(issue => issue.code)).toEqual(['minLength']);
+});
+
 // Required fields validation tests
 TestRunner.test('hasRequiredFields - valid object', () => {
   const obj = { name: 'test', email: 'test@example.com' };
@@ -1,43 +1,537 @@
 /**
- * @fileoverview Script to validate the existing portfolio data
- * This script loads the portfolio.json file and validates it against our type definitions
+ * @fileoverview Command line validator for portfolio data files
+ * Validates one or more portfolio data files (JSON, YAML or Markdown; paths or glob patterns)
+ * against the type definitions and the generated JSON Schema, printing each problem with its
+ * JSON pointer.
+ * Files that pull sections in with "$include" directives are composed first, and problems
+ * in included files are reported against the file they were written in.
+ * With --assets it also checks the images, videos and captions the data references.
+ *
+ * Usage: node js/validate-portfolio.js [options] [file|glob ...]
+ *
+ * Exit codes: 0 when every file is valid, 1 when any file has errors (or warnings with
+ * --strict), 2 for usage errors or files that cannot be read.
  */
 
 const fs = require('fs');
 const path = require('path');
 const PortfolioTypes = require('./types.js');
+const PortfolioSchema = require('./schema.js');
+const AssetChecker = require('./check-assets.js');
+const PortfolioCompose = require('./compose.js');
+const DataFormats = require('./data-formats.js');
 
-// Load portfolio data
-const portfolioPath = path.join(__dirname, '../data/portfolio.json');
-
-try {
-  const portfolioData = JSON.parse(fs.readFileSync(portfolioPath, 'utf8'));
-  
-  console.log('Validating portfolio data from:', portfolioPath);
-  console.log('=====================================\n');
-  
-  const validation = PortfolioTypes.validatePortfolioData(portfolioData);
-  
-  if (validation.isValid) {
-    console.log('✓ Portfolio data is valid!');
-    console.log('\nData structure summary:');
-    console.log(`- Personal info: ${portfolioData.personal.name} (${portfolioData.personal.title})`);
-    console.log(`- Experience entries: ${portfolioData.experience.length}`);
-    console.log(`- Projects: ${portfolioData.projects.length}`);
-    console.log(`- Skill categories: ${portfolioData.skills.length}`);
-    
-    // Count total skills
-    const totalSkills = portfolioData.skills.reduce((total, category) => total + category.skills.length, 0);
-    console.log(`- Total skills: ${totalSkills}`);
-  } else {
-    console.log('✗ Portfolio data validation failed!');
-    console.log('\nErrors found:');
-    validation.errors.forEach((error, index) => {
-      console.log(`${index + 1}. ${error}`);
+// CLI constants
+const CLI_CONSTANTS = {
+  DEFAULT_FILES: [path.join(__dirname, '../data/portfolio.json'), path.join(__dirname, '../data/portfolio.yaml')],
+  DEFAULT_ROOT: path.join(__dirname, '..'),
+  FORMATS: ['text', 'json', 'junit'],
+  EXIT_OK: 0,
+  EXIT_INVALID: 1,
+  EXIT_USAGE: 2,
+  GLOB_CHARS: /[*?[]/,
+  SCHEMA_FILE_REGEX: /\.schema\.json$/i
+};
+
+const USAGE = `Usage: node js/validate-portfolio.js [options] [file|glob ...]
+
+Validates portfolio data files. Defaults to data/portfolio.json, or data/portfolio.yaml
+if there is no JSON file.
+
+Options:
+  --format <text|json|junit>  Output format (default: text)
+  --assets                    Check referenced images, videos and captions, and report unused ones
+  --root <dir>                Directory asset paths are relative to (default: repository root)
+  --strict                    Treat warnings as errors
+  --quiet                     Only print errors
+  -h, --help                  Show this help`;
+
+/**
+ * @typedef {Object} FileReport
+ * @property {string} file - File path as given or matched
+ * @property {boolean} isValid - True if the file has no errors
+ * @property {ValidationIssue[]} issues - Errors and warnings for the file
+ * @property {Object} [data] - Composed portfolio data, when the file parsed
+ */
+
+/**
+ * Parses command line arguments
+ * @param {string[]} argv - Arguments without the node executable and script path
+ * @returns {{options: Object, patterns: string[]}} Parsed options and file patterns
+ * @throws {Error} When an option is unknown or has an invalid value
+ */
+function parseArgs(argv) {
+  const options = { format: 'text', strict: false, quiet: false, help: false, assets: false, root: null };
+  const patterns = [];
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (arg === '--strict') {
+      options.strict = true;
+    } else if (arg === '--quiet') {
+      options.quiet = true;
+    } else if (arg === '--assets') {
+      options.assets = true;
+    } else if (arg === '--root' || arg.startsWith('--root=')) {
+      const value = arg === '--root' ? argv[++i] : arg.slice('--root='.length);
+      if (!value) {
+        throw new Error('--root needs a directory');
+      }
+      options.root = value;
+    } else if (arg === '-h' || arg === '--help') {
+      options.help = true;
+    } else if (arg === '--format' || arg.startsWith('--format=')) {
+      const value = arg === '--format' ? argv[++i] : arg.slice('--format='.length);
+      if (!CLI_CONSTANTS.FORMATS.includes(value)) {
+        throw new Error(`--format must be one of: ${CLI_CONSTANTS.FORMATS.join(', ')}`);
+      }
+      options.format = value;
+    } else if (arg.startsWith('-')) {
+      throw new Error(`Unknown option: ${arg}`);
+    } else {
+      patterns.push(arg);
+    }
+  }
+
+  return { options, patterns };
+}
+
+/**
+ * Converts a glob pattern to a regular expression.
+ * Supports "*", "?", "**" and character classes such as "[abc]".
+ * @param {string} pattern - Glob pattern using "/" separators
+ * @returns {RegExp} Equivalent regular expression
+ */
+function globToRegExp(pattern) {
+  let source = '';
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+
+    if (char === '*' && pattern[i + 1] === '*') {
+      // "**/" matches zero or more directories
+      const followedBySlash = pattern[i + 2] === '/';
+      source += followedBySlash ? '(?:.*/)?' : '.*';
+      i += followedBySlash ? 2 : 1;
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '[') {
+      const close = pattern.indexOf(']', i + 1);
+      if (close === -1) {
+        source += '\\[';
+      } else {
+        source += `[${pattern.slice(i + 1, close).replace(/^!/, '^').replace(/\\/g, '\\\\')}]`;
+        i = close;
+      }
+    } else {
+      source += char.replace(/[.+^${}()|\\]/g, '\\$&');
+    }
+  }
+
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Lists every file below a directory, as paths relative to it with "/" separators
+ * @param {string} dir - Directory to walk
+ * @param {string} [prefix] - Relative path of dir, used while recursing
+ * @returns {string[]} Relative file paths
+ */
+function listFiles(dir, prefix = '') {
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+    if (entry.name === 'node_modules' || entry.name.startsWith('.')) return [];
+    const relative = prefix ? `${prefix}/${entry.name}` : entry.name;
+    if (entry.isDirectory()) return listFiles(path.join(dir, entry.name), relative);
+    return entry.isFile() ? [relative] : [];
+  });
+}
+
+/**
+ * Expands file arguments into file paths. Plain paths are returned as given;
+ * glob patterns are matched against the files below their static base directory,
+ * leaving out JSON Schema files such as data/portfolio.schema.json.
+ * @param {string[]} patterns - File paths or glob patterns
+ * @param {string} cwd - Directory relative paths are resolved against
+ * @returns {{files: string[], unmatched: string[]}} Matched files and patterns that matched nothing
+ */
+function expandPatterns(patterns, cwd) {
+  const files = [];
+  const unmatched = [];
+
+  patterns.forEach(pattern => {
+    const normalized = pattern.split(path.sep).join('/');
+
+    if (!CLI_CONSTANTS.GLOB_CHARS.test(normalized)) {
+      files.push(pattern);
+      return;
+    }
+
+    // Walk from the longest leading part of the pattern without glob characters
+    const segments = normalized.split('/');
+    const firstGlob = segments.findIndex(segment => CLI_CONSTANTS.GLOB_CHARS.test(segment));
+    const base = segments.slice(0, firstGlob).join('/');
+    const baseDir = path.resolve(cwd, base || '.');
+    const matcher = globToRegExp(segments.slice(firstGlob).join('/'));
+
+    const matches = fs.existsSync(baseDir) && fs.statSync(baseDir).isDirectory()
+      ? listFiles(baseDir)
+        .filter(file => matcher.test(file) && !CLI_CONSTANTS.SCHEMA_FILE_REGEX.test(file))
+        .sort()
+      : [];
+
+    if (matches.length === 0) {
+      unmatched.push(pattern);
+    }
+    matches.forEach(file => files.push(base ? `${base}/${file}` : file));
+  });
+
+  return { files: [...new Set(files)], unmatched };
+}
+
+/**
+ * Picks the data file to use when none is given
+ * @returns {string} data/portfolio.json, or data/portfolio.yaml if only that exists
+ */
+function findDefaultFile() {
+  return CLI_CONSTANTS.DEFAULT_FILES.find(file => fs.existsSync(file)) || CLI_CONSTANTS.DEFAULT_FILES[0];
+}
+
+/**
+ * Reads and parses a file included by a portfolio document
+ * @param {string} file - File path relative to cwd
+ * @param {string} cwd - Directory relative paths are resolved against
+ * @returns {*} Parsed content
+ * @throws {Error} When the file cannot be read or parsed
+ */
+function readIncludedFile(file, cwd) {
+  let text;
+  try {
+    text = fs.readFileSync(path.resolve(cwd, file), 'utf8');
+  } catch (error) {
+    throw new Error(`cannot read included file ${file}: ${error.message}`);
+  }
+
+  try {
+    return DataFormats.parseDataFile(file, text);
+  } catch (error) {
+    throw new Error(`invalid ${DataFormats.describeDataFormat(file)} in included file ${file}: ${error.message}`);
+  }
+}
+
+/**
+ * Replaces the "$include" directives of a parsed document with the files they name.
+ * Glob patterns in includes are expanded like file arguments.
+ * @param {string} file - File path of the document, as given or matched
+ * @param {Object} data - Parsed document
+ * @param {string} cwd - Directory relative paths are resolved against
+ * @returns {{data: Object, sources: IncludeSource[]}} Composed data and where included values came from
+ * @throws {Error} When an included file cannot be read or the includes are invalid
+ */
+function composeIncludes(file, data, cwd) {
+  const rootFile = file.split(path.sep).join('/');
+  if (!PortfolioCompose.hasIncludes(data)) {
+    return { data, sources: [] };
+  }
+
+  return PortfolioCompose.composeFromFiles(
+    rootFile,
+    included => (included === rootFile ? data : readIncludedFile(included, cwd)),
+    { expandGlob: pattern => expandPatterns([pattern], cwd).files }
+  );
+}
+
+/**
+ * Validates parsed portfolio data, returning errors and warnings with JSON pointers
+ * @param {Object} portfolioData - Parsed portfolio data
+ * @returns {ValidationIssue[]} Issues found
+ */
+function collectIssues(portfolioData) {
+  const schema = PortfolioSchema.buildPortfolioSchema();
+  const result = PortfolioTypes.validatePortfolioData(portfolioData);
+  const issues = [...result.issues];
+
+  // Cross-check against the generated schema; keep anything the type validators let through
+  const schemaResult = PortfolioSchema.validateAgainstSchema(portfolioData, schema);
+  if (result.isValid && !schemaResult.isValid) {
+    schemaResult.issues.forEach(issue => {
+      issues.push(PortfolioTypes.createIssue(issue.path, issue.code, issue.message));
+    });
+  }
+
+  PortfolioSchema.findUndeclaredProperties(portfolioData, schema).forEach(issue => {
+    issues.push(PortfolioTypes.createIssue(issue.path, issue.code, issue.message, 'warning'));
+  });
+
+  return issues;
+}
+
+/**
+ * Reads and validates one file
+ * @param {string} file - File path as given or matched
+ * @param {string} cwd - Directory relative paths are resolved against
+ * @param {Object} options - Parsed CLI options
+ * @returns {FileReport} Report for the file
+ * @throws {Error} When the file cannot be read
+ */
+function validateFile(file, cwd, options) {
+  const text = fs.readFileSync(path.resolve(cwd, file), 'utf8');
+
+  let parsed;
+  try {
+    parsed = DataFormats.parseDataFile(file, text);
+  } catch (error) {
+    return {
+      file,
+      isValid: false,
+      issues: [PortfolioTypes.createIssue('', 'parse', `invalid ${DataFormats.describeDataFormat(file)}: ${error.message}`)]
+    };
+  }
+
+  let composed;
+  try {
+    composed = composeIncludes(file, parsed, cwd);
+  } catch (error) {
+    return {
+      file,
+      isValid: false,
+      issues: [PortfolioTypes.createIssue('', 'include', error.message)]
+    };
+  }
+
+  const { data, sources } = composed;
+  const collected = collectIssues(data);
+  if (options.assets) {
+    const rootDir = path.resolve(cwd, options.root || CLI_CONSTANTS.DEFAULT_ROOT);
+    collected.push(...AssetChecker.checkAssets(data, { rootDir }).issues);
+  }
+
+  const issues = PortfolioCompose.attachSources(collected, sources).map(issue => (
+    options.strict && issue.severity === 'warning' ? { ...issue, severity: 'error' } : issue
+  ));
+
+  return { file, isValid: !issues.some(issue => issue.severity === 'error'), issues, data };
+}
+
+/**
+ * Counts errors and warnings across reports
+ * @param {FileReport[]} reports - File reports
+ * @returns {{files: number, errors: number, warnings: number}} Totals
+ */
+function summarize(reports) {
+  const issues = reports.flatMap(report => report.issues);
+  return {
+    files: reports.length,
+    errors: issues.filter(issue => issue.severity === 'error').length,
+    warnings: issues.filter(issue => issue.severity === 'warning').length
+  };
+}
+
+/**
+ * Pluralizes a count, e.g. "1 error" / "2 errors"
+ * @param {number} count - Count
+ * @param {string} noun - Singular noun
+ * @param {string} [pluralNoun] - Plural noun, when not formed by adding "s"
+ * @returns {string} Count with noun
+ */
+function plural(count, noun, pluralNoun = `${noun}s`) {
+  return `${count} ${count === 1 ? noun : pluralNoun}`;
+}
+
+/**
+ * Describes where an issue is: the included file and pointer for values from included
+ * files, otherwise its JSON pointer, or the asset file for issues about files nothing in
+ * the data points at
+ * @param {ValidationIssue} issue - Issue to describe
+ * @returns {string} Location
+ */
+function describeLocation(issue) {
+  if (issue.source) {
+    return PortfolioCompose.describeSource(issue.source);
+  }
+  return issue.path || issue.file || '/';
+}
+
+/**
+ * Renders reports as human readable text
+ * @param {FileReport[]} reports - File reports
+ * @param {Object} options - Parsed CLI options
+ * @returns {string} Text output
+ */
+function formatText(reports, options) {
+  const lines = [];
+
+  reports.forEach(report => {
+    const shown = options.quiet ? report.issues.filter(issue => issue.severity === 'error') : report.issues;
+    if (options.quiet && shown.length === 0) return;
+
+    lines.push(`${report.isValid ? '✓' : '✗'} ${report.file}`);
+    shown.forEach(issue => {
+      lines.push(`  ${issue.severity.padEnd(7)} ${describeLocation(issue)}  ${issue.message}`);
     });
+
+    if (!options.quiet && report.isValid && report.data) {
+      const data = report.data;
+      const totalSkills = data.skills.reduce((total, category) => total + category.skills.length, 0);
+      lines.push(`  ${data.personal.name} (${data.personal.title}): ` +
+        `${plural((data.education || []).length, 'education entry', 'education entries')}, ` +
+        `${plural((data.certifications || []).length, 'certification')}, ` +
+        `${plural(data.experience.length, 'experience entry', 'experience entries')}, ` +
+        `${plural(data.projects.length, 'project')}, ` +
+        `${plural(totalSkills, 'skill')} in ${plural(data.skills.length, 'category', 'categories')}`);
+    }
+  });
+
+  const totals = summarize(reports);
+  if (!options.quiet || totals.errors > 0) {
+    if (lines.length > 0) lines.push('');
+    lines.push(`${plural(totals.errors, 'error')}, ${plural(totals.warnings, 'warning')} in ${plural(totals.files, 'file')}`);
   }
-  
-} catch (error) {
-  console.error('Error loading or parsing portfolio data:', error.message);
-  process.exit(1);
-}
\ No newline at end of file
+
+  return lines.join('\n');
+}
+
+/**
+ * Renders reports as JSON
+ * @param {FileReport[]} reports - File reports
+ * @param {Object} options - Parsed CLI options
+ * @returns {string} JSON output
+ */
+function formatJson(reports, options) {
+  return JSON.stringify({
+    summary: summarize(reports),
+    files: reports.map(report => ({
+      file: report.file,
+      isValid: report.isValid,
+      issues: options.quiet ? report.issues.filter(issue => issue.severity === 'error') : report.issues
+    }))
+  }, null, 2);
+}
+
+/**
+ * Escapes text for use in XML attributes and content
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Renders reports as a JUnit XML document with one test case per file
+ * @param {FileReport[]} reports - File reports
+ * @param {Object} options - Parsed CLI options
+ * @returns {string} JUnit XML output
+ */
+function formatJunit(reports, options) {
+  const failures = reports.filter(report => !report.isValid).length;
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="portfolio-validation" tests="${reports.length}" failures="${failures}">`,
+    `  <testsuite name="portfolio-validation" tests="${reports.length}" failures="${failures}">`
+  ];
+
+  reports.forEach(report => {
+    const errors = report.issues.filter(issue => issue.severity === 'error');
+    const warnings = report.issues.filter(issue => issue.severity === 'warning');
+    const name = escapeXml(report.file);
+
+    if (report.isValid && (options.quiet || warnings.length === 0)) {
+      lines.push(`    <testcase classname="portfolio" name="${name}"/>`);
+      return;
+    }
+
+    lines.push(`    <testcase classname="portfolio" name="${name}">`);
+    if (errors.length > 0) {
+      const details = errors.map(issue => `${describeLocation(issue)}: ${issue.message}`).join('\n');
+      lines.push(`      <failure message="${escapeXml(plural(errors.length, 'error'))}" type="validation">${escapeXml(details)}</failure>`);
+    }
+    if (warnings.length > 0 && !options.quiet) {
+      const details = warnings.map(issue => `warning ${describeLocation(issue)}: ${issue.message}`).join('\n');
+      lines.push(`      <system-out>${escapeXml(details)}</system-out>`);
+    }
+    lines.push('    </testcase>');
+  });
+
+  lines.push('  </testsuite>', '</testsuites>');
+  return lines.join('\n');
+}
+
+const FORMATTERS = { text: formatText, json: formatJson, junit: formatJunit };
+
+/**
+ * Runs the validator
+ * @param {string[]} argv - Arguments without the node executable and script path
+ * @param {Object} [io] - Output streams and working directory, for tests
+ * @param {{write: Function}} [io.stdout] - Standard output
+ * @param {{write: Function}} [io.stderr] - Standard error
+ * @param {string} [io.cwd] - Directory relative paths are resolved against
+ * @returns {number} Exit code
+ */
+function run(argv, io = {}) {
+  const stdout = io.stdout || process.stdout;
+  const stderr = io.stderr || process.stderr;
+  const cwd = io.cwd || process.cwd();
+
+  let parsed;
+  try {
+    parsed = parseArgs(argv);
+  } catch (error) {
+    stderr.write(`${error.message}\n\n${USAGE}\n`);
+    return CLI_CONSTANTS.EXIT_USAGE;
+  }
+
+  const { options, patterns } = parsed;
+  if (options.help) {
+    stdout.write(`${USAGE}\n`);
+    return CLI_CONSTANTS.EXIT_OK;
+  }
+
+  const { files, unmatched } = patterns.length > 0
+    ? expandPatterns(patterns, cwd)
+    : { files: [path.relative(cwd, findDefaultFile())], unmatched: [] };
+
+  if (unmatched.length > 0) {
+    stderr.write(`No files match: ${unmatched.join(', ')}\n`);
+    return CLI_CONSTANTS.EXIT_USAGE;
+  }
+
+  const reports = [];
+  for (const file of files) {
+    try {
+      reports.push(validateFile(file, cwd, options));
+    } catch (error) {
+      stderr.write(`Cannot read ${file}: ${error.message}\n`);
+      return CLI_CONSTANTS.EXIT_USAGE;
+    }
+  }
+
+  const output = FORMATTERS[options.format](reports, options);
+  if (output) {
+    stdout.write(`${output}\n`);
+  }
+
+  return reports.every(report => report.isValid) ? CLI_CONSTANTS.EXIT_OK : CLI_CONSTANTS.EXIT_INVALID;
+}
+
+// Run when executed directly
+if (require.main === module) {
+  process.exitCode = run(process.argv.slice(2));
+}
+
+module.exports = {
+  CLI_CONSTANTS,
+  run,
+  parseArgs,
+  globToRegExp,
+  expandPatterns,
+  composeIncludes,
+  findDefaultFile
+};
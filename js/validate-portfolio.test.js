@@ -0,0 +1,314 @@
+/**
+ * @fileoverview Unit tests for the validate-portfolio command line tool
+ * These tests run the CLI against fixture files in a temporary directory
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ValidatePortfolio = require('./validate-portfolio.js');
+
+// Test utilities
+const TestRunner = {
+  tests: [],
+  passed: 0,
+  failed: 0,
+
+  test(name, testFn) {
+    this.tests.push({ name, testFn });
+  },
+
+  expect(actual) {
+    return {
+      toBe(expected) {
+        if (actual === expected) {
+          return { passed: true };
+        }
+        return { passed: false, message: `Expected ${expected}, got ${actual}` };
+      },
+
+      toEqual(expected) {
+        if (JSON.stringify(actual) === JSON.stringify(expected)) {
+          return { passed: true };
+        }
+        return { passed: false, message: `Expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}` };
+      },
+
+      toContain(expected) {
+        if (Array.isArray(actual) && actual.includes(expected)) {
+          return { passed: true };
+        }
+        return { passed: false, message: `Expected ${JSON.stringify(actual)} to contain ${expected}` };
+      }
+    };
+  },
+
+  run() {
+    console.log('Running portfolio validator CLI tests...\n');
+
+    this.tests.forEach(({ name, testFn }) => {
+      try {
+        const result = testFn();
+        if (result.passed) {
+          this.passed++;
+          console.log(`✓ ${name}`);
+        } else {
+          this.failed++;
+          console.log(`✗ ${name}: ${result.message}`);
+        }
+      } catch (error) {
+        this.failed++;
+        console.log(`✗ ${name}: ${error.message}`);
+      }
+    });
+
+    console.log(`\nTest Results: ${this.passed} passed, ${this.failed} failed`);
+    return this.failed === 0;
+  }
+};
+
+// Test data
+const validPortfolioData = {
+  personal: {
+    name: 'John Doe',
+    title: 'Software Engineer',
+    bio: 'A passionate software engineer',
+    summary: 'Experienced in web development',
+    contact: {
+      email: 'test@example.com',
+      linkedin: 'https://linkedin.com/in/test',
+      github: 'https://github.com/test',
+      social: [{ network: 'behance', url: 'https://behance.net/test' }]
+    }
+  },
+  experience: [{
+    id: 'exp1',
+    company: 'Tech Corp',
+    title: 'Senior Developer',
+    duration: '2020-2023',
+    achievements: ['Built awesome features'],
+    technologies: ['JavaScript']
+  }],
+  projects: [{
+    id: 'proj1',
+    title: 'Awesome Project',
+    description: 'A really cool project',
+    tools: ['React'],
+    outcomes: ['Reduced costs'],
+    images: ['image1.jpg'],
+    links: [{ name: 'GitHub', url: 'https://github.com/test/project' }]
+  }],
+  skills: [{
+    category: 'Programming',
+    skills: [
+      { name: 'JavaScript', icon: 'js-icon', proficiency: 'expert' },
+      { name: 'React', proficiency: 'advanced' }
+    ]
+  }]
+};
+
+/**
+ * Returns a deep copy of the valid fixture with a mutation applied
+ * @param {Function} mutate - Receives the copy and changes it in place
+ * @returns {Object} Mutated portfolio data
+ */
+function withChange(mutate) {
+  const copy = JSON.parse(JSON.stringify(validPortfolioData));
+  mutate(copy);
+  return copy;
+}
+
+// Fixture files
+const fixtureDir = fs.mkdtempSync(path.join(os.tmpdir(), 'validate-portfolio-'));
+const fixtures = {
+  'valid.json': JSON.stringify(validPortfolioData),
+  'bad-link.json': JSON.stringify(withChange(data => { data.projects[0].links[0].url = 'not-a-url'; })),
+  'extra-field.json': JSON.stringify(withChange(data => { data.personal.contact.fax = '+1 555 0100'; })),
+  'broken.json': '{ "personal": ',
+  'portfolio.schema.json': JSON.stringify({ $schema: 'https://json-schema.org/draft/2020-12/schema', $defs: {} }),
+  'nested/deep/valid.json': JSON.stringify(validPortfolioData),
+  'composed/portfolio.json': JSON.stringify(withChange(data => {
+    data.personal = { $include: 'personal.json' };
+    data.projects = { $include: 'projects/*.json' };
+  })),
+  'composed/personal.json': JSON.stringify(validPortfolioData.personal),
+  'composed/projects/a.json': JSON.stringify({ ...validPortfolioData.projects[0], id: 'proj-a', order: 2 }),
+  'composed/projects/b.json': JSON.stringify(withChange(data => {
+    data.projects[0].links[0].url = 'not-a-url';
+    data.projects[0].order = 1;
+  }).projects[0]),
+  'composed/site.yaml': [
+    'personal:',
+    '  $include: personal.json',
+    'experience:',
+    '  - id: exp1',
+    '    company: Tech Corp',
+    '    title: Senior Developer',
+    '    dates: { start: "2020-01", end: "2023-06" }',
+    '    achievements: [Built awesome features]',
+    '    technologies: [JavaScript]',
+    'projects:',
+    '  $include: [projects/story.md]',
+    'skills:',
+    '  - category: Programming',
+    '    skills:',
+    '      - { name: JavaScript, proficiency: expert }',
+    '      - { name: React, proficiency: advanced }'
+  ].join('\n'),
+  'composed/projects/story.md': [
+    '---',
+    'id: story',
+    'title: Story Project',
+    'tools: [React]',
+    'outcomes: [Reduced costs]',
+    '---',
+    'A project described in "Markdown".'
+  ].join('\n'),
+  'composed/broken.yaml': 'personal:\n  name: "John',
+  'composed/missing-include.json': JSON.stringify(withChange(data => { data.skills = { $include: 'skills.json' }; }))
+};
+Object.entries(fixtures).forEach(([name, content]) => {
+  fs.mkdirSync(path.dirname(path.join(fixtureDir, name)), { recursive: true });
+  fs.writeFileSync(path.join(fixtureDir, name), content);
+});
+
+/**
+ * Runs the CLI against the fixture directory, capturing its output
+ * @param {string[]} argv - CLI arguments
+ * @returns {{code: number, stdout: string, stderr: string}} Exit code and output
+ */
+function runCli(argv) {
+  let stdout = '';
+  let stderr = '';
+  const code = ValidatePortfolio.run(argv, {
+    cwd: fixtureDir,
+    stdout: { write: text => { stdout += text; } },
+    stderr: { write: text => { stderr += text; } }
+  });
+  return { code, stdout, stderr };
+}
+
+// Exit code tests
+TestRunner.test('run - exits 0 for a valid file', () => {
+  return TestRunner.expect(runCli(['valid.json']).code).toBe(0);
+});
+
+TestRunner.test('run - exits 1 when a file has errors', () => {
+  return TestRunner.expect(runCli(['valid.json', 'bad-link.json']).code).toBe(1);
+});
+
+TestRunner.test('run - exits 1 for invalid JSON', () => {
+  return TestRunner.expect(runCli(['broken.json']).code).toBe(1);
+});
+
+TestRunner.test('run - exits 2 for a missing file', () => {
+  return TestRunner.expect(runCli(['missing.json']).code).toBe(2);
+});
+
+TestRunner.test('run - exits 2 for an unknown option', () => {
+  return TestRunner.expect(runCli(['--fast', 'valid.json']).code).toBe(2);
+});
+
+TestRunner.test('run - exits 2 for an unknown format', () => {
+  return TestRunner.expect(runCli(['--format', 'xml', 'valid.json']).code).toBe(2);
+});
+
+// Warning tests
+TestRunner.test('run - undeclared properties are warnings', () => {
+  return TestRunner.expect(runCli(['extra-field.json']).code).toBe(0);
+});
+
+TestRunner.test('run - --strict turns warnings into errors', () => {
+  return TestRunner.expect(runCli(['--strict', 'extra-field.json']).code).toBe(1);
+});
+
+// Output tests
+TestRunner.test('run - text output names the JSON pointer', () => {
+  const { stdout } = runCli(['bad-link.json']);
+  return TestRunner.expect(stdout.includes('/projects/0/links/0/url')).toBe(true);
+});
+
+TestRunner.test('run - --quiet prints nothing for valid files', () => {
+  return TestRunner.expect(runCli(['--quiet', 'valid.json', 'extra-field.json']).stdout).toBe('');
+});
+
+TestRunner.test('run - json output lists issues with severity', () => {
+  const report = JSON.parse(runCli(['--format=json', 'bad-link.json', 'extra-field.json']).stdout);
+  const issues = report.files.flatMap(file => file.issues.map(issue => `${issue.severity} ${issue.path}`));
+  return TestRunner.expect(issues).toEqual(['error /projects/0/links/0/url', 'warning /personal/contact/fax']);
+});
+
+TestRunner.test('run - json output summarizes counts', () => {
+  const report = JSON.parse(runCli(['--format', 'json', 'valid.json', 'bad-link.json']).stdout);
+  return TestRunner.expect(report.summary).toEqual({ files: 2, errors: 1, warnings: 0 });
+});
+
+TestRunner.test('run - junit output has one failing test case per invalid file', () => {
+  const { stdout } = runCli(['--format', 'junit', 'valid.json', 'bad-link.json', 'broken.json']);
+  return TestRunner.expect((stdout.match(/<failure /g) || []).length).toBe(2);
+});
+
+// Asset check tests
+TestRunner.test('run - --assets reports missing images', () => {
+  const { code, stdout } = runCli(['--assets', '--root', '.', 'valid.json']);
+  return TestRunner.expect(code === 1 && stdout.includes('/projects/0/images/0')).toBe(true);
+});
+
+// Include tests
+TestRunner.test('run - reports issues in included files against that file', () => {
+  const { code, stdout } = runCli(['composed/portfolio.json']);
+  return TestRunner.expect(code === 1 && stdout.includes('composed/projects/b.json#/links/0/url')).toBe(true);
+});
+
+TestRunner.test('run - json output keeps the composed pointer next to the source', () => {
+  const report = JSON.parse(runCli(['--format', 'json', 'composed/portfolio.json']).stdout);
+  const issue = report.files[0].issues[0];
+  return TestRunner.expect([issue.path, issue.source.file]).toEqual(['/projects/0/links/0/url', 'composed/projects/b.json']);
+});
+
+TestRunner.test('run - exits 1 when an included file is missing', () => {
+  const { code, stdout } = runCli(['composed/missing-include.json']);
+  return TestRunner.expect(code === 1 && stdout.includes('composed/skills.json')).toBe(true);
+});
+
+TestRunner.test('run - validates YAML files that include Markdown', () => {
+  return TestRunner.expect(runCli(['composed/site.yaml']).code).toBe(0);
+});
+
+TestRunner.test('run - reports YAML errors with their line', () => {
+  const { code, stdout } = runCli(['composed/broken.yaml']);
+  return TestRunner.expect(code === 1 && stdout.includes('invalid YAML: line 2: unterminated quoted string')).toBe(true);
+});
+
+// Glob tests
+TestRunner.test('expandPatterns - "*" stays within a directory', () => {
+  const { files } = ValidatePortfolio.expandPatterns(['*.json'], fixtureDir);
+  return TestRunner.expect(files).toEqual(['bad-link.json', 'broken.json', 'extra-field.json', 'valid.json']);
+});
+
+TestRunner.test('expandPatterns - globs skip schema files but explicit paths keep them', () => {
+  const { files } = ValidatePortfolio.expandPatterns(['*.schema.json', 'portfolio.schema.json'], fixtureDir);
+  return TestRunner.expect(files).toEqual(['portfolio.schema.json']);
+});
+
+TestRunner.test('expandPatterns - "**" matches nested directories', () => {
+  const { files } = ValidatePortfolio.expandPatterns(['**/valid.json'], fixtureDir);
+  return TestRunner.expect(files).toEqual(['nested/deep/valid.json', 'valid.json']);
+});
+
+TestRunner.test('expandPatterns - reports patterns that match nothing', () => {
+  const { unmatched } = ValidatePortfolio.expandPatterns(['nested/*.yaml'], fixtureDir);
+  return TestRunner.expect(unmatched).toEqual(['nested/*.yaml']);
+});
+
+TestRunner.test('globToRegExp - "?" and character classes', () => {
+  const regex = ValidatePortfolio.globToRegExp('v[a-z]lid.js?n');
+  return TestRunner.expect(regex.test('valid.json') && !regex.test('v1lid.json')).toBe(true);
+});
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+  const passed = TestRunner.run();
+  fs.rmSync(fixtureDir, { recursive: true, force: true });
+  process.exitCode = passed ? 0 : 1;
+}
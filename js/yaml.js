@@ -0,0 +1,501 @@
+/**
+ * @fileoverview Minimal YAML parser for portfolio data files
+ * Supports the subset of YAML that hand-written data files use: block mappings and
+ * sequences, plain and quoted scalars, literal (|) and folded (>) block scalars, one-line
+ * flow collections ([a, b] and {a: b}) and comments. Anchors, aliases, tags and multiple
+ * documents are rejected rather than misread.
+ */
+
+// YAML constants
+const YAML_CONSTANTS = {
+  UNSUPPORTED_INDICATORS: ['&', '*', '!', '%', '@', '`'],
+  DOUBLE_QUOTE_ESCAPES: { n: '\n', t: '\t', r: '\r', 0: '\0', '"': '"', '/': '/', '\\': '\\', ' ': ' ' },
+  INTEGER_REGEX: /^[-+]?(0|[1-9]\d*)$/,
+  FLOAT_REGEX: /^[-+]?(\d+\.\d*|\.\d+|\d+)(e[-+]?\d+)?$/i,
+  SEQUENCE_ENTRY_REGEX: /^-( |$)/
+};
+
+/**
+ * Creates a parse error naming the offending line
+ * @param {{number: number}} line - Line being parsed
+ * @param {string} message - What is wrong
+ * @returns {Error} Error to throw
+ */
+function createYamlError(line, message) {
+  return new Error(`line ${line.number}: ${message}`);
+}
+
+/**
+ * Returns the indentation of a line
+ * @param {{raw: string, number: number}} line - Line to measure
+ * @returns {number} Number of leading spaces
+ * @throws {Error} When the line is indented with tabs
+ */
+function yamlIndentOf(line) {
+  const indent = line.raw.match(/^ */)[0].length;
+  if (line.raw[indent] === '\t') {
+    throw createYamlError(line, 'tabs cannot be used for indentation');
+  }
+  return indent;
+}
+
+/**
+ * Removes a trailing comment, leaving "#" inside quoted text alone
+ * @param {string} text - Line content without indentation
+ * @returns {string} Content without the comment or trailing spaces
+ */
+function stripYamlComment(text) {
+  let quote = null;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quote) {
+      if (quote === '"' && char === '\\') {
+        i++;
+      } else if (char === quote && quote === "'" && text[i + 1] === "'") {
+        i++;
+      } else if (char === quote) {
+        quote = null;
+      }
+    } else if ((char === '"' || char === "'") && (i === 0 || /[\s:[{,-]/.test(text[i - 1]))) {
+      quote = char;
+    } else if (char === '#' && (i === 0 || /\s/.test(text[i - 1]))) {
+      return text.slice(0, i).trimEnd();
+    }
+  }
+
+  return text.trimEnd();
+}
+
+/**
+ * Returns the next line with content, skipping blank and comment-only lines
+ * @param {{lines: Object[], index: number}} state - Parser state
+ * @returns {{raw: string, number: number}|null} Next line, or null at the end
+ */
+function peekYamlLine(state) {
+  while (state.index < state.lines.length && /^\s*(#.*)?$/.test(state.lines[state.index].raw)) {
+    state.index++;
+  }
+  return state.index < state.lines.length ? state.lines[state.index] : null;
+}
+
+/**
+ * Reads a quoted scalar
+ * @param {string} text - Text containing the scalar
+ * @param {number} start - Index of the opening quote
+ * @param {{number: number}} line - Line being parsed, for errors
+ * @returns {{value: string, end: number}} Unquoted value and the index after the closing quote
+ * @throws {Error} When the scalar is not terminated or has an unknown escape
+ */
+function readYamlQuoted(text, start, line) {
+  const quote = text[start];
+  let value = '';
+
+  for (let i = start + 1; i < text.length; i++) {
+    const char = text[i];
+
+    if (quote === "'" && char === "'") {
+      if (text[i + 1] === "'") {
+        value += "'";
+        i++;
+        continue;
+      }
+      return { value, end: i + 1 };
+    }
+
+    if (quote === '"' && char === '"') {
+      return { value, end: i + 1 };
+    }
+
+    if (quote === '"' && char === '\\') {
+      const escape = text[++i];
+      if (escape === 'u' && /^[0-9a-f]{4}$/i.test(text.slice(i + 1, i + 5))) {
+        value += String.fromCharCode(parseInt(text.slice(i + 1, i + 5), 16));
+        i += 4;
+      } else if (Object.prototype.hasOwnProperty.call(YAML_CONSTANTS.DOUBLE_QUOTE_ESCAPES, escape)) {
+        value += YAML_CONSTANTS.DOUBLE_QUOTE_ESCAPES[escape];
+      } else {
+        throw createYamlError(line, `unknown escape "\\${escape || ''}"`);
+      }
+      continue;
+    }
+
+    value += char;
+  }
+
+  throw createYamlError(line, 'unterminated quoted string (quoted strings must end on the same line)');
+}
+
+/**
+ * Converts a plain (unquoted) scalar to null, a boolean, a number or a string
+ * @param {string} text - Scalar text
+ * @param {{number: number}} line - Line being parsed, for errors
+ * @returns {*} Scalar value
+ * @throws {Error} When the scalar starts with an unsupported indicator
+ */
+function resolveYamlScalar(text, line) {
+  if (YAML_CONSTANTS.UNSUPPORTED_INDICATORS.includes(text[0])) {
+    throw createYamlError(line, `"${text[0]}" is not supported (anchors, aliases, tags and directives)`);
+  }
+  if (text === '' || text === '~' || /^null$/i.test(text)) return null;
+  if (/^(true|false)$/i.test(text)) return text.toLowerCase() === 'true';
+  if (YAML_CONSTANTS.INTEGER_REGEX.test(text) || YAML_CONSTANTS.FLOAT_REGEX.test(text)) return Number(text);
+  return text;
+}
+
+/**
+ * Finds the colon that separates a mapping key from its value
+ * @param {string} content - Line content without indentation or comment
+ * @returns {number} Index of the colon, or -1 if the content is not a "key: value" pair
+ */
+function findYamlMappingColon(content) {
+  let searchFrom = 0;
+
+  if (content[0] === '"' || content[0] === "'") {
+    try {
+      searchFrom = readYamlQuoted(content, 0, { number: 0 }).end;
+    } catch (error) {
+      return -1;
+    }
+    const colon = content.slice(searchFrom).search(/^\s*:( |$)/);
+    return colon === -1 ? -1 : content.indexOf(':', searchFrom);
+  }
+
+  if (content[0] === '[' || content[0] === '{') return -1;
+
+  const match = /:( |$)/.exec(content);
+  return match ? match.index : -1;
+}
+
+/**
+ * Parses a one-line flow collection such as [a, "b, c"] or {name: x, tags: [a, b]}
+ * @param {string} text - Flow text
+ * @param {{number: number}} line - Line being parsed, for errors
+ * @returns {Array|Object} Parsed collection
+ * @throws {Error} When the collection is malformed or continues on the next line
+ */
+function parseYamlFlow(text, line) {
+  let pos = 0;
+  const skipSpaces = () => {
+    while (text[pos] === ' ') pos++;
+  };
+
+  const parseEntries = (close, parseEntry) => {
+    pos++;
+    skipSpaces();
+    if (text[pos] === close) {
+      pos++;
+      return;
+    }
+
+    while (pos < text.length) {
+      parseEntry();
+      skipSpaces();
+      if (text[pos] === ',') {
+        pos++;
+        skipSpaces();
+        if (text[pos] !== close) continue;
+      }
+      if (text[pos] === close) {
+        pos++;
+        return;
+      }
+      break;
+    }
+
+    throw createYamlError(line, `expected "," or "${close}" (flow collections must end on the same line)`);
+  };
+
+  const parseItem = terminators => {
+    skipSpaces();
+    const char = text[pos];
+
+    if (char === '[') {
+      const items = [];
+      parseEntries(']', () => items.push(parseItem(',]')));
+      return items;
+    }
+
+    if (char === '{') {
+      const mapping = {};
+      parseEntries('}', () => {
+        const key = parseItem(':,}');
+        skipSpaces();
+        if (text[pos] !== ':') {
+          throw createYamlError(line, `expected ":" after "${key}"`);
+        }
+        pos++;
+        mapping[String(key)] = parseItem(',}');
+      });
+      return mapping;
+    }
+
+    if (char === '"' || char === "'") {
+      const quoted = readYamlQuoted(text, pos, line);
+      pos = quoted.end;
+      return quoted.value;
+    }
+
+    const start = pos;
+    while (pos < text.length && !terminators.includes(text[pos])) pos++;
+    return resolveYamlScalar(text.slice(start, pos).trim(), line);
+  };
+
+  const value = parseItem('');
+  skipSpaces();
+  if (pos < text.length) {
+    throw createYamlError(line, `unexpected "${text.slice(pos)}" after flow collection`);
+  }
+  return value;
+}
+
+/**
+ * Parses a literal (|) or folded (>) block scalar
+ * @param {{lines: Object[], index: number}} state - Parser state, positioned after the header line
+ * @param {string} header - Block scalar header, e.g. "|", ">-" or "|+"
+ * @param {number} parentIndent - Indentation of the key or sequence entry that owns the scalar
+ * @param {{number: number}} line - Header line, for errors
+ * @returns {string} Scalar text
+ * @throws {Error} When the header is not supported
+ */
+function parseYamlBlockScalar(state, header, parentIndent, line) {
+  const match = /^([|>])([+-]?)$/.exec(header);
+  if (!match) {
+    throw createYamlError(line, `unsupported block scalar header "${header}"`);
+  }
+  const [, style, chomping] = match;
+
+  const collected = [];
+  let contentIndent = null;
+  while (state.index < state.lines.length) {
+    const next = state.lines[state.index];
+    if (next.raw.trim() === '') {
+      collected.push('');
+      state.index++;
+      continue;
+    }
+
+    const indent = yamlIndentOf(next);
+    if (indent <= parentIndent || (contentIndent !== null && indent < contentIndent)) break;
+    if (contentIndent === null) contentIndent = indent;
+
+    collected.push(next.raw.slice(contentIndent).trimEnd());
+    state.index++;
+  }
+
+  let trailingBlankLines = 0;
+  while (collected.length > 0 && collected[collected.length - 1] === '') {
+    collected.pop();
+    trailingBlankLines++;
+  }
+  if (collected.length === 0) return '';
+
+  // Folded scalars join lines with spaces; blank lines become line breaks
+  const text = style === '|'
+    ? collected.join('\n')
+    : collected.reduce((folded, current, index) => {
+      if (index === 0) return current;
+      if (current === '') return `${folded}\n`;
+      return collected[index - 1] === '' ? `${folded}${current}` : `${folded} ${current}`;
+    }, '');
+
+  if (chomping === '-') return text;
+  if (chomping === '+') return `${text}${'\n'.repeat(trailingBlankLines + 1)}`;
+  return `${text}\n`;
+}
+
+/**
+ * Parses the value after "key:" or "-"
+ * @param {{lines: Object[], index: number}} state - Parser state, positioned after the line holding the value
+ * @param {string} rest - Text after the indicator, without comment
+ * @param {number} parentIndent - Indentation of the key or sequence entry
+ * @param {{number: number}} line - Line holding the indicator
+ * @param {boolean} allowSiblingSequence - Whether a sequence at parentIndent belongs to this value
+ * @returns {*} Parsed value
+ */
+function parseYamlValue(state, rest, parentIndent, line, allowSiblingSequence) {
+  if (rest === '') {
+    const next = peekYamlLine(state);
+    if (!next) return null;
+
+    const nextIndent = yamlIndentOf(next);
+    const startsSequence = YAML_CONSTANTS.SEQUENCE_ENTRY_REGEX.test(next.raw.slice(nextIndent));
+    if (nextIndent > parentIndent || (allowSiblingSequence && nextIndent === parentIndent && startsSequence)) {
+      return parseYamlBlock(state, nextIndent);
+    }
+    return null;
+  }
+
+  if (rest[0] === '|' || rest[0] === '>') {
+    return parseYamlBlockScalar(state, rest, parentIndent, line);
+  }
+
+  if (rest[0] === '[' || rest[0] === '{') {
+    return parseYamlFlow(rest, line);
+  }
+
+  if (rest[0] === '"' || rest[0] === "'") {
+    const quoted = readYamlQuoted(rest, 0, line);
+    if (rest.slice(quoted.end).trim() !== '') {
+      throw createYamlError(line, `unexpected "${rest.slice(quoted.end).trim()}" after quoted string`);
+    }
+    return quoted.value;
+  }
+
+  // Plain scalars may continue on more indented lines, which are joined with spaces
+  let text = rest;
+  let next = peekYamlLine(state);
+  while (next && yamlIndentOf(next) > parentIndent) {
+    const continuation = stripYamlComment(next.raw.trim());
+    if (findYamlMappingColon(continuation) !== -1) {
+      throw createYamlError(next, 'unexpected indentation');
+    }
+    text += ` ${continuation}`;
+    state.index++;
+    next = peekYamlLine(state);
+  }
+  return resolveYamlScalar(text, line);
+}
+
+/**
+ * Parses a block mapping whose keys are at the given indentation
+ * @param {{lines: Object[], index: number}} state - Parser state
+ * @param {number} indent - Indentation of the keys
+ * @returns {Object} Parsed mapping
+ * @throws {Error} When a line is not a "key: value" pair or a key repeats
+ */
+function parseYamlMapping(state, indent) {
+  const mapping = {};
+
+  for (let line = peekYamlLine(state); line; line = peekYamlLine(state)) {
+    const lineIndent = yamlIndentOf(line);
+    if (lineIndent < indent) break;
+    if (lineIndent > indent) {
+      throw createYamlError(line, 'unexpected indentation');
+    }
+
+    const content = stripYamlComment(line.raw.slice(indent));
+    if (YAML_CONSTANTS.SEQUENCE_ENTRY_REGEX.test(content) && Object.keys(mapping).length > 0) break;
+
+    const colon = findYamlMappingColon(content);
+    if (colon === -1) {
+      throw createYamlError(line, 'expected "key: value"');
+    }
+
+    const rawKey = content.slice(0, colon).trim();
+    const key = rawKey[0] === '"' || rawKey[0] === "'" ? readYamlQuoted(rawKey, 0, line).value : rawKey;
+    if (Object.prototype.hasOwnProperty.call(mapping, key)) {
+      throw createYamlError(line, `duplicate key "${key}"`);
+    }
+
+    state.index++;
+    mapping[key] = parseYamlValue(state, content.slice(colon + 1).trim(), indent, line, true);
+  }
+
+  return mapping;
+}
+
+/**
+ * Parses a block sequence whose "-" indicators are at the given indentation
+ * @param {{lines: Object[], index: number}} state - Parser state
+ * @param {number} indent - Indentation of the "-" indicators
+ * @returns {Array} Parsed sequence
+ */
+function parseYamlSequence(state, indent) {
+  const sequence = [];
+
+  for (let line = peekYamlLine(state); line; line = peekYamlLine(state)) {
+    const lineIndent = yamlIndentOf(line);
+    if (lineIndent < indent) break;
+    if (lineIndent > indent) {
+      throw createYamlError(line, 'unexpected indentation');
+    }
+
+    const content = stripYamlComment(line.raw.slice(indent));
+    if (!YAML_CONSTANTS.SEQUENCE_ENTRY_REGEX.test(content)) break;
+
+    const afterDash = content.slice(1);
+    const rest = afterDash.trim();
+    const restIndent = indent + 1 + (afterDash.length - afterDash.trimStart().length);
+
+    if (rest !== '' && (YAML_CONSTANTS.SEQUENCE_ENTRY_REGEX.test(rest) || findYamlMappingColon(rest) !== -1)) {
+      // A mapping or sequence that starts on the entry's line: parse the line again
+      // as if the "-" were indentation
+      line.raw = `${' '.repeat(restIndent)}${line.raw.slice(restIndent)}`;
+      sequence.push(parseYamlBlock(state, restIndent));
+    } else {
+      state.index++;
+      sequence.push(parseYamlValue(state, rest, indent, line, false));
+    }
+  }
+
+  return sequence;
+}
+
+/**
+ * Parses the block node that starts on the next line with content
+ * @param {{lines: Object[], index: number}} state - Parser state
+ * @param {number} indent - Indentation of the node
+ * @returns {*} Parsed node
+ */
+function parseYamlBlock(state, indent) {
+  const line = peekYamlLine(state);
+  const content = stripYamlComment(line.raw.slice(indent));
+
+  if (YAML_CONSTANTS.SEQUENCE_ENTRY_REGEX.test(content)) {
+    return parseYamlSequence(state, indent);
+  }
+  if (findYamlMappingColon(content) !== -1) {
+    return parseYamlMapping(state, indent);
+  }
+
+  state.index++;
+  return parseYamlValue(state, content, indent, line, false);
+}
+
+/**
+ * Parses a YAML document
+ * @param {string} text - YAML text
+ * @returns {*} Parsed value; null for an empty document
+ * @throws {Error} When the text is not valid YAML or uses unsupported features
+ */
+function parseYaml(text) {
+  const lines = text.replace(/^\uFEFF/, '').split(/\r?\n/).map((raw, index) => ({ raw, number: index + 1 }));
+  const state = { lines, index: 0 };
+
+  const first = peekYamlLine(state);
+  if (first && /^---\s*(#.*)?$/.test(first.raw)) {
+    state.index++;
+  }
+
+  const nextDocument = lines.slice(state.index).find(line => /^---(\s|$)/.test(line.raw));
+  if (nextDocument) {
+    throw createYamlError(nextDocument, 'multiple documents are not supported');
+  }
+
+  const start = peekYamlLine(state);
+  const value = start && !/^\.\.\.\s*$/.test(start.raw) ? parseYamlBlock(state, yamlIndentOf(start)) : null;
+
+  const rest = peekYamlLine(state);
+  if (rest && !/^\.\.\.\s*$/.test(rest.raw)) {
+    throw createYamlError(rest, yamlIndentOf(rest) > 0 ? 'unexpected indentation' : 'unexpected content');
+  }
+
+  return value;
+}
+
+// Export functions and constants for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  // Node.js environment
+  module.exports = {
+    YAML_CONSTANTS,
+    parseYaml
+  };
+} else {
+  // Browser environment
+  window.PortfolioYaml = {
+    YAML_CONSTANTS,
+    parseYaml
+  };
+}
@@ -0,0 +1,198 @@
+/**
+ * @fileoverview Unit tests for the minimal YAML parser
+ * These tests cover the YAML subset portfolio data files use and the features it rejects
+ */
+
+// Import the parser
+let PortfolioYaml;
+if (typeof require !== 'undefined') {
+  // Node.js environment
+  PortfolioYaml = require('./yaml.js');
+} else {
+  // Browser environment - assume yaml.js is already loaded
+  PortfolioYaml = window.PortfolioYaml;
+}
+
+// Test utilities
+const TestRunner = {
+  tests: [],
+  passed: 0,
+  failed: 0,
+
+  test(name, testFn) {
+    this.tests.push({ name, testFn });
+  },
+
+  expect(actual) {
+    return {
+      toBe(expected) {
+        if (actual === expected) {
+          return { passed: true };
+        }
+        return { passed: false, message: `Expected ${expected}, got ${actual}` };
+      },
+
+      toEqual(expected) {
+        if (JSON.stringify(actual) === JSON.stringify(expected)) {
+          return { passed: true };
+        }
+        return { passed: false, message: `Expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}` };
+      },
+
+      toContain(expected) {
+        if (Array.isArray(actual) && actual.includes(expected)) {
+          return { passed: true };
+        }
+        return { passed: false, message: `Expected ${JSON.stringify(actual)} to contain ${expected}` };
+      }
+    };
+  },
+
+  run() {
+    console.log('Running YAML parser tests...\n');
+
+    this.tests.forEach(({ name, testFn }) => {
+      try {
+        const result = testFn();
+        if (result.passed) {
+          this.passed++;
+          console.log(`✓ ${name}`);
+        } else {
+          this.failed++;
+          console.log(`✗ ${name}: ${result.message}`);
+        }
+      } catch (error) {
+        this.failed++;
+        console.log(`✗ ${name}: ${error.message}`);
+      }
+    });
+
+    console.log(`\nTest Results: ${this.passed} passed, ${this.failed} failed`);
+    return this.failed === 0;
+  }
+};
+
+// Test data
+const portfolioYaml = `---
+# Personal details
+personal:
+  name: "Jane \\"JD\\" Doe"
+  title: Engineer   # shown under the name
+  contact:
+    email: jane@example.com
+    github: https://github.com/jane
+    social:
+      - network: behance
+        url: https://behance.net/jane
+projects:
+- id: shop
+  tools: [React, "Node.js, Express", 'it''s']
+  outcomes:
+  - Reduced costs
+  - 'Quoted: with a colon'
+  dates: { start: "2024-01" }
+`;
+
+/**
+ * Parses YAML, returning the error message instead of throwing
+ * @param {string} text - YAML text
+ * @returns {string} Error message, or '' if the text parsed
+ */
+function parseError(text) {
+  try {
+    PortfolioYaml.parseYaml(text);
+    return '';
+  } catch (error) {
+    return error.message;
+  }
+}
+
+// Structure tests
+TestRunner.test('parseYaml - nested mappings and sequences of mappings', () => {
+  const data = PortfolioYaml.parseYaml(portfolioYaml);
+  return TestRunner.expect(data.personal.contact.social).toEqual([{ network: 'behance', url: 'https://behance.net/jane' }]);
+});
+
+TestRunner.test('parseYaml - sequences may sit at the same indentation as their key', () => {
+  const data = PortfolioYaml.parseYaml(portfolioYaml);
+  return TestRunner.expect(data.projects[0].outcomes).toEqual(['Reduced costs', 'Quoted: with a colon']);
+});
+
+TestRunner.test('parseYaml - flow sequences and mappings', () => {
+  const project = PortfolioYaml.parseYaml(portfolioYaml).projects[0];
+  return TestRunner.expect([project.tools, project.dates]).toEqual([['React', 'Node.js, Express', "it's"], { start: '2024-01' }]);
+});
+
+TestRunner.test('parseYaml - quoted scalars and comments', () => {
+  const { personal } = PortfolioYaml.parseYaml(portfolioYaml);
+  return TestRunner.expect([personal.name, personal.title]).toEqual(['Jane "JD" Doe', 'Engineer']);
+});
+
+TestRunner.test('parseYaml - nested sequences on one entry line', () => {
+  return TestRunner.expect(PortfolioYaml.parseYaml('- - a\n  - b\n- c')).toEqual([['a', 'b'], 'c']);
+});
+
+// Scalar tests
+TestRunner.test('parseYaml - resolves null, booleans and numbers', () => {
+  return TestRunner.expect(PortfolioYaml.parseYaml('[~, null, true, False, 42, -1.5, 2024-01, 7.7/10]'))
+    .toEqual([null, null, true, false, 42, -1.5, '2024-01', '7.7/10']);
+});
+
+TestRunner.test('parseYaml - empty values are null', () => {
+  return TestRunner.expect(PortfolioYaml.parseYaml('a:\nb: 1')).toEqual({ a: null, b: 1 });
+});
+
+TestRunner.test('parseYaml - plain scalars continue on more indented lines', () => {
+  return TestRunner.expect(PortfolioYaml.parseYaml('bio: A long\n  bio text')).toEqual({ bio: 'A long bio text' });
+});
+
+// Block scalar tests
+TestRunner.test('parseYaml - literal block scalars keep line breaks', () => {
+  return TestRunner.expect(PortfolioYaml.parseYaml('bio: |\n  Line one\n  Line two\n\n  Para "two"\nnext: x').bio)
+    .toBe('Line one\nLine two\n\nPara "two"\n');
+});
+
+TestRunner.test('parseYaml - folded block scalars join lines', () => {
+  return TestRunner.expect(PortfolioYaml.parseYaml('bio: >-\n  One\n  two\n\n  Three').bio).toBe('One two\nThree');
+});
+
+TestRunner.test('parseYaml - "#" inside block scalars is text', () => {
+  return TestRunner.expect(PortfolioYaml.parseYaml('bio: |-\n  Use # for headings').bio).toBe('Use # for headings');
+});
+
+TestRunner.test('parseYaml - empty document is null', () => {
+  return TestRunner.expect(PortfolioYaml.parseYaml('# nothing here\n')).toBe(null);
+});
+
+// Error tests
+TestRunner.test('parseYaml - reports the line of bad indentation', () => {
+  return TestRunner.expect(parseError('a:\n  b: 1\n    c: 2')).toBe('line 3: unexpected indentation');
+});
+
+TestRunner.test('parseYaml - rejects duplicate keys', () => {
+  return TestRunner.expect(parseError('a: 1\na: 2')).toBe('line 2: duplicate key "a"');
+});
+
+TestRunner.test('parseYaml - rejects tab indentation', () => {
+  return TestRunner.expect(parseError('a:\n\tb: 1')).toBe('line 2: tabs cannot be used for indentation');
+});
+
+TestRunner.test('parseYaml - rejects anchors and aliases', () => {
+  return TestRunner.expect(parseError('a: &base 1\nb: *base').startsWith('line 1: "&" is not supported')).toBe(true);
+});
+
+TestRunner.test('parseYaml - rejects multiple documents', () => {
+  return TestRunner.expect(parseError('a: 1\n---\nb: 2')).toBe('line 2: multiple documents are not supported');
+});
+
+TestRunner.test('parseYaml - rejects unterminated flow collections', () => {
+  return TestRunner.expect(parseError('tools: [a, b').startsWith('line 1: expected "," or "]"')).toBe(true);
+});
+
+// Run tests if this file is executed directly
+if (typeof require !== 'undefined' && require.main === module) {
+  process.exitCode = TestRunner.run() ? 0 : 1;
+} else if (typeof window !== 'undefined') {
+  // Browser environment - expose test runner
+  window.PortfolioYamlTestRunner = TestRunner;
+}